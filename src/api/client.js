@@ -1,13 +1,43 @@
 // api/client.js
 const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
 const config = require('../config');
 const logger = require('../modules/core/logger');
+const ApiWriteAuditModel = require('../modules/audit/api-write-audit.model');
+const { getRateLimiter } = require('./rate-limiter');
+const { toApiError } = require('./economic-error');
+
+// HTTP statuses and network error codes that are worth retrying
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+const RETRYABLE_ERROR_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE']);
+
+// Failures after which e-conomic certainly did not process the request. Only
+// these are retried for writes: a repeated POST creates another record, and a
+// PUT, PATCH or DELETE repeated after someone else's change overwrites it.
+const UNPROCESSED_STATUSES = new Set([429, 503]);
+const UNPROCESSED_ERROR_CODES = new Set(['ECONNREFUSED', 'EAI_AGAIN']);
+const UNSAFE_METHODS = new Set(['post', 'put', 'patch', 'delete']);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 class ApiClient {
   constructor(agreementGrantToken = null) {
     this.baseUrl = config.api.baseUrl;
     this.appSecretToken = config.api.appSecretToken;
     this.agreementGrantToken = agreementGrantToken || config.api.agreementGrantToken;
+    this.retryConfig = config.api.retry;
+    
+    // Writes are audited under this agreement number once it is known
+    this.agreementNumber = null;
+    
+    // Shared by every client of the same token, so parallel syncs of one
+    // agreement stay within e-conomic's per-token limits together
+    const { requests, intervalMs } = config.api.rateLimit;
+    this.rateLimiter = getRateLimiter(this.agreementGrantToken, requests, intervalMs);
+    
+    // Retry statistics for everything this client has requested. throttledMs
+    // is time spent waiting for the rate limiter.
+    this.retryStats = { retries: 0, rateLimited: 0, waitMs: 0, throttledMs: 0 };
     
     this.client = this.createClient();
   }
@@ -38,7 +68,13 @@ class ApiClient {
       error => {
         if (error.response) {
           logger.error(`API Error: ${error.response.status} from ${error.config.url}`);
-          logger.error(`Response data: ${JSON.stringify(error.response.data)}`);
+          
+          // Streamed error bodies are not read, so release their connection
+          if (error.config.responseType === 'stream') {
+            error.response.data?.destroy?.();
+          } else {
+            logger.error(`Response data: ${JSON.stringify(error.response.data)}`);
+          }
         } else {
           logger.error(`API Request failed: ${error.message}`);
         }
@@ -54,9 +90,180 @@ class ApiClient {
     return new ApiClient(agreementGrantToken);
   }
 
+  // Build an e-conomic filter for records changed since the given date
+  static lastUpdatedFilter(since) {
+    const timestamp = new Date(since).toISOString().split('.')[0] + 'Z';
+    return `lastUpdated$gte:${timestamp}`;
+  }
+
+  // Check whether a failed request is transient and can be retried
+  isRetryable(error) {
+    if (error.response) {
+      return RETRYABLE_STATUSES.has(error.response.status);
+    }
+    
+    return RETRYABLE_ERROR_CODES.has(error.code);
+  }
+  
+  // Check whether a failed request certainly never reached e-conomic's handling
+  isUnprocessed(error) {
+    if (error.response) {
+      return UNPROCESSED_STATUSES.has(error.response.status);
+    }
+    
+    return UNPROCESSED_ERROR_CODES.has(error.code);
+  }
+  
+  // Work out how long to wait before the next attempt. A Retry-After header
+  // from the API always wins, otherwise use exponential backoff with jitter.
+  getRetryDelay(attempt, error) {
+    const retryAfter = error.response?.headers?.['retry-after'];
+    
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+      }
+      
+      const retryDate = Date.parse(retryAfter);
+      if (!Number.isNaN(retryDate)) {
+        return Math.max(0, retryDate - Date.now());
+      }
+    }
+    
+    const { baseDelayMs, maxDelayMs } = this.retryConfig;
+    const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    
+    // Equal jitter: wait at least half the backoff, plus a random share of the rest
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+  }
+  
+  // Perform a GET request, retrying transient failures
+  async requestWithRetry(path, params = {}) {
+    return await this.sendWithRetry({ method: 'get', url: path, params });
+  }
+  
+  // Send a request, retrying transient failures. Writes are only retried
+  // when e-conomic certainly did not process them. Every attempt
+  // waits for the agreement's rate limiter first.
+  async sendWithRetry(request) {
+    const { maxRetries } = this.retryConfig;
+    const path = request.url;
+    const repeatable = !UNSAFE_METHODS.has(request.method);
+    
+    for (let attempt = 0; ; attempt++) {
+      try {
+        this.retryStats.throttledMs += await this.rateLimiter.acquire();
+        return await this.client.request(request);
+      } catch (error) {
+        const retryable = repeatable ? this.isRetryable(error) : this.isUnprocessed(error);
+        if (attempt >= maxRetries || !retryable) {
+          throw error;
+        }
+        
+        const delay = this.getRetryDelay(attempt, error);
+        const reason = error.response ? `HTTP ${error.response.status}` : error.code;
+        
+        this.retryStats.retries++;
+        this.retryStats.waitMs += delay;
+        if (error.response?.status === 429) {
+          this.retryStats.rateLimited++;
+        }
+        
+        logger.warn(`Retrying ${path} after ${reason} in ${delay}ms (attempt ${attempt + 1} of ${maxRetries})`);
+        await sleep(delay);
+      }
+    }
+  }
+  
+  // Send a write and record it in the audit log. POSTs always carry an
+  // idempotency key, sent as the Idempotency-Key header. Once a key has
+  // succeeded, a repeated write with it returns the stored response instead
+  // of writing again, so a caller that never saw the outcome can repeat it.
+  // Failures are thrown as ApiError with e-conomic's validation errors.
+  async write(method, endpoint, data = null, { idempotencyKey = null } = {}) {
+    const key = idempotencyKey || (method === 'post' ? uuidv4() : null);
+    
+    const audit = await ApiWriteAuditModel.begin({
+      agreementNumber: this.agreementNumber,
+      method,
+      endpoint,
+      payload: data,
+      idempotencyKey: key
+    });
+    
+    if (audit.replay) {
+      logger.info(`Returning stored response of ${method.toUpperCase()} ${endpoint} for idempotency key ${key}`);
+      return audit.replay;
+    }
+    
+    const startedAt = Date.now();
+    let response;
+    
+    try {
+      response = await this.sendWithRetry({
+        method,
+        url: endpoint,
+        data: data ?? undefined,
+        headers: key ? { 'Idempotency-Key': key } : {}
+      });
+    } catch (error) {
+      const apiError = toApiError(error, method, endpoint);
+      
+      // A write that timed out or failed on e-conomic's side may have been stored anyway
+      const maybeStored = UNSAFE_METHODS.has(method)
+        && (!error.response || error.response.status >= 500)
+        && !this.isUnprocessed(error);
+      
+      try {
+        await ApiWriteAuditModel.markFailed(
+          audit.id,
+          maybeStored ? 'unknown' : 'error',
+          error.response?.status ?? null,
+          apiError.message,
+          Date.now() - startedAt
+        );
+      } catch (auditError) {
+        logger.warn(`${method.toUpperCase()} ${endpoint} failed and its audit entry ${audit.id} could not be updated`);
+      }
+      
+      throw apiError;
+    }
+    
+    // The write happened, so a failing audit update must not make it look failed
+    try {
+      await ApiWriteAuditModel.markSucceeded(audit.id, response.status, response.data, Date.now() - startedAt);
+    } catch (auditError) {
+      logger.warn(`${method.toUpperCase()} ${endpoint} succeeded but its audit entry ${audit.id} could not be updated`);
+    }
+    
+    return response.data;
+  }
+  
+  async post(endpoint, data, options = {}) {
+    return await this.write('post', endpoint, data, options);
+  }
+  
+  async put(endpoint, data, options = {}) {
+    return await this.write('put', endpoint, data, options);
+  }
+  
+  async patch(endpoint, data, options = {}) {
+    return await this.write('patch', endpoint, data, options);
+  }
+  
+  async delete(endpoint, options = {}) {
+    return await this.write('delete', endpoint, null, options);
+  }
+  
+  // Retry statistics to include in sync results
+  getRetryStats() {
+    return { ...this.retryStats };
+  }
+
   async get(endpoint, params = {}) {
     try {
-      const response = await this.client.get(endpoint, { params });
+      const response = await this.requestWithRetry(endpoint, params);
       return response.data;
     } catch (error) {
       logger.error(`API Error (${endpoint}):`, error.message);
@@ -64,9 +271,22 @@ class ApiClient {
     }
   }
 
+  // Download a file such as an invoice PDF. Returns the response body as a
+  // stream; failures are thrown as ApiError.
+  async getStream(endpoint) {
+    try {
+      const response = await this.sendWithRetry({ method: 'get', url: endpoint, responseType: 'stream' });
+      return response.data;
+    } catch (error) {
+      logger.error(`API Error (${endpoint}):`, error.message);
+      throw toApiError(error, 'get', endpoint);
+    }
+  }
+
   async getPaginated(endpoint, params = {}) {
     const results = [];
-    let currentPage = `${endpoint}?skippages=0&pagesize=100`;
+    const query = new URLSearchParams({ skippages: 0, pagesize: 100, ...params }).toString();
+    let currentPage = `${endpoint}?${query}`;
     
     try {
       while (currentPage) {
@@ -74,8 +294,10 @@ class ApiClient {
         const path = currentPage.startsWith(this.baseUrl) 
           ? currentPage.substring(this.baseUrl.length) 
           : currentPage;
-          
-        const response = await this.client.get(path);
+        
+        // Each page is retried on its own, so a transient failure does not
+        // throw away the pages that were already fetched
+        const response = await this.requestWithRetry(path);
         
         if (response.data.collection) {
           results.push(...response.data.collection);
@@ -87,7 +309,7 @@ class ApiClient {
       
       return results;
     } catch (error) {
-      logger.error(`API Pagination Error (${endpoint}):`, error.message);
+      logger.error(`API Pagination Error (${endpoint}) at ${currentPage} after ${results.length} records:`, error.message);
       throw error;
     }
   }
@@ -0,0 +1,87 @@
+// api/economic-error.js
+const { ApiError } = require('../modules/core/error.handler');
+
+// Flatten e-conomic's validation errors into a list of field errors. errors
+// is keyed by property, nests for nested properties and uses items, keyed by
+// index, for arrays such as invoice lines:
+//   { customer: { errors: [...] }, lines: { items: [{ 0: { unitNetPrice: { errors: [...] } } }] } }
+function collectFieldErrors(errors, path = []) {
+  if (!errors || typeof errors !== 'object') {
+    return [];
+  }
+
+  const details = [];
+
+  for (const [name, value] of Object.entries(errors)) {
+    if (name === 'errors' && Array.isArray(value)) {
+      for (const error of value) {
+        details.push({
+          field: path.length > 0 ? path.join('.') : null,
+          message: error.errorMessage || error.message || 'Invalid value',
+          code: error.errorCode || null,
+          developer_hint: error.developerHint || null,
+          ...(error.inputValue !== undefined && { input_value: error.inputValue })
+        });
+      }
+    } else if (name === 'items' && Array.isArray(value)) {
+      value.forEach(item => details.push(...collectFieldErrors(item, path)));
+    } else if (value && typeof value === 'object') {
+      details.push(...collectFieldErrors(value, [...path, name]));
+    }
+  }
+
+  return details;
+}
+
+// Status and code of the ApiError for each e-conomic response status. Auth
+// failures concern this service's tokens rather than the caller, so they
+// are reported as a bad gateway.
+const STATUS_MAP = {
+  400: [400, 'ECONOMIC_VALIDATION_ERROR'],
+  401: [502, 'ECONOMIC_AUTH_FAILED'],
+  403: [502, 'ECONOMIC_AUTH_FAILED'],
+  404: [404, 'ECONOMIC_NOT_FOUND'],
+  409: [409, 'ECONOMIC_CONFLICT'],
+  422: [400, 'ECONOMIC_VALIDATION_ERROR'],
+  429: [503, 'ECONOMIC_RATE_LIMITED']
+};
+
+// Turn a failed e-conomic request into an ApiError. Validation errors are
+// listed field by field in details, along with e-conomic's developer hint
+// and log id for support cases.
+function toApiError(error, method, endpoint) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+
+  const target = `${method.toUpperCase()} ${endpoint}`;
+
+  if (!error.response) {
+    return new ApiError(`e-conomic could not be reached for ${target}: ${error.code || error.message}`, 502, 'ECONOMIC_UNAVAILABLE');
+  }
+
+  const { status, data } = error.response;
+  const body = data && typeof data === 'object' ? data : {};
+  const fieldErrors = collectFieldErrors(body.errors);
+
+  let summary = fieldErrors.length > 0
+    ? fieldErrors.map(detail => (detail.field ? `${detail.field}: ${detail.message}` : detail.message)).join('; ')
+    : body.message || `HTTP ${status}`;
+  if (fieldErrors.length === 0 && body.developerHint) {
+    summary += ` (${body.developerHint})`;
+  }
+
+  const [statusCode, code] = STATUS_MAP[status] || [502, 'ECONOMIC_ERROR'];
+
+  return new ApiError(`e-conomic rejected ${target}: ${summary}`, statusCode, code, {
+    economic_status: status,
+    economic_error_code: body.errorCode || null,
+    developer_hint: body.developerHint || null,
+    log_id: body.logId || null,
+    errors: fieldErrors
+  });
+}
+
+module.exports = {
+  toApiError
+};
@@ -27,6 +27,7 @@ module.exports = {
 
   // Helper functions
   customerInvoices: (customerId, type = 'drafts') => `/customers/${customerId}/invoices/${type}`,
+  bookedInvoicePdf: (invoiceNumber) => `/invoices/booked/${invoiceNumber}/pdf`,
   suppliersByGroup: (groupId) => `/supplier-groups/${groupId}/suppliers`,
   productsByGroup: (groupId) => `/product-groups/${groupId}/products`,
 
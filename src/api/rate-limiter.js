@@ -0,0 +1,61 @@
+// api/rate-limiter.js
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Allows at most `limit` requests to start within any `intervalMs` window.
+// Callers are served in the order they asked.
+class RateLimiter {
+  constructor(limit, intervalMs) {
+    this.limit = limit;
+    this.intervalMs = intervalMs;
+    this.startedAt = [];
+    this.queue = Promise.resolve();
+  }
+
+  // Wait for a free slot. Resolves with the number of milliseconds waited.
+  acquire() {
+    const turn = this.queue.then(() => this.waitForSlot());
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  async waitForSlot() {
+    // A limit of 0 turns rate limiting off
+    if (this.limit <= 0) {
+      return 0;
+    }
+
+    const requestedAt = Date.now();
+
+    for (;;) {
+      const now = Date.now();
+
+      while (this.startedAt.length > 0 && this.startedAt[0] <= now - this.intervalMs) {
+        this.startedAt.shift();
+      }
+
+      if (this.startedAt.length < this.limit) {
+        this.startedAt.push(now);
+        return now - requestedAt;
+      }
+
+      await sleep(this.startedAt[0] + this.intervalMs - now);
+    }
+  }
+}
+
+// One limiter per agreement grant token, shared by every client that uses the token
+const limiters = new Map();
+
+function getRateLimiter(key, limit, intervalMs) {
+  if (!limiters.has(key)) {
+    limiters.set(key, new RateLimiter(limit, intervalMs));
+  }
+
+  return limiters.get(key);
+}
+
+module.exports = {
+  RateLimiter,
+  getRateLimiter
+};
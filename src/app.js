@@ -1,6 +1,7 @@
 const express = require('express');
 const { errorHandler } = require('./modules/core/error.handler');
 const logger = require('./modules/core/logger');
+const { authenticate, authorize } = require('./modules/auth/auth.middleware');
 
 // Import routes
 const invoiceRoutes = require('./modules/invoices/invoice.routes');
@@ -17,7 +18,11 @@ const customerRoutes = require('./modules/customers/customer.routes');
 const departmentRoutes = require('./modules/departments/department.routes');
 const departmentalDistributionRoutes = require('./modules/departmental-distributions/departmental-distribution.routes');
 const journalRoutes = require('./modules/journals/journal.routes');
+const apiKeyRoutes = require('./modules/auth/api-key.routes');
+const scheduleRoutes = require('./modules/schedules/schedule.routes');
 const syncRoutes = require('./modules/sync/sync.routes'); // Sync API route. General purpose sync route
+const webhookRoutes = require('./modules/webhooks/webhook.routes');
+const subscriptionRoutes = require('./modules/subscriptions/subscription.routes');
 
 // Create Express app
 const app = express();
@@ -30,6 +35,12 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok' });
 });
 
+// e-conomic cannot send API keys, so webhooks check a per-agreement secret instead
+app.use('/api/webhooks', webhookRoutes);
+
+// Every API route below requires an API key with a matching scope
+app.use('/api', authenticate, authorize);
+
 // Endpoints for modules
 app.use('/api/invoices', invoiceRoutes);
 app.use('/api/agreements', agreementRoutes);
@@ -45,6 +56,9 @@ app.use('/api/customers', customerRoutes);
 app.use('/api/departments', departmentRoutes);
 app.use('/api/departmental-distributions', departmentalDistributionRoutes);
 app.use('/api/journals', journalRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
 
 // Sync all modules API route. This should be registered before the 404 handler
 app.use('/api/sync', syncRoutes); 
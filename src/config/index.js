@@ -5,7 +5,19 @@ module.exports = {
     baseUrl: process.env.API_BASE_URL || 'https://restapi.e-conomic.com',
     appSecretToken: process.env.APP_SECRET_TOKEN,
     agreementGrantToken: process.env.AGREEMENT_GRANT_TOKEN,
-    agreementNumber: process.env.AGREEMENT_NUMBER || null
+    agreementNumber: process.env.AGREEMENT_NUMBER || null,
+    retry: {
+      maxRetries: parseInt(process.env.API_MAX_RETRIES || '5'),
+      baseDelayMs: parseInt(process.env.API_RETRY_BASE_DELAY_MS || '500'),
+      maxDelayMs: parseInt(process.env.API_RETRY_MAX_DELAY_MS || '30000')
+    },
+    // How long /self lookups are reused between syncs of an agreement
+    agreementInfoTtlMs: parseInt(process.env.AGREEMENT_INFO_TTL_MS || '900000'),
+    // Requests each agreement grant token may start per interval. 0 turns it off.
+    rateLimit: {
+      requests: parseInt(process.env.API_RATE_LIMIT_REQUESTS || '10'),
+      intervalMs: parseInt(process.env.API_RATE_LIMIT_INTERVAL_MS || '1000')
+    }
   },
   db: {
     host: process.env.DB_HOST || 'localhost',
@@ -16,6 +28,70 @@ module.exports = {
   },
   server: {
     port: parseInt(process.env.PORT || '3000'),
-    env: process.env.NODE_ENV || 'development'
+    env: process.env.NODE_ENV || 'development',
+    // Long enough for an in-flight scheduled sync to finish its current entity
+    shutdownTimeoutMs: parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '300000')
+  },
+  auth: {
+    enabled: process.env.AUTH_ENABLED !== 'false',
+    // Stored as the first admin key when no admin key exists yet
+    bootstrapAdminKey: process.env.ADMIN_API_KEY
+  },
+  security: {
+    // 32 random bytes, base64 encoded. Used to encrypt agreement grant tokens at rest.
+    tokenEncryptionKey: process.env.TOKEN_ENCRYPTION_KEY
+  },
+  sync: {
+    // Only full syncs detect records deleted in e-conomic, so incremental is opt-in
+    defaultMode: process.env.SYNC_DEFAULT_MODE || 'full',
+    // Agreements synced at the same time across all services
+    concurrency: parseInt(process.env.SYNC_CONCURRENCY || '3'),
+    // Tables that keep versioned history, e.g. "customers,products". Empty turns it off.
+    historyTables: (process.env.SYNC_HISTORY_TABLES || '')
+      .split(',')
+      .map(table => table.trim())
+      .filter(Boolean)
+  },
+  webhooks: {
+    pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '5000'),
+    // Attempts per inbox event before it is marked failed, with the delay
+    // between attempts doubling from the base delay up to the maximum
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8'),
+    retryBaseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS || '30000'),
+    retryMaxDelayMs: parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY_MS || '3600000')
+  },
+  subscriptions: {
+    pollIntervalMs: parseInt(process.env.SUBSCRIPTION_POLL_INTERVAL_MS || '5000'),
+    timeoutMs: parseInt(process.env.SUBSCRIPTION_TIMEOUT_MS || '10000'),
+    // Attempts per delivery before it is marked failed, with the delay
+    // between attempts doubling from the base delay up to the maximum
+    maxAttempts: parseInt(process.env.SUBSCRIPTION_MAX_ATTEMPTS || '10'),
+    retryBaseDelayMs: parseInt(process.env.SUBSCRIPTION_RETRY_BASE_DELAY_MS || '60000'),
+    retryMaxDelayMs: parseInt(process.env.SUBSCRIPTION_RETRY_MAX_DELAY_MS || '21600000')
+  },
+  outbox: {
+    // Where the outbox relay publishes events besides subscriptions:
+    // none, stdout, file or broker
+    transport: process.env.OUTBOX_TRANSPORT || 'none',
+    filePath: process.env.OUTBOX_FILE_PATH || 'logs/outbox-events.jsonl',
+    // "local" for the in-process broker, or the path of an adapter module
+    brokerAdapter: process.env.OUTBOX_BROKER_ADAPTER || 'local',
+    topic: process.env.OUTBOX_TOPIC || 'economic.events',
+    pollIntervalMs: parseInt(process.env.OUTBOX_POLL_INTERVAL_MS || '2000'),
+    batchSize: parseInt(process.env.OUTBOX_BATCH_SIZE || '100'),
+    // Failed publishes are retried without limit, with the delay doubling
+    // from the base delay up to the maximum
+    retryBaseDelayMs: parseInt(process.env.OUTBOX_RETRY_BASE_DELAY_MS || '5000'),
+    retryMaxDelayMs: parseInt(process.env.OUTBOX_RETRY_MAX_DELAY_MS || '300000'),
+    // Days published events are kept. 0 keeps them.
+    retentionDays: parseInt(process.env.OUTBOX_RETENTION_DAYS || '7')
+  },
+  invoices: {
+    // Directory booked invoice PDFs are cached in. Unset disables the cache.
+    pdfCacheDir: process.env.INVOICE_PDF_CACHE_DIR || null
+  },
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+    pollIntervalMs: parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS || '30000')
   }
 };
\ No newline at end of file
@@ -0,0 +1,44 @@
+// 016-sync-watermarks.js
+const db = require('../index');
+const logger = require('../../modules/core/logger');
+
+async function up() {
+  logger.info('Running migration: 016-sync-watermarks');
+
+  try {
+    // High-water marks for incremental syncs, one row per agreement and entity
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS sync_watermarks (
+        agreement_number INT NOT NULL,
+        entity VARCHAR(50) NOT NULL,
+        last_synced_at DATETIME NOT NULL,
+        last_mode VARCHAR(20) NOT NULL,
+        record_count INT DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (agreement_number, entity),
+        INDEX idx_entity (entity)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    logger.info('Migration 016-sync-watermarks completed successfully');
+  } catch (error) {
+    logger.error('Error running migration 016-sync-watermarks:', error.message);
+    throw error;
+  }
+}
+
+async function down() {
+  logger.info('Reverting migration: 016-sync-watermarks');
+
+  try {
+    await db.query('DROP TABLE IF EXISTS sync_watermarks');
+
+    logger.info('Migration 016-sync-watermarks reverted successfully');
+  } catch (error) {
+    logger.error('Error reverting migration 016-sync-watermarks:', error.message);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,47 @@
+// 017-sync-jobs.js
+const db = require('../index');
+const logger = require('../../modules/core/logger');
+
+async function up() {
+  logger.info('Running migration: 017-sync-jobs');
+
+  try {
+    // Background sync jobs started through POST /api/sync
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS sync_jobs (
+        id VARCHAR(36) NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        options JSON,
+        services JSON,
+        error_message TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME NULL,
+        completed_at DATETIME NULL,
+        duration_ms INT,
+        PRIMARY KEY (id),
+        INDEX idx_status (status),
+        INDEX idx_created_at (created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    logger.info('Migration 017-sync-jobs completed successfully');
+  } catch (error) {
+    logger.error('Error running migration 017-sync-jobs:', error.message);
+    throw error;
+  }
+}
+
+async function down() {
+  logger.info('Reverting migration: 017-sync-jobs');
+
+  try {
+    await db.query('DROP TABLE IF EXISTS sync_jobs');
+
+    logger.info('Migration 017-sync-jobs reverted successfully');
+  } catch (error) {
+    logger.error('Error reverting migration 017-sync-jobs:', error.message);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
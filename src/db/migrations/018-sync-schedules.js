@@ -0,0 +1,52 @@
+// 018-sync-schedules.js
+const db = require('../index');
+const logger = require('../../modules/core/logger');
+
+async function up() {
+  logger.info('Running migration: 018-sync-schedules');
+
+  try {
+    // Cron-style sync schedules, one agreement and a set of entities each
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS sync_schedules (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        agreement_id INT NOT NULL,
+        cron_expression VARCHAR(100) NOT NULL,
+        entities JSON NOT NULL,
+        mode VARCHAR(20) NULL,
+        is_active BOOLEAN DEFAULT TRUE,
+        next_run_at DATETIME NULL,
+        last_run_at DATETIME NULL,
+        last_status VARCHAR(20) NULL,
+        last_error TEXT,
+        last_duration_ms INT,
+        last_result JSON,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_active_next_run (is_active, next_run_at),
+        FOREIGN KEY (agreement_id) REFERENCES agreement_configs(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    logger.info('Migration 018-sync-schedules completed successfully');
+  } catch (error) {
+    logger.error('Error running migration 018-sync-schedules:', error.message);
+    throw error;
+  }
+}
+
+async function down() {
+  logger.info('Reverting migration: 018-sync-schedules');
+
+  try {
+    await db.query('DROP TABLE IF EXISTS sync_schedules');
+
+    logger.info('Migration 018-sync-schedules reverted successfully');
+  } catch (error) {
+    logger.error('Error reverting migration 018-sync-schedules:', error.message);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
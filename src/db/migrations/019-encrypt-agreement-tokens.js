@@ -0,0 +1,93 @@
+// 019-encrypt-agreement-tokens.js
+const db = require('../index');
+const logger = require('../../modules/core/logger');
+const { encryptToken, decryptToken } = require('../../modules/agreements/token-crypto');
+
+async function up() {
+  logger.info('Running migration: 019-encrypt-agreement-tokens');
+
+  try {
+    // Ciphertext is longer than the token and different on every write,
+    // so uniqueness moves from the token column to its keyed hash
+    const tokenIndex = await db.query('SHOW INDEX FROM agreement_configs WHERE Key_name = "idx_agreement_grant_token"');
+    if (tokenIndex.length > 0) {
+      await db.query('ALTER TABLE agreement_configs DROP INDEX idx_agreement_grant_token');
+    }
+
+    await db.query('ALTER TABLE agreement_configs MODIFY agreement_grant_token VARCHAR(512) NOT NULL');
+
+    const dataKeyColumn = await db.query('SHOW COLUMNS FROM agreement_configs LIKE "token_data_key"');
+    if (dataKeyColumn.length === 0) {
+      await db.query(`
+        ALTER TABLE agreement_configs
+        ADD COLUMN token_data_key VARCHAR(255) NULL AFTER agreement_grant_token
+      `);
+    }
+
+    const hashColumn = await db.query('SHOW COLUMNS FROM agreement_configs LIKE "token_hash"');
+    if (hashColumn.length === 0) {
+      await db.query(`
+        ALTER TABLE agreement_configs
+        ADD COLUMN token_hash CHAR(64) NULL AFTER token_data_key
+      `);
+    }
+
+    // Encrypt every token that is still stored in plaintext
+    const rows = await db.query('SELECT id, agreement_grant_token FROM agreement_configs WHERE token_hash IS NULL');
+
+    for (const row of rows) {
+      const { encryptedToken, encryptedDataKey, tokenHash } = encryptToken(row.agreement_grant_token);
+
+      await db.query(
+        `UPDATE agreement_configs SET
+          agreement_grant_token = ?,
+          token_data_key = ?,
+          token_hash = ?
+        WHERE id = ?`,
+        [encryptedToken, encryptedDataKey, tokenHash, row.id]
+      );
+    }
+
+    logger.info(`Encrypted ${rows.length} agreement grant tokens`);
+
+    const hashIndex = await db.query('SHOW INDEX FROM agreement_configs WHERE Key_name = "idx_token_hash"');
+    if (hashIndex.length === 0) {
+      await db.query('ALTER TABLE agreement_configs ADD UNIQUE KEY idx_token_hash (token_hash)');
+    }
+
+    logger.info('Migration 019-encrypt-agreement-tokens completed successfully');
+  } catch (error) {
+    logger.error('Error running migration 019-encrypt-agreement-tokens:', error.message);
+    throw error;
+  }
+}
+
+async function down() {
+  logger.info('Reverting migration: 019-encrypt-agreement-tokens');
+
+  try {
+    // Put the plaintext tokens back before dropping the key columns
+    const rows = await db.query(
+      'SELECT id, agreement_grant_token, token_data_key FROM agreement_configs WHERE token_data_key IS NOT NULL'
+    );
+
+    for (const row of rows) {
+      await db.query(
+        'UPDATE agreement_configs SET agreement_grant_token = ? WHERE id = ?',
+        [decryptToken(row.agreement_grant_token, row.token_data_key), row.id]
+      );
+    }
+
+    await db.query('ALTER TABLE agreement_configs DROP INDEX idx_token_hash');
+    await db.query('ALTER TABLE agreement_configs DROP COLUMN token_hash, DROP COLUMN token_data_key');
+    await db.query('ALTER TABLE agreement_configs MODIFY agreement_grant_token VARCHAR(255) NOT NULL');
+    await db.query('ALTER TABLE agreement_configs ADD UNIQUE KEY idx_agreement_grant_token (agreement_grant_token)');
+
+    logger.info('Migration 019-encrypt-agreement-tokens reverted successfully');
+  } catch (error) {
+    logger.error('Error reverting migration 019-encrypt-agreement-tokens:', error.message);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
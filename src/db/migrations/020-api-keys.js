@@ -0,0 +1,46 @@
+// 020-api-keys.js
+const db = require('../index');
+const logger = require('../../modules/core/logger');
+
+async function up() {
+  logger.info('Running migration: 020-api-keys');
+
+  try {
+    // API keys for the REST API. Only a SHA-256 hash of each key is stored.
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        key_prefix VARCHAR(16) NOT NULL,
+        key_hash CHAR(64) NOT NULL,
+        scopes JSON NOT NULL,
+        agreement_numbers JSON NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME NULL,
+        revoked_at DATETIME NULL,
+        UNIQUE KEY idx_key_hash (key_hash),
+        INDEX idx_revoked_at (revoked_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    logger.info('Migration 020-api-keys completed successfully');
+  } catch (error) {
+    logger.error('Error running migration 020-api-keys:', error.message);
+    throw error;
+  }
+}
+
+async function down() {
+  logger.info('Reverting migration: 020-api-keys');
+
+  try {
+    await db.query('DROP TABLE IF EXISTS api_keys');
+
+    logger.info('Migration 020-api-keys reverted successfully');
+  } catch (error) {
+    logger.error('Error reverting migration 020-api-keys:', error.message);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
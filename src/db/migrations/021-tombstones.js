@@ -0,0 +1,58 @@
+// 021-tombstones.js
+const db = require('../index');
+const logger = require('../../modules/core/logger');
+
+// Tables whose rows are marked deleted when they disappear from e-conomic
+const TOMBSTONE_TABLES = ['customers', 'products', 'suppliers', 'invoices'];
+
+async function up() {
+  logger.info('Running migration: 021-tombstones');
+
+  try {
+    for (const table of TOMBSTONE_TABLES) {
+      const deletedColumn = await db.query(`SHOW COLUMNS FROM ${table} LIKE "deleted_at"`);
+      if (deletedColumn.length === 0) {
+        await db.query(`ALTER TABLE ${table} ADD COLUMN deleted_at DATETIME NULL`);
+      }
+
+      const deletedIndex = await db.query(`SHOW INDEX FROM ${table} WHERE Key_name = "idx_agreement_deleted"`);
+      if (deletedIndex.length === 0) {
+        await db.query(`CREATE INDEX idx_agreement_deleted ON ${table} (agreement_number, deleted_at)`);
+      }
+    }
+
+    // Drafts that disappear because they were booked point at the booked invoice
+    const bookedColumn = await db.query('SHOW COLUMNS FROM invoices LIKE "booked_invoice_number"');
+    if (bookedColumn.length === 0) {
+      await db.query(`
+        ALTER TABLE invoices
+        ADD COLUMN booked_invoice_number INT NULL AFTER draft_invoice_number
+      `);
+    }
+
+    logger.info('Migration 021-tombstones completed successfully');
+  } catch (error) {
+    logger.error('Error running migration 021-tombstones:', error.message);
+    throw error;
+  }
+}
+
+async function down() {
+  logger.info('Reverting migration: 021-tombstones');
+
+  try {
+    await db.query('ALTER TABLE invoices DROP COLUMN booked_invoice_number');
+
+    for (const table of TOMBSTONE_TABLES) {
+      await db.query(`DROP INDEX idx_agreement_deleted ON ${table}`);
+      await db.query(`ALTER TABLE ${table} DROP COLUMN deleted_at`);
+    }
+
+    logger.info('Migration 021-tombstones reverted successfully');
+  } catch (error) {
+    logger.error('Error reverting migration 021-tombstones:', error.message);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,71 @@
+// 022-content-hashes.js
+const db = require('../index');
+const logger = require('../../modules/core/logger');
+
+// Tables written by sync upserts. Each row stores a hash of the values last
+// written, so syncs can skip rows that did not change in e-conomic.
+const HASHED_TABLES = [
+  'invoices',
+  'invoice_lines',
+  'payment_terms',
+  'product_groups',
+  'products',
+  'supplier_groups',
+  'suppliers',
+  'vat_accounts',
+  'accounting_years',
+  'accounting_periods',
+  'accounting_entries',
+  'accounting_totals',
+  'accounts',
+  'customers',
+  'departments',
+  'departmental_distributions',
+  'journals'
+];
+
+async function up() {
+  logger.info('Running migration: 022-content-hashes');
+
+  try {
+    for (const table of HASHED_TABLES) {
+      const hashColumn = await db.query(`SHOW COLUMNS FROM ${table} LIKE "content_hash"`);
+      if (hashColumn.length === 0) {
+        await db.query(`ALTER TABLE ${table} ADD COLUMN content_hash CHAR(64) NULL`);
+      }
+    }
+
+    // Invoice lines are the only synced table without updated_at
+    const updatedColumn = await db.query('SHOW COLUMNS FROM invoice_lines LIKE "updated_at"');
+    if (updatedColumn.length === 0) {
+      await db.query(`
+        ALTER TABLE invoice_lines
+        ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      `);
+    }
+
+    logger.info('Migration 022-content-hashes completed successfully');
+  } catch (error) {
+    logger.error('Error running migration 022-content-hashes:', error.message);
+    throw error;
+  }
+}
+
+async function down() {
+  logger.info('Reverting migration: 022-content-hashes');
+
+  try {
+    await db.query('ALTER TABLE invoice_lines DROP COLUMN updated_at');
+
+    for (const table of HASHED_TABLES) {
+      await db.query(`ALTER TABLE ${table} DROP COLUMN content_hash`);
+    }
+
+    logger.info('Migration 022-content-hashes reverted successfully');
+  } catch (error) {
+    logger.error('Error reverting migration 022-content-hashes:', error.message);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,58 @@
+// 023-record-history.js
+const db = require('../index');
+const logger = require('../../modules/core/logger');
+
+// Versioned copies of synced rows, written when SYNC_HISTORY_TABLES lists the table
+const HISTORY_TABLES = [
+  { table: 'customers_history', keyColumn: 'customer_number INT NOT NULL' },
+  { table: 'products_history', keyColumn: 'product_number VARCHAR(50) NOT NULL' },
+  { table: 'suppliers_history', keyColumn: 'supplier_number INT NOT NULL' },
+  { table: 'accounts_history', keyColumn: 'account_number INT NOT NULL' }
+];
+
+async function up() {
+  logger.info('Running migration: 023-record-history');
+
+  try {
+    for (const { table, keyColumn } of HISTORY_TABLES) {
+      const keyName = keyColumn.split(' ')[0];
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS ${table} (
+          id BIGINT NOT NULL AUTO_INCREMENT,
+          ${keyColumn},
+          agreement_number INT NOT NULL,
+          data JSON NOT NULL,
+          content_hash CHAR(64) NOT NULL,
+          valid_from DATETIME(3) NOT NULL,
+          valid_to DATETIME(3) NULL,
+          PRIMARY KEY (id),
+          INDEX idx_record_valid_from (agreement_number, ${keyName}, valid_from),
+          INDEX idx_record_valid_to (agreement_number, ${keyName}, valid_to)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+    }
+
+    logger.info('Migration 023-record-history completed successfully');
+  } catch (error) {
+    logger.error('Error running migration 023-record-history:', error.message);
+    throw error;
+  }
+}
+
+async function down() {
+  logger.info('Reverting migration: 023-record-history');
+
+  try {
+    for (const { table } of HISTORY_TABLES) {
+      await db.query(`DROP TABLE IF EXISTS ${table}`);
+    }
+
+    logger.info('Migration 023-record-history reverted successfully');
+  } catch (error) {
+    logger.error('Error reverting migration 023-record-history:', error.message);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,58 @@
+// 024-webhook-inbox.js
+const db = require('../index');
+const logger = require('../../modules/core/logger');
+
+async function up() {
+  logger.info('Running migration: 024-webhook-inbox');
+
+  try {
+    // e-conomic webhooks cannot send API keys, so each agreement gets its own secret
+    const secretColumn = await db.query('SHOW COLUMNS FROM agreement_configs LIKE "webhook_secret_hash"');
+    if (secretColumn.length === 0) {
+      await db.query('ALTER TABLE agreement_configs ADD COLUMN webhook_secret_hash CHAR(64) NULL');
+    }
+
+    // Events received from e-conomic, kept until the changed record is stored
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS webhook_inbox (
+        id BIGINT NOT NULL AUTO_INCREMENT,
+        agreement_number INT NOT NULL,
+        entity VARCHAR(30) NOT NULL,
+        record_number VARCHAR(50) NOT NULL,
+        old_record_number VARCHAR(50) NULL,
+        payload JSON,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        outcome VARCHAR(20) NULL,
+        attempts INT NOT NULL DEFAULT 0,
+        next_attempt_at DATETIME NOT NULL,
+        last_error TEXT,
+        received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        processed_at DATETIME NULL,
+        PRIMARY KEY (id),
+        INDEX idx_status_next_attempt (status, next_attempt_at),
+        INDEX idx_record (agreement_number, entity, record_number)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    logger.info('Migration 024-webhook-inbox completed successfully');
+  } catch (error) {
+    logger.error('Error running migration 024-webhook-inbox:', error.message);
+    throw error;
+  }
+}
+
+async function down() {
+  logger.info('Reverting migration: 024-webhook-inbox');
+
+  try {
+    await db.query('DROP TABLE IF EXISTS webhook_inbox');
+    await db.query('ALTER TABLE agreement_configs DROP COLUMN webhook_secret_hash');
+
+    logger.info('Migration 024-webhook-inbox reverted successfully');
+  } catch (error) {
+    logger.error('Error reverting migration 024-webhook-inbox:', error.message);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
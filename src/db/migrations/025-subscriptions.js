@@ -0,0 +1,72 @@
+// 025-subscriptions.js
+const db = require('../index');
+const logger = require('../../modules/core/logger');
+
+async function up() {
+  logger.info('Running migration: 025-subscriptions');
+
+  try {
+    // HTTP endpoints that receive domain events. The signing secret is
+    // encrypted like agreement grant tokens, since it is needed to sign.
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS subscriptions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        url VARCHAR(2048) NOT NULL,
+        event_types JSON NOT NULL,
+        agreement_numbers JSON NULL,
+        secret TEXT NOT NULL,
+        secret_data_key TEXT NOT NULL,
+        is_active BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_is_active (is_active)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // One row per event and subscription, kept as the delivery log
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS event_deliveries (
+        id BIGINT NOT NULL AUTO_INCREMENT,
+        subscription_id INT NOT NULL,
+        event_id CHAR(36) NOT NULL,
+        event_type VARCHAR(50) NOT NULL,
+        agreement_number INT NULL,
+        payload JSON NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 0,
+        next_attempt_at DATETIME NOT NULL,
+        response_status INT NULL,
+        last_error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        delivered_at DATETIME NULL,
+        PRIMARY KEY (id),
+        UNIQUE KEY idx_subscription_event (subscription_id, event_id),
+        INDEX idx_status_next_attempt (status, next_attempt_at),
+        INDEX idx_subscription_created (subscription_id, created_at),
+        FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    logger.info('Migration 025-subscriptions completed successfully');
+  } catch (error) {
+    logger.error('Error running migration 025-subscriptions:', error.message);
+    throw error;
+  }
+}
+
+async function down() {
+  logger.info('Reverting migration: 025-subscriptions');
+
+  try {
+    await db.query('DROP TABLE IF EXISTS event_deliveries');
+    await db.query('DROP TABLE IF EXISTS subscriptions');
+
+    logger.info('Migration 025-subscriptions reverted successfully');
+  } catch (error) {
+    logger.error('Error reverting migration 025-subscriptions:', error.message);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,52 @@
+// 026-event-outbox.js
+const db = require('../index');
+const logger = require('../../modules/core/logger');
+
+async function up() {
+  logger.info('Running migration: 026-event-outbox');
+
+  try {
+    // Domain events written in the same transaction as the rows they describe.
+    // The relay publishes them in id order per agreement and entity.
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS event_outbox (
+        id BIGINT NOT NULL AUTO_INCREMENT,
+        event_id CHAR(36) NOT NULL,
+        event_type VARCHAR(50) NOT NULL,
+        agreement_number INT NOT NULL,
+        entity VARCHAR(30) NOT NULL,
+        record_key VARCHAR(50) NOT NULL,
+        payload JSON NOT NULL,
+        attempts INT NOT NULL DEFAULT 0,
+        next_attempt_at DATETIME NULL,
+        last_error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        published_at DATETIME NULL,
+        PRIMARY KEY (id),
+        UNIQUE KEY idx_event_id (event_id),
+        INDEX idx_published (published_at, id),
+        INDEX idx_stream (agreement_number, entity, published_at, id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    logger.info('Migration 026-event-outbox completed successfully');
+  } catch (error) {
+    logger.error('Error running migration 026-event-outbox:', error.message);
+    throw error;
+  }
+}
+
+async function down() {
+  logger.info('Reverting migration: 026-event-outbox');
+
+  try {
+    await db.query('DROP TABLE IF EXISTS event_outbox');
+
+    logger.info('Migration 026-event-outbox reverted successfully');
+  } catch (error) {
+    logger.error('Error reverting migration 026-event-outbox:', error.message);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
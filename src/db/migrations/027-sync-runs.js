@@ -0,0 +1,176 @@
+// 027-sync-runs.js
+const db = require('../index');
+const logger = require('../../modules/core/logger');
+
+// Sync service of each entity, as of this migration
+const ENTITY_SERVICES = {
+  payment_terms: 'paymentTerms',
+  product_groups: 'productGroups',
+  products: 'products',
+  vat_accounts: 'vatAccounts',
+  supplier_groups: 'supplierGroups',
+  suppliers: 'suppliers',
+  invoices: 'invoices',
+  accounting_years: 'accountingYears',
+  accounting_periods: 'accountingYears',
+  accounting_entries: 'accountingYears',
+  accounting_totals: 'accountingYears',
+  accounts: 'accounts',
+  customers: 'customers',
+  departments: 'departments',
+  departmental_distributions: 'departmentalDistributions',
+  journals: 'journals'
+};
+
+const toAgreementNumber = value => (/^\d+$/.test(value) ? parseInt(value) : null);
+
+// Split a legacy entity string such as "accounting_entries_2024_3_123456"
+// into the normalized columns. Returns null for strings it does not know.
+function parseLegacyEntity(legacy) {
+  let match = legacy.match(/^(accounting_entries|accounting_totals)_(.+)_(\d+|null)_([^_]+)$/);
+  if (match) {
+    const [, entity, yearId, period, agreement] = match;
+    const isYear = period === '0' || period === 'null';
+    return {
+      entity,
+      agreementNumber: toAgreementNumber(agreement),
+      scope: isYear ? `year ${yearId}` : `year ${yearId} period ${period}`
+    };
+  }
+
+  match = legacy.match(/^accounting_periods_(.+)_([^_]+)$/);
+  if (match) {
+    return { entity: 'accounting_periods', agreementNumber: toAgreementNumber(match[2]), scope: `year ${match[1]}` };
+  }
+
+  // Invoice logs never held the agreement number
+  match = legacy.match(/^invoices_(.+)$/);
+  if (match) {
+    const scope = ['agreement', 'cleanup'].includes(match[1]) ? null : match[1];
+    return { entity: 'invoices', agreementNumber: null, scope };
+  }
+
+  for (const entity of Object.keys(ENTITY_SERVICES)) {
+    if (legacy.startsWith(`${entity}_`)) {
+      return { entity, agreementNumber: toAgreementNumber(legacy.slice(entity.length + 1)), scope: null };
+    }
+  }
+
+  return null;
+}
+
+async function up() {
+  logger.info('Running migration: 027-sync-runs');
+
+  try {
+    // One row per sync job or scheduled run. Log entries of syncs started
+    // outside of them, e.g. POST /api/customers/sync, have no run.
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS sync_runs (
+        id CHAR(36) NOT NULL,
+        source VARCHAR(20) NOT NULL,
+        source_id VARCHAR(64) NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'running',
+        started_at DATETIME NOT NULL,
+        completed_at DATETIME NULL,
+        duration_ms INT NULL,
+        PRIMARY KEY (id),
+        INDEX idx_started_at (started_at),
+        INDEX idx_status (status)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // sync_logs rows become run -> service -> agreement -> entity, with
+    // anything narrower than the entity (year, period, invoice type) in scope
+    const columns = [
+      ['run_id', 'CHAR(36) NULL AFTER id'],
+      ['service', 'VARCHAR(50) NULL AFTER run_id'],
+      ['agreement_number', 'INT NULL AFTER service'],
+      ['scope', 'VARCHAR(100) NULL AFTER entity']
+    ];
+
+    for (const [column, definition] of columns) {
+      const existing = await db.query(`SHOW COLUMNS FROM sync_logs LIKE "${column}"`);
+      if (existing.length === 0) {
+        await db.query(`ALTER TABLE sync_logs ADD COLUMN ${column} ${definition}`);
+      }
+    }
+
+    const indexes = [
+      ['idx_run', '(run_id)'],
+      ['idx_entity_started', '(entity, started_at)'],
+      ['idx_agreement_started', '(agreement_number, started_at)']
+    ];
+
+    for (const [name, definition] of indexes) {
+      const existing = await db.query(`SHOW INDEX FROM sync_logs WHERE Key_name = "${name}"`);
+      if (existing.length === 0) {
+        await db.query(`CREATE INDEX ${name} ON sync_logs ${definition}`);
+      }
+    }
+
+    // Rewrite the legacy entity strings, one distinct string at a time
+    const legacyEntities = await db.query('SELECT DISTINCT entity FROM sync_logs WHERE service IS NULL');
+    let unknown = 0;
+
+    for (const { entity: legacy } of legacyEntities) {
+      const parsed = parseLegacyEntity(legacy);
+      if (!parsed) {
+        unknown++;
+        continue;
+      }
+
+      // Service-wide invoice totals repeated the per-agreement rows
+      const operation = legacy === 'invoices_all_agreements' ? 'sync_all' : null;
+
+      await db.query(
+        `UPDATE sync_logs SET
+          entity = ?,
+          service = ?,
+          agreement_number = ?,
+          scope = ?,
+          operation = COALESCE(?, operation)
+        WHERE entity = ? AND service IS NULL`,
+        [
+          parsed.entity,
+          ENTITY_SERVICES[parsed.entity],
+          parsed.agreementNumber,
+          operation ? null : parsed.scope,
+          operation,
+          legacy
+        ]
+      );
+    }
+
+    if (unknown > 0) {
+      logger.warn(`Left ${unknown} sync log entity names that could not be normalized unchanged`);
+    }
+
+    logger.info('Migration 027-sync-runs completed successfully');
+  } catch (error) {
+    logger.error('Error running migration 027-sync-runs:', error.message);
+    throw error;
+  }
+}
+
+async function down() {
+  logger.info('Reverting migration: 027-sync-runs');
+
+  try {
+    await db.query('DROP INDEX idx_agreement_started ON sync_logs');
+    await db.query('DROP INDEX idx_entity_started ON sync_logs');
+    await db.query('DROP INDEX idx_run ON sync_logs');
+    await db.query('ALTER TABLE sync_logs DROP COLUMN scope');
+    await db.query('ALTER TABLE sync_logs DROP COLUMN agreement_number');
+    await db.query('ALTER TABLE sync_logs DROP COLUMN service');
+    await db.query('ALTER TABLE sync_logs DROP COLUMN run_id');
+    await db.query('DROP TABLE IF EXISTS sync_runs');
+
+    logger.info('Migration 027-sync-runs reverted successfully');
+  } catch (error) {
+    logger.error('Error reverting migration 027-sync-runs:', error.message);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,56 @@
+// 028-api-write-audit.js
+const db = require('../index');
+const logger = require('../../modules/core/logger');
+
+async function up() {
+  logger.info('Running migration: 028-api-write-audit');
+
+  try {
+    // Every POST, PUT, PATCH and DELETE sent to e-conomic. A write with an
+    // idempotency key is stored once per agreement and key, so a repeated
+    // POST can return the stored response instead of writing again.
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS api_write_audit (
+        id BIGINT NOT NULL AUTO_INCREMENT,
+        agreement_number INT NULL,
+        method VARCHAR(10) NOT NULL,
+        endpoint VARCHAR(500) NOT NULL,
+        idempotency_key VARCHAR(100) NULL,
+        request_hash CHAR(64) NOT NULL,
+        payload JSON NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 1,
+        response_status INT NULL,
+        response_body JSON NULL,
+        error_message TEXT,
+        duration_ms INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME NULL,
+        PRIMARY KEY (id),
+        UNIQUE KEY idx_agreement_idempotency_key (agreement_number, idempotency_key),
+        INDEX idx_agreement_created (agreement_number, created_at),
+        INDEX idx_status (status)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    logger.info('Migration 028-api-write-audit completed successfully');
+  } catch (error) {
+    logger.error('Error running migration 028-api-write-audit:', error.message);
+    throw error;
+  }
+}
+
+async function down() {
+  logger.info('Reverting migration: 028-api-write-audit');
+
+  try {
+    await db.query('DROP TABLE IF EXISTS api_write_audit');
+
+    logger.info('Migration 028-api-write-audit reverted successfully');
+  } catch (error) {
+    logger.error('Error reverting migration 028-api-write-audit:', error.message);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
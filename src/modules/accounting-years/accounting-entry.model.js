@@ -1,6 +1,8 @@
 // src/modules/accounting-years/accounting-entry.model.js
 const db = require('../../db');
 const logger = require('../core/logger');
+const SyncLogModel = require('../sync/sync-log.model');
+const { upsertRows } = require('../sync/batch-upsert');
 
 class AccountingEntryModel {
   /**
@@ -21,146 +23,182 @@ class AccountingEntryModel {
   }
 
   /**
-   * Batch insert or update multiple accounting entries
+   * Find entries for an agreement with filters and pagination. Each entry carries
+   * the running balance of its account within its accounting year, worked out
+   * before the date, voucher, type and text filters are applied so it always
+   * matches the ledger.
    */
-  static async batchUpsert(entries) {
-    if (!entries || entries.length === 0) {
-      return { inserted: 0, updated: 0 };
-    }
-    
+  static async find(agreementNumber, filters = {}, pagination = { page: 1, limit: 100 }) {
     try {
-      let inserted = 0;
-      let updated = 0;
-      
-      // Process in smaller batches to avoid large transactions
-      const batchSize = 100;
-      for (let i = 0; i < entries.length; i += batchSize) {
-        const batch = entries.slice(i, i + batchSize);
-        
-        await db.transaction(async (connection) => {
-          for (const entry of batch) {
-            const existing = await this.findByEntryNumberYearAndAgreement(
-              entry.entry_number, 
-              entry.year_id, 
-              entry.agreement_number
-            );
-            
-            if (existing) {
-              await connection.query(
-                `UPDATE accounting_entries SET
-                  period_number = ?,
-                  account_number = ?,
-                  amount = ?,
-                  amount_in_base_currency = ?,
-                  currency = ?,
-                  entry_date = ?,
-                  entry_text = ?,
-                  entry_type = ?,
-                  voucher_number = ?,
-                  self_url = ?,
-                  updated_at = CURRENT_TIMESTAMP
-                WHERE entry_number = ? AND year_id = ? AND agreement_number = ?`,
-                [
-                  entry.period_number,
-                  entry.account_number,
-                  entry.amount,
-                  entry.amount_in_base_currency,
-                  entry.currency,
-                  entry.entry_date,
-                  entry.entry_text,
-                  entry.entry_type,
-                  entry.voucher_number,
-                  entry.self_url,
-                  entry.entry_number,
-                  entry.year_id,
-                  entry.agreement_number
-                ]
-              );
-              updated++;
-            } else {
-              await connection.query(
-                `INSERT INTO accounting_entries (
-                  entry_number,
-                  year_id,
-                  period_number,
-                  agreement_number,
-                  account_number,
-                  amount,
-                  amount_in_base_currency,
-                  currency,
-                  entry_date,
-                  entry_text,
-                  entry_type,
-                  voucher_number,
-                  self_url
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                [
-                  entry.entry_number,
-                  entry.year_id,
-                  entry.period_number,
-                  entry.agreement_number,
-                  entry.account_number,
-                  entry.amount,
-                  entry.amount_in_base_currency,
-                  entry.currency,
-                  entry.entry_date,
-                  entry.entry_text,
-                  entry.entry_type,
-                  entry.voucher_number,
-                  entry.self_url
-                ]
-              );
-              inserted++;
-            }
-          }
-        });
+      // Filters that decide which ledgers are balanced
+      let ledgerClause = 'WHERE e.agreement_number = ?';
+      const ledgerParams = [agreementNumber];
+      
+      if (filters.year_id) {
+        ledgerClause += ' AND e.year_id = ?';
+        ledgerParams.push(filters.year_id);
       }
       
-      return { inserted, updated };
+      if (filters.account_number) {
+        ledgerClause += ' AND e.account_number = ?';
+        ledgerParams.push(filters.account_number);
+      }
+      
+      // Filters that pick entries out of those ledgers
+      let whereClause = 'WHERE 1 = 1';
+      const whereParams = [];
+      
+      if (filters.date_from) {
+        whereClause += ' AND entry_date >= ?';
+        whereParams.push(filters.date_from);
+      }
+      
+      if (filters.date_to) {
+        whereClause += ' AND entry_date <= ?';
+        whereParams.push(filters.date_to);
+      }
+      
+      if (filters.voucher_number) {
+        whereClause += ' AND voucher_number = ?';
+        whereParams.push(filters.voucher_number);
+      }
+      
+      if (filters.entry_type) {
+        whereClause += ' AND entry_type = ?';
+        whereParams.push(filters.entry_type);
+      }
+      
+      if (filters.text) {
+        whereClause += ' AND entry_text LIKE ?';
+        whereParams.push(`%${filters.text}%`);
+      }
+      
+      const ledgerQuery = `
+        SELECT
+          e.*,
+          a.name AS account_name,
+          SUM(e.amount_in_base_currency) OVER (
+            PARTITION BY e.account_number, e.year_id
+            ORDER BY e.entry_date, e.entry_number
+            ROWS UNBOUNDED PRECEDING
+          ) AS running_balance
+        FROM accounting_entries e
+        LEFT JOIN accounts a ON a.account_number = e.account_number AND a.agreement_number = e.agreement_number
+        ${ledgerClause}`;
+      const params = [...ledgerParams, ...whereParams];
+      
+      // Build LIMIT clause for pagination
+      const page = pagination.page || 1;
+      const limit = pagination.limit || 100;
+      const offset = (page - 1) * limit;
+      const limitClause = `LIMIT ${limit} OFFSET ${offset}`;
+      
+      // Get total count
+      const countResult = await db.query(
+        `SELECT COUNT(*) as total FROM (${ledgerQuery}) ledger ${whereClause}`,
+        params
+      );
+      const total = countResult[0].total || 0;
+      
+      // Get paginated results
+      const results = await db.query(
+        `SELECT * FROM (${ledgerQuery}) ledger
+        ${whereClause}
+        ORDER BY account_number, year_id, entry_date, entry_number
+        ${limitClause}`,
+        params
+      );
+      
+      return {
+        data: results,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit)
+        }
+      };
     } catch (error) {
-      logger.error('Error batch upserting accounting entries:', error.message);
+      logger.error(`Error finding accounting entries for agreement ${agreementNumber}:`, error.message);
       throw error;
     }
   }
 
   /**
-   * Record sync log for accounting entries
+   * Get all entries with a voucher number, optionally within one accounting year
    */
-  static async recordSyncLog(agreementNumber, yearId, periodNumber, recordCount = 0, errorMessage = null, startTime = null) {
+  static async findByVoucher(voucherNumber, agreementNumber, yearId = null) {
     try {
-      const started = startTime || new Date();
-      const completed = new Date();
-      const durationMs = completed.getTime() - started.getTime();
-      
-      await db.query(
-        `INSERT INTO sync_logs (
-          entity, operation, record_count, status, 
-          error_message, started_at, completed_at, duration_ms
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          `accounting_entries_${yearId}_${periodNumber}_${agreementNumber}`,
-          'sync',
-          recordCount,
-          errorMessage ? 'error' : 'success',
-          errorMessage,
-          started,
-          completed,
-          durationMs
-        ]
-      );
+      let query = `
+        SELECT e.*, a.name AS account_name
+        FROM accounting_entries e
+        LEFT JOIN accounts a ON a.account_number = e.account_number AND a.agreement_number = e.agreement_number
+        WHERE e.voucher_number = ? AND e.agreement_number = ?`;
+      const params = [voucherNumber, agreementNumber];
       
-      return {
-        entity: `accounting_entries_${yearId}_${periodNumber}_${agreementNumber}`,
-        operation: 'sync',
-        status: errorMessage ? 'error' : 'success',
-        recordCount,
-        durationMs
-      };
+      if (yearId) {
+        query += ' AND e.year_id = ?';
+        params.push(yearId);
+      }
+      
+      query += ' ORDER BY e.year_id, e.entry_date, e.entry_number';
+      
+      return await db.query(query, params);
     } catch (error) {
-      logger.error('Error recording sync log:', error.message);
-      return null;
+      logger.error(`Error finding entries for voucher ${voucherNumber} and agreement ${agreementNumber}:`, error.message);
+      throw error;
     }
   }
+
+  /**
+   * Columns stored for accounting entries
+   */
+  static toRow(entryData) {
+    return {
+      entry_number: entryData.entry_number,
+      year_id: entryData.year_id,
+      period_number: entryData.period_number,
+      agreement_number: entryData.agreement_number,
+      account_number: entryData.account_number,
+      amount: entryData.amount,
+      amount_in_base_currency: entryData.amount_in_base_currency,
+      currency: entryData.currency,
+      entry_date: entryData.entry_date,
+      entry_text: entryData.entry_text,
+      entry_type: entryData.entry_type,
+      voucher_number: entryData.voucher_number,
+      self_url: entryData.self_url
+    };
+  }
+
+  /**
+   * Create or update many accounting entries in transactional chunks. Returns inserted, updated and unchanged counts.
+   */
+  static async batchUpsert(entries) {
+    try {
+      return await upsertRows('accounting_entries', entries.map(entry => this.toRow(entry)), {
+        keyColumns: ['entry_number', 'year_id', 'agreement_number']
+      });
+    } catch (error) {
+      logger.error('Error upserting accounting entries:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Record sync log for accounting entries
+   */
+  static async recordSyncLog(agreementNumber, yearId, periodNumber, recordCount = 0, errorMessage = null, startTime = null, runId = null) {
+    return await SyncLogModel.record({
+      entity: 'accounting_entries',
+      agreementNumber,
+      scope: `year ${yearId} period ${periodNumber}`,
+      recordCount,
+      errorMessage,
+      startTime,
+      runId
+    });
+  }
 }
 
 module.exports = AccountingEntryModel;
\ No newline at end of file
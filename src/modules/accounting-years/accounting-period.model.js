@@ -1,6 +1,8 @@
 // src/modules/accounting-years/accounting-period.model.js
 const db = require('../../db');
 const logger = require('../core/logger');
+const SyncLogModel = require('../sync/sync-log.model');
+const { upsertRows } = require('../sync/batch-upsert');
 
 class AccountingPeriodModel {
   /**
@@ -20,106 +22,74 @@ class AccountingPeriodModel {
     }
   }
 
+  /**
+   * Columns stored for accounting periods
+   */
+  static toRow(periodData) {
+    return {
+      period_number: periodData.period_number,
+      year_id: periodData.year_id,
+      agreement_number: periodData.agreement_number,
+      from_date: periodData.from_date,
+      to_date: periodData.to_date,
+      barred: periodData.barred || false,
+      self_url: periodData.self_url
+    };
+  }
+
   /**
    * Create or update an accounting period
    */
   static async upsert(periodData) {
+    await this.batchUpsert([periodData]);
+    return this.toRow(periodData);
+  }
+
+  /**
+   * Create or update many accounting periods in transactional chunks. Returns inserted, updated and unchanged counts.
+   */
+  static async batchUpsert(periods) {
     try {
-      const existing = await this.findByNumberYearAndAgreement(
-        periodData.period_number,
-        periodData.year_id,
-        periodData.agreement_number
-      );
-      
-      if (existing) {
-        await db.query(
-          `UPDATE accounting_periods SET
-            from_date = ?,
-            to_date = ?,
-            barred = ?,
-            self_url = ?,
-            updated_at = CURRENT_TIMESTAMP
-          WHERE period_number = ? AND year_id = ? AND agreement_number = ?`,
-          [
-            periodData.from_date,
-            periodData.to_date,
-            periodData.barred || false,
-            periodData.self_url,
-            periodData.period_number,
-            periodData.year_id,
-            periodData.agreement_number
-          ]
-        );
-        
-        return { ...existing, ...periodData };
-      } else {
-        await db.query(
-          `INSERT INTO accounting_periods (
-            period_number,
-            year_id,
-            agreement_number,
-            from_date,
-            to_date,
-            barred,
-            self_url
-          ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
-          [
-            periodData.period_number,
-            periodData.year_id,
-            periodData.agreement_number,
-            periodData.from_date,
-            periodData.to_date,
-            periodData.barred || false,
-            periodData.self_url
-          ]
-        );
-        
-        return periodData;
-      }
+      return await upsertRows('accounting_periods', periods.map(period => this.toRow(period)), {
+        keyColumns: ['period_number', 'year_id', 'agreement_number']
+      });
     } catch (error) {
-      logger.error('Error upserting accounting period:', error.message);
+      logger.error('Error upserting accounting periods:', error.message);
       throw error;
     }
   }
 
   /**
-   * Record sync log for accounting periods
+   * Get the highest period number of a year, leaving out the year total period 0
    */
-  static async recordSyncLog(agreementNumber, yearId, recordCount = 0, errorMessage = null, startTime = null) {
+  static async getLastPeriodNumber(yearId, agreementNumber) {
     try {
-      const started = startTime || new Date();
-      const completed = new Date();
-      const durationMs = completed.getTime() - started.getTime();
-      
-      await db.query(
-        `INSERT INTO sync_logs (
-          entity, operation, record_count, status, 
-          error_message, started_at, completed_at, duration_ms
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          `accounting_periods_${yearId}_${agreementNumber}`,
-          'sync',
-          recordCount,
-          errorMessage ? 'error' : 'success',
-          errorMessage,
-          started,
-          completed,
-          durationMs
-        ]
+      const result = await db.query(
+        'SELECT MAX(period_number) AS last_period FROM accounting_periods WHERE year_id = ? AND agreement_number = ? AND period_number > 0',
+        [yearId, agreementNumber]
       );
       
-      return {
-        entity: `accounting_periods_${yearId}_${agreementNumber}`,
-        operation: 'sync',
-        status: errorMessage ? 'error' : 'success',
-        recordCount,
-        durationMs
-      };
+      return result[0].last_period || null;
     } catch (error) {
-      logger.error('Error recording sync log:', error.message);
-      return null;
+      logger.error(`Error getting last period of year ${yearId} for agreement ${agreementNumber}:`, error.message);
+      throw error;
     }
   }
+
+  /**
+   * Record sync log for accounting periods
+   */
+  static async recordSyncLog(agreementNumber, yearId, recordCount = 0, errorMessage = null, startTime = null, runId = null) {
+    return await SyncLogModel.record({
+      entity: 'accounting_periods',
+      agreementNumber,
+      scope: `year ${yearId}`,
+      recordCount,
+      errorMessage,
+      startTime,
+      runId
+    });
+  }
 }
 
 module.exports = AccountingPeriodModel;
\ No newline at end of file
@@ -1,6 +1,8 @@
 // src/modules/accounting-years/accounting-total.model.js
 const db = require('../../db');
 const logger = require('../core/logger');
+const SyncLogModel = require('../sync/sync-log.model');
+const { upsertRows } = require('../sync/batch-upsert');
 
 class AccountingTotalModel {
   /**
@@ -21,124 +23,81 @@ class AccountingTotalModel {
   }
 
   /**
-   * Batch insert or update multiple accounting totals
+   * Columns stored for accounting totals
+   */
+  static toRow(totalData) {
+    return {
+      account_number: totalData.account_number,
+      year_id: totalData.year_id,
+      period_number: totalData.period_number,
+      agreement_number: totalData.agreement_number,
+      total_in_base_currency: totalData.total_in_base_currency,
+      from_date: totalData.from_date,
+      to_date: totalData.to_date
+    };
+  }
+
+  /**
+   * Create or update many accounting totals in transactional chunks. Returns inserted, updated and unchanged counts.
    */
   static async batchUpsert(totals) {
-    if (!totals || totals.length === 0) {
-      return { inserted: 0, updated: 0 };
-    }
-    
     try {
-      let inserted = 0;
-      let updated = 0;
-      
-      // Process in smaller batches to avoid large transactions
-      const batchSize = 100;
-      for (let i = 0; i < totals.length; i += batchSize) {
-        const batch = totals.slice(i, i + batchSize);
-        
-        await db.transaction(async (connection) => {
-          for (const total of batch) {
-            const existing = await this.findByKeys(
-              total.account_number, 
-              total.year_id, 
-              total.period_number, 
-              total.agreement_number
-            );
-            
-            if (existing) {
-              await connection.query(
-                `UPDATE accounting_totals SET
-                  total_in_base_currency = ?,
-                  from_date = ?,
-                  to_date = ?,
-                  updated_at = CURRENT_TIMESTAMP
-                WHERE account_number = ? AND year_id = ? AND period_number = ? AND agreement_number = ?`,
-                [
-                  total.total_in_base_currency,
-                  total.from_date,
-                  total.to_date,
-                  total.account_number,
-                  total.year_id,
-                  total.period_number,
-                  total.agreement_number
-                ]
-              );
-              updated++;
-            } else {
-              await connection.query(
-                `INSERT INTO accounting_totals (
-                  account_number,
-                  year_id,
-                  period_number,
-                  agreement_number,
-                  total_in_base_currency,
-                  from_date,
-                  to_date
-                ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
-                [
-                  total.account_number,
-                  total.year_id,
-                  total.period_number,
-                  total.agreement_number,
-                  total.total_in_base_currency,
-                  total.from_date,
-                  total.to_date
-                ]
-              );
-              inserted++;
-            }
-          }
-        });
-      }
-      
-      return { inserted, updated };
+      return await upsertRows('accounting_totals', totals.map(total => this.toRow(total)), {
+        keyColumns: ['account_number', 'year_id', 'period_number', 'agreement_number']
+      });
     } catch (error) {
-      logger.error('Error batch upserting accounting totals:', error.message);
+      logger.error('Error upserting accounting totals:', error.message);
       throw error;
     }
   }
 
   /**
-   * Record sync log for accounting totals
+   * Sum totals per account over a range of periods, with account name and type.
+   * Period 0 holds the year totals, so use fromPeriod = toPeriod = 0 for a whole year.
    */
-  static async recordSyncLog(agreementNumber, yearId, periodNumber, recordCount = 0, errorMessage = null, startTime = null) {
+  static async sumByAccount(agreementNumber, yearId, fromPeriod, toPeriod, accountTypes = null) {
     try {
-      const started = startTime || new Date();
-      const completed = new Date();
-      const durationMs = completed.getTime() - started.getTime();
+      let query = `
+        SELECT
+          t.account_number,
+          MAX(a.name) AS name,
+          MAX(a.account_type) AS account_type,
+          MAX(a.debit_credit) AS debit_credit,
+          SUM(t.total_in_base_currency) AS amount
+        FROM accounting_totals t
+        LEFT JOIN accounts a ON a.account_number = t.account_number AND a.agreement_number = t.agreement_number
+        WHERE t.agreement_number = ? AND t.year_id = ? AND t.period_number BETWEEN ? AND ?`;
+      const params = [agreementNumber, yearId, fromPeriod, toPeriod];
       
-      const periodText = periodNumber === null ? '0' : periodNumber.toString();
+      if (accountTypes) {
+        query += ` AND a.account_type IN (${accountTypes.map(() => '?').join(', ')})`;
+        params.push(...accountTypes);
+      }
       
-      await db.query(
-        `INSERT INTO sync_logs (
-          entity, operation, record_count, status, 
-          error_message, started_at, completed_at, duration_ms
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          `accounting_totals_${yearId}_${periodText}_${agreementNumber}`,
-          'sync',
-          recordCount,
-          errorMessage ? 'error' : 'success',
-          errorMessage,
-          started,
-          completed,
-          durationMs
-        ]
-      );
+      query += ' GROUP BY t.account_number ORDER BY t.account_number';
       
-      return {
-        entity: `accounting_totals_${yearId}_${periodText}_${agreementNumber}`,
-        operation: 'sync',
-        status: errorMessage ? 'error' : 'success',
-        recordCount,
-        durationMs
-      };
+      return await db.query(query, params);
     } catch (error) {
-      logger.error('Error recording sync log:', error.message);
-      return null;
+      logger.error(`Error summing accounting totals for year ${yearId}, periods ${fromPeriod}-${toPeriod} and agreement ${agreementNumber}:`, error.message);
+      throw error;
     }
   }
+
+  /**
+   * Record sync log for accounting totals
+   */
+  static async recordSyncLog(agreementNumber, yearId, periodNumber, recordCount = 0, errorMessage = null, startTime = null, runId = null) {
+    return await SyncLogModel.record({
+      entity: 'accounting_totals',
+      agreementNumber,
+      // Period 0 holds the totals of the whole year
+      scope: periodNumber ? `year ${yearId} period ${periodNumber}` : `year ${yearId}`,
+      recordCount,
+      errorMessage,
+      startTime,
+      runId
+    });
+  }
 }
 
 module.exports = AccountingTotalModel;
\ No newline at end of file
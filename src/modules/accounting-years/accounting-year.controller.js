@@ -1,5 +1,61 @@
 const accountingYearService = require('./accounting-year.service');
+const financialStatementService = require('./financial-statement.service');
+const generalLedgerService = require('./general-ledger.service');
+const apiKeyService = require('../auth/api-key.service');
 const logger = require('../core/logger');
+const { ApiError } = require('../core/error.handler');
+const { parseSyncOptions } = require('../sync/sync.options');
+
+/**
+ * Agreement numbers a statement covers: the one in the path, or the
+ * comma-separated agreement_numbers query parameter for consolidated views
+ */
+function getStatementAgreements(req) {
+  if (req.params.agreement_number) {
+    return [parseInt(req.params.agreement_number)];
+  }
+
+  const agreementNumbers = String(req.query.agreement_numbers || '')
+    .split(',')
+    .filter(Boolean)
+    .map(number => parseInt(number));
+
+  if (agreementNumbers.length === 0 || agreementNumbers.some(isNaN)) {
+    throw ApiError.badRequest('agreement_numbers must be a comma-separated list of agreement numbers', 'INVALID_AGREEMENT_NUMBERS');
+  }
+
+  const forbidden = agreementNumbers.filter(number => !apiKeyService.canAccessAgreement(req.apiKey, number));
+  if (forbidden.length > 0) {
+    throw ApiError.forbidden(`API key has no access to agreements ${forbidden.join(', ')}`, 'AGREEMENT_FORBIDDEN');
+  }
+
+  return [...new Set(agreementNumbers)];
+}
+
+/**
+ * Build a financial statement from the request and send it
+ */
+async function sendStatement(statement, req, res, next) {
+  try {
+    const { year_id } = req.params;
+    const { period, compare, cumulative } = req.query;
+
+    const report = await financialStatementService.getStatement(
+      statement,
+      getStatementAgreements(req),
+      year_id,
+      {
+        period,
+        compare,
+        cumulative: cumulative !== undefined ? cumulative === 'true' : undefined
+      }
+    );
+
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+}
 
 class AccountingYearController {
   /**
@@ -7,7 +63,7 @@ class AccountingYearController {
    */
   async syncAccountingYears(req, res, next) {
     try {
-      const result = await accountingYearService.syncAllAccountingYears();
+      const result = await accountingYearService.syncAllAccountingYears(parseSyncOptions(req));
       res.json(result);
     } catch (error) {
       next(error);
@@ -21,12 +77,103 @@ class AccountingYearController {
     try {
       const { id } = req.params;
       const agreement = await require('../agreements/agreement.model').getById(id);
-      const result = await accountingYearService.syncAccountingYearsForAgreement(agreement);
+      const result = await accountingYearService.syncAccountingYearsForAgreement(agreement, parseSyncOptions(req));
       res.json(result);
     } catch (error) {
       next(error);
     }
   }
+
+  /**
+   * Get accounting years for an agreement
+   */
+  async getAccountingYears(req, res, next) {
+    try {
+      const { agreement_number } = req.params;
+      const years = await financialStatementService.getAccountingYears(parseInt(agreement_number));
+      res.json(years);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Trial balance for a year, or up to the end of a period
+   */
+  async getTrialBalance(req, res, next) {
+    await sendStatement('trial_balance', req, res, next);
+  }
+
+  /**
+   * Profit and loss for a year or period
+   */
+  async getProfitAndLoss(req, res, next) {
+    await sendStatement('profit_and_loss', req, res, next);
+  }
+
+  /**
+   * Balance sheet at the end of a year or period
+   */
+  async getBalanceSheet(req, res, next) {
+    await sendStatement('balance_sheet', req, res, next);
+  }
+
+  /**
+   * List accounting entries with running balances
+   */
+  async getEntries(req, res, next) {
+    try {
+      const { agreement_number } = req.params;
+      const {
+        year_id,
+        account_number,
+        date_from,
+        date_to,
+        voucher_number,
+        entry_type,
+        text,
+        page,
+        limit
+      } = req.query;
+
+      const filters = {};
+
+      if (year_id) filters.year_id = year_id;
+      if (account_number) filters.account_number = parseInt(account_number);
+      if (date_from) filters.date_from = date_from;
+      if (date_to) filters.date_to = date_to;
+      if (voucher_number) filters.voucher_number = parseInt(voucher_number);
+      if (entry_type) filters.entry_type = entry_type;
+      if (text) filters.text = text;
+
+      const pagination = {
+        page: parseInt(page) || 1,
+        limit: Math.min(parseInt(limit) || 100, 1000)
+      };
+
+      const result = await generalLedgerService.getEntries(parseInt(agreement_number), filters, pagination);
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get all entries of a voucher
+   */
+  async getVoucher(req, res, next) {
+    try {
+      const { agreement_number, voucher_number } = req.params;
+      const voucher = await generalLedgerService.getVoucher(
+        parseInt(voucher_number),
+        parseInt(agreement_number),
+        req.query.year_id || null
+      );
+      res.json(voucher);
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new AccountingYearController();
\ No newline at end of file
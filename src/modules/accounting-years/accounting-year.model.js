@@ -1,6 +1,8 @@
 // src/modules/accounting-years/accounting-year.model.js
 const db = require('../../db');
 const logger = require('../core/logger');
+const SyncLogModel = require('../sync/sync-log.model');
+const { upsertRows } = require('../sync/batch-upsert');
 
 class AccountingYearModel {
   /**
@@ -21,101 +23,90 @@ class AccountingYearModel {
   }
 
   /**
-   * Create or update an accounting year
+   * Get all accounting years for an agreement, newest first
    */
-  static async upsert(yearData) {
+  static async getByAgreement(agreementNumber) {
     try {
-      const existing = await this.findByYearAndAgreement(
-        yearData.year_id, 
-        yearData.agreement_number
+      return await db.query(
+        'SELECT * FROM accounting_years WHERE agreement_number = ? ORDER BY start_date DESC',
+        [agreementNumber]
       );
-      
-      if (existing) {
-        await db.query(
-          `UPDATE accounting_years SET
-            start_date = ?,
-            end_date = ?,
-            closed = ?,
-            self_url = ?,
-            updated_at = CURRENT_TIMESTAMP
-          WHERE year_id = ? AND agreement_number = ?`,
-          [
-            yearData.start_date,
-            yearData.end_date,
-            yearData.closed || false,
-            yearData.self_url,
-            yearData.year_id,
-            yearData.agreement_number
-          ]
-        );
-        
-        return { ...existing, ...yearData };
-      } else {
-        await db.query(
-          `INSERT INTO accounting_years (
-            year_id,
-            agreement_number,
-            start_date,
-            end_date,
-            closed,
-            self_url
-          ) VALUES (?, ?, ?, ?, ?, ?)`,
-          [
-            yearData.year_id,
-            yearData.agreement_number,
-            yearData.start_date,
-            yearData.end_date,
-            yearData.closed || false,
-            yearData.self_url
-          ]
-        );
-        
-        return yearData;
-      }
     } catch (error) {
-      logger.error('Error upserting accounting year:', error.message);
+      logger.error(`Error getting accounting years for agreement ${agreementNumber}:`, error.message);
       throw error;
     }
   }
 
   /**
-   * Record sync log for accounting years
+   * Find the accounting year that came right before the given one
    */
-  static async recordSyncLog(agreementNumber, recordCount = 0, errorMessage = null, startTime = null) {
+  static async findPriorYear(yearId, agreementNumber) {
     try {
-      const started = startTime || new Date();
-      const completed = new Date();
-      const durationMs = completed.getTime() - started.getTime();
-      
-      await db.query(
-        `INSERT INTO sync_logs (
-          entity, operation, record_count, status, 
-          error_message, started_at, completed_at, duration_ms
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          `accounting_years_${agreementNumber}`,
-          'sync',
-          recordCount,
-          errorMessage ? 'error' : 'success',
-          errorMessage,
-          started,
-          completed,
-          durationMs
-        ]
+      const years = await db.query(
+        `SELECT prior.* FROM accounting_years prior
+        JOIN accounting_years current ON current.agreement_number = prior.agreement_number
+        WHERE current.year_id = ? AND current.agreement_number = ? AND prior.start_date < current.start_date
+        ORDER BY prior.start_date DESC
+        LIMIT 1`,
+        [yearId, agreementNumber]
       );
       
-      return {
-        entity: `accounting_years_${agreementNumber}`,
-        operation: 'sync',
-        status: errorMessage ? 'error' : 'success',
-        recordCount,
-        durationMs
-      };
+      return years.length > 0 ? years[0] : null;
+    } catch (error) {
+      logger.error(`Error finding year before ${yearId} for agreement ${agreementNumber}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Columns stored for accounting years
+   */
+  static toRow(yearData) {
+    return {
+      year_id: yearData.year_id,
+      agreement_number: yearData.agreement_number,
+      start_date: yearData.start_date,
+      end_date: yearData.end_date,
+      closed: yearData.closed || false,
+      self_url: yearData.self_url
+    };
+  }
+
+  /**
+   * Create or update an accounting year
+   */
+  static async upsert(yearData) {
+    await this.batchUpsert([yearData]);
+    return this.toRow(yearData);
+  }
+
+  /**
+   * Create or update many accounting years in transactional chunks. Returns inserted, updated and unchanged counts.
+   */
+  static async batchUpsert(years) {
+    try {
+      return await upsertRows('accounting_years', years.map(year => this.toRow(year)), {
+        keyColumns: ['year_id', 'agreement_number']
+      });
     } catch (error) {
-      logger.error('Error recording sync log:', error.message);
-      return null;
+      logger.error('Error upserting accounting years:', error.message);
+      throw error;
     }
   }
+
+  /**
+   * Record sync log for accounting years
+   */
+  static async recordSyncLog(agreementNumber, recordCount = 0, errorMessage = null, startTime = null, runId = null) {
+    return await SyncLogModel.record({
+      entity: 'accounting_years',
+      agreementNumber,
+      recordCount,
+      errorMessage,
+      startTime,
+      runId
+    });
+  }
 }
 
 module.exports = AccountingYearModel;
\ No newline at end of file
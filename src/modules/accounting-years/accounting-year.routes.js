@@ -1,9 +1,29 @@
 const express = require('express');
 const accountingYearController = require('./accounting-year.controller');
+const { authorizeAgreementNumber, authorizeAgreementId } = require('../auth/auth.middleware');
 const router = express.Router();
 
+// Restrict API keys to their agreements
+router.param('agreement_number', authorizeAgreementNumber);
+router.param('id', authorizeAgreementId);
+
 // Sync routes for accounting years
 router.post('/sync', accountingYearController.syncAccountingYears);
 router.post('/agreements/:id/sync', accountingYearController.syncAccountingYearsForAgreement);
 
+// Financial statements consolidated across ?agreement_numbers=1,2
+router.get('/consolidated/:year_id/trial-balance', accountingYearController.getTrialBalance);
+router.get('/consolidated/:year_id/profit-and-loss', accountingYearController.getProfitAndLoss);
+router.get('/consolidated/:year_id/balance-sheet', accountingYearController.getBalanceSheet);
+
+// General ledger entries and vouchers
+router.get('/agreements/:agreement_number/entries', accountingYearController.getEntries);
+router.get('/agreements/:agreement_number/vouchers/:voucher_number', accountingYearController.getVoucher);
+
+// Accounting years and financial statements for one agreement
+router.get('/agreements/:agreement_number', accountingYearController.getAccountingYears);
+router.get('/agreements/:agreement_number/:year_id/trial-balance', accountingYearController.getTrialBalance);
+router.get('/agreements/:agreement_number/:year_id/profit-and-loss', accountingYearController.getProfitAndLoss);
+router.get('/agreements/:agreement_number/:year_id/balance-sheet', accountingYearController.getBalanceSheet);
+
 module.exports = router;
\ No newline at end of file
@@ -1,21 +1,18 @@
 // src/modules/accounting-years/accounting-year.service.js
-const ApiClient = require('../../api/client');
 const endpoints = require('../../api/endpoints');
 const AccountingYearModel = require('./accounting-year.model');
 const AccountingPeriodModel = require('./accounting-period.model');
 const AccountingEntryModel = require('./accounting-entry.model');
 const AccountingTotalModel = require('./accounting-total.model');
 const AgreementModel = require('../agreements/agreement.model');
+const { resolveAgreementContext } = require('../agreements/agreement-context');
+const syncPool = require('../sync/sync-pool');
+const SyncWatermarkModel = require('../sync/sync-watermark.model');
+const { SyncDiff, buildDiffReport } = require('../sync/sync-diff');
+const { addUpsertCounts } = require('../sync/batch-upsert');
 const logger = require('../core/logger');
 
 class AccountingYearService {
-  /**
-   * Get client for a specific agreement
-   */
-  getClientForAgreement(agreementToken) {
-    return ApiClient.forAgreement(agreementToken);
-  }
-
   /**
    * Transform API accounting year data to our database model
    */
@@ -101,10 +98,29 @@ class AccountingYearService {
   }
 
   /**
-   * Ensure period exists before trying to add entries or totals
+   * Ensure period exists before trying to add entries or totals.
+   * With a dry run diff the default period is only recorded as an insert.
    */
-  async ensurePeriodExists(periodNumber, yearId, agreementNumber, fromDate, toDate) {
+  async ensurePeriodExists(periodNumber, yearId, agreementNumber, fromDate, toDate, diff = null) {
     try {
+      const defaultPeriod = {
+        period_number: periodNumber,
+        year_id: yearId,
+        agreement_number: agreementNumber,
+        from_date: fromDate || new Date(`${yearId}-01-01`),
+        to_date: toDate || new Date(`${yearId}-12-31`),
+        barred: false,
+        self_url: null
+      };
+      
+      if (diff) {
+        await diff.load({ year_id: yearId });
+        if (!diff.has(defaultPeriod)) {
+          diff.compare(defaultPeriod);
+        }
+        return true;
+      }
+      
       const existing = await AccountingPeriodModel.findByNumberYearAndAgreement(
         periodNumber, yearId, agreementNumber
       );
@@ -113,15 +129,7 @@ class AccountingYearService {
         logger.info(`Creating missing period ${periodNumber} for year ${yearId}, agreement ${agreementNumber}`);
         
         // Create default period
-        await AccountingPeriodModel.upsert({
-          period_number: periodNumber,
-          year_id: yearId,
-          agreement_number: agreementNumber,
-          from_date: fromDate || new Date(`${yearId}-01-01`),
-          to_date: toDate || new Date(`${yearId}-12-31`),
-          barred: false,
-          self_url: null
-        });
+        await AccountingPeriodModel.upsert(defaultPeriod);
         
         return true;
       }
@@ -136,40 +144,66 @@ class AccountingYearService {
   /**
    * Sync accounting years for a specific agreement
    */
-  async syncAccountingYearsForAgreement(agreement) {
+  async syncAccountingYearsForAgreement(agreement, options = {}) {
     const startTime = new Date();
     let recordCount = 0;
     
     try {
       logger.info(`Starting accounting years sync for agreement ${agreement.name} (${agreement.agreement_number})`);
       
-      const client = this.getClientForAgreement(agreement.agreement_grant_token);
-      const agreementInfo = await client.getAgreementInfo();
-      const agreementNumber = agreementInfo.agreementNumber;
+      // Client and agreement number confirmed by the API
+      const context = options.context || await resolveAgreementContext(agreement);
+      const { client, agreementNumber } = context;
+      const { mode } = await SyncWatermarkModel.resolveWindow(agreementNumber, 'accounting_years', options.mode);
       
       const accountingYears = await client.getPaginated('/accounting-years');
       logger.info(`Found ${accountingYears.length} accounting years for agreement ${agreementNumber}`);
       
-      for (const year of accountingYears) {
-        const yearId = year.year;
-        const yearData = this.transformAccountingYearData(year, agreementNumber);
-        await AccountingYearModel.upsert(yearData);
+      // Dry runs compare with the stored rows instead of writing. Periods,
+      // entries and totals are loaded one year at a time as they are reached.
+      const diffs = options.dryRun
+        ? {
+            years: await SyncDiff.forAgreement('accounting_years', ['year_id'], agreementNumber),
+            periods: new SyncDiff('accounting_periods', ['period_number', 'year_id'], agreementNumber),
+            entries: new SyncDiff('accounting_entries', ['entry_number', 'year_id'], agreementNumber),
+            totals: new SyncDiff('accounting_totals', ['account_number', 'year_id', 'period_number'], agreementNumber)
+          }
+        : null;
+      
+      // Inserted, updated and unchanged rows across years, periods, entries and totals
+      const changes = diffs ? null : { inserted: 0, updated: 0, unchanged: 0 };
+      
+      const years = accountingYears.map(year => this.transformAccountingYearData(year, agreementNumber));
+      if (diffs) {
+        years.forEach(yearData => diffs.years.compare(yearData));
+      } else {
+        // Years are stored before their periods, which look them up
+        addUpsertCounts(changes, await AccountingYearModel.batchUpsert(years));
+      }
+      
+      for (const yearData of years) {
+        const yearId = yearData.year_id;
         recordCount++;
         
         // For each year, ensure period 0 exists for year totals
         await this.ensurePeriodExists(0, yearId, agreementNumber, 
-          yearData.start_date, yearData.end_date);
+          yearData.start_date, yearData.end_date, diffs?.periods);
         
         // Sync periods for each year
-        await this.syncAccountingPeriodsForYear(agreement, yearId);
+        await this.syncAccountingPeriodsForYear(agreement, yearId, { diffs, context, changes, runId: options.runId });
       }
       
-      await AccountingYearModel.recordSyncLog(
-        agreementNumber,
-        recordCount,
-        null,
-        startTime
-      );
+      if (!diffs) {
+        await AccountingYearModel.recordSyncLog(
+          agreementNumber,
+          recordCount,
+          null,
+          startTime,
+          options.runId
+        );
+        
+        await SyncWatermarkModel.markSynced(agreementNumber, 'accounting_years', startTime, mode, recordCount);
+      }
       
       logger.info(`Completed accounting years sync for agreement ${agreementNumber}: ${recordCount} records processed`);
       
@@ -179,18 +213,25 @@ class AccountingYearService {
           name: agreement.name,
           agreement_number: agreementNumber
         },
-        recordCount
+        mode,
+        recordCount,
+        ...(diffs && { dryRun: true, diff: buildDiffReport(diffs.years, diffs.periods, diffs.entries, diffs.totals) }),
+        ...(changes && { changes }),
+        apiStats: client.getRetryStats()
       };
       
     } catch (error) {
       logger.error(`Error syncing accounting years for agreement ${agreement.id}:`, error.message);
       
-      await AccountingYearModel.recordSyncLog(
-        agreement.agreement_number || 'unknown',
-        recordCount,
-        error.message,
-        startTime
-      );
+      if (!options.dryRun) {
+        await AccountingYearModel.recordSyncLog(
+          agreement.agreement_number || 'unknown',
+          recordCount,
+          error.message,
+          startTime,
+          options.runId
+        );
+      }
       
       throw error;
     }
@@ -199,22 +240,28 @@ class AccountingYearService {
   /**
    * Sync accounting periods for a specific year
    */
-  async syncAccountingPeriodsForYear(agreement, yearId) {
+  async syncAccountingPeriodsForYear(agreement, yearId, options = {}) {
+    const diffs = options.diffs || null;
     const startTime = new Date();
     let recordCount = 0;
     
     try {
       logger.info(`Starting accounting periods sync for year ${yearId} and agreement ${agreement.name}`);
       
-      const client = this.getClientForAgreement(agreement.agreement_grant_token);
-      const agreementInfo = await client.getAgreementInfo();
-      const agreementNumber = agreementInfo.agreementNumber;
+      // Client and agreement number confirmed by the API
+      const context = options.context || await resolveAgreementContext(agreement);
+      const { client, agreementNumber } = context;
       
       const periods = await client.getPaginated(`/accounting-years/${yearId}/periods`);
       logger.info(`Found ${periods.length} accounting periods for year ${yearId} and agreement ${agreementNumber}`);
       
+      if (diffs) {
+        await diffs.periods.load({ year_id: yearId });
+      }
+      
       // Create a set to track which normalized period numbers we've already processed
       const processedPeriods = new Set();
+      const uniquePeriods = [];
       
       for (const period of periods) {
         const periodData = this.transformAccountingPeriodData(period, yearId, agreementNumber);
@@ -226,19 +273,33 @@ class AccountingYearService {
           continue;
         }
         
-        await AccountingPeriodModel.upsert(periodData);
         processedPeriods.add(normalizedPeriod);
+        uniquePeriods.push({ period, periodData });
+      }
+      
+      // Periods are stored before their entries and totals, which check for them
+      const periodRows = uniquePeriods.map(({ periodData }) => periodData);
+      if (diffs) {
+        periodRows.forEach(periodData => diffs.periods.compare(periodData));
+      } else {
+        const counts = await AccountingPeriodModel.batchUpsert(periodRows);
+        if (options.changes) {
+          addUpsertCounts(options.changes, counts);
+        }
+      }
+      
+      for (const { period } of uniquePeriods) {
         recordCount++;
         
         // Sync entries and totals for each period
         try {
-          await this.syncAccountingEntriesForPeriod(agreement, yearId, period.periodNumber);
+          await this.syncAccountingEntriesForPeriod(agreement, yearId, period.periodNumber, options);
         } catch (error) {
           logger.error(`Error syncing entries for period ${period.periodNumber}: ${error.message}`);
         }
         
         try {
-          await this.syncAccountingTotalsForPeriod(agreement, yearId, period.periodNumber);
+          await this.syncAccountingTotalsForPeriod(agreement, yearId, period.periodNumber, options);
         } catch (error) {
           logger.error(`Error syncing totals for period ${period.periodNumber}: ${error.message}`);
         }
@@ -248,25 +309,28 @@ class AccountingYearService {
       if (!processedPeriods.has(0)) {
         const yearInfo = await AccountingYearModel.findByYearAndAgreement(yearId, agreementNumber);
         if (yearInfo) {
-          await this.ensurePeriodExists(0, yearId, agreementNumber, yearInfo.start_date, yearInfo.end_date);
+          await this.ensurePeriodExists(0, yearId, agreementNumber, yearInfo.start_date, yearInfo.end_date, diffs?.periods);
           recordCount++;
         }
       }
       
       // Sync year totals
       try {
-        await this.syncAccountingTotalsForYear(agreement, yearId);
+        await this.syncAccountingTotalsForYear(agreement, yearId, options);
       } catch (error) {
         logger.error(`Error syncing year totals: ${error.message}`);
       }
       
-      await AccountingPeriodModel.recordSyncLog(
-        agreementNumber,
-        yearId,
-        recordCount,
-        null,
-        startTime
-      );
+      if (!diffs) {
+        await AccountingPeriodModel.recordSyncLog(
+          agreementNumber,
+          yearId,
+          recordCount,
+          null,
+          startTime,
+          options.runId
+        );
+      }
       
       logger.info(`Completed accounting periods sync for year ${yearId} and agreement ${agreementNumber}: ${recordCount} records processed`);
       
@@ -283,13 +347,16 @@ class AccountingYearService {
     } catch (error) {
       logger.error(`Error syncing accounting periods for year ${yearId} and agreement ${agreement.id}:`, error.message);
       
-      await AccountingPeriodModel.recordSyncLog(
-        agreement.agreement_number || 'unknown',
-        yearId,
-        recordCount,
-        error.message,
-        startTime
-      );
+      if (!diffs) {
+        await AccountingPeriodModel.recordSyncLog(
+          agreement.agreement_number || 'unknown',
+          yearId,
+          recordCount,
+          error.message,
+          startTime,
+          options.runId
+        );
+      }
       
       throw error;
     }
@@ -298,16 +365,17 @@ class AccountingYearService {
   /**
    * Sync accounting entries for a specific period
    */
-  async syncAccountingEntriesForPeriod(agreement, yearId, apiPeriodNumber) {
+  async syncAccountingEntriesForPeriod(agreement, yearId, apiPeriodNumber, options = {}) {
+    const diffs = options.diffs || null;
     const startTime = new Date();
     let recordCount = 0;
     
     try {
       logger.info(`Starting accounting entries sync for period ${apiPeriodNumber}, year ${yearId} and agreement ${agreement.name}`);
       
-      const client = this.getClientForAgreement(agreement.agreement_grant_token);
-      const agreementInfo = await client.getAgreementInfo();
-      const agreementNumber = agreementInfo.agreementNumber;
+      // Client and agreement number confirmed by the API
+      const context = options.context || await resolveAgreementContext(agreement);
+      const { client, agreementNumber } = context;
       
       const normalizedPeriodNumber = this.normalizePeriodNumber(apiPeriodNumber);
       
@@ -316,7 +384,8 @@ class AccountingYearService {
         normalizedPeriodNumber, 
         yearId, 
         agreementNumber,
-        null, null // Will be set with default dates
+        null, null, // Will be set with default dates
+        diffs?.periods
       );
       
       if (!periodExists) {
@@ -334,18 +403,31 @@ class AccountingYearService {
           this.transformAccountingEntryData(entry, yearId, apiPeriodNumber, agreementNumber)
         );
         
+        if (diffs) {
+          await diffs.entries.load({ year_id: yearId });
+          transformedEntries.forEach(entry => diffs.entries.compare(entry));
+          recordCount += transformedEntries.length;
+          continue;
+        }
+        
         const result = await AccountingEntryModel.batchUpsert(transformedEntries);
-        recordCount += result.inserted + result.updated;
+        recordCount += result.inserted + result.updated + result.unchanged;
+        if (options.changes) {
+          addUpsertCounts(options.changes, result);
+        }
       }
       
-      await AccountingEntryModel.recordSyncLog(
-        agreementNumber,
-        yearId,
-        normalizedPeriodNumber,
-        recordCount,
-        null,
-        startTime
-      );
+      if (!diffs) {
+        await AccountingEntryModel.recordSyncLog(
+          agreementNumber,
+          yearId,
+          normalizedPeriodNumber,
+          recordCount,
+          null,
+          startTime,
+          options.runId
+        );
+      }
       
       logger.info(`Completed accounting entries sync for period ${apiPeriodNumber} (normalized: ${normalizedPeriodNumber}), year ${yearId} and agreement ${agreementNumber}: ${recordCount} records processed`);
       
@@ -364,14 +446,17 @@ class AccountingYearService {
       logger.error(`Error syncing accounting entries for period ${apiPeriodNumber}, year ${yearId} and agreement ${agreement.id}:`, error.message);
       
       const normalizedPeriodNumber = this.normalizePeriodNumber(apiPeriodNumber);
-      await AccountingEntryModel.recordSyncLog(
-        agreement.agreement_number || 'unknown',
-        yearId,
-        normalizedPeriodNumber,
-        recordCount,
-        error.message,
-        startTime
-      );
+      if (!diffs) {
+        await AccountingEntryModel.recordSyncLog(
+          agreement.agreement_number || 'unknown',
+          yearId,
+          normalizedPeriodNumber,
+          recordCount,
+          error.message,
+          startTime,
+          options.runId
+        );
+      }
       
       throw error;
     }
@@ -380,16 +465,17 @@ class AccountingYearService {
   /**
    * Sync accounting totals for a specific period
    */
-  async syncAccountingTotalsForPeriod(agreement, yearId, apiPeriodNumber) {
+  async syncAccountingTotalsForPeriod(agreement, yearId, apiPeriodNumber, options = {}) {
+    const diffs = options.diffs || null;
     const startTime = new Date();
     let recordCount = 0;
     
     try {
       logger.info(`Starting accounting totals sync for period ${apiPeriodNumber}, year ${yearId} and agreement ${agreement.name}`);
       
-      const client = this.getClientForAgreement(agreement.agreement_grant_token);
-      const agreementInfo = await client.getAgreementInfo();
-      const agreementNumber = agreementInfo.agreementNumber;
+      // Client and agreement number confirmed by the API
+      const context = options.context || await resolveAgreementContext(agreement);
+      const { client, agreementNumber } = context;
       
       const normalizedPeriodNumber = this.normalizePeriodNumber(apiPeriodNumber);
       
@@ -398,7 +484,8 @@ class AccountingYearService {
         normalizedPeriodNumber, 
         yearId, 
         agreementNumber,
-        null, null // Will be set with default dates
+        null, null, // Will be set with default dates
+        diffs?.periods
       );
       
       if (!periodExists) {
@@ -413,18 +500,30 @@ class AccountingYearService {
           this.transformAccountingTotalData(total, yearId, apiPeriodNumber, agreementNumber)
         );
         
-        const result = await AccountingTotalModel.batchUpsert(transformedTotals);
-        recordCount = result.inserted + result.updated;
+        if (diffs) {
+          await diffs.totals.load({ year_id: yearId });
+          transformedTotals.forEach(total => diffs.totals.compare(total));
+          recordCount = transformedTotals.length;
+        } else {
+          const result = await AccountingTotalModel.batchUpsert(transformedTotals);
+          recordCount = result.inserted + result.updated + result.unchanged;
+          if (options.changes) {
+            addUpsertCounts(options.changes, result);
+          }
+        }
       }
       
-      await AccountingTotalModel.recordSyncLog(
-        agreementNumber,
-        yearId,
-        normalizedPeriodNumber,
-        recordCount,
-        null,
-        startTime
-      );
+      if (!diffs) {
+        await AccountingTotalModel.recordSyncLog(
+          agreementNumber,
+          yearId,
+          normalizedPeriodNumber,
+          recordCount,
+          null,
+          startTime,
+          options.runId
+        );
+      }
       
       logger.info(`Completed accounting totals sync for period ${apiPeriodNumber} (normalized: ${normalizedPeriodNumber}), year ${yearId} and agreement ${agreementNumber}: ${recordCount} records processed`);
       
@@ -443,14 +542,17 @@ class AccountingYearService {
       logger.error(`Error syncing accounting totals for period ${apiPeriodNumber}, year ${yearId} and agreement ${agreement.id}:`, error.message);
       
       const normalizedPeriodNumber = this.normalizePeriodNumber(apiPeriodNumber);
-      await AccountingTotalModel.recordSyncLog(
-        agreement.agreement_number || 'unknown',
-        yearId,
-        normalizedPeriodNumber,
-        recordCount,
-        error.message,
-        startTime
-      );
+      if (!diffs) {
+        await AccountingTotalModel.recordSyncLog(
+          agreement.agreement_number || 'unknown',
+          yearId,
+          normalizedPeriodNumber,
+          recordCount,
+          error.message,
+          startTime,
+          options.runId
+        );
+      }
       
       throw error;
     }
@@ -459,21 +561,22 @@ class AccountingYearService {
   /**
    * Sync accounting totals for a specific year
    */
-  async syncAccountingTotalsForYear(agreement, yearId) {
+  async syncAccountingTotalsForYear(agreement, yearId, options = {}) {
+    const diffs = options.diffs || null;
     const startTime = new Date();
     let recordCount = 0;
     
     try {
       logger.info(`Starting accounting totals sync for year ${yearId} and agreement ${agreement.name}`);
       
-      const client = this.getClientForAgreement(agreement.agreement_grant_token);
-      const agreementInfo = await client.getAgreementInfo();
-      const agreementNumber = agreementInfo.agreementNumber;
+      // Client and agreement number confirmed by the API
+      const context = options.context || await resolveAgreementContext(agreement);
+      const { client, agreementNumber } = context;
       
       // Ensure period 0 exists for year totals
       const yearInfo = await AccountingYearModel.findByYearAndAgreement(yearId, agreementNumber);
       if (yearInfo) {
-        await this.ensurePeriodExists(0, yearId, agreementNumber, yearInfo.start_date, yearInfo.end_date);
+        await this.ensurePeriodExists(0, yearId, agreementNumber, yearInfo.start_date, yearInfo.end_date, diffs?.periods);
       }
       
       const totals = await client.getPaginated(`/accounting-years/${yearId}/totals`);
@@ -484,18 +587,30 @@ class AccountingYearService {
           this.transformAccountingTotalData(total, yearId, null, agreementNumber)
         );
         
-        const result = await AccountingTotalModel.batchUpsert(transformedTotals);
-        recordCount = result.inserted + result.updated;
+        if (diffs) {
+          await diffs.totals.load({ year_id: yearId });
+          transformedTotals.forEach(total => diffs.totals.compare(total));
+          recordCount = transformedTotals.length;
+        } else {
+          const result = await AccountingTotalModel.batchUpsert(transformedTotals);
+          recordCount = result.inserted + result.updated + result.unchanged;
+          if (options.changes) {
+            addUpsertCounts(options.changes, result);
+          }
+        }
       }
       
-      await AccountingTotalModel.recordSyncLog(
-        agreementNumber,
-        yearId,
-        0, // Use 0 for year totals
-        recordCount,
-        null,
-        startTime
-      );
+      if (!diffs) {
+        await AccountingTotalModel.recordSyncLog(
+          agreementNumber,
+          yearId,
+          0, // Use 0 for year totals
+          recordCount,
+          null,
+          startTime,
+          options.runId
+        );
+      }
       
       logger.info(`Completed accounting totals sync for year ${yearId} and agreement ${agreementNumber}: ${recordCount} records processed`);
       
@@ -512,14 +627,17 @@ class AccountingYearService {
     } catch (error) {
       logger.error(`Error syncing accounting totals for year ${yearId} and agreement ${agreement.id}:`, error.message);
       
-      await AccountingTotalModel.recordSyncLog(
-        agreement.agreement_number || 'unknown',
-        yearId,
-        0, // Use 0 for year totals
-        recordCount,
-        error.message,
-        startTime
-      );
+      if (!diffs) {
+        await AccountingTotalModel.recordSyncLog(
+          agreement.agreement_number || 'unknown',
+          yearId,
+          0, // Use 0 for year totals
+          recordCount,
+          error.message,
+          startTime,
+          options.runId
+        );
+      }
       
       throw error;
     }
@@ -528,7 +646,7 @@ class AccountingYearService {
   /**
    * Sync all accounting years across all agreements
    */
-  async syncAllAccountingYears() {
+  async syncAllAccountingYears(options = {}) {
     const startTime = new Date();
     const agreementResults = [];
     let totalCount = 0;
@@ -548,9 +666,10 @@ class AccountingYearService {
         };
       }
       
-      for (const agreement of agreements) {
+      // Sync agreements side by side, bounded by the shared sync pool
+      await syncPool.forEachAgreement(agreements, async agreement => {
         try {
-          const result = await this.syncAccountingYearsForAgreement(agreement);
+          const result = await this.syncAccountingYearsForAgreement(agreement, options);
           agreementResults.push(result);
           totalCount += result.recordCount;
         } catch (error) {
@@ -565,7 +684,7 @@ class AccountingYearService {
             error: error.message
           });
         }
-      }
+      }, options.signal);
       
       logger.info(`Completed accounting years sync across all agreements: ${totalCount} records processed`);
       
@@ -0,0 +1,260 @@
+// src/modules/accounting-years/financial-statement.service.js
+const AccountingYearModel = require('./accounting-year.model');
+const AccountingPeriodModel = require('./accounting-period.model');
+const AccountingTotalModel = require('./accounting-total.model');
+const logger = require('../core/logger');
+const { ApiError } = require('../core/error.handler');
+
+/**
+ * Which account types each statement covers and whether it shows balances
+ * (cumulative from the start of the year) or movements for the period.
+ * Heading and sum accounts are left out so nothing is counted twice.
+ */
+const STATEMENTS = {
+  trial_balance: { accountTypes: ['profitAndLoss', 'status'], cumulative: true },
+  profit_and_loss: { accountTypes: ['profitAndLoss'], cumulative: false },
+  balance_sheet: { accountTypes: ['status'], cumulative: true }
+};
+
+const COMPARISONS = ['prior_period', 'prior_year'];
+
+const round = amount => Math.round(amount * 100) / 100;
+
+class FinancialStatementService {
+  /**
+   * Get accounting years for an agreement
+   */
+  async getAccountingYears(agreementNumber) {
+    try {
+      return await AccountingYearModel.getByAgreement(agreementNumber);
+    } catch (error) {
+      logger.error(`Error getting accounting years for agreement ${agreementNumber}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Build a trial balance, profit and loss or balance sheet for one or more
+   * agreements. Amounts are in base currency, debit positive and credit negative,
+   * as e-conomic reports them. With several agreements, accounts with the same
+   * number are added together, so the agreements should share a chart of accounts.
+   */
+  async getStatement(statement, agreementNumbers, yearId, options = {}) {
+    try {
+      const definition = STATEMENTS[statement];
+      const period = this.parsePeriod(options.period);
+      const cumulative = options.cumulative ?? definition.cumulative;
+      const compare = this.parseComparisons(options.compare);
+
+      const columnKeys = ['current', ...compare];
+      const columns = columnKeys.map(key => ({ key, ranges: [] }));
+      const accounts = new Map();
+
+      for (const agreementNumber of agreementNumbers) {
+        const year = await AccountingYearModel.findByYearAndAgreement(yearId, agreementNumber);
+        if (!year) {
+          throw ApiError.notFound(`Accounting year ${yearId} not found for agreement ${agreementNumber}`);
+        }
+
+        for (const column of columns) {
+          const range = await this.resolveRange(column.key, agreementNumber, yearId, period, cumulative);
+          column.ranges.push({ agreement_number: agreementNumber, ...range });
+
+          if (!range.year_id) {
+            continue;
+          }
+
+          const rows = await AccountingTotalModel.sumByAccount(
+            agreementNumber,
+            range.year_id,
+            range.from_period,
+            range.to_period,
+            definition.accountTypes
+          );
+
+          for (const row of rows) {
+            if (!accounts.has(row.account_number)) {
+              accounts.set(row.account_number, {
+                account_number: row.account_number,
+                name: row.name,
+                account_type: row.account_type,
+                amounts: Object.fromEntries(columnKeys.map(key => [key, 0]))
+              });
+            }
+
+            const account = accounts.get(row.account_number);
+            account.amounts[column.key] = round(account.amounts[column.key] + (parseFloat(row.amount) || 0));
+          }
+        }
+      }
+
+      const sortedAccounts = [...accounts.values()].sort((a, b) => a.account_number - b.account_number);
+
+      const report = {
+        statement,
+        year_id: yearId,
+        period,
+        cumulative,
+        agreement_numbers: agreementNumbers,
+        columns
+      };
+
+      if (statement === 'trial_balance') {
+        return { ...report, ...this.buildTrialBalance(sortedAccounts, columnKeys) };
+      }
+
+      const body = this.buildSections(sortedAccounts, columnKeys);
+
+      // Income is credited, so a profit shows as a negative total
+      if (statement === 'profit_and_loss') {
+        body.net_result = Object.fromEntries(columnKeys.map(key => [key, round(-body.totals[key])]));
+      }
+
+      return { ...report, ...body };
+    } catch (error) {
+      logger.error(`Error building ${statement} for year ${yearId} and agreements ${agreementNumbers.join(', ')}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate the period query parameter. null means the whole year.
+   */
+  parsePeriod(period) {
+    if (period === undefined || period === null || period === '') {
+      return null;
+    }
+
+    const periodNumber = parseInt(period);
+    if (isNaN(periodNumber) || periodNumber < 1 || periodNumber > 12) {
+      throw ApiError.badRequest(`Invalid period "${period}". Expected 1-12`, 'INVALID_PERIOD');
+    }
+
+    return periodNumber;
+  }
+
+  /**
+   * Validate the compare query parameter, e.g. "prior_period,prior_year"
+   */
+  parseComparisons(compare) {
+    if (!compare) {
+      return [];
+    }
+
+    const comparisons = String(compare).split(',').map(value => value.trim()).filter(Boolean);
+    const invalid = comparisons.filter(value => !COMPARISONS.includes(value));
+
+    if (invalid.length > 0) {
+      throw ApiError.badRequest(
+        `Invalid compare value "${invalid.join(', ')}". Expected any of: ${COMPARISONS.join(', ')}`,
+        'INVALID_COMPARISON'
+      );
+    }
+
+    return [...new Set(comparisons)];
+  }
+
+  /**
+   * Work out the year and period range a column covers for one agreement.
+   * A comparison that has no data to compare with gets a null year_id.
+   */
+  async resolveRange(columnKey, agreementNumber, yearId, period, cumulative) {
+    const rangeFor = (rangeYearId, rangePeriod) => {
+      if (rangePeriod === null) {
+        return { year_id: rangeYearId, from_period: 0, to_period: 0 };
+      }
+
+      return {
+        year_id: rangeYearId,
+        from_period: cumulative ? 1 : rangePeriod,
+        to_period: rangePeriod
+      };
+    };
+
+    if (columnKey === 'current') {
+      return rangeFor(yearId, period);
+    }
+
+    // The period before period 2 is period 1 of the same year
+    if (columnKey === 'prior_period' && period !== null && period > 1) {
+      return rangeFor(yearId, period - 1);
+    }
+
+    const priorYear = await AccountingYearModel.findPriorYear(yearId, agreementNumber);
+    if (!priorYear) {
+      return { year_id: null, from_period: null, to_period: null };
+    }
+
+    // The period before period 1 is the last period of the prior year
+    if (columnKey === 'prior_period' && period === 1) {
+      const lastPeriod = await AccountingPeriodModel.getLastPeriodNumber(priorYear.year_id, agreementNumber);
+      return rangeFor(priorYear.year_id, lastPeriod);
+    }
+
+    // Prior year, or the prior period of a whole-year statement
+    return rangeFor(priorYear.year_id, period);
+  }
+
+  /**
+   * Split amounts into debit and credit columns
+   */
+  buildTrialBalance(accounts, columnKeys) {
+    const totals = Object.fromEntries(columnKeys.map(key => [key, { debit: 0, credit: 0, balance: 0 }]));
+
+    const rows = accounts.map(account => {
+      const balances = {};
+
+      for (const key of columnKeys) {
+        const amount = account.amounts[key];
+        balances[key] = {
+          debit: amount > 0 ? amount : 0,
+          credit: amount < 0 ? round(-amount) : 0,
+          balance: amount
+        };
+
+        totals[key].debit = round(totals[key].debit + balances[key].debit);
+        totals[key].credit = round(totals[key].credit + balances[key].credit);
+        totals[key].balance = round(totals[key].balance + amount);
+      }
+
+      return {
+        account_number: account.account_number,
+        name: account.name,
+        account_type: account.account_type,
+        balances
+      };
+    });
+
+    return { accounts: rows, totals };
+  }
+
+  /**
+   * Group accounts by account type with a subtotal per group
+   */
+  buildSections(accounts, columnKeys) {
+    const sections = new Map();
+    const totals = Object.fromEntries(columnKeys.map(key => [key, 0]));
+
+    for (const account of accounts) {
+      if (!sections.has(account.account_type)) {
+        sections.set(account.account_type, {
+          account_type: account.account_type,
+          accounts: [],
+          totals: Object.fromEntries(columnKeys.map(key => [key, 0]))
+        });
+      }
+
+      const section = sections.get(account.account_type);
+      section.accounts.push(account);
+
+      for (const key of columnKeys) {
+        section.totals[key] = round(section.totals[key] + account.amounts[key]);
+        totals[key] = round(totals[key] + account.amounts[key]);
+      }
+    }
+
+    return { sections: [...sections.values()], totals };
+  }
+}
+
+module.exports = new FinancialStatementService();
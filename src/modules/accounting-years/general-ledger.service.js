@@ -0,0 +1,81 @@
+// src/modules/accounting-years/general-ledger.service.js
+const AccountingEntryModel = require('./accounting-entry.model');
+const logger = require('../core/logger');
+const { ApiError } = require('../core/error.handler');
+
+const round = amount => Math.round(amount * 100) / 100;
+
+class GeneralLedgerService {
+  /**
+   * List accounting entries with running balances per account
+   */
+  async getEntries(agreementNumber, filters = {}, pagination = {}) {
+    try {
+      for (const field of ['date_from', 'date_to']) {
+        if (filters[field] && !/^\d{4}-\d{2}-\d{2}$/.test(filters[field])) {
+          throw ApiError.badRequest(`Invalid ${field} "${filters[field]}". Expected YYYY-MM-DD`, 'INVALID_DATE');
+        }
+      }
+
+      return await AccountingEntryModel.find(agreementNumber, filters, pagination);
+    } catch (error) {
+      logger.error(`Error getting accounting entries for agreement ${agreementNumber}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every posting of a voucher. Voucher numbers start over each accounting
+   * year, so entries are grouped per year with debit and credit totals.
+   */
+  async getVoucher(voucherNumber, agreementNumber, yearId = null) {
+    try {
+      const entries = await AccountingEntryModel.findByVoucher(voucherNumber, agreementNumber, yearId);
+
+      if (entries.length === 0) {
+        throw ApiError.notFound(`Voucher ${voucherNumber} not found for agreement ${agreementNumber}`);
+      }
+
+      const vouchers = new Map();
+
+      for (const entry of entries) {
+        if (!vouchers.has(entry.year_id)) {
+          vouchers.set(entry.year_id, {
+            year_id: entry.year_id,
+            voucher_number: voucherNumber,
+            entries: [],
+            total_debit: 0,
+            total_credit: 0,
+            balance: 0
+          });
+        }
+
+        const voucher = vouchers.get(entry.year_id);
+        const amount = parseFloat(entry.amount_in_base_currency) || 0;
+
+        voucher.entries.push(entry);
+        if (amount > 0) {
+          voucher.total_debit = round(voucher.total_debit + amount);
+        } else {
+          voucher.total_credit = round(voucher.total_credit - amount);
+        }
+        voucher.balance = round(voucher.balance + amount);
+      }
+
+      return {
+        agreement_number: agreementNumber,
+        voucher_number: voucherNumber,
+        vouchers: [...vouchers.values()].map(voucher => ({
+          ...voucher,
+          // A complete voucher nets to zero in base currency
+          balanced: voucher.balance === 0
+        }))
+      };
+    } catch (error) {
+      logger.error(`Error getting voucher ${voucherNumber} for agreement ${agreementNumber}:`, error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = new GeneralLedgerService();
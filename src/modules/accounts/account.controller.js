@@ -1,10 +1,11 @@
 const accountService = require('./account.service');
 const logger = require('../core/logger');
+const { parseSyncOptions } = require('../sync/sync.options');
 
 class AccountController {
   async syncAccounts(req, res, next) {
     try {
-      const result = await accountService.syncAllAccounts();
+      const result = await accountService.syncAllAccounts(parseSyncOptions(req));
       res.json(result);
     } catch (error) {
       next(error);
@@ -15,7 +16,7 @@ class AccountController {
     try {
       const { id } = req.params;
       const agreement = await require('../agreements/agreement.model').getById(id);
-      const result = await accountService.syncAccountsForAgreement(agreement);
+      const result = await accountService.syncAccountsForAgreement(agreement, parseSyncOptions(req));
       res.json(result);
     } catch (error) {
       next(error);
@@ -37,7 +38,8 @@ class AccountController {
       const { agreement_number, account_number } = req.params;
       const account = await accountService.getAccountByNumber(
         parseInt(account_number), 
-        parseInt(agreement_number)
+        parseInt(agreement_number),
+        req.query.as_of
       );
       res.json(account);
     } catch (error) {
@@ -1,6 +1,9 @@
 const db = require('../../db');
 const logger = require('../core/logger');
+const SyncLogModel = require('../sync/sync-log.model');
 const { ApiError } = require('../core/error.handler');
+const { upsertRows } = require('../sync/batch-upsert');
+const { findVersion } = require('../sync/record-history');
 
 class AccountModel {
   static async findByNumberAndAgreement(accountNumber, agreementNumber) {
@@ -17,6 +20,11 @@ class AccountModel {
     }
   }
 
+  // Find an account as it was at a point in time, from its history
+  static async findAsOf(accountNumber, agreementNumber, asOf) {
+    return await findVersion('accounts', accountNumber, agreementNumber, asOf);
+  }
+
   static async getByAgreement(agreementNumber) {
     try {
       return await db.query(
@@ -29,107 +37,48 @@ class AccountModel {
     }
   }
 
+  // Columns stored for accounts
+  static toRow(accountData) {
+    return {
+      account_number: accountData.account_number,
+      agreement_number: accountData.agreement_number,
+      account_type: accountData.account_type,
+      name: accountData.name,
+      balance: accountData.balance,
+      debit_credit: accountData.debit_credit,
+      block_direct_entries: accountData.block_direct_entries,
+      vat_code: accountData.vat_code,
+      self_url: accountData.self_url
+    };
+  }
+
+  // Create or update an account
   static async upsert(accountData) {
+    await this.batchUpsert([accountData]);
+    return this.toRow(accountData);
+  }
+
+  // Create or update many accounts in transactional chunks. Returns inserted, updated and unchanged counts.
+  static async batchUpsert(accounts) {
     try {
-      const existing = await this.findByNumberAndAgreement(
-        accountData.account_number, 
-        accountData.agreement_number
-      );
-      
-      if (existing) {
-        await db.query(
-          `UPDATE accounts SET
-            account_type = ?,
-            name = ?,
-            balance = ?,
-            debit_credit = ?,
-            block_direct_entries = ?,
-            vat_code = ?,
-            self_url = ?,
-            updated_at = CURRENT_TIMESTAMP
-          WHERE account_number = ? AND agreement_number = ?`,
-          [
-            accountData.account_type,
-            accountData.name,
-            accountData.balance,
-            accountData.debit_credit,
-            accountData.block_direct_entries,
-            accountData.vat_code,
-            accountData.self_url,
-            accountData.account_number,
-            accountData.agreement_number
-          ]
-        );
-        
-        return { ...existing, ...accountData };
-      } else {
-        await db.query(
-          `INSERT INTO accounts (
-            account_number,
-            agreement_number,
-            account_type,
-            name,
-            balance,
-            debit_credit,
-            block_direct_entries,
-            vat_code,
-            self_url
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [
-            accountData.account_number,
-            accountData.agreement_number,
-            accountData.account_type,
-            accountData.name,
-            accountData.balance,
-            accountData.debit_credit,
-            accountData.block_direct_entries,
-            accountData.vat_code,
-            accountData.self_url
-          ]
-        );
-        
-        return accountData;
-      }
+      return await upsertRows('accounts', accounts.map(account => this.toRow(account)), {
+        keyColumns: ['account_number', 'agreement_number']
+      });
     } catch (error) {
-      logger.error('Error upserting account:', error.message);
+      logger.error('Error upserting accounts:', error.message);
       throw error;
     }
   }
 
-  static async recordSyncLog(agreementNumber, recordCount = 0, errorMessage = null, startTime = null) {
-    try {
-      const started = startTime || new Date();
-      const completed = new Date();
-      const durationMs = completed.getTime() - started.getTime();
-      
-      await db.query(
-        `INSERT INTO sync_logs (
-          entity, operation, record_count, status, 
-          error_message, started_at, completed_at, duration_ms
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          `accounts_${agreementNumber}`,
-          'sync',
-          recordCount,
-          errorMessage ? 'error' : 'success',
-          errorMessage,
-          started,
-          completed,
-          durationMs
-        ]
-      );
-      
-      return {
-        entity: `accounts_${agreementNumber}`,
-        operation: 'sync',
-        status: errorMessage ? 'error' : 'success',
-        recordCount,
-        durationMs
-      };
-    } catch (error) {
-      logger.error('Error recording sync log:', error.message);
-      return null;
-    }
+  static async recordSyncLog(agreementNumber, recordCount = 0, errorMessage = null, startTime = null, runId = null) {
+    return await SyncLogModel.record({
+      entity: 'accounts',
+      agreementNumber,
+      recordCount,
+      errorMessage,
+      startTime,
+      runId
+    });
   }
 }
 
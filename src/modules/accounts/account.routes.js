@@ -1,7 +1,12 @@
 const express = require('express');
 const accountController = require('./account.controller');
+const { authorizeAgreementNumber, authorizeAgreementId } = require('../auth/auth.middleware');
 const router = express.Router();
 
+// Restrict API keys to their agreements
+router.param('agreement_number', authorizeAgreementNumber);
+router.param('id', authorizeAgreementId);
+
 router.post('/sync', accountController.syncAccounts);
 router.post('/agreements/:id/sync', accountController.syncAccountsForAgreement);
 router.get('/agreements/:agreement_number', accountController.getAccounts);
@@ -1,15 +1,15 @@
-const ApiClient = require('../../api/client');
 const endpoints = require('../../api/endpoints');
 const AccountModel = require('./account.model');
 const AgreementModel = require('../agreements/agreement.model');
+const { resolveAgreementContext } = require('../agreements/agreement-context');
+const syncPool = require('../sync/sync-pool');
+const SyncWatermarkModel = require('../sync/sync-watermark.model');
+const { SyncDiff, buildDiffReport } = require('../sync/sync-diff');
+const { parseAsOf } = require('../sync/record-history');
 const logger = require('../core/logger');
 const { ApiError } = require('../core/error.handler');
 
 class AccountService {
-  getClientForAgreement(agreementToken) {
-    return ApiClient.forAgreement(agreementToken);
-  }
-
   transformAccountData(account, agreementNumber) {
     let vatCode = null;
     if (account.vatAccount && account.vatAccount.vatCode) {
@@ -29,32 +29,49 @@ class AccountService {
     };
   }
 
-  async syncAccountsForAgreement(agreement) {
+  async syncAccountsForAgreement(agreement, options = {}) {
     const startTime = new Date();
     let recordCount = 0;
     
     try {
       logger.info(`Starting accounts sync for agreement ${agreement.name} (${agreement.agreement_number})`);
       
-      const client = this.getClientForAgreement(agreement.agreement_grant_token);
-      const agreementInfo = await client.getAgreementInfo();
-      const agreementNumber = agreementInfo.agreementNumber;
+      // Client and agreement number confirmed by the API
+      const context = options.context || await resolveAgreementContext(agreement);
+      const { client, agreementNumber } = context;
+      const { mode } = await SyncWatermarkModel.resolveWindow(agreementNumber, 'accounts', options.mode);
       
       const accounts = await client.getPaginated(endpoints.ACCOUNTS);
       logger.info(`Found ${accounts.length} accounts for agreement ${agreementNumber}`);
       
+      // Dry runs compare with the stored rows instead of writing
+      const diff = options.dryRun ? await SyncDiff.forAgreement('accounts', ['account_number'], agreementNumber) : null;
+      
+      const upserts = [];
       for (const account of accounts) {
         const accountData = this.transformAccountData(account, agreementNumber);
-        await AccountModel.upsert(accountData);
+        if (diff) {
+          diff.compare(accountData);
+        } else {
+          upserts.push(accountData);
+        }
         recordCount++;
       }
       
-      await AccountModel.recordSyncLog(
-        agreementNumber,
-        recordCount,
-        null,
-        startTime
-      );
+      // Write in transactional chunks instead of one round trip per record
+      const changes = diff ? null : await AccountModel.batchUpsert(upserts);
+      
+      if (!diff) {
+        await AccountModel.recordSyncLog(
+          agreementNumber,
+          recordCount,
+          null,
+          startTime,
+          options.runId
+        );
+      
+        await SyncWatermarkModel.markSynced(agreementNumber, 'accounts', startTime, mode, recordCount);
+      }
       
       logger.info(`Completed accounts sync for agreement ${agreementNumber}: ${recordCount} records processed`);
       
@@ -64,24 +81,31 @@ class AccountService {
           name: agreement.name,
           agreement_number: agreementNumber
         },
-        recordCount
+        mode,
+        recordCount,
+        ...(diff && { dryRun: true, diff: buildDiffReport(diff) }),
+        ...(changes && { changes }),
+        apiStats: client.getRetryStats()
       };
       
     } catch (error) {
       logger.error(`Error syncing accounts for agreement ${agreement.id}:`, error.message);
       
-      await AccountModel.recordSyncLog(
-        agreement.agreement_number || 'unknown',
-        recordCount,
-        error.message,
-        startTime
-      );
+      if (!options.dryRun) {
+        await AccountModel.recordSyncLog(
+          agreement.agreement_number || 'unknown',
+          recordCount,
+          error.message,
+          startTime,
+          options.runId
+        );
+      }
       
       throw error;
     }
   }
 
-  async syncAllAccounts() {
+  async syncAllAccounts(options = {}) {
     const startTime = new Date();
     const agreementResults = [];
     let totalCount = 0;
@@ -101,9 +125,10 @@ class AccountService {
         };
       }
       
-      for (const agreement of agreements) {
+      // Sync agreements side by side, bounded by the shared sync pool
+      await syncPool.forEachAgreement(agreements, async agreement => {
         try {
-          const result = await this.syncAccountsForAgreement(agreement);
+          const result = await this.syncAccountsForAgreement(agreement, options);
           agreementResults.push(result);
           totalCount += result.recordCount;
         } catch (error) {
@@ -118,7 +143,7 @@ class AccountService {
             error: error.message
           });
         }
-      }
+      }, options.signal);
       
       logger.info(`Completed accounts sync across all agreements: ${totalCount} records processed`);
       
@@ -143,12 +168,16 @@ class AccountService {
     }
   }
 
-  async getAccountByNumber(accountNumber, agreementNumber) {
+  async getAccountByNumber(accountNumber, agreementNumber, asOf = null) {
     try {
-      const account = await AccountModel.findByNumberAndAgreement(accountNumber, agreementNumber);
+      // as_of reads the version that was current then from the history table
+      const asOfDate = parseAsOf('accounts', asOf);
+      const account = asOfDate
+        ? await AccountModel.findAsOf(accountNumber, agreementNumber, asOfDate)
+        : await AccountModel.findByNumberAndAgreement(accountNumber, agreementNumber);
       
       if (!account) {
-        throw ApiError.notFound(`Account with number ${accountNumber} not found for agreement ${agreementNumber}`);
+        throw ApiError.notFound(`Account with number ${accountNumber} not found for agreement ${agreementNumber}${asOfDate ? ` as of ${asOf}` : ''}`);
       }
       
       return account;
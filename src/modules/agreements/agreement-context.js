@@ -0,0 +1,77 @@
+const ApiClient = require('../../api/client');
+const AgreementModel = require('./agreement.model');
+const { ApiError } = require('../core/error.handler');
+const config = require('../../config');
+const logger = require('../core/logger');
+
+// /self lookups per agreement. Entries are reused until they expire or the
+// agreement's token changes, and hold the pending lookup so concurrent syncs
+// of one agreement share it.
+const infoCache = new Map();
+
+// Agreement info for an agreement's token, from the cache while it is fresh
+async function getAgreementInfo(agreement, client) {
+  const cacheKey = agreement.id ?? agreement.agreement_number;
+  const cached = infoCache.get(cacheKey);
+
+  if (cached && cached.token === agreement.agreement_grant_token && cached.expiresAt > Date.now()) {
+    return cached.info;
+  }
+
+  const entry = {
+    token: agreement.agreement_grant_token,
+    info: client.getAgreementInfo(),
+    expiresAt: Date.now() + config.api.agreementInfoTtlMs
+  };
+  infoCache.set(cacheKey, entry);
+
+  try {
+    return await entry.info;
+  } catch (error) {
+    // Failed lookups are not cached
+    if (infoCache.get(cacheKey) === entry) {
+      infoCache.delete(cacheKey);
+    }
+    throw error;
+  }
+}
+
+// Everything a sync of one agreement needs from e-conomic: a client for its
+// token, the agreement number the token belongs to and the company details.
+// Resolve one per agreement and sync run, and pass it on to nested sync calls
+// as options.context.
+async function resolveAgreementContext(agreement) {
+  const client = ApiClient.forAgreement(agreement.agreement_grant_token);
+  const info = await getAgreementInfo(agreement, client);
+
+  logger.debug(`Resolved agreement ${info.agreementNumber} for ${agreement.name}`);
+
+  // Writes through the client are audited under the confirmed agreement number
+  client.agreementNumber = info.agreementNumber;
+
+  return {
+    agreement,
+    client,
+    agreementNumber: info.agreementNumber,
+    companyName: info.companyName,
+    userName: info.userName,
+    companyVatNumber: info.companyVatNumber
+  };
+}
+
+// Resolve the context of an agreement by its number, e.g. for requests that
+// name the agreement in their path
+async function resolveAgreementContextByNumber(agreementNumber) {
+  const agreement = await AgreementModel.getByAgreementNumber(agreementNumber);
+
+  if (!agreement) {
+    throw ApiError.notFound(`Agreement ${agreementNumber} not found`);
+  }
+
+  return await resolveAgreementContext(agreement);
+}
+
+module.exports = {
+  resolveAgreementContext,
+  resolveAgreementContextByNumber
+};
@@ -1,5 +1,16 @@
 const agreementService = require('./agreement.service');
 const logger = require('../core/logger');
+const { maskToken } = require('./token-crypto');
+const apiKeyService = require('../auth/api-key.service');
+const webhookService = require('../webhooks/webhook.service');
+
+// Never send a full grant token back to the client
+function maskAgreement(agreement) {
+  return {
+    ...agreement,
+    agreement_grant_token: maskToken(agreement.agreement_grant_token)
+  };
+}
 
 class AgreementController {
   // Get all agreements
@@ -9,7 +20,10 @@ class AgreementController {
       const activeOnly = active_only !== 'false'; // Default true
       
       const agreements = await agreementService.getAllAgreements(activeOnly);
-      res.json(agreements);
+      
+      // Keys restricted to some agreements only see those
+      const visible = agreements.filter(agreement => apiKeyService.canAccessAgreement(req.apiKey, agreement.agreement_number));
+      res.json(visible.map(maskAgreement));
     } catch (error) {
       next(error);
     }
@@ -20,7 +34,7 @@ class AgreementController {
     try {
       const { id } = req.params;
       const agreement = await agreementService.getAgreementById(id);
-      res.json(agreement);
+      res.json(maskAgreement(agreement));
     } catch (error) {
       next(error);
     }
@@ -31,7 +45,7 @@ class AgreementController {
     try {
       const agreementData = req.body;
       const newAgreement = await agreementService.createAgreement(agreementData);
-      res.status(201).json(newAgreement);
+      res.status(201).json(maskAgreement(newAgreement));
     } catch (error) {
       next(error);
     }
@@ -53,7 +67,7 @@ class AgreementController {
       }
       
       const newAgreement = await agreementService.createAgreementFromToken(token);
-      res.status(201).json(newAgreement);
+      res.status(201).json(maskAgreement(newAgreement));
     } catch (error) {
       next(error);
     }
@@ -65,7 +79,7 @@ class AgreementController {
       const { id } = req.params;
       const agreementData = req.body;
       const updatedAgreement = await agreementService.updateAgreement(id, agreementData);
-      res.json(updatedAgreement);
+      res.json(maskAgreement(updatedAgreement));
     } catch (error) {
       next(error);
     }
@@ -115,7 +129,18 @@ class AgreementController {
     try {
       const { id } = req.params;
       const agreement = await agreementService.verifyAndUpdateAgreement(id);
-      res.json(agreement);
+      res.json(maskAgreement(agreement));
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  // Issue a new webhook secret. The old secret stops working right away.
+  async rotateWebhookSecret(req, res, next) {
+    try {
+      const { id } = req.params;
+      const result = await webhookService.rotateSecret(id);
+      res.status(201).json(result);
     } catch (error) {
       next(error);
     }
@@ -1,8 +1,19 @@
 const db = require('../../db');
 const logger = require('../core/logger');
 const { ApiError } = require('../core/error.handler');
+const { encryptToken, decryptToken, hashToken } = require('./token-crypto');
 
 class AgreementModel {
+  // Decrypt the grant token of a row and drop the key material columns
+  static fromRow(row) {
+    const { token_data_key, token_hash, webhook_secret_hash, ...agreement } = row;
+
+    return {
+      ...agreement,
+      agreement_grant_token: decryptToken(row.agreement_grant_token, token_data_key)
+    };
+  }
+  
   // Get all agreements
   static async getAll(activeOnly = true) {
     try {
@@ -10,7 +21,8 @@ class AgreementModel {
         'SELECT * FROM agreement_configs WHERE is_active = TRUE ORDER BY name' :
         'SELECT * FROM agreement_configs ORDER BY name';
       
-      return await db.query(query);
+      const agreements = await db.query(query);
+      return agreements.map(agreement => this.fromRow(agreement));
     } catch (error) {
       logger.error('Error getting agreements:', error.message);
       throw error;
@@ -29,7 +41,7 @@ class AgreementModel {
         throw ApiError.notFound(`Agreement with ID ${id} not found`);
       }
       
-      return agreements[0];
+      return this.fromRow(agreements[0]);
     } catch (error) {
       logger.error(`Error getting agreement ${id}:`, error.message);
       throw error;
@@ -44,28 +56,56 @@ class AgreementModel {
         [agreementNumber]
       );
       
-      return agreements.length > 0 ? agreements[0] : null;
+      return agreements.length > 0 ? this.fromRow(agreements[0]) : null;
     } catch (error) {
       logger.error(`Error getting agreement by number ${agreementNumber}:`, error.message);
       throw error;
     }
   }
 
-  // Get agreement by token
+  // Get agreement by token. Tokens are encrypted, so match on their keyed hash.
   static async getByToken(token) {
     try {
       const agreements = await db.query(
-        'SELECT * FROM agreement_configs WHERE agreement_grant_token = ?',
-        [token]
+        'SELECT * FROM agreement_configs WHERE token_hash = ?',
+        [hashToken(token)]
       );
       
-      return agreements.length > 0 ? agreements[0] : null;
+      return agreements.length > 0 ? this.fromRow(agreements[0]) : null;
     } catch (error) {
       logger.error('Error getting agreement by token:', error.message);
       throw error;
     }
   }
   
+  // Get the hash of an agreement's webhook secret, or null when none was issued
+  static async getWebhookSecretHash(agreementNumber) {
+    try {
+      const agreements = await db.query(
+        'SELECT webhook_secret_hash FROM agreement_configs WHERE agreement_number = ?',
+        [agreementNumber]
+      );
+      
+      return agreements.length > 0 ? agreements[0].webhook_secret_hash : null;
+    } catch (error) {
+      logger.error(`Error getting webhook secret for agreement ${agreementNumber}:`, error.message);
+      throw error;
+    }
+  }
+  
+  // Replace the stored hash of an agreement's webhook secret
+  static async setWebhookSecretHash(id, secretHash) {
+    try {
+      await db.query(
+        'UPDATE agreement_configs SET webhook_secret_hash = ? WHERE id = ?',
+        [secretHash, id]
+      );
+    } catch (error) {
+      logger.error(`Error storing webhook secret for agreement ${id}:`, error.message);
+      throw error;
+    }
+  }
+  
   // Create a new agreement (only token required)
   static async create(agreementData) {
     try {
@@ -83,14 +123,18 @@ class AgreementModel {
         }
       }
       
+      const { encryptedToken, encryptedDataKey, tokenHash } = encryptToken(agreementData.agreement_grant_token);
+      
       const result = await db.query(
         `INSERT INTO agreement_configs (
-          name, agreement_number, agreement_grant_token, is_active
-        ) VALUES (?, ?, ?, ?)`,
+          name, agreement_number, agreement_grant_token, token_data_key, token_hash, is_active
+        ) VALUES (?, ?, ?, ?, ?, ?)`,
         [
           agreementData.name || 'Pending API Verification',
           agreementData.agreement_number || null,
-          agreementData.agreement_grant_token,
+          encryptedToken,
+          encryptedDataKey,
+          tokenHash,
           agreementData.is_active !== undefined ? agreementData.is_active : true
         ]
       );
@@ -119,18 +163,35 @@ class AgreementModel {
         }
       }
       
+      // If changing token, check it's not used by another agreement
+      if (agreementData.agreement_grant_token) {
+        const existing = await this.getByToken(agreementData.agreement_grant_token);
+        if (existing && existing.id !== parseInt(id)) {
+          throw ApiError.badRequest(`Agreement with this token already exists (ID: ${existing.id})`);
+        }
+      }
+      
+      // Only re-encrypt when a new token is given
+      const encrypted = agreementData.agreement_grant_token
+        ? encryptToken(agreementData.agreement_grant_token)
+        : {};
+      
       await db.query(
         `UPDATE agreement_configs SET
           name = COALESCE(?, name),
           agreement_number = COALESCE(?, agreement_number),
           agreement_grant_token = COALESCE(?, agreement_grant_token),
+          token_data_key = COALESCE(?, token_data_key),
+          token_hash = COALESCE(?, token_hash),
           is_active = COALESCE(?, is_active),
           updated_at = CURRENT_TIMESTAMP
         WHERE id = ?`,
         [
           agreementData.name || null,
           agreementData.agreement_number || null,
-          agreementData.agreement_grant_token || null,
+          encrypted.encryptedToken || null,
+          encrypted.encryptedDataKey || null,
+          encrypted.tokenHash || null,
           agreementData.is_active !== undefined ? agreementData.is_active : null,
           id
         ]
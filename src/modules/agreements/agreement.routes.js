@@ -1,8 +1,12 @@
 const express = require('express');
 const agreementController = require('./agreement.controller');
+const { authorizeAgreementId } = require('../auth/auth.middleware');
 
 const router = express.Router();
 
+// Restrict API keys to their agreements
+router.param('id', authorizeAgreementId);
+
 // Get all agreements
 router.get('/', agreementController.getAllAgreements);
 
@@ -27,4 +31,7 @@ router.post('/test-connection', agreementController.testAgreementConnection);
 // Verify and update agreement from API
 router.post('/:id/verify', agreementController.verifyAgreement);
 
+// Issue the secret e-conomic webhooks for this agreement must send
+router.post('/:id/webhook-secret', agreementController.rotateWebhookSecret);
+
 module.exports = router;
\ No newline at end of file
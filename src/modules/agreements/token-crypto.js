@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const config = require('../../config');
+
+// Envelope encryption for agreement grant tokens. Every token is encrypted
+// with its own random data key (AES-256-GCM), and that data key is stored
+// wrapped with a key-encryption key derived from TOKEN_ENCRYPTION_KEY.
+// Lookups by token use an HMAC, since the ciphertext is different every time.
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+const IV_LENGTH = 12;
+
+let keys = null;
+
+// Derive separate wrapping and hashing keys from the configured master key
+function getKeys() {
+  if (keys) {
+    return keys;
+  }
+
+  const masterKey = config.security.tokenEncryptionKey;
+  if (!masterKey) {
+    throw new Error('TOKEN_ENCRYPTION_KEY must be set to store agreement grant tokens');
+  }
+
+  const keyBytes = Buffer.from(masterKey, 'base64');
+  if (keyBytes.length !== 32) {
+    throw new Error('TOKEN_ENCRYPTION_KEY must be 32 bytes, base64 encoded');
+  }
+
+  keys = {
+    wrapKey: Buffer.from(crypto.hkdfSync('sha256', keyBytes, Buffer.alloc(0), 'agreement-token-wrap', 32)),
+    hashKey: Buffer.from(crypto.hkdfSync('sha256', keyBytes, Buffer.alloc(0), 'agreement-token-hash', 32))
+  };
+
+  return keys;
+}
+
+// Encrypt a buffer and pack version, IV, auth tag and ciphertext into one string
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+function open(key, sealed) {
+  const [version, iv, tag, ciphertext] = String(sealed).split(':');
+  if (version !== VERSION || !ciphertext) {
+    throw new Error('Unsupported encrypted token format');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+}
+
+// Keyed hash used to look agreements up by token
+function hashToken(token) {
+  return crypto.createHmac('sha256', getKeys().hashKey).update(token).digest('hex');
+}
+
+// Encrypt a token. Returns the values stored in agreement_configs.
+function encryptToken(token) {
+  const dataKey = crypto.randomBytes(32);
+
+  return {
+    encryptedToken: seal(dataKey, Buffer.from(token, 'utf8')),
+    encryptedDataKey: seal(getKeys().wrapKey, dataKey),
+    tokenHash: hashToken(token)
+  };
+}
+
+function decryptToken(encryptedToken, encryptedDataKey) {
+  const dataKey = open(getKeys().wrapKey, encryptedDataKey);
+  return open(dataKey, encryptedToken).toString('utf8');
+}
+
+// Show only the last four characters of a token
+function maskToken(token) {
+  if (!token) {
+    return token;
+  }
+
+  return token.length > 8 ? `****${token.slice(-4)}` : '****';
+}
+
+module.exports = {
+  encryptToken,
+  decryptToken,
+  hashToken,
+  maskToken
+};
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const db = require('../../db');
+const logger = require('../core/logger');
+const { ApiError } = require('../core/error.handler');
+
+// JSON columns come back as strings on MariaDB and as objects on MySQL
+function parseJson(value, fallback) {
+  if (value === null || value === undefined) {
+    return fallback;
+  }
+
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+// Identifies what a write does, so an idempotency key cannot be reused for
+// a different request
+function requestHash(method, endpoint, payload) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([method, endpoint, payload ?? null]))
+    .digest('hex');
+}
+
+class ApiWriteAuditModel {
+  // Record a write before it is sent. With an idempotency key that already
+  // succeeded, the stored response is returned as replay and nothing should
+  // be sent. A key whose earlier attempt failed is tried again under the
+  // same entry.
+  static async begin({ agreementNumber = null, method, endpoint, payload = null, idempotencyKey = null }) {
+    const hash = requestHash(method, endpoint, payload);
+
+    try {
+      if (idempotencyKey) {
+        const existing = await db.query(
+          `SELECT id, request_hash, status, response_body FROM api_write_audit
+          WHERE agreement_number <=> ? AND idempotency_key = ?`,
+          [agreementNumber, idempotencyKey]
+        );
+
+        if (existing.length > 0) {
+          return await this.resume(existing[0], hash, idempotencyKey);
+        }
+      }
+
+      const result = await db.query(
+        `INSERT INTO api_write_audit (
+          agreement_number, method, endpoint, idempotency_key, request_hash, payload
+        ) VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          agreementNumber,
+          method.toUpperCase(),
+          endpoint,
+          idempotencyKey,
+          hash,
+          payload === null ? null : JSON.stringify(payload)
+        ]
+      );
+
+      return { id: result.insertId, replay: null };
+    } catch (error) {
+      // A concurrent request with the same key got there first
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw ApiError.conflict(`A write with idempotency key ${idempotencyKey} is already in progress`, 'WRITE_IN_PROGRESS');
+      }
+
+      if (!(error instanceof ApiError)) {
+        logger.error(`Error auditing ${method.toUpperCase()} ${endpoint}:`, error.message);
+      }
+      throw error;
+    }
+  }
+
+  static async resume(entry, hash, idempotencyKey) {
+    if (entry.request_hash !== hash) {
+      throw ApiError.conflict(
+        `Idempotency key ${idempotencyKey} was already used for a different request`,
+        'IDEMPOTENCY_KEY_REUSED'
+      );
+    }
+
+    if (entry.status === 'success') {
+      return { id: entry.id, replay: parseJson(entry.response_body, {}) };
+    }
+
+    // Still being sent, or sent without learning whether e-conomic stored it
+    if (entry.status === 'pending' || entry.status === 'unknown') {
+      throw ApiError.conflict(
+        `The write with idempotency key ${idempotencyKey} has not finished. Check e-conomic before trying again.`,
+        'WRITE_IN_PROGRESS'
+      );
+    }
+
+    const result = await db.query(
+      `UPDATE api_write_audit SET
+        status = 'pending',
+        attempts = attempts + 1,
+        response_status = NULL,
+        error_message = NULL,
+        completed_at = NULL
+      WHERE id = ? AND status = 'error'`,
+      [entry.id]
+    );
+
+    if (!result.affectedRows) {
+      throw ApiError.conflict(`A write with idempotency key ${idempotencyKey} is already in progress`, 'WRITE_IN_PROGRESS');
+    }
+
+    return { id: entry.id, replay: null };
+  }
+
+  static async markSucceeded(id, responseStatus, responseBody, durationMs) {
+    try {
+      await db.query(
+        `UPDATE api_write_audit SET
+          status = 'success',
+          response_status = ?,
+          response_body = ?,
+          duration_ms = ?,
+          completed_at = CURRENT_TIMESTAMP
+        WHERE id = ?`,
+        [responseStatus, responseBody === undefined ? null : JSON.stringify(responseBody), durationMs, id]
+      );
+    } catch (error) {
+      logger.error(`Error recording successful write ${id}:`, error.message);
+      throw error;
+    }
+  }
+
+  // status is "error" when e-conomic rejected the write, or "unknown" when it
+  // may have been stored anyway, e.g. after a timeout
+  static async markFailed(id, status, responseStatus, errorMessage, durationMs) {
+    try {
+      await db.query(
+        `UPDATE api_write_audit SET
+          status = ?,
+          response_status = ?,
+          error_message = ?,
+          duration_ms = ?,
+          completed_at = CURRENT_TIMESTAMP
+        WHERE id = ?`,
+        [status, responseStatus, errorMessage, durationMs, id]
+      );
+    } catch (error) {
+      logger.error(`Error recording failed write ${id}:`, error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = ApiWriteAuditModel;
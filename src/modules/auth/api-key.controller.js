@@ -0,0 +1,37 @@
+const apiKeyService = require('./api-key.service');
+
+class ApiKeyController {
+  // List API keys
+  async getAllKeys(req, res, next) {
+    try {
+      const includeRevoked = req.query.include_revoked === 'true';
+      const keys = await apiKeyService.listKeys(includeRevoked, req.apiKey);
+      res.json(keys);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Issue a new API key. The response is the only time the key is shown.
+  async issueKey(req, res, next) {
+    try {
+      const key = await apiKeyService.issueKey(req.body || {}, req.apiKey);
+      res.status(201).json(key);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Revoke an API key
+  async revokeKey(req, res, next) {
+    try {
+      const { id } = req.params;
+      const key = await apiKeyService.revokeKey(id, req.apiKey);
+      res.json(key);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ApiKeyController();
@@ -0,0 +1,136 @@
+const db = require('../../db');
+const logger = require('../core/logger');
+const { ApiError } = require('../core/error.handler');
+
+// JSON columns come back as strings on MariaDB and as objects on MySQL
+function parseJson(value, fallback) {
+  if (value === null || value === undefined) {
+    return fallback;
+  }
+
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+class ApiKeyModel {
+  // Map a row to the public shape of a key. The hash never leaves the model.
+  static fromRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      key_prefix: row.key_prefix,
+      scopes: parseJson(row.scopes, []),
+      agreement_numbers: parseJson(row.agreement_numbers, null),
+      created_at: row.created_at,
+      last_used_at: row.last_used_at,
+      revoked_at: row.revoked_at
+    };
+  }
+
+  // Get all keys, newest first
+  static async getAll(includeRevoked = false) {
+    try {
+      const query = includeRevoked
+        ? 'SELECT * FROM api_keys ORDER BY created_at DESC'
+        : 'SELECT * FROM api_keys WHERE revoked_at IS NULL ORDER BY created_at DESC';
+
+      const rows = await db.query(query);
+      return rows.map(row => this.fromRow(row));
+    } catch (error) {
+      logger.error('Error getting API keys:', error.message);
+      throw error;
+    }
+  }
+
+  // Get key by ID
+  static async getById(id) {
+    try {
+      const keys = await db.query('SELECT * FROM api_keys WHERE id = ?', [id]);
+
+      if (keys.length === 0) {
+        throw ApiError.notFound(`API key with ID ${id} not found`);
+      }
+
+      return this.fromRow(keys[0]);
+    } catch (error) {
+      logger.error(`Error getting API key ${id}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Find an active key by the hash of its value
+  static async findActiveByHash(keyHash) {
+    try {
+      const keys = await db.query(
+        'SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL',
+        [keyHash]
+      );
+
+      return keys.length > 0 ? this.fromRow(keys[0]) : null;
+    } catch (error) {
+      logger.error('Error finding API key by hash:', error.message);
+      throw error;
+    }
+  }
+
+  // Count active keys with the admin scope
+  static async countActiveAdminKeys() {
+    try {
+      const keys = await db.query('SELECT scopes FROM api_keys WHERE revoked_at IS NULL');
+      return keys.filter(key => parseJson(key.scopes, []).includes('admin')).length;
+    } catch (error) {
+      logger.error('Error counting admin API keys:', error.message);
+      throw error;
+    }
+  }
+
+  // Store a new key
+  static async create(keyData) {
+    try {
+      const result = await db.query(
+        `INSERT INTO api_keys (
+          name, key_prefix, key_hash, scopes, agreement_numbers
+        ) VALUES (?, ?, ?, ?, ?)`,
+        [
+          keyData.name,
+          keyData.key_prefix,
+          keyData.key_hash,
+          JSON.stringify(keyData.scopes),
+          keyData.agreement_numbers ? JSON.stringify(keyData.agreement_numbers) : null
+        ]
+      );
+
+      return this.getById(result.insertId);
+    } catch (error) {
+      logger.error('Error creating API key:', error.message);
+      throw error;
+    }
+  }
+
+  // Revoke a key. Revoked keys are kept so request logs can still be traced.
+  static async revoke(id) {
+    try {
+      const key = await this.getById(id);
+
+      if (!key.revoked_at) {
+        await db.query('UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+      }
+
+      return this.getById(id);
+    } catch (error) {
+      logger.error(`Error revoking API key ${id}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Record when a key was last used
+  static async touch(id) {
+    try {
+      await db.query('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+    } catch (error) {
+      logger.error(`Error updating last use of API key ${id}:`, error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = ApiKeyModel;
@@ -0,0 +1,15 @@
+const express = require('express');
+const apiKeyController = require('./api-key.controller');
+
+const router = express.Router();
+
+// List API keys
+router.get('/', apiKeyController.getAllKeys);
+
+// Issue a new API key
+router.post('/', apiKeyController.issueKey);
+
+// Revoke an API key
+router.delete('/:id', apiKeyController.revokeKey);
+
+module.exports = router;
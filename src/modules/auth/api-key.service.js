@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const ApiKeyModel = require('./api-key.model');
+const logger = require('../core/logger');
+const config = require('../../config');
+const { ApiError } = require('../core/error.handler');
+
+// Scopes in increasing order of privilege. A key is allowed everything its
+// highest scope covers, so an admin key can also write, sync and read.
+// "write" creates and changes records in e-conomic.
+const API_KEY_SCOPES = ['read', 'sync', 'write', 'admin'];
+
+const KEY_PREFIX = 'ek_';
+
+// Only write last_used_at once per minute per key
+const TOUCH_INTERVAL_MS = 60000;
+
+class ApiKeyService {
+  constructor() {
+    this.lastTouched = new Map();
+  }
+
+  // Keys are long and random, so a plain SHA-256 is enough to store them
+  hashKey(rawKey) {
+    return crypto.createHash('sha256').update(rawKey).digest('hex');
+  }
+
+  // Check whether a key's scopes cover the required scope
+  hasScope(apiKey, requiredScope) {
+    const required = API_KEY_SCOPES.indexOf(requiredScope);
+    return apiKey.scopes.some(scope => API_KEY_SCOPES.indexOf(scope) >= required);
+  }
+
+  // Keys without an agreement list may access every agreement
+  canAccessAgreement(apiKey, agreementNumber) {
+    if (!apiKey || !apiKey.agreement_numbers) {
+      return true;
+    }
+
+    return apiKey.agreement_numbers.includes(parseInt(agreementNumber));
+  }
+
+  // Whether a key may access every agreement in a list. null stands for all
+  // agreements, which only unrestricted keys may access.
+  canAccessAgreements(apiKey, agreementNumbers) {
+    if (!apiKey || !apiKey.agreement_numbers) {
+      return true;
+    }
+
+    return Boolean(agreementNumbers) && agreementNumbers.every(number => this.canAccessAgreement(apiKey, number));
+  }
+
+  // Get all keys. A restricted caller only sees keys within its own agreements.
+  async listKeys(includeRevoked = false, caller = null) {
+    try {
+      const keys = await ApiKeyModel.getAll(includeRevoked);
+      return keys.filter(key => this.canAccessAgreements(caller, key.agreement_numbers));
+    } catch (error) {
+      logger.error('Error listing API keys:', error.message);
+      throw error;
+    }
+  }
+
+  // Issue a new key. The plaintext key is only ever returned here. A caller
+  // restricted to some agreements can only issue keys restricted to those.
+  async issueKey(keyData, caller = null) {
+    try {
+      const { name, scopes, agreement_numbers } = keyData;
+
+      if (!name || typeof name !== 'string') {
+        throw ApiError.badRequest('API key name is required', 'MISSING_NAME');
+      }
+
+      if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+        throw ApiError.badRequest(
+          `scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}`,
+          'INVALID_SCOPES'
+        );
+      }
+
+      let agreementNumbers = null;
+      if (agreement_numbers !== undefined && agreement_numbers !== null) {
+        agreementNumbers = Array.isArray(agreement_numbers) ? agreement_numbers.map(number => parseInt(number)) : [];
+
+        if (agreementNumbers.length === 0 || agreementNumbers.some(isNaN)) {
+          throw ApiError.badRequest(
+            'agreement_numbers must be a non-empty array of agreement numbers, or null for all agreements',
+            'INVALID_AGREEMENT_NUMBERS'
+          );
+        }
+      }
+
+      if (!this.canAccessAgreements(caller, agreementNumbers)) {
+        throw ApiError.forbidden(
+          'API key can only issue keys restricted to its own agreements',
+          'AGREEMENT_FORBIDDEN'
+        );
+      }
+
+      return await this.storeKey(name, scopes, agreementNumbers);
+    } catch (error) {
+      logger.error('Error issuing API key:', error.message);
+      throw error;
+    }
+  }
+
+  // Generate, hash and store a key
+  async storeKey(name, scopes, agreementNumbers = null, rawKey = null) {
+    const key = rawKey || `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+    const created = await ApiKeyModel.create({
+      name,
+      key_prefix: key.slice(0, KEY_PREFIX.length + 8),
+      key_hash: this.hashKey(key),
+      scopes,
+      agreement_numbers: agreementNumbers
+    });
+
+    logger.info(`Issued API key ${created.id} "${name}" (${created.key_prefix}...) with scopes ${scopes.join(', ')}`);
+
+    return { ...created, key };
+  }
+
+  // Revoke a key. The last admin key cannot be revoked, or nobody could manage keys again.
+  // Keys a restricted caller cannot list are reported as not found.
+  async revokeKey(id, caller = null) {
+    try {
+      const key = await ApiKeyModel.getById(id);
+
+      if (!this.canAccessAgreements(caller, key.agreement_numbers)) {
+        throw ApiError.notFound(`API key with ID ${id} not found`);
+      }
+
+      if (!key.revoked_at && key.scopes.includes('admin') && await ApiKeyModel.countActiveAdminKeys() <= 1) {
+        throw ApiError.conflict('Cannot revoke the last active admin key', 'LAST_ADMIN_KEY');
+      }
+
+      const revoked = await ApiKeyModel.revoke(id);
+      this.lastTouched.delete(revoked.id);
+
+      logger.info(`Revoked API key ${revoked.id} "${revoked.name}" (${revoked.key_prefix}...)`);
+
+      return revoked;
+    } catch (error) {
+      logger.error(`Error revoking API key ${id}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Look up the active key for a raw key value, or null
+  async verifyKey(rawKey) {
+    const apiKey = await ApiKeyModel.findActiveByHash(this.hashKey(rawKey));
+
+    if (apiKey) {
+      const lastTouched = this.lastTouched.get(apiKey.id) || 0;
+
+      if (Date.now() - lastTouched > TOUCH_INTERVAL_MS) {
+        this.lastTouched.set(apiKey.id, Date.now());
+        ApiKeyModel.touch(apiKey.id).catch(() => {});
+      }
+    }
+
+    return apiKey;
+  }
+
+  // Store the key from ADMIN_API_KEY when no admin key exists yet, so a new
+  // installation can issue its first keys
+  async ensureBootstrapKey() {
+    const bootstrapKey = config.auth.bootstrapAdminKey;
+
+    if (!bootstrapKey || await ApiKeyModel.countActiveAdminKeys() > 0) {
+      return;
+    }
+
+    await this.storeKey('Bootstrap admin key', ['admin'], null, bootstrapKey);
+    logger.warn('Stored ADMIN_API_KEY as the first admin key. Issue personal keys and revoke it.');
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,171 @@
+const apiKeyService = require('./api-key.service');
+const AgreementModel = require('../agreements/agreement.model');
+const logger = require('../core/logger');
+const { redactUrl } = require('../core/redact');
+const config = require('../../config');
+const { ApiError } = require('../core/error.handler');
+
+// Read the key from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+function getRawKey(req) {
+  const authorization = req.get('authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+
+  return req.get('x-api-key') || null;
+}
+
+// Invoice drafts created, changed or booked in e-conomic
+const WRITE_ROUTE = /^\/api\/invoices\/agreements\/[^/]+\/drafts(\/[^/]+(\/book)?)?$/;
+
+// Scope a request needs. Reads need "read", starting or cancelling syncs
+// needs "sync", writing and booking invoice drafts needs "write" and
+// everything else (agreements, schedules, subscriptions, cleanup, keys)
+// needs "admin".
+function getRequiredScope(req) {
+  const path = req.originalUrl.split('?')[0].replace(/\/+$/, '');
+
+  if (path.startsWith('/api/schedules') || path.startsWith('/api/api-keys') || path.startsWith('/api/subscriptions')) {
+    return 'admin';
+  }
+
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    return 'read';
+  }
+
+  if (path.startsWith('/api/sync') || path.endsWith('/sync')) {
+    return 'sync';
+  }
+
+  if (WRITE_ROUTE.test(path)) {
+    return 'write';
+  }
+
+  return 'admin';
+}
+
+// Syncs that run for every agreement at once, e.g. POST /api/customers/sync.
+// POST /api/sync only does so when the body does not pick agreements.
+function isAllAgreementsSync(req) {
+  const path = req.originalUrl.split('?')[0].replace(/\/+$/, '');
+
+  if (req.method !== 'POST') {
+    return false;
+  }
+
+  if (path === '/api/sync') {
+    return !Array.isArray(req.body?.agreements);
+  }
+
+  return /^\/api\/[^/]+\/sync$/.test(path);
+}
+
+// Routes that act on every agreement at once: schedules and subscriptions,
+// which receive the events of all agreements, and the invoice duplicate cleanup
+function isAllAgreementsRoute(req) {
+  const path = req.originalUrl.split('?')[0].replace(/\/+$/, '');
+
+  if (path.startsWith('/api/schedules') || path.startsWith('/api/subscriptions')) {
+    return true;
+  }
+
+  return req.method === 'POST' && path === '/api/invoices/cleanup';
+}
+
+// Resolve the API key of a request and log the request with it once it finishes
+async function authenticate(req, res, next) {
+  if (!config.auth.enabled) {
+    return next();
+  }
+
+  try {
+    const rawKey = getRawKey(req);
+    if (!rawKey) {
+      throw ApiError.unauthorized('API key required');
+    }
+
+    const apiKey = await apiKeyService.verifyKey(rawKey);
+    if (!apiKey) {
+      logger.warn(`Rejected ${req.method} ${redactUrl(req.originalUrl)}: invalid or revoked API key`, { ip: req.ip });
+      throw ApiError.unauthorized('Invalid or revoked API key');
+    }
+
+    req.apiKey = apiKey;
+
+    const startTime = Date.now();
+    res.on('finish', () => {
+      logger.info(`${req.method} ${redactUrl(req.originalUrl)} ${res.statusCode}`, {
+        apiKeyId: apiKey.id,
+        apiKeyName: apiKey.name,
+        apiKeyPrefix: apiKey.key_prefix,
+        durationMs: Date.now() - startTime
+      });
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Check the key's scopes and agreement restrictions that do not depend on route params
+function authorize(req, res, next) {
+  if (!req.apiKey) {
+    return next();
+  }
+
+  const requiredScope = getRequiredScope(req);
+  if (!apiKeyService.hasScope(req.apiKey, requiredScope)) {
+    return next(ApiError.forbidden(`API key lacks the "${requiredScope}" scope`));
+  }
+
+  if (req.apiKey.agreement_numbers && isAllAgreementsSync(req)) {
+    return next(ApiError.forbidden(
+      'API key is restricted to specific agreements and cannot sync all agreements',
+      'AGREEMENT_FORBIDDEN'
+    ));
+  }
+
+  if (req.apiKey.agreement_numbers && isAllAgreementsRoute(req)) {
+    return next(ApiError.forbidden(
+      'API key is restricted to specific agreements and cannot use routes that cover all agreements',
+      'AGREEMENT_FORBIDDEN'
+    ));
+  }
+
+  next();
+}
+
+// router.param handler for :agreement_number
+function authorizeAgreementNumber(req, res, next, agreementNumber) {
+  if (!apiKeyService.canAccessAgreement(req.apiKey, agreementNumber)) {
+    return next(ApiError.forbidden(`API key has no access to agreement ${agreementNumber}`, 'AGREEMENT_FORBIDDEN'));
+  }
+
+  next();
+}
+
+// router.param handler for :id when it is an agreement_configs ID
+async function authorizeAgreementId(req, res, next, id) {
+  try {
+    if (!req.apiKey || !req.apiKey.agreement_numbers) {
+      return next();
+    }
+
+    const agreement = await AgreementModel.getById(id);
+    if (!apiKeyService.canAccessAgreement(req.apiKey, agreement.agreement_number)) {
+      throw ApiError.forbidden(`API key has no access to agreement ${id}`, 'AGREEMENT_FORBIDDEN');
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  authenticate,
+  authorize,
+  authorizeAgreementNumber,
+  authorizeAgreementId
+};
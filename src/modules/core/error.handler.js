@@ -1,4 +1,5 @@
 const logger = require('./logger');
+const { redactUrl } = require('./redact');
 
 // Global error handler middleware for Express
 function errorHandler(err, req, res, next) {
@@ -7,7 +8,7 @@ function errorHandler(err, req, res, next) {
   
   // Log the error
   logger.error(`${statusCode} - ${errorMessage}`, {
-    url: req.originalUrl,
+    url: redactUrl(req.originalUrl),
     method: req.method,
     ip: req.ip,
     stack: err.stack
@@ -18,17 +19,19 @@ function errorHandler(err, req, res, next) {
     error: {
       message: errorMessage,
       code: err.code || 'INTERNAL_ERROR',
+      ...(err.details ? { details: err.details } : {}),
       ...(process.env.NODE_ENV === 'development' ? { stack: err.stack } : {})
     }
   });
 }
 
-// Custom API error class
+// Custom API error class. details is returned to the client as is.
 class ApiError extends Error {
-  constructor(message, statusCode, code) {
+  constructor(message, statusCode, code, details = null) {
     super(message);
     this.statusCode = statusCode;
     this.code = code;
+    this.details = details;
     Error.captureStackTrace(this, this.constructor);
   }
   
@@ -36,10 +39,22 @@ class ApiError extends Error {
     return new ApiError(message, 400, code);
   }
   
+  static unauthorized(message, code = 'UNAUTHORIZED') {
+    return new ApiError(message, 401, code);
+  }
+  
+  static forbidden(message, code = 'FORBIDDEN') {
+    return new ApiError(message, 403, code);
+  }
+  
   static notFound(message, code = 'NOT_FOUND') {
     return new ApiError(message, 404, code);
   }
   
+  static conflict(message, code = 'CONFLICT') {
+    return new ApiError(message, 409, code);
+  }
+  
   static internal(message, code = 'INTERNAL_ERROR') {
     return new ApiError(message, 500, code);
   }
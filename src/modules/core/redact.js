@@ -0,0 +1,24 @@
+// Query parameters that carry credentials. e-conomic webhooks can only
+// authenticate with a secret in their URL, so it must never reach the logs.
+const SECRET_PARAMS = ['secret'];
+
+// A request URL that is safe to log, with credential values replaced
+function redactUrl(url) {
+  const [path, query] = url.split('?');
+  if (!query) {
+    return url;
+  }
+
+  const params = new URLSearchParams(query);
+  for (const name of SECRET_PARAMS) {
+    if (params.has(name)) {
+      params.set(name, '[REDACTED]');
+    }
+  }
+
+  return `${path}?${params.toString()}`;
+}
+
+module.exports = {
+  redactUrl
+};
@@ -1,10 +1,11 @@
 const customerService = require('./customer.service');
 const logger = require('../core/logger');
+const { parseSyncOptions } = require('../sync/sync.options');
 
 class CustomerController {
   async syncCustomers(req, res, next) {
     try {
-      const result = await customerService.syncAllCustomers();
+      const result = await customerService.syncAllCustomers(parseSyncOptions(req));
       res.json(result);
     } catch (error) {
       next(error);
@@ -15,7 +16,7 @@ class CustomerController {
     try {
       const { id } = req.params;
       const agreement = await require('../agreements/agreement.model').getById(id);
-      const result = await customerService.syncCustomersForAgreement(agreement);
+      const result = await customerService.syncCustomersForAgreement(agreement, parseSyncOptions(req));
       res.json(result);
     } catch (error) {
       next(error);
@@ -25,7 +26,10 @@ class CustomerController {
   async getCustomers(req, res, next) {
     try {
       const { agreement_number } = req.params;
-      const customers = await customerService.getCustomersByAgreement(parseInt(agreement_number));
+      const customers = await customerService.getCustomersByAgreement(
+        parseInt(agreement_number),
+        req.query.include_deleted === 'true'
+      );
       res.json(customers);
     } catch (error) {
       next(error);
@@ -37,7 +41,9 @@ class CustomerController {
       const { agreement_number, customer_number } = req.params;
       const customer = await customerService.getCustomerByNumber(
         parseInt(customer_number), 
-        parseInt(agreement_number)
+        parseInt(agreement_number),
+        req.query.include_deleted === 'true',
+        req.query.as_of
       );
       res.json(customer);
     } catch (error) {
@@ -1,12 +1,16 @@
 const db = require('../../db');
 const logger = require('../core/logger');
+const SyncLogModel = require('../sync/sync-log.model');
 const { ApiError } = require('../core/error.handler');
+const { markMissingAsDeleted, markKeysAsDeleted } = require('../sync/tombstone');
+const { upsertRows } = require('../sync/batch-upsert');
+const { findVersion } = require('../sync/record-history');
 
 class CustomerModel {
-  static async findByNumberAndAgreement(customerNumber, agreementNumber) {
+  static async findByNumberAndAgreement(customerNumber, agreementNumber, includeDeleted = false) {
     try {
       const customers = await db.query(
-        'SELECT * FROM customers WHERE customer_number = ? AND agreement_number = ?',
+        `SELECT * FROM customers WHERE customer_number = ? AND agreement_number = ?${includeDeleted ? '' : ' AND deleted_at IS NULL'}`,
         [customerNumber, agreementNumber]
       );
       
@@ -17,10 +21,15 @@ class CustomerModel {
     }
   }
 
-  static async getByAgreement(agreementNumber) {
+  // Find a customer as it was at a point in time, from its history
+  static async findAsOf(customerNumber, agreementNumber, asOf) {
+    return await findVersion('customers', customerNumber, agreementNumber, asOf);
+  }
+
+  static async getByAgreement(agreementNumber, includeDeleted = false) {
     try {
       return await db.query(
-        'SELECT * FROM customers WHERE agreement_number = ? ORDER BY customer_number',
+        `SELECT * FROM customers WHERE agreement_number = ?${includeDeleted ? '' : ' AND deleted_at IS NULL'} ORDER BY customer_number`,
         [agreementNumber]
       );
     } catch (error) {
@@ -29,143 +38,68 @@ class CustomerModel {
     }
   }
 
+  // Columns stored for customers
+  static toRow(customerData) {
+    return {
+      customer_number: customerData.customer_number,
+      agreement_number: customerData.agreement_number,
+      name: customerData.name,
+      currency: customerData.currency,
+      payment_terms_number: customerData.payment_terms_number,
+      customer_group_number: customerData.customer_group_number,
+      address: customerData.address,
+      balance: customerData.balance,
+      due_amount: customerData.due_amount,
+      corporate_identification_number: customerData.corporate_identification_number,
+      city: customerData.city,
+      country: customerData.country,
+      email: customerData.email,
+      zip: customerData.zip,
+      telephone_and_fax_number: customerData.telephone_and_fax_number,
+      vat_zone_number: customerData.vat_zone_number,
+      last_updated: customerData.last_updated,
+      self_url: customerData.self_url
+    };
+  }
+
+  // Create or update a customer. Tombstoned customers come back.
   static async upsert(customerData) {
+    await this.batchUpsert([customerData]);
+    return this.toRow(customerData);
+  }
+
+  // Create or update many customers in transactional chunks. Returns inserted, updated and unchanged counts.
+  static async batchUpsert(customers) {
     try {
-      const existing = await this.findByNumberAndAgreement(
-        customerData.customer_number, 
-        customerData.agreement_number
-      );
-      
-      if (existing) {
-        await db.query(
-          `UPDATE customers SET
-            name = ?,
-            currency = ?,
-            payment_terms_number = ?,
-            customer_group_number = ?,
-            address = ?,
-            balance = ?,
-            due_amount = ?,
-            corporate_identification_number = ?,
-            city = ?,
-            country = ?,
-            email = ?,
-            zip = ?,
-            telephone_and_fax_number = ?,
-            vat_zone_number = ?,
-            last_updated = ?,
-            self_url = ?,
-            updated_at = CURRENT_TIMESTAMP
-          WHERE customer_number = ? AND agreement_number = ?`,
-          [
-            customerData.name,
-            customerData.currency,
-            customerData.payment_terms_number,
-            customerData.customer_group_number,
-            customerData.address,
-            customerData.balance,
-            customerData.due_amount,
-            customerData.corporate_identification_number,
-            customerData.city,
-            customerData.country,
-            customerData.email,
-            customerData.zip,
-            customerData.telephone_and_fax_number,
-            customerData.vat_zone_number,
-            customerData.last_updated,
-            customerData.self_url,
-            customerData.customer_number,
-            customerData.agreement_number
-          ]
-        );
-        
-        return { ...existing, ...customerData };
-      } else {
-        await db.query(
-          `INSERT INTO customers (
-            customer_number,
-            agreement_number,
-            name,
-            currency,
-            payment_terms_number,
-            customer_group_number,
-            address,
-            balance,
-            due_amount,
-            corporate_identification_number,
-            city,
-            country,
-            email,
-            zip,
-            telephone_and_fax_number,
-            vat_zone_number,
-            last_updated,
-            self_url
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [
-            customerData.customer_number,
-            customerData.agreement_number,
-            customerData.name,
-            customerData.currency,
-            customerData.payment_terms_number,
-            customerData.customer_group_number,
-            customerData.address,
-            customerData.balance,
-            customerData.due_amount,
-            customerData.corporate_identification_number,
-            customerData.city,
-            customerData.country,
-            customerData.email,
-            customerData.zip,
-            customerData.telephone_and_fax_number,
-            customerData.vat_zone_number,
-            customerData.last_updated,
-            customerData.self_url
-          ]
-        );
-        
-        return customerData;
-      }
+      return await upsertRows('customers', customers.map(customer => this.toRow(customer)), {
+        keyColumns: ['customer_number', 'agreement_number'],
+        reviveDeleted: true
+      });
     } catch (error) {
-      logger.error('Error upserting customer:', error.message);
+      logger.error('Error upserting customers:', error.message);
       throw error;
     }
   }
 
-  static async recordSyncLog(agreementNumber, recordCount = 0, errorMessage = null, startTime = null) {
-    try {
-      const started = startTime || new Date();
-      const completed = new Date();
-      const durationMs = completed.getTime() - started.getTime();
-      
-      await db.query(
-        `INSERT INTO sync_logs (
-          entity, operation, record_count, status, 
-          error_message, started_at, completed_at, duration_ms
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          `customers_${agreementNumber}`,
-          'sync',
-          recordCount,
-          errorMessage ? 'error' : 'success',
-          errorMessage,
-          started,
-          completed,
-          durationMs
-        ]
-      );
-      
-      return {
-        entity: `customers_${agreementNumber}`,
-        operation: 'sync',
-        status: errorMessage ? 'error' : 'success',
-        recordCount,
-        durationMs
-      };
-    } catch (error) {
-      logger.error('Error recording sync log:', error.message);
-      return null;
-    }
+  // Tombstone customers that were not returned by a full sync
+  static async markDeleted(agreementNumber, customerNumbers) {
+    return await markMissingAsDeleted('customers', 'customer_number', agreementNumber, customerNumbers);
+  }
+
+  // Tombstone customers that e-conomic reported as deleted
+  static async tombstone(agreementNumber, customerNumbers) {
+    return await markKeysAsDeleted('customers', 'customer_number', agreementNumber, customerNumbers);
+  }
+
+  static async recordSyncLog(agreementNumber, recordCount = 0, errorMessage = null, startTime = null, runId = null) {
+    return await SyncLogModel.record({
+      entity: 'customers',
+      agreementNumber,
+      recordCount,
+      errorMessage,
+      startTime,
+      runId
+    });
   }
 }
 
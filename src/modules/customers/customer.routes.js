@@ -1,7 +1,12 @@
 const express = require('express');
 const customerController = require('./customer.controller');
+const { authorizeAgreementNumber, authorizeAgreementId } = require('../auth/auth.middleware');
 const router = express.Router();
 
+// Restrict API keys to their agreements
+router.param('agreement_number', authorizeAgreementNumber);
+router.param('id', authorizeAgreementId);
+
 router.post('/sync', customerController.syncCustomers);
 router.post('/agreements/:id/sync', customerController.syncCustomersForAgreement);
 router.get('/agreements/:agreement_number', customerController.getCustomers);
@@ -2,14 +2,15 @@ const ApiClient = require('../../api/client');
 const endpoints = require('../../api/endpoints');
 const CustomerModel = require('./customer.model');
 const AgreementModel = require('../agreements/agreement.model');
+const { resolveAgreementContext } = require('../agreements/agreement-context');
+const syncPool = require('../sync/sync-pool');
+const SyncWatermarkModel = require('../sync/sync-watermark.model');
+const { SyncDiff, buildDiffReport } = require('../sync/sync-diff');
+const { parseAsOf } = require('../sync/record-history');
 const logger = require('../core/logger');
 const { ApiError } = require('../core/error.handler');
 
 class CustomerService {
-  getClientForAgreement(agreementToken) {
-    return ApiClient.forAgreement(agreementToken);
-  }
-
   transformCustomerData(customer, agreementNumber) {
     return {
       customer_number: customer.customerNumber,
@@ -33,34 +34,68 @@ class CustomerService {
     };
   }
 
-  async syncCustomersForAgreement(agreement) {
+  async syncCustomersForAgreement(agreement, options = {}) {
     const startTime = new Date();
     let recordCount = 0;
     
     try {
       logger.info(`Starting customers sync for agreement ${agreement.name} (${agreement.agreement_number})`);
       
-      const client = this.getClientForAgreement(agreement.agreement_grant_token);
-      const agreementInfo = await client.getAgreementInfo();
-      const agreementNumber = agreementInfo.agreementNumber;
+      // Client and agreement number confirmed by the API
+      const context = options.context || await resolveAgreementContext(agreement);
+      const { client, agreementNumber } = context;
+      
+      // Only fetch customers changed since the last successful run when incremental
+      const { mode, since } = await SyncWatermarkModel.resolveWindow(agreementNumber, 'customers', options.mode);
+      const params = since ? { filter: ApiClient.lastUpdatedFilter(since) } : {};
       
-      const customers = await client.getPaginated(endpoints.CUSTOMERS);
-      logger.info(`Found ${customers.length} customers for agreement ${agreementNumber}`);
+      const customers = await client.getPaginated(endpoints.CUSTOMERS, params);
+      logger.info(`Found ${customers.length} customers for agreement ${agreementNumber} (${mode} sync)`);
       
+      // Dry runs compare with the stored rows instead of writing
+      const diff = options.dryRun ? await SyncDiff.forAgreement('customers', ['customer_number'], agreementNumber) : null;
+      
+      const upserts = [];
       for (const customer of customers) {
         const customerData = this.transformCustomerData(customer, agreementNumber);
-        await CustomerModel.upsert(customerData);
+        if (diff) {
+          diff.compare(customerData);
+        } else {
+          upserts.push(customerData);
+        }
         recordCount++;
       }
       
-      await CustomerModel.recordSyncLog(
-        agreementNumber,
-        recordCount,
-        null,
-        startTime
-      );
+      // Write in transactional chunks instead of one round trip per record
+      const changes = diff ? null : await CustomerModel.batchUpsert(upserts);
       
-      logger.info(`Completed customers sync for agreement ${agreementNumber}: ${recordCount} records processed`);
+      // A full fetch holds every customer, so anything missing was deleted in e-conomic
+      let deleted = [];
+      if (mode === 'full') {
+        deleted = diff
+          ? diff.markMissing().map(row => row.customer_number)
+          : await CustomerModel.markDeleted(agreementNumber, customers.map(customer => customer.customerNumber));
+      }
+      
+      if (!diff) {
+        await CustomerModel.recordSyncLog(
+          agreementNumber,
+          recordCount,
+          null,
+          startTime,
+          options.runId
+        );
+      
+        await SyncWatermarkModel.markSynced(
+          agreementNumber,
+          'customers',
+          SyncWatermarkModel.nextWatermark(customers, since, startTime),
+          mode,
+          recordCount
+        );
+      }
+      
+      logger.info(`Completed customers sync for agreement ${agreementNumber}: ${recordCount} records processed, ${deleted.length} deleted`);
       
       return {
         agreement: {
@@ -68,24 +103,33 @@ class CustomerService {
           name: agreement.name,
           agreement_number: agreementNumber
         },
-        recordCount
+        mode,
+        recordCount,
+        deletedCount: deleted.length,
+        deleted,
+        ...(diff && { dryRun: true, diff: buildDiffReport(diff) }),
+        ...(changes && { changes }),
+        apiStats: client.getRetryStats()
       };
       
     } catch (error) {
       logger.error(`Error syncing customers for agreement ${agreement.id}:`, error.message);
       
-      await CustomerModel.recordSyncLog(
-        agreement.agreement_number || 'unknown',
-        recordCount,
-        error.message,
-        startTime
-      );
+      if (!options.dryRun) {
+        await CustomerModel.recordSyncLog(
+          agreement.agreement_number || 'unknown',
+          recordCount,
+          error.message,
+          startTime,
+          options.runId
+        );
+      }
       
       throw error;
     }
   }
 
-  async syncAllCustomers() {
+  async syncAllCustomers(options = {}) {
     const startTime = new Date();
     const agreementResults = [];
     let totalCount = 0;
@@ -105,9 +149,10 @@ class CustomerService {
         };
       }
       
-      for (const agreement of agreements) {
+      // Sync agreements side by side, bounded by the shared sync pool
+      await syncPool.forEachAgreement(agreements, async agreement => {
         try {
-          const result = await this.syncCustomersForAgreement(agreement);
+          const result = await this.syncCustomersForAgreement(agreement, options);
           agreementResults.push(result);
           totalCount += result.recordCount;
         } catch (error) {
@@ -122,7 +167,7 @@ class CustomerService {
             error: error.message
           });
         }
-      }
+      }, options.signal);
       
       logger.info(`Completed customers sync across all agreements: ${totalCount} records processed`);
       
@@ -138,21 +183,46 @@ class CustomerService {
     }
   }
 
-  async getCustomersByAgreement(agreementNumber) {
+  // Fetch one customer and store it, e.g. when a webhook reports a change.
+  // A customer e-conomic no longer has is tombstoned.
+  async syncCustomerByNumber(context, customerNumber) {
+    const { client, agreementNumber } = context;
+    
+    try {
+      const customer = await client.get(`${endpoints.CUSTOMERS}/${customerNumber}`);
+      const changes = await CustomerModel.batchUpsert([this.transformCustomerData(customer, agreementNumber)]);
+      
+      return { status: 'upserted', changes };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        await CustomerModel.tombstone(agreementNumber, [customerNumber]);
+        return { status: 'deleted' };
+      }
+      
+      logger.error(`Error syncing customer ${customerNumber} for agreement ${agreementNumber}:`, error.message);
+      throw error;
+    }
+  }
+
+  async getCustomersByAgreement(agreementNumber, includeDeleted = false) {
     try {
-      return await CustomerModel.getByAgreement(agreementNumber);
+      return await CustomerModel.getByAgreement(agreementNumber, includeDeleted);
     } catch (error) {
       logger.error(`Error getting customers for agreement ${agreementNumber}:`, error.message);
       throw error;
     }
   }
 
-  async getCustomerByNumber(customerNumber, agreementNumber) {
+  async getCustomerByNumber(customerNumber, agreementNumber, includeDeleted = false, asOf = null) {
     try {
-      const customer = await CustomerModel.findByNumberAndAgreement(customerNumber, agreementNumber);
+      // as_of reads the version that was current then from the history table
+      const asOfDate = parseAsOf('customers', asOf);
+      const customer = asOfDate
+        ? await CustomerModel.findAsOf(customerNumber, agreementNumber, asOfDate)
+        : await CustomerModel.findByNumberAndAgreement(customerNumber, agreementNumber, includeDeleted);
       
       if (!customer) {
-        throw ApiError.notFound(`Customer with number ${customerNumber} not found for agreement ${agreementNumber}`);
+        throw ApiError.notFound(`Customer with number ${customerNumber} not found for agreement ${agreementNumber}${asOfDate ? ` as of ${asOf}` : ''}`);
       }
       
       return customer;
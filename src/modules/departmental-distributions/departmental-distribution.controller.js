@@ -1,10 +1,11 @@
 const departmentalDistributionService = require('./departmental-distribution.service');
 const logger = require('../core/logger');
+const { parseSyncOptions } = require('../sync/sync.options');
 
 class DepartmentalDistributionController {
   async syncDistributions(req, res, next) {
     try {
-      const result = await departmentalDistributionService.syncAllDistributions();
+      const result = await departmentalDistributionService.syncAllDistributions(parseSyncOptions(req));
       res.json(result);
     } catch (error) {
       next(error);
@@ -15,7 +16,7 @@ class DepartmentalDistributionController {
     try {
       const { id } = req.params;
       const agreement = await require('../agreements/agreement.model').getById(id);
-      const result = await departmentalDistributionService.syncDistributionsForAgreement(agreement);
+      const result = await departmentalDistributionService.syncDistributionsForAgreement(agreement, parseSyncOptions(req));
       res.json(result);
     } catch (error) {
       next(error);
@@ -1,6 +1,8 @@
 const db = require('../../db');
 const logger = require('../core/logger');
+const SyncLogModel = require('../sync/sync-log.model');
 const { ApiError } = require('../core/error.handler');
+const { upsertRows } = require('../sync/batch-upsert');
 
 class DepartmentalDistributionModel {
   static async findByNumberAndAgreement(distributionNumber, agreementNumber) {
@@ -29,57 +31,32 @@ class DepartmentalDistributionModel {
     }
   }
 
+  // Columns stored for departmental distributions
+  static toRow(distributionData) {
+    return {
+      departmental_distribution_number: distributionData.departmental_distribution_number,
+      agreement_number: distributionData.agreement_number,
+      name: distributionData.name,
+      barred: distributionData.barred,
+      distribution_type: distributionData.distribution_type,
+      self_url: distributionData.self_url
+    };
+  }
+
+  // Create or update a departmental distribution
   static async upsert(distributionData) {
+    await this.batchUpsert([distributionData]);
+    return this.toRow(distributionData);
+  }
+
+  // Create or update many departmental distributions in transactional chunks. Returns inserted, updated and unchanged counts.
+  static async batchUpsert(distributions) {
     try {
-      const existing = await this.findByNumberAndAgreement(
-        distributionData.departmental_distribution_number, 
-        distributionData.agreement_number
-      );
-      
-      if (existing) {
-        await db.query(
-          `UPDATE departmental_distributions SET
-            name = ?,
-            barred = ?,
-            distribution_type = ?,
-            self_url = ?,
-            updated_at = CURRENT_TIMESTAMP
-          WHERE departmental_distribution_number = ? AND agreement_number = ?`,
-          [
-            distributionData.name,
-            distributionData.barred,
-            distributionData.distribution_type,
-            distributionData.self_url,
-            distributionData.departmental_distribution_number,
-            distributionData.agreement_number
-          ]
-        );
-        
-        return { ...existing, ...distributionData };
-      } else {
-        await db.query(
-          `INSERT INTO departmental_distributions (
-            departmental_distribution_number,
-            agreement_number,
-            name,
-            barred,
-            distribution_type,
-            self_url
-          ) VALUES (?, ?, ?, ?, ?, ?)`,
-          [
-            distributionData.departmental_distribution_number,
-            distributionData.agreement_number,
-            distributionData.name,
-            distributionData.barred,
-            distributionData.distribution_type,
-            distributionData.self_url
-          ]
-        );
-        
-        return distributionData;
-      }
+      return await upsertRows('departmental_distributions', distributions.map(distribution => this.toRow(distribution)), {
+        keyColumns: ['departmental_distribution_number', 'agreement_number']
+      });
     } catch (error) {
-      logger.error('Error upserting departmental distribution:', error.message);
+      logger.error('Error upserting departmental distributions:', error.message);
       throw error;
     }
   }
@@ -98,74 +75,57 @@ class DepartmentalDistributionModel {
     }
   }
 
-  static async clearDistributionPercentages(distributionNumber, agreementNumber) {
-    try {
-      await db.query(
-        'DELETE FROM distribution_percentages WHERE departmental_distribution_number = ? AND agreement_number = ?',
-        [distributionNumber, agreementNumber]
-      );
-    } catch (error) {
-      logger.error(`Error clearing distribution percentages for distribution ${distributionNumber}:`, error.message);
-      throw error;
-    }
-  }
-
-  static async saveDistributionPercentage(data) {
+  // Replace the percentages of the given distributions in one transaction per
+  // chunk. Percentages have no natural key, so they are rewritten rather than upserted.
+  static async replaceDistributionPercentages(agreementNumber, distributionNumbers, percentages) {
+    const chunkSize = 500;
+    
     try {
-      await db.query(
-        `INSERT INTO distribution_percentages (
-          departmental_distribution_number,
-          agreement_number,
-          department_number,
-          percentage
-        ) VALUES (?, ?, ?, ?)`,
-        [
-          data.departmental_distribution_number,
-          data.agreement_number,
-          data.department_number,
-          data.percentage
-        ]
-      );
+      for (let i = 0; i < distributionNumbers.length; i += chunkSize) {
+        const numbers = distributionNumbers.slice(i, i + chunkSize);
+        const chunkSet = new Set(numbers.map(number => String(number)));
+        const rows = percentages.filter(row => chunkSet.has(String(row.departmental_distribution_number)));
+        
+        await db.transaction(async (connection) => {
+          await connection.query(
+            `DELETE FROM distribution_percentages
+            WHERE agreement_number = ? AND departmental_distribution_number IN (${numbers.map(() => '?').join(', ')})`,
+            [agreementNumber, ...numbers]
+          );
+          
+          if (rows.length > 0) {
+            await connection.query(
+              `INSERT INTO distribution_percentages (
+                departmental_distribution_number,
+                agreement_number,
+                department_number,
+                percentage
+              ) VALUES ${rows.map(() => '(?, ?, ?, ?)').join(', ')}`,
+              rows.flatMap(row => [
+                row.departmental_distribution_number,
+                agreementNumber,
+                row.department_number,
+                row.percentage
+              ])
+            );
+          }
+        });
+      }
     } catch (error) {
-      logger.error('Error saving distribution percentage:', error.message);
+      logger.error(`Error replacing distribution percentages for agreement ${agreementNumber}:`, error.message);
       throw error;
     }
   }
 
-  static async recordSyncLog(agreementNumber, recordCount = 0, errorMessage = null, startTime = null) {
-    try {
-      const started = startTime || new Date();
-      const completed = new Date();
-      const durationMs = completed.getTime() - started.getTime();
-      
-      await db.query(
-        `INSERT INTO sync_logs (
-          entity, operation, record_count, status, 
-          error_message, started_at, completed_at, duration_ms
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          `departmental_distributions_${agreementNumber}`,
-          'sync',
-          recordCount,
-          errorMessage ? 'error' : 'success',
-          errorMessage,
-          started,
-          completed,
-          durationMs
-        ]
-      );
-      
-      return {
-        entity: `departmental_distributions_${agreementNumber}`,
-        operation: 'sync',
-        status: errorMessage ? 'error' : 'success',
-        recordCount,
-        durationMs
-      };
-    } catch (error) {
-      logger.error('Error recording sync log:', error.message);
-      return null;
-    }
+  static async recordSyncLog(agreementNumber, recordCount = 0, errorMessage = null, startTime = null, runId = null) {
+    return await SyncLogModel.record({
+      entity: 'departmental_distributions',
+      agreementNumber,
+      recordCount,
+      errorMessage,
+      startTime,
+      runId
+    });
   }
 }
 
@@ -1,7 +1,12 @@
 const express = require('express');
 const departmentalDistributionController = require('./departmental-distribution.controller');
+const { authorizeAgreementNumber, authorizeAgreementId } = require('../auth/auth.middleware');
 const router = express.Router();
 
+// Restrict API keys to their agreements
+router.param('agreement_number', authorizeAgreementNumber);
+router.param('id', authorizeAgreementId);
+
 router.post('/sync', departmentalDistributionController.syncDistributions);
 router.post('/agreements/:id/sync', departmentalDistributionController.syncDistributionsForAgreement);
 router.get('/agreements/:agreement_number', departmentalDistributionController.getDistributions);
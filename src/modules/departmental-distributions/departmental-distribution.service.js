@@ -1,15 +1,14 @@
-const ApiClient = require('../../api/client');
 const endpoints = require('../../api/endpoints');
 const DepartmentalDistributionModel = require('./departmental-distribution.model');
 const AgreementModel = require('../agreements/agreement.model');
+const { resolveAgreementContext } = require('../agreements/agreement-context');
+const syncPool = require('../sync/sync-pool');
+const SyncWatermarkModel = require('../sync/sync-watermark.model');
+const { SyncDiff, buildDiffReport } = require('../sync/sync-diff');
 const logger = require('../core/logger');
 const { ApiError } = require('../core/error.handler');
 
 class DepartmentalDistributionService {
-  getClientForAgreement(agreementToken) {
-    return ApiClient.forAgreement(agreementToken);
-  }
-
   transformDistributionData(distribution, agreementNumber) {
     return {
       departmental_distribution_number: distribution.departmentalDistributionNumber,
@@ -21,54 +20,81 @@ class DepartmentalDistributionService {
     };
   }
 
-  async syncDistributionsForAgreement(agreement) {
+  async syncDistributionsForAgreement(agreement, options = {}) {
     const startTime = new Date();
     let recordCount = 0;
     
     try {
       logger.info(`Starting departmental distributions sync for agreement ${agreement.name} (${agreement.agreement_number})`);
       
-      const client = this.getClientForAgreement(agreement.agreement_grant_token);
-      const agreementInfo = await client.getAgreementInfo();
-      const agreementNumber = agreementInfo.agreementNumber;
+      // Client and agreement number confirmed by the API
+      const context = options.context || await resolveAgreementContext(agreement);
+      const { client, agreementNumber } = context;
+      const { mode } = await SyncWatermarkModel.resolveWindow(agreementNumber, 'departmental_distributions', options.mode);
       
       const distributions = await client.getPaginated(endpoints.DEPARTMENTAL_DISTRIBUTIONS);
       logger.info(`Found ${distributions.length} departmental distributions for agreement ${agreementNumber}`);
       
+      // Dry runs compare with the stored rows instead of writing
+      const diffs = options.dryRun
+        ? {
+            distributions: await SyncDiff.forAgreement('departmental_distributions', ['departmental_distribution_number'], agreementNumber),
+            percentages: await SyncDiff.forAgreement('distribution_percentages', ['departmental_distribution_number', 'department_number'], agreementNumber)
+          }
+        : null;
+      
+      const upserts = [];
+      const allPercentages = [];
+      
       for (const distribution of distributions) {
-        // Create or update the main distribution record
         const distributionData = this.transformDistributionData(distribution, agreementNumber);
-        await DepartmentalDistributionModel.upsert(distributionData);
-        
-        // Clear existing percentages
-        await DepartmentalDistributionModel.clearDistributionPercentages(
-          distributionData.departmental_distribution_number, 
-          agreementNumber
-        );
+        const percentages = (Array.isArray(distribution.distributions) ? distribution.distributions : [])
+          .filter(item => item.department && item.percentage)
+          .map(item => ({
+            departmental_distribution_number: distributionData.departmental_distribution_number,
+            agreement_number: agreementNumber,
+            department_number: item.department.departmentNumber,
+            percentage: item.percentage
+          }));
         
-        // Add new percentages
-        if (distribution.distributions && Array.isArray(distribution.distributions)) {
-          for (const item of distribution.distributions) {
-            if (item.department && item.percentage) {
-              await DepartmentalDistributionModel.saveDistributionPercentage({
-                departmental_distribution_number: distributionData.departmental_distribution_number,
-                agreement_number: agreementNumber,
-                department_number: item.department.departmentNumber,
-                percentage: item.percentage
-              });
-            }
-          }
+        if (diffs) {
+          diffs.distributions.compare(distributionData);
+          percentages.forEach(percentage => diffs.percentages.compare(percentage));
+          recordCount++;
+          continue;
         }
         
+        upserts.push(distributionData);
+        allPercentages.push(...percentages);
         recordCount++;
       }
       
-      await DepartmentalDistributionModel.recordSyncLog(
-        agreementNumber,
-        recordCount,
-        null,
-        startTime
-      );
+      // Distributions first, their percentages reference them
+      let changes = null;
+      if (!diffs) {
+        changes = await DepartmentalDistributionModel.batchUpsert(upserts);
+        await DepartmentalDistributionModel.replaceDistributionPercentages(
+          agreementNumber,
+          upserts.map(distributionData => distributionData.departmental_distribution_number),
+          allPercentages
+        );
+      }
+      
+      if (diffs) {
+        // Percentages of synced distributions that are not sent again are cleared
+        const synced = new Set(distributions.map(distribution => String(distribution.departmentalDistributionNumber)));
+        diffs.percentages.markMissing(row => synced.has(String(row.departmental_distribution_number)));
+      } else {
+        await DepartmentalDistributionModel.recordSyncLog(
+          agreementNumber,
+          recordCount,
+          null,
+          startTime,
+          options.runId
+        );
+        
+        await SyncWatermarkModel.markSynced(agreementNumber, 'departmental_distributions', startTime, mode, recordCount);
+      }
       
       logger.info(`Completed departmental distributions sync for agreement ${agreementNumber}: ${recordCount} records processed`);
       
@@ -78,24 +104,31 @@ class DepartmentalDistributionService {
           name: agreement.name,
           agreement_number: agreementNumber
         },
-        recordCount
+        mode,
+        recordCount,
+        ...(diffs && { dryRun: true, diff: buildDiffReport(diffs.distributions, diffs.percentages) }),
+        ...(changes && { changes }),
+        apiStats: client.getRetryStats()
       };
       
     } catch (error) {
       logger.error(`Error syncing departmental distributions for agreement ${agreement.id}:`, error.message);
       
-      await DepartmentalDistributionModel.recordSyncLog(
-        agreement.agreement_number || 'unknown',
-        recordCount,
-        error.message,
-        startTime
-      );
+      if (!options.dryRun) {
+        await DepartmentalDistributionModel.recordSyncLog(
+          agreement.agreement_number || 'unknown',
+          recordCount,
+          error.message,
+          startTime,
+          options.runId
+        );
+      }
       
       throw error;
     }
   }
 
-  async syncAllDistributions() {
+  async syncAllDistributions(options = {}) {
     const startTime = new Date();
     const agreementResults = [];
     let totalCount = 0;
@@ -115,9 +148,10 @@ class DepartmentalDistributionService {
         };
       }
       
-      for (const agreement of agreements) {
+      // Sync agreements side by side, bounded by the shared sync pool
+      await syncPool.forEachAgreement(agreements, async agreement => {
         try {
-          const result = await this.syncDistributionsForAgreement(agreement);
+          const result = await this.syncDistributionsForAgreement(agreement, options);
           agreementResults.push(result);
           totalCount += result.recordCount;
         } catch (error) {
@@ -132,7 +166,7 @@ class DepartmentalDistributionService {
             error: error.message
           });
         }
-      }
+      }, options.signal);
       
       logger.info(`Completed departmental distributions sync across all agreements: ${totalCount} records processed`);
       
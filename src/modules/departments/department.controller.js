@@ -1,10 +1,11 @@
 const departmentService = require('./department.service');
 const logger = require('../core/logger');
+const { parseSyncOptions } = require('../sync/sync.options');
 
 class DepartmentController {
   async syncDepartments(req, res, next) {
     try {
-      const result = await departmentService.syncAllDepartments();
+      const result = await departmentService.syncAllDepartments(parseSyncOptions(req));
       res.json(result);
     } catch (error) {
       next(error);
@@ -15,7 +16,7 @@ class DepartmentController {
     try {
       const { id } = req.params;
       const agreement = await require('../agreements/agreement.model').getById(id);
-      const result = await departmentService.syncDepartmentsForAgreement(agreement);
+      const result = await departmentService.syncDepartmentsForAgreement(agreement, parseSyncOptions(req));
       res.json(result);
     } catch (error) {
       next(error);
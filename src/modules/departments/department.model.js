@@ -1,6 +1,8 @@
 const db = require('../../db');
 const logger = require('../core/logger');
+const SyncLogModel = require('../sync/sync-log.model');
 const { ApiError } = require('../core/error.handler');
+const { upsertRows } = require('../sync/batch-upsert');
 
 class DepartmentModel {
   static async findByNumberAndAgreement(departmentNumber, agreementNumber) {
@@ -29,87 +31,43 @@ class DepartmentModel {
     }
   }
 
+  // Columns stored for departments
+  static toRow(departmentData) {
+    return {
+      department_number: departmentData.department_number,
+      agreement_number: departmentData.agreement_number,
+      name: departmentData.name,
+      self_url: departmentData.self_url
+    };
+  }
+
+  // Create or update a department
   static async upsert(departmentData) {
+    await this.batchUpsert([departmentData]);
+    return this.toRow(departmentData);
+  }
+
+  // Create or update many departments in transactional chunks. Returns inserted, updated and unchanged counts.
+  static async batchUpsert(departments) {
     try {
-      const existing = await this.findByNumberAndAgreement(
-        departmentData.department_number, 
-        departmentData.agreement_number
-      );
-      
-      if (existing) {
-        await db.query(
-          `UPDATE departments SET
-            name = ?,
-            self_url = ?,
-            updated_at = CURRENT_TIMESTAMP
-          WHERE department_number = ? AND agreement_number = ?`,
-          [
-            departmentData.name,
-            departmentData.self_url,
-            departmentData.department_number,
-            departmentData.agreement_number
-          ]
-        );
-        
-        return { ...existing, ...departmentData };
-      } else {
-        await db.query(
-          `INSERT INTO departments (
-            department_number,
-            agreement_number,
-            name,
-            self_url
-          ) VALUES (?, ?, ?, ?)`,
-          [
-            departmentData.department_number,
-            departmentData.agreement_number,
-            departmentData.name,
-            departmentData.self_url
-          ]
-        );
-        
-        return departmentData;
-      }
+      return await upsertRows('departments', departments.map(department => this.toRow(department)), {
+        keyColumns: ['department_number', 'agreement_number']
+      });
     } catch (error) {
-      logger.error('Error upserting department:', error.message);
+      logger.error('Error upserting departments:', error.message);
       throw error;
     }
   }
 
-  static async recordSyncLog(agreementNumber, recordCount = 0, errorMessage = null, startTime = null) {
-    try {
-      const started = startTime || new Date();
-      const completed = new Date();
-      const durationMs = completed.getTime() - started.getTime();
-      
-      await db.query(
-        `INSERT INTO sync_logs (
-          entity, operation, record_count, status, 
-          error_message, started_at, completed_at, duration_ms
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          `departments_${agreementNumber}`,
-          'sync',
-          recordCount,
-          errorMessage ? 'error' : 'success',
-          errorMessage,
-          started,
-          completed,
-          durationMs
-        ]
-      );
-      
-      return {
-        entity: `departments_${agreementNumber}`,
-        operation: 'sync',
-        status: errorMessage ? 'error' : 'success',
-        recordCount,
-        durationMs
-      };
-    } catch (error) {
-      logger.error('Error recording sync log:', error.message);
-      return null;
-    }
+  static async recordSyncLog(agreementNumber, recordCount = 0, errorMessage = null, startTime = null, runId = null) {
+    return await SyncLogModel.record({
+      entity: 'departments',
+      agreementNumber,
+      recordCount,
+      errorMessage,
+      startTime,
+      runId
+    });
   }
 }
 
@@ -1,7 +1,12 @@
 const express = require('express');
 const departmentController = require('./department.controller');
+const { authorizeAgreementNumber, authorizeAgreementId } = require('../auth/auth.middleware');
 const router = express.Router();
 
+// Restrict API keys to their agreements
+router.param('agreement_number', authorizeAgreementNumber);
+router.param('id', authorizeAgreementId);
+
 router.post('/sync', departmentController.syncDepartments);
 router.post('/agreements/:id/sync', departmentController.syncDepartmentsForAgreement);
 router.get('/agreements/:agreement_number', departmentController.getDepartments);
@@ -1,15 +1,14 @@
-const ApiClient = require('../../api/client');
 const endpoints = require('../../api/endpoints');
 const DepartmentModel = require('./department.model');
 const AgreementModel = require('../agreements/agreement.model');
+const { resolveAgreementContext } = require('../agreements/agreement-context');
+const syncPool = require('../sync/sync-pool');
+const SyncWatermarkModel = require('../sync/sync-watermark.model');
+const { SyncDiff, buildDiffReport } = require('../sync/sync-diff');
 const logger = require('../core/logger');
 const { ApiError } = require('../core/error.handler');
 
 class DepartmentService {
-  getClientForAgreement(agreementToken) {
-    return ApiClient.forAgreement(agreementToken);
-  }
-
   transformDepartmentData(department, agreementNumber) {
     return {
       department_number: department.departmentNumber,
@@ -19,32 +18,49 @@ class DepartmentService {
     };
   }
 
-  async syncDepartmentsForAgreement(agreement) {
+  async syncDepartmentsForAgreement(agreement, options = {}) {
     const startTime = new Date();
     let recordCount = 0;
     
     try {
       logger.info(`Starting departments sync for agreement ${agreement.name} (${agreement.agreement_number})`);
       
-      const client = this.getClientForAgreement(agreement.agreement_grant_token);
-      const agreementInfo = await client.getAgreementInfo();
-      const agreementNumber = agreementInfo.agreementNumber;
+      // Client and agreement number confirmed by the API
+      const context = options.context || await resolveAgreementContext(agreement);
+      const { client, agreementNumber } = context;
+      const { mode } = await SyncWatermarkModel.resolveWindow(agreementNumber, 'departments', options.mode);
       
       const departments = await client.getPaginated(endpoints.DEPARTMENTS);
       logger.info(`Found ${departments.length} departments for agreement ${agreementNumber}`);
       
+      // Dry runs compare with the stored rows instead of writing
+      const diff = options.dryRun ? await SyncDiff.forAgreement('departments', ['department_number'], agreementNumber) : null;
+      
+      const upserts = [];
       for (const department of departments) {
         const departmentData = this.transformDepartmentData(department, agreementNumber);
-        await DepartmentModel.upsert(departmentData);
+        if (diff) {
+          diff.compare(departmentData);
+        } else {
+          upserts.push(departmentData);
+        }
         recordCount++;
       }
       
-      await DepartmentModel.recordSyncLog(
-        agreementNumber,
-        recordCount,
-        null,
-        startTime
-      );
+      // Write in transactional chunks instead of one round trip per record
+      const changes = diff ? null : await DepartmentModel.batchUpsert(upserts);
+      
+      if (!diff) {
+        await DepartmentModel.recordSyncLog(
+          agreementNumber,
+          recordCount,
+          null,
+          startTime,
+          options.runId
+        );
+      
+        await SyncWatermarkModel.markSynced(agreementNumber, 'departments', startTime, mode, recordCount);
+      }
       
       logger.info(`Completed departments sync for agreement ${agreementNumber}: ${recordCount} records processed`);
       
@@ -54,24 +70,31 @@ class DepartmentService {
           name: agreement.name,
           agreement_number: agreementNumber
         },
-        recordCount
+        mode,
+        recordCount,
+        ...(diff && { dryRun: true, diff: buildDiffReport(diff) }),
+        ...(changes && { changes }),
+        apiStats: client.getRetryStats()
       };
       
     } catch (error) {
       logger.error(`Error syncing departments for agreement ${agreement.id}:`, error.message);
       
-      await DepartmentModel.recordSyncLog(
-        agreement.agreement_number || 'unknown',
-        recordCount,
-        error.message,
-        startTime
-      );
+      if (!options.dryRun) {
+        await DepartmentModel.recordSyncLog(
+          agreement.agreement_number || 'unknown',
+          recordCount,
+          error.message,
+          startTime,
+          options.runId
+        );
+      }
       
       throw error;
     }
   }
 
-  async syncAllDepartments() {
+  async syncAllDepartments(options = {}) {
     const startTime = new Date();
     const agreementResults = [];
     let totalCount = 0;
@@ -91,9 +114,10 @@ class DepartmentService {
         };
       }
       
-      for (const agreement of agreements) {
+      // Sync agreements side by side, bounded by the shared sync pool
+      await syncPool.forEachAgreement(agreements, async agreement => {
         try {
-          const result = await this.syncDepartmentsForAgreement(agreement);
+          const result = await this.syncDepartmentsForAgreement(agreement, options);
           agreementResults.push(result);
           totalCount += result.recordCount;
         } catch (error) {
@@ -108,7 +132,7 @@ class DepartmentService {
             error: error.message
           });
         }
-      }
+      }, options.signal);
       
       logger.info(`Completed departments sync across all agreements: ${totalCount} records processed`);
       
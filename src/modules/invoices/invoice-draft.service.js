@@ -0,0 +1,346 @@
+const endpoints = require('../../api/endpoints');
+const InvoiceModel = require('./invoice.model');
+const invoiceService = require('./invoice.service');
+const CustomerModel = require('../customers/customer.model');
+const ProductModel = require('../products/product.model');
+const ProductGroupModel = require('../product-groups/product-group.model');
+const AccountModel = require('../accounts/account.model');
+const PaymentTermsModel = require('../payment-terms/payment-terms.model');
+const VatAccountModel = require('../vat-accounts/vat-account.model');
+const { resolveAgreementContextByNumber } = require('../agreements/agreement-context');
+const logger = require('../core/logger');
+const { ApiError } = require('../core/error.handler');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+// Creates, updates and books draft invoices in e-conomic from our own billing
+// data. Drafts are checked against the synced customers, products, payment
+// terms and VAT accounts before they are sent, and e-conomic's response is
+// stored right away so it can be read back without waiting for the next sync.
+class InvoiceDraftService {
+  // Create a draft invoice. Retrying with the same idempotency key returns the
+  // draft created by the first request instead of creating another one.
+  async createDraft(agreementNumber, body, idempotencyKey = null) {
+    try {
+      const context = await resolveAgreementContextByNumber(agreementNumber);
+      const draft = await this.validateDraft(context.agreementNumber, body);
+
+      const invoice = await context.client.post(endpoints.INVOICES_DRAFTS, this.buildPayload(draft), { idempotencyKey });
+      logger.info(`Created draft invoice ${invoice.draftInvoiceNumber} for agreement ${context.agreementNumber}`);
+
+      return await this.storeDraft(context, invoice);
+    } catch (error) {
+      logger.error(`Error creating draft invoice for agreement ${agreementNumber}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Replace the contents of an existing draft invoice
+  async updateDraft(agreementNumber, draftNumber, body) {
+    try {
+      const context = await resolveAgreementContextByNumber(agreementNumber);
+      const draft = await this.validateDraft(context.agreementNumber, body);
+
+      // Stored invoices are keyed by customer, so a new customer would leave the old row behind
+      const stored = await InvoiceModel.findByNumberAndAgreement(draftNumber, context.agreementNumber, true);
+      if (stored && stored.customer_number !== draft.customer.customer_number) {
+        throw ApiError.badRequest(
+          `Draft invoice ${draftNumber} belongs to customer ${stored.customer_number}. Create a new draft for customer ${draft.customer.customer_number}`,
+          'CUSTOMER_CHANGE_NOT_SUPPORTED'
+        );
+      }
+
+      const invoice = await context.client.put(`${endpoints.INVOICES_DRAFTS}/${draftNumber}`, this.buildPayload(draft));
+      logger.info(`Updated draft invoice ${draftNumber} for agreement ${context.agreementNumber}`);
+
+      return await this.storeDraft(context, invoice);
+    } catch (error) {
+      logger.error(`Error updating draft invoice ${draftNumber} for agreement ${agreementNumber}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Book a draft invoice and store the booked invoice. The stored draft is
+  // marked deleted and linked to the booked invoice, as a sync would do. If
+  // storing fails the invoice is booked all the same; a retry with the same
+  // idempotency key stores it without booking again.
+  async bookDraft(agreementNumber, draftNumber, options = {}, idempotencyKey = null) {
+    try {
+      const { bookWithNumber = null } = options;
+      if (bookWithNumber !== null && !isPositiveInteger(bookWithNumber)) {
+        throw ApiError.badRequest('book_with_number must be a positive integer', 'INVALID_INVOICE_NUMBER');
+      }
+
+      const context = await resolveAgreementContextByNumber(agreementNumber);
+
+      const payload = { draftInvoice: { draftInvoiceNumber: draftNumber } };
+      if (bookWithNumber !== null) {
+        payload.bookWithNumber = bookWithNumber;
+      }
+
+      const booked = await context.client.post(endpoints.INVOICES_BOOKED, payload, { idempotencyKey });
+      const invoiceNumber = booked.bookedInvoiceNumber;
+      logger.info(`Booked draft invoice ${draftNumber} as invoice ${invoiceNumber} for agreement ${context.agreementNumber}`);
+
+      await invoiceService.syncInvoiceByNumber(context, invoiceNumber, 'booked');
+      await InvoiceModel.tombstoneDrafts(context.agreementNumber, [draftNumber]);
+      await InvoiceModel.markDraftBooked(draftNumber, context.agreementNumber, invoiceNumber);
+
+      return await invoiceService.getInvoiceByNumber(invoiceNumber, context.agreementNumber);
+    } catch (error) {
+      logger.error(`Error booking draft invoice ${draftNumber} for agreement ${agreementNumber}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Check a draft against the synced data of the agreement. Every problem is
+  // reported at once in the error details, one entry per field.
+  async validateDraft(agreementNumber, body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw ApiError.badRequest('Expected a draft invoice object', 'INVALID_DRAFT_INVOICE');
+    }
+
+    const errors = [];
+    const addError = (field, message, code) => errors.push({ field, message, code });
+
+    let customer = null;
+    if (!isPositiveInteger(body.customer_number)) {
+      addError('customer_number', 'customer_number must be a positive integer', 'INVALID_CUSTOMER_NUMBER');
+    } else {
+      customer = await CustomerModel.findByNumberAndAgreement(body.customer_number, agreementNumber);
+
+      if (!customer) {
+        addError('customer_number', `Customer ${body.customer_number} not found`, 'UNKNOWN_CUSTOMER');
+      } else if (customer.vat_zone_number === null) {
+        addError('customer_number', `Customer ${body.customer_number} has no VAT zone`, 'MISSING_VAT_ZONE');
+      }
+    }
+
+    // Currency and payment terms default to the customer's
+    const currency = body.currency ?? customer?.currency;
+    if (typeof currency !== 'string' || !CURRENCY_CODE.test(currency.toUpperCase())) {
+      addError('currency', 'currency must be a three-letter currency code', 'INVALID_CURRENCY');
+    }
+
+    const paymentTermsNumber = body.payment_terms_number ?? customer?.payment_terms_number;
+    let paymentTerms = null;
+    if (!isPositiveInteger(paymentTermsNumber)) {
+      addError('payment_terms_number', 'payment_terms_number must be a positive integer', 'INVALID_PAYMENT_TERMS');
+    } else {
+      paymentTerms = await PaymentTermsModel.findByNumberAndAgreement(paymentTermsNumber, agreementNumber);
+
+      if (!paymentTerms) {
+        addError('payment_terms_number', `Payment terms ${paymentTermsNumber} not found`, 'UNKNOWN_PAYMENT_TERMS');
+      }
+    }
+
+    // Layouts are not synced, so e-conomic checks that the layout exists
+    if (!isPositiveInteger(body.layout_number)) {
+      addError('layout_number', 'layout_number must be a positive integer', 'INVALID_LAYOUT');
+    }
+
+    const date = body.date ?? new Date().toISOString().slice(0, 10);
+    for (const [field, value] of [['date', date], ['due_date', body.due_date]]) {
+      if (value !== undefined && value !== null && (!DATE_ONLY.test(value) || isNaN(new Date(value).getTime()))) {
+        addError(field, `Invalid ${field} "${value}". Expected YYYY-MM-DD`, 'INVALID_DATE');
+      }
+    }
+
+    if (body.exchange_rate !== undefined && body.exchange_rate !== null && !(isNumber(body.exchange_rate) && body.exchange_rate > 0)) {
+      addError('exchange_rate', 'exchange_rate must be a positive number', 'INVALID_EXCHANGE_RATE');
+    }
+
+    const lines = [];
+    if (!Array.isArray(body.lines) || body.lines.length === 0) {
+      addError('lines', 'lines must be a non-empty array', 'INVALID_LINES');
+    } else {
+      const vatChecks = new Map();
+
+      for (const [index, line] of body.lines.entries()) {
+        const validated = await this.validateLine(agreementNumber, line, `lines[${index}]`, addError, vatChecks);
+        if (validated) {
+          lines.push(validated);
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new ApiError(
+        `Draft invoice is invalid: ${errors.map(error => error.message).join('; ')}`,
+        400,
+        'INVALID_DRAFT_INVOICE',
+        { errors }
+      );
+    }
+
+    return {
+      customer,
+      currency: currency.toUpperCase(),
+      paymentTerms,
+      layoutNumber: body.layout_number,
+      date,
+      dueDate: body.due_date ?? null,
+      exchangeRate: body.exchange_rate ?? null,
+      reference: body.reference ?? null,
+      notes: body.notes ?? null,
+      lines
+    };
+  }
+
+  // Check one invoice line. Description and unit price default to the product's.
+  async validateLine(agreementNumber, line, field, addError, vatChecks) {
+    if (!line || typeof line !== 'object') {
+      addError(field, `${field} must be an object`, 'INVALID_LINE');
+      return null;
+    }
+
+    if (typeof line.product_number !== 'string' || line.product_number === '') {
+      addError(`${field}.product_number`, `${field}.product_number must be a non-empty string`, 'INVALID_PRODUCT_NUMBER');
+      return null;
+    }
+
+    const product = await ProductModel.findByNumberAndAgreement(line.product_number, agreementNumber);
+    if (!product) {
+      addError(`${field}.product_number`, `Product ${line.product_number} not found`, 'UNKNOWN_PRODUCT');
+      return null;
+    }
+
+    if (product.barred) {
+      addError(`${field}.product_number`, `Product ${line.product_number} is barred`, 'PRODUCT_BARRED');
+    }
+
+    const vatError = await this.checkSalesVat(agreementNumber, product, vatChecks);
+    if (vatError) {
+      addError(`${field}.product_number`, vatError, 'UNKNOWN_VAT_CODE');
+    }
+
+    const quantity = line.quantity ?? 1;
+    if (!isNumber(quantity) || quantity === 0) {
+      addError(`${field}.quantity`, `${field}.quantity must be a non-zero number`, 'INVALID_QUANTITY');
+    }
+
+    const unitPrice = line.unit_price ?? (product.price === null ? null : parseFloat(product.price));
+    if (!isNumber(unitPrice)) {
+      addError(`${field}.unit_price`, `${field}.unit_price is required when product ${line.product_number} has no price`, 'INVALID_UNIT_PRICE');
+    }
+
+    const discountPercentage = line.discount_percentage ?? 0;
+    if (!isNumber(discountPercentage) || discountPercentage < 0 || discountPercentage > 100) {
+      addError(`${field}.discount_percentage`, `${field}.discount_percentage must be between 0 and 100`, 'INVALID_DISCOUNT');
+    }
+
+    return {
+      productNumber: product.product_number,
+      description: line.description ?? product.name,
+      quantity,
+      unitPrice,
+      discountPercentage
+    };
+  }
+
+  // A product is sold on its group's sales account. When that account carries
+  // a VAT code, the code must be one of the agreement's synced VAT accounts.
+  // Results are cached per product group for the lines of one draft.
+  async checkSalesVat(agreementNumber, product, vatChecks) {
+    const groupNumber = product.product_group_number;
+    if (groupNumber === null || groupNumber === undefined) {
+      return null;
+    }
+
+    if (!vatChecks.has(groupNumber)) {
+      vatChecks.set(groupNumber, (async () => {
+        const group = await ProductGroupModel.findByNumberAndAgreement(groupNumber, agreementNumber);
+        if (!group || !group.account_number) {
+          return null;
+        }
+
+        const account = await AccountModel.findByNumberAndAgreement(group.account_number, agreementNumber);
+        if (!account || !account.vat_code) {
+          return null;
+        }
+
+        const vatAccount = await VatAccountModel.findByCodeAndAgreement(account.vat_code, agreementNumber);
+        return vatAccount
+          ? null
+          : `VAT code ${account.vat_code} of sales account ${account.account_number} for product ${product.product_number} not found`;
+      })());
+    }
+
+    return await vatChecks.get(groupNumber);
+  }
+
+  // The e-conomic draft invoice for a validated draft. The recipient is taken
+  // from the synced customer.
+  buildPayload(draft) {
+    const { customer } = draft;
+
+    const payload = {
+      date: draft.date,
+      currency: draft.currency,
+      customer: { customerNumber: customer.customer_number },
+      paymentTerms: { paymentTermsNumber: draft.paymentTerms.payment_terms_number },
+      layout: { layoutNumber: draft.layoutNumber },
+      recipient: {
+        name: customer.name,
+        address: customer.address || undefined,
+        zip: customer.zip || undefined,
+        city: customer.city || undefined,
+        country: customer.country || undefined,
+        vatZone: { vatZoneNumber: customer.vat_zone_number }
+      },
+      lines: draft.lines.map((line, index) => ({
+        lineNumber: index + 1,
+        sortKey: index + 1,
+        description: line.description,
+        product: { productNumber: line.productNumber },
+        quantity: line.quantity,
+        unitNetPrice: line.unitPrice,
+        discountPercentage: line.discountPercentage
+      }))
+    };
+
+    if (draft.dueDate) {
+      payload.dueDate = draft.dueDate;
+    }
+
+    if (draft.exchangeRate) {
+      payload.exchangeRate = draft.exchangeRate;
+    }
+
+    if (draft.reference) {
+      payload.references = { other: draft.reference };
+    }
+
+    if (draft.notes) {
+      payload.notes = {
+        heading: draft.notes.heading,
+        textLine1: draft.notes.text_line1,
+        textLine2: draft.notes.text_line2
+      };
+    }
+
+    return payload;
+  }
+
+  // Store the draft e-conomic returned and read it back with its lines. If
+  // storing fails the draft still exists in e-conomic; the next sync stores it,
+  // and a retry with the same idempotency key stores it without creating another.
+  async storeDraft(context, invoice) {
+    const { agreementNumber } = context;
+    const draftNumber = invoice.draftInvoiceNumber;
+
+    const invoiceData = invoiceService.transformInvoiceData(invoice, 'draft', agreementNumber);
+    await InvoiceModel.smartUpsert(invoiceData, agreementNumber);
+
+    const lines = invoiceService.transformInvoiceLines(invoice, draftNumber, agreementNumber);
+    await InvoiceModel.saveInvoiceLines(draftNumber, agreementNumber, invoiceData.customer_number, lines);
+
+    return await invoiceService.getInvoiceByNumber(draftNumber, agreementNumber, true);
+  }
+}
+
+module.exports = new InvoiceDraftService();
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const endpoints = require('../../api/endpoints');
+const AgreementModel = require('../agreements/agreement.model');
+const { resolveAgreementContextByNumber } = require('../agreements/agreement-context');
+const logger = require('../core/logger');
+const { ApiError } = require('../core/error.handler');
+const config = require('../../config');
+
+// Serves the PDFs of booked invoices from e-conomic. Booked invoices cannot
+// change, so with a cache directory configured each PDF is downloaded once and
+// kept on disk as <cache dir>/<agreement number>/<invoice number>.pdf.
+class InvoicePdfService {
+  constructor() {
+    this.cacheDir = config.invoices.pdfCacheDir ? path.resolve(config.invoices.pdfCacheDir) : null;
+  }
+
+  // Open the PDF of a booked invoice as a stream
+  async getBookedPdf(agreementNumber, invoiceNumber) {
+    try {
+      if (!Number.isInteger(invoiceNumber) || invoiceNumber < 1) {
+        throw ApiError.badRequest(`Invalid invoice number "${invoiceNumber}"`, 'INVALID_INVOICE_NUMBER');
+      }
+
+      if (!this.cacheDir) {
+        const context = await resolveAgreementContextByNumber(agreementNumber);
+        return await context.client.getStream(endpoints.bookedInvoicePdf(invoiceNumber));
+      }
+
+      const cachePath = path.join(this.cacheDir, String(agreementNumber), `${invoiceNumber}.pdf`);
+
+      if (await this.isCached(cachePath)) {
+        // Cached PDFs of removed agreements are not served
+        if (!await AgreementModel.getByAgreementNumber(agreementNumber)) {
+          throw ApiError.notFound(`Agreement ${agreementNumber} not found`);
+        }
+
+        logger.debug(`Serving invoice ${invoiceNumber} PDF of agreement ${agreementNumber} from cache`);
+        return fs.createReadStream(cachePath);
+      }
+
+      const context = await resolveAgreementContextByNumber(agreementNumber);
+      const pdf = await context.client.getStream(endpoints.bookedInvoicePdf(invoiceNumber));
+      await this.writeCache(cachePath, pdf);
+
+      return fs.createReadStream(cachePath);
+    } catch (error) {
+      logger.error(`Error getting PDF of invoice ${invoiceNumber} for agreement ${agreementNumber}:`, error.message);
+      throw error;
+    }
+  }
+
+  async isCached(cachePath) {
+    try {
+      await fsPromises.access(cachePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Download to a temporary file first and rename it into place, so a failed
+  // or concurrent download never leaves a partial PDF in the cache
+  async writeCache(cachePath, pdf) {
+    const tempPath = `${cachePath}.${uuidv4()}.tmp`;
+
+    try {
+      await fsPromises.mkdir(path.dirname(cachePath), { recursive: true });
+      await pipeline(pdf, fs.createWriteStream(tempPath));
+      await fsPromises.rename(tempPath, cachePath);
+    } catch (error) {
+      await fsPromises.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+}
+
+module.exports = new InvoicePdfService();
@@ -1,11 +1,40 @@
 const invoiceService = require('./invoice.service');
+const invoiceDraftService = require('./invoice-draft.service');
+const invoicePdfService = require('./invoice-pdf.service');
 const logger = require('../core/logger');
+const { ApiError } = require('../core/error.handler');
+const { parseSyncOptions } = require('../sync/sync.options');
+const { pipeline } = require('stream');
+
+// Largest page of invoices a list request may ask for
+const MAX_PAGE_SIZE = 500;
+
+// Read a whole-number query parameter. parseInt alone would accept "12abc".
+function parseIntegerParam(name, value, min = 1, max = Number.MAX_SAFE_INTEGER) {
+  const number = Number(value);
+
+  if (!/^\d+$/.test(value) || number < min || number > max) {
+    const range = max === Number.MAX_SAFE_INTEGER ? `of at least ${min}` : `from ${min} to ${max}`;
+    throw ApiError.badRequest(`Invalid ${name} "${value}". Expected a whole number ${range}`, 'INVALID_NUMBER');
+  }
+
+  return number;
+}
+
+// Read a decimal query parameter such as an amount
+function parseDecimalParam(name, value) {
+  if (!/^-?\d+(\.\d+)?$/.test(value)) {
+    throw ApiError.badRequest(`Invalid ${name} "${value}". Expected a number`, 'INVALID_NUMBER');
+  }
+
+  return parseFloat(value);
+}
 
 class InvoiceController {
   // Sync all invoices across all agreements
   async syncAllInvoices(req, res, next) {
     try {
-      const result = await invoiceService.syncAllInvoices();
+      const result = await invoiceService.syncAllInvoices(parseSyncOptions(req));
       res.json(result);
     } catch (error) {
       next(error);
@@ -16,13 +45,203 @@ class InvoiceController {
   async syncAgreementInvoices(req, res, next) {
     try {
       const { id } = req.params;
-      const result = await invoiceService.syncInvoicesByAgreementId(id);
+      const result = await invoiceService.syncInvoicesByAgreementId(id, parseSyncOptions(req));
       res.json(result);
     } catch (error) {
       next(error);
     }
   }
   
+  // Get invoices for an agreement
+  async getInvoices(req, res, next) {
+    try {
+      const { agreement_number } = req.params;
+      
+      // Extract query parameters
+      const {
+        customer_number,
+        customer_name,
+        payment_status,
+        currency,
+        date_from,
+        date_to,
+        due_date_from,
+        due_date_to,
+        min_amount,
+        max_amount,
+        min_remainder,
+        max_remainder,
+        include_deleted,
+        sort_by,
+        sort_order,
+        page,
+        limit
+      } = req.query;
+      
+      // Build filters object
+      const filters = {};
+      
+      if (customer_number !== undefined) filters.customer_number = parseIntegerParam('customer_number', customer_number);
+      if (customer_name) filters.customer_name = customer_name;
+      if (payment_status) filters.payment_status = payment_status;
+      if (currency) filters.currency = currency.toUpperCase();
+      if (date_from) filters.date_from = date_from;
+      if (date_to) filters.date_to = date_to;
+      if (due_date_from) filters.due_date_from = due_date_from;
+      if (due_date_to) filters.due_date_to = due_date_to;
+      if (min_amount !== undefined) filters.min_amount = parseDecimalParam('min_amount', min_amount);
+      if (max_amount !== undefined) filters.max_amount = parseDecimalParam('max_amount', max_amount);
+      if (min_remainder !== undefined) filters.min_remainder = parseDecimalParam('min_remainder', min_remainder);
+      if (max_remainder !== undefined) filters.max_remainder = parseDecimalParam('max_remainder', max_remainder);
+      if (include_deleted === 'true') filters.include_deleted = true;
+      
+      // Build sort object
+      const sort = {
+        field: sort_by || 'date',
+        order: sort_order ? sort_order.toUpperCase() : 'DESC'
+      };
+      
+      // Build pagination object
+      const pagination = {
+        page: page !== undefined ? parseIntegerParam('page', page) : 1,
+        limit: limit !== undefined ? parseIntegerParam('limit', limit, 1, MAX_PAGE_SIZE) : 50
+      };
+      
+      const result = await invoiceService.getInvoices(
+        parseInt(agreement_number),
+        filters,
+        sort,
+        pagination
+      );
+      
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  // Get an invoice with its lines. Pass ?draft=true to look up a draft invoice
+  // and ?include_deleted=true to see drafts that were deleted or booked.
+  async getInvoiceByNumber(req, res, next) {
+    try {
+      const { agreement_number, invoice_number } = req.params;
+      const draft = req.query.draft === 'true';
+      
+      if (!/^\d+$/.test(invoice_number)) {
+        throw ApiError.badRequest(`Invalid invoice number "${invoice_number}"`, 'INVALID_INVOICE_NUMBER');
+      }
+      
+      const invoice = await invoiceService.getInvoiceByNumber(
+        parseInt(invoice_number),
+        parseInt(agreement_number),
+        draft,
+        req.query.include_deleted === 'true'
+      );
+      
+      res.json(invoice);
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  // Accounts receivable aging across agreements, or for one agreement
+  async getAgingReport(req, res, next) {
+    try {
+      const { agreement_number } = req.params;
+      const { as_of, customer_number } = req.query;
+      
+      // Keys restricted to some agreements only see those
+      let agreementNumbers = req.apiKey?.agreement_numbers || null;
+      if (agreement_number) {
+        agreementNumbers = [parseInt(agreement_number)];
+      }
+      
+      const report = await invoiceService.getAgingReport(
+        as_of || new Date().toISOString().slice(0, 10),
+        agreementNumbers,
+        customer_number ? parseInt(customer_number) : null
+      );
+      
+      res.json(report);
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  // Create a draft invoice in e-conomic. Send an Idempotency-Key header to
+  // make retries safe.
+  async createDraft(req, res, next) {
+    try {
+      const { agreement_number } = req.params;
+      const invoice = await invoiceDraftService.createDraft(
+        parseInt(agreement_number),
+        req.body,
+        req.get('Idempotency-Key') || null
+      );
+      
+      res.status(201).json(invoice);
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  // Replace the contents of a draft invoice in e-conomic
+  async updateDraft(req, res, next) {
+    try {
+      const { agreement_number, draft_number } = req.params;
+      const invoice = await invoiceDraftService.updateDraft(
+        parseInt(agreement_number),
+        parseInt(draft_number),
+        req.body
+      );
+      
+      res.json(invoice);
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  // Book a draft invoice. Pass book_with_number in the body to choose the
+  // invoice number, and an Idempotency-Key header to make retries safe.
+  async bookDraft(req, res, next) {
+    try {
+      const { agreement_number, draft_number } = req.params;
+      const invoice = await invoiceDraftService.bookDraft(
+        parseInt(agreement_number),
+        parseInt(draft_number),
+        { bookWithNumber: req.body?.book_with_number ?? null },
+        req.get('Idempotency-Key') || null
+      );
+      
+      res.status(201).json(invoice);
+    } catch (error) {
+      next(error);
+    }
+  }
+  
+  // Stream the PDF of a booked invoice
+  async getBookedInvoicePdf(req, res, next) {
+    try {
+      const agreementNumber = parseInt(req.params.agreement_number);
+      const invoiceNumber = parseInt(req.params.invoice_number);
+      const pdf = await invoicePdfService.getBookedPdf(agreementNumber, invoiceNumber);
+      
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="invoice-${invoiceNumber}.pdf"`
+      });
+      
+      // Headers are sent by now, so a failure can only end the response
+      pipeline(pdf, res, error => {
+        if (error) {
+          logger.error(`Error streaming PDF of invoice ${invoiceNumber} for agreement ${agreementNumber}:`, error.message);
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  
   // Clean up duplicate invoices
   async cleanupDuplicates(req, res, next) {
     try {
@@ -1,216 +1,89 @@
 const db = require('../../db');
 const logger = require('../core/logger');
+const SyncLogModel = require('../sync/sync-log.model');
 const { ApiError } = require('../core/error.handler');
-const { v4: uuidv4 } = require('uuid'); 
+const { markMissingAsDeleted, markKeysAsDeleted } = require('../sync/tombstone');
+const { upsertRows } = require('../sync/batch-upsert');
 
 class InvoiceModel {
 
-  // Update to the smartUpsert method in invoice.model.js to include remainder values
+  // Columns stored for an invoice. Drafts are stored under their draft number.
+  static toRow(invoiceData, agreementNumber) {
+    const invoiceNumber = invoiceData.payment_status === 'draft' || !invoiceData.invoice_number
+      ? invoiceData.draft_invoice_number
+      : invoiceData.invoice_number;
+    
+    // Safety check for required fields
+    if (!invoiceNumber) {
+      logger.error('Missing invoice_number in invoice upsert');
+      throw new Error('Missing invoice_number in invoice data');
+    }
+    
+    if (!invoiceData.customer_number) {
+      logger.error('Missing customer_number in invoice upsert');
+      throw new Error('Missing customer_number in invoice data');
+    }
+    
+    if (!agreementNumber) {
+      logger.error('Missing agreementNumber in invoice upsert');
+      throw new Error('Missing agreement_number parameter');
+    }
+    
+    return {
+      invoice_number: invoiceNumber,
+      draft_invoice_number: invoiceData.draft_invoice_number || null,
+      customer_number: invoiceData.customer_number,
+      agreement_number: agreementNumber,
+      currency: invoiceData.currency,
+      exchange_rate: invoiceData.exchange_rate || null,
+      date: invoiceData.date,
+      due_date: invoiceData.due_date || null,
+      net_amount: invoiceData.net_amount || 0,
+      gross_amount: invoiceData.gross_amount || 0,
+      vat_amount: invoiceData.vat_amount || 0,
+      remainder: invoiceData.remainder || 0,
+      remainder_in_base_currency: invoiceData.remainder_in_base_currency || 0,
+      payment_status: invoiceData.payment_status || 'pending',
+      customer_name: invoiceData.customer_name,
+      reference_number: invoiceData.reference_number || null,
+      notes: invoiceData.notes || null,
+      // A draft that is synced again has not been booked after all
+      booked_invoice_number: null
+    };
+  }
+
+  // Create or update an invoice for an agreement. Tombstoned invoices come back.
   static async smartUpsert(invoiceData, agreementNumber) {
     try {
-      // Add agreement_number to the data
-      invoiceData.agreement_number = agreementNumber;
+      const row = this.toRow(invoiceData, agreementNumber);
       
-      // For draft invoices, use the draft number as the invoice_number for the primary key
-      if (invoiceData.payment_status === 'draft' || !invoiceData.invoice_number) {
-        invoiceData.invoice_number = invoiceData.draft_invoice_number;
-      }
-      
-      // Safety check for required fields
-      if (!invoiceData.invoice_number) {
-        logger.error('Missing invoice_number in smartUpsert');
-        throw new Error('Missing invoice_number in invoice data');
-      }
-      
-      if (!invoiceData.customer_number) {
-        logger.error('Missing customer_number in smartUpsert');
-        throw new Error('Missing customer_number in invoice data');
-      }
-      
-      if (!agreementNumber) {
-        logger.error('Missing agreementNumber in smartUpsert');
-        throw new Error('Missing agreement_number parameter');
-      }
+      // Callers read the stored key back from the invoice data
+      invoiceData.agreement_number = agreementNumber;
+      invoiceData.invoice_number = row.invoice_number;
       
-      // Check if this specific invoice exists
-      const existing = await this.findByInvoiceAndAgreementNumber(
-        invoiceData.invoice_number, 
-        invoiceData.customer_number, 
-        agreementNumber
-      );
+      await this.batchUpsert([invoiceData], agreementNumber);
       
-      if (existing) {
-        // Update existing record
-        await db.query(
-          `UPDATE invoices SET
-            draft_invoice_number = ?,
-            currency = ?,
-            exchange_rate = ?,
-            date = ?,
-            due_date = ?,
-            net_amount = ?,
-            gross_amount = ?,
-            vat_amount = ?,
-            remainder = ?,
-            remainder_in_base_currency = ?,
-            payment_status = ?,
-            customer_name = ?,
-            reference_number = ?,
-            notes = ?,
-            updated_at = CURRENT_TIMESTAMP
-          WHERE invoice_number = ? AND customer_number = ? AND agreement_number = ?`,
-          [
-            invoiceData.draft_invoice_number || null,
-            invoiceData.currency,
-            invoiceData.exchange_rate || null,
-            invoiceData.date,
-            invoiceData.due_date || null,
-            invoiceData.net_amount || 0,
-            invoiceData.gross_amount || 0,
-            invoiceData.vat_amount || 0,
-            invoiceData.remainder || 0,
-            invoiceData.remainder_in_base_currency || 0,
-            invoiceData.payment_status || 'pending',
-            invoiceData.customer_name,
-            invoiceData.reference_number || null,
-            invoiceData.notes || null,
-            invoiceData.invoice_number,
-            invoiceData.customer_number,
-            invoiceData.agreement_number
-          ]
-        );
-        
-        return { ...existing, ...invoiceData };
-      } else {
-        // Insert new record
-        await db.query(
-          `INSERT INTO invoices (
-            invoice_number, draft_invoice_number, customer_number, agreement_number,
-            currency, exchange_rate, date, due_date,
-            net_amount, gross_amount, vat_amount, remainder, remainder_in_base_currency,
-            payment_status, customer_name,
-            reference_number, notes
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [
-            invoiceData.invoice_number, // This must have a value now
-            invoiceData.draft_invoice_number || null,
-            invoiceData.customer_number,
-            invoiceData.agreement_number,
-            invoiceData.currency,
-            invoiceData.exchange_rate || null,
-            invoiceData.date,
-            invoiceData.due_date || null,
-            invoiceData.net_amount || 0,
-            invoiceData.gross_amount || 0,
-            invoiceData.vat_amount || 0,
-            invoiceData.remainder || 0,
-            invoiceData.remainder_in_base_currency || 0,
-            invoiceData.payment_status || 'pending',
-            invoiceData.customer_name,
-            invoiceData.reference_number || null,
-            invoiceData.notes || null
-          ]
-        );
-        
-        return invoiceData;
-      }
+      return row;
     } catch (error) {
       logger.error(`Error upserting invoice:`, error.message);
       throw error;
     }
   }
   
-  // Create a new invoice in the database
-  static async create(invoiceData) {
+  // Create or update many invoices of an agreement in transactional chunks.
+  // Returns inserted, updated and unchanged counts.
+  static async batchUpsert(invoices, agreementNumber) {
     try {
-      // Generate a unique ID for the new invoice
-      const id = uuidv4();
-      
-      // Insert invoice record
-      await db.query(
-        `INSERT INTO invoices (
-          id, invoice_number, draft_invoice_number, customer_number, agreement_number,
-          currency, exchange_rate, date, due_date, 
-          net_amount, gross_amount, vat_amount, 
-          payment_status, customer_name, 
-          reference_number, notes
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          id,
-          invoiceData.invoice_number || null,
-          invoiceData.draft_invoice_number || null,
-          invoiceData.customer_number,
-          invoiceData.agreement_number || null,
-          invoiceData.currency,
-          invoiceData.exchange_rate || null,
-          invoiceData.date,
-          invoiceData.due_date || null,
-          invoiceData.net_amount || 0,
-          invoiceData.gross_amount || 0,
-          invoiceData.vat_amount || 0,
-          invoiceData.payment_status || 'pending',
-          invoiceData.customer_name,
-          invoiceData.reference_number || null,
-          invoiceData.notes || null
-        ]
-      );
-      
-      return { id, ...invoiceData };
+      return await upsertRows('invoices', invoices.map(invoice => this.toRow(invoice, agreementNumber)), {
+        keyColumns: ['invoice_number', 'customer_number', 'agreement_number'],
+        reviveDeleted: true
+      });
     } catch (error) {
-      logger.error('Error creating invoice:', error.message);
+      logger.error(`Error upserting invoices for agreement ${agreementNumber}:`, error.message);
       throw error;
     }
   }
   
-  // Update existing invoice
-  static async update(id, invoiceData) {
-    try {
-      await db.query(
-        `UPDATE invoices SET
-          invoice_number = ?,
-          draft_invoice_number = ?,
-          customer_number = ?,
-          agreement_number = ?,
-          currency = ?,
-          exchange_rate = ?,
-          date = ?,
-          due_date = ?,
-          net_amount = ?,
-          gross_amount = ?,
-          vat_amount = ?,
-          payment_status = ?,
-          customer_name = ?,
-          reference_number = ?,
-          notes = ?,
-          updated_at = CURRENT_TIMESTAMP
-        WHERE id = ?`,
-        [
-          invoiceData.invoice_number || null,
-          invoiceData.draft_invoice_number || null,
-          invoiceData.customer_number,
-          invoiceData.agreement_number || null,
-          invoiceData.currency,
-          invoiceData.exchange_rate || null,
-          invoiceData.date,
-          invoiceData.due_date || null,
-          invoiceData.net_amount || 0,
-          invoiceData.gross_amount || 0,
-          invoiceData.vat_amount || 0,
-          invoiceData.payment_status || 'pending',
-          invoiceData.customer_name,
-          invoiceData.reference_number || null,
-          invoiceData.notes || null,
-          id
-        ]
-      );
-      
-      return { id, ...invoiceData };
-    } catch (error) {
-      logger.error(`Error updating invoice ${id}:`, error.message);
-      throw error;
-    }
-  }
-
   // Find by invoice number, customer number, and agreement number
   static async findByInvoiceAndAgreementNumber(invoiceNumber, customerNumber, agreementNumber) {
     try {
@@ -232,6 +105,174 @@ class InvoiceModel {
     }
   }
 
+  // Find a booked invoice, or a draft when draft is true, by number within an agreement
+  static async findByNumberAndAgreement(invoiceNumber, agreementNumber, draft = false, includeDeleted = false) {
+    try {
+      const invoices = await db.query(
+        `SELECT * FROM invoices
+        WHERE invoice_number = ? AND agreement_number = ? AND payment_status ${draft ? '=' : '<>'} 'draft'
+          ${includeDeleted ? '' : 'AND deleted_at IS NULL'}`,
+        [invoiceNumber, agreementNumber]
+      );
+      
+      return invoices.length > 0 ? invoices[0] : null;
+    } catch (error) {
+      logger.error(`Error finding invoice by number ${invoiceNumber} and agreement ${agreementNumber}:`, error.message);
+      throw error;
+    }
+  }
+  
+  // Get all invoices for an agreement with filtering, sorting, and pagination
+  static async find(agreementNumber, filters = {}, sort = { field: 'date', order: 'DESC' }, pagination = { page: 1, limit: 50 }) {
+    try {
+      // Build WHERE clause
+      let whereClause = 'WHERE agreement_number = ?';
+      const whereParams = [agreementNumber];
+      
+      if (!filters.include_deleted) {
+        whereClause += ' AND deleted_at IS NULL';
+      }
+      
+      if (filters.customer_number) {
+        whereClause += ' AND customer_number = ?';
+        whereParams.push(filters.customer_number);
+      }
+      
+      if (filters.customer_name) {
+        whereClause += ' AND customer_name LIKE ?';
+        whereParams.push(`%${filters.customer_name}%`);
+      }
+      
+      if (filters.payment_status) {
+        whereClause += ' AND payment_status = ?';
+        whereParams.push(filters.payment_status);
+      }
+      
+      if (filters.currency) {
+        whereClause += ' AND currency = ?';
+        whereParams.push(filters.currency);
+      }
+      
+      // Inclusive ranges on dates and amounts
+      const ranges = [
+        ['date', filters.date_from, filters.date_to],
+        ['due_date', filters.due_date_from, filters.due_date_to],
+        ['gross_amount', filters.min_amount, filters.max_amount],
+        ['remainder', filters.min_remainder, filters.max_remainder]
+      ];
+      
+      for (const [column, from, to] of ranges) {
+        if (from !== undefined) {
+          whereClause += ` AND ${column} >= ?`;
+          whereParams.push(from);
+        }
+        
+        if (to !== undefined) {
+          whereClause += ` AND ${column} <= ?`;
+          whereParams.push(to);
+        }
+      }
+      
+      // Build ORDER BY clause. The service only passes whitelisted fields.
+      const sortField = sort.field || 'date';
+      const sortOrder = sort.order === 'ASC' ? 'ASC' : 'DESC';
+      const orderClause = `ORDER BY ${sortField} ${sortOrder}, invoice_number ${sortOrder}`;
+      
+      // Build LIMIT clause for pagination
+      const page = pagination.page || 1;
+      const limit = pagination.limit || 50;
+      const offset = (page - 1) * limit;
+      const limitClause = `LIMIT ${limit} OFFSET ${offset}`;
+      
+      // Get total count
+      const countQuery = `SELECT COUNT(*) as total FROM invoices ${whereClause}`;
+      const countResult = await db.query(countQuery, whereParams);
+      const total = countResult[0].total || 0;
+      
+      // Get paginated results
+      const query = `
+        SELECT * FROM invoices 
+        ${whereClause} 
+        ${orderClause} 
+        ${limitClause}
+      `;
+      
+      const results = await db.query(query, whereParams);
+      
+      return {
+        data: results,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error(`Error finding invoices for agreement ${agreementNumber}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Open invoice balances per agreement, customer and currency, split into
+  // aging buckets by days past due at the as-of date. Buckets are
+  // [{ min, max }] ranges of days overdue; min or max may be null for open ends.
+  static async getAgingBalances(asOf, buckets, agreementNumbers = null, customerNumber = null) {
+    try {
+      let whereClause = `WHERE payment_status <> 'draft' AND remainder <> 0 AND date <= ?`;
+      const whereParams = [asOf, asOf];
+      
+      if (agreementNumbers) {
+        whereClause += ` AND agreement_number IN (${agreementNumbers.map(() => '?').join(', ')})`;
+        whereParams.push(...agreementNumbers);
+      }
+      
+      if (customerNumber) {
+        whereClause += ' AND customer_number = ?';
+        whereParams.push(customerNumber);
+      }
+      
+      const bucketColumns = buckets.map((bucket, index) => {
+        const conditions = [];
+        if (bucket.min !== null) conditions.push(`i.days_overdue >= ${parseInt(bucket.min)}`);
+        if (bucket.max !== null) conditions.push(`i.days_overdue <= ${parseInt(bucket.max)}`);
+        const condition = conditions.join(' AND ');
+        
+        return `SUM(CASE WHEN ${condition} THEN i.remainder ELSE 0 END) AS bucket_${index},
+          SUM(CASE WHEN ${condition} THEN i.remainder_in_base_currency ELSE 0 END) AS base_bucket_${index}`;
+      });
+      
+      return await db.query(
+        `SELECT
+          i.agreement_number,
+          MAX(a.name) AS agreement_name,
+          i.customer_number,
+          COALESCE(MAX(c.name), MAX(i.customer_name)) AS customer_name,
+          i.currency,
+          MAX(c.payment_terms_number) AS payment_terms_number,
+          MAX(pt.name) AS payment_terms_name,
+          MAX(pt.days_of_credit) AS days_of_credit,
+          COUNT(*) AS invoice_count,
+          MAX(i.days_overdue) AS max_days_overdue,
+          ${bucketColumns.join(',\n          ')}
+        FROM (
+          SELECT invoices.*, DATEDIFF(?, COALESCE(due_date, date)) AS days_overdue
+          FROM invoices
+          ${whereClause}
+        ) i
+        LEFT JOIN agreement_configs a ON a.agreement_number = i.agreement_number
+        LEFT JOIN customers c ON c.customer_number = i.customer_number AND c.agreement_number = i.agreement_number
+        LEFT JOIN payment_terms pt ON pt.payment_terms_number = c.payment_terms_number AND pt.agreement_number = c.agreement_number
+        GROUP BY i.agreement_number, i.customer_number, i.currency
+        ORDER BY i.agreement_number, customer_name, i.currency`,
+        whereParams
+      );
+    } catch (error) {
+      logger.error('Error getting invoice aging balances:', error.message);
+      throw error;
+    }
+  }
+
   // Helper method to determine if status should be updated
   static shouldUpdateStatus(currentStatus, newStatus) {
     // Status precedence: overdue > paid > pending
@@ -246,60 +287,64 @@ class InvoiceModel {
     return (statusPriority[newStatus] || 0) >= (statusPriority[currentStatus] || 0);
   }
   
-  // Save invoice lines for an invoice
+  // Save the lines of an invoice. Lines that are no longer on the invoice are
+  // removed. Returns inserted, updated and unchanged counts.
   static async saveInvoiceLines(invoiceNumber, agreementNumber, customerNumber, lines) {
     try {
       if (!lines || !Array.isArray(lines) || lines.length === 0) {
-        return [];
+        return { inserted: 0, updated: 0, unchanged: 0 };
       }
       
-      // Use a transaction to ensure all lines are saved consistently
-      await db.transaction(async (connection) => {
-        // Delete existing lines for this invoice
-        await connection.query(
-          'DELETE FROM invoice_lines WHERE invoice_id = ? AND agreement_number = ? AND customer_number = ?',
-          [invoiceNumber, agreementNumber, customerNumber]
-        );
-        
-        // Insert new lines
-        for (const line of lines) {
-          await connection.query(
-            `INSERT INTO invoice_lines (
-              invoice_id, agreement_number, customer_number, line_number,
-              product_number, description, quantity, unit_price, 
-              discount_percentage, unit, total_net_amount
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [
-              invoiceNumber,
-              agreementNumber,
-              customerNumber,
-              line.line_number,
-              line.product_number || null,
-              line.description,
-              line.quantity || 1,
-              line.unit_price || 0,
-              line.discount_percentage || 0,
-              line.unit || null,
-              line.total_net_amount || 0
-            ]
-          );
-        }
+      const rows = lines.map(line => ({
+        invoice_id: invoiceNumber,
+        agreement_number: agreementNumber,
+        customer_number: customerNumber,
+        line_number: line.line_number,
+        product_number: line.product_number || null,
+        description: line.description,
+        quantity: line.quantity || 1,
+        unit_price: line.unit_price || 0,
+        discount_percentage: line.discount_percentage || 0,
+        unit: line.unit || null,
+        total_net_amount: line.total_net_amount || 0
+      }));
+      
+      const counts = await upsertRows('invoice_lines', rows, {
+        keyColumns: ['invoice_id', 'agreement_number', 'customer_number', 'line_number']
       });
       
-      return lines;
+      await db.query(
+        `DELETE FROM invoice_lines
+        WHERE invoice_id = ? AND agreement_number = ? AND customer_number = ?
+          AND line_number NOT IN (${rows.map(() => '?').join(', ')})`,
+        [invoiceNumber, agreementNumber, customerNumber, ...rows.map(row => row.line_number)]
+      );
+      
+      return counts;
     } catch (error) {
       logger.error(`Error saving invoice lines for invoice ${invoiceNumber}:`, error.message);
       throw error;
     }
   }
   
-  // Get invoice lines for an invoice
-  static async getInvoiceLines(invoiceId) {
+  // Get invoice lines for an invoice. Invoice numbers are only unique within
+  // an agreement, so pass the agreement and customer when they are known.
+  static async getInvoiceLines(invoiceId, agreementNumber = null, customerNumber = null) {
     try {
-      const lines = await db.query(
-        'SELECT * FROM invoice_lines WHERE invoice_id = ? ORDER BY line_number',
-        [invoiceId]
-      );
+      let query = 'SELECT * FROM invoice_lines WHERE invoice_id = ?';
+      const params = [invoiceId];
+      
+      if (agreementNumber) {
+        query += ' AND agreement_number = ?';
+        params.push(agreementNumber);
+      }
+      
+      if (customerNumber) {
+        query += ' AND customer_number = ?';
+        params.push(customerNumber);
+      }
+      
+      const lines = await db.query(`${query} ORDER BY line_number`, params);
       
       return lines;
     } catch (error) {
@@ -308,6 +353,77 @@ class InvoiceModel {
     }
   }
   
+  // Current time on the database clock, to compare with created_at
+  static async getCurrentTimestamp() {
+    try {
+      const rows = await db.query('SELECT CURRENT_TIMESTAMP AS now');
+      return rows[0].now;
+    } catch (error) {
+      logger.error('Error getting database time:', error.message);
+      throw error;
+    }
+  }
+
+  // Tombstone drafts that were not returned by a full draft sync
+  static async markDeletedDrafts(agreementNumber, draftNumbers) {
+    return await markMissingAsDeleted('invoices', 'invoice_number', agreementNumber, draftNumbers, "payment_status = 'draft'");
+  }
+
+  // Tombstone drafts that e-conomic reported as deleted
+  static async tombstoneDrafts(agreementNumber, draftNumbers) {
+    return await markKeysAsDeleted('invoices', 'invoice_number', agreementNumber, draftNumbers, "payment_status = 'draft'");
+  }
+
+  // Find the booked invoice a vanished draft most likely became. e-conomic does
+  // not link booked invoices to their draft, so this looks for an invoice first
+  // stored since `since` for the same customer, currency and gross amount that
+  // no other draft has claimed, closest in date to the draft.
+  static async findBookedForDraft(draftNumber, agreementNumber, since) {
+    try {
+      const invoices = await db.query(
+        `SELECT booked.*
+        FROM invoices draft
+        JOIN invoices booked
+          ON booked.agreement_number = draft.agreement_number
+          AND booked.customer_number = draft.customer_number
+          AND booked.currency <=> draft.currency
+          AND booked.gross_amount = draft.gross_amount
+          AND booked.payment_status <> 'draft'
+          AND booked.created_at >= ?
+        WHERE draft.invoice_number = ? AND draft.agreement_number = ? AND draft.payment_status = 'draft'
+          AND NOT EXISTS (
+            SELECT 1 FROM invoices claimed
+            WHERE claimed.agreement_number = booked.agreement_number
+              AND claimed.booked_invoice_number = booked.invoice_number
+          )
+        ORDER BY ABS(DATEDIFF(booked.date, draft.date)), booked.invoice_number
+        LIMIT 1`,
+        [since, draftNumber, agreementNumber]
+      );
+      
+      return invoices.length > 0 ? invoices[0] : null;
+    } catch (error) {
+      logger.error(`Error finding booked invoice for draft ${draftNumber} and agreement ${agreementNumber}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Point a tombstoned draft at the invoice it was booked as. The content hash
+  // covers booked_invoice_number, so it is cleared for the next sync to compare
+  // the row by value instead of trusting a hash of the unbooked draft.
+  static async markDraftBooked(draftNumber, agreementNumber, bookedInvoiceNumber) {
+    try {
+      await db.query(
+        `UPDATE invoices SET booked_invoice_number = ?, content_hash = NULL
+        WHERE invoice_number = ? AND agreement_number = ? AND payment_status = 'draft'`,
+        [bookedInvoiceNumber, draftNumber, agreementNumber]
+      );
+    } catch (error) {
+      logger.error(`Error linking draft ${draftNumber} to invoice ${bookedInvoiceNumber}:`, error.message);
+      throw error;
+    }
+  }
+  
   // Find invoice by ID
   static async findById(id) {
     try {
@@ -324,41 +440,18 @@ class InvoiceModel {
   }
   
   // Record sync log
-  static async recordSyncLog(entityType, operation, status, recordCount = 0, errorMessage = null, startTime = null) {
-    try {
-      const started = startTime || new Date();
-      const completed = new Date();
-      const durationMs = completed.getTime() - started.getTime();
-      
-      await db.query(
-        `INSERT INTO sync_logs (
-          entity, operation, record_count, status, 
-          error_message, started_at, completed_at, duration_ms
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          entityType,
-          operation,
-          recordCount,
-          status,
-          errorMessage,
-          started,
-          completed,
-          durationMs
-        ]
-      );
-      
-      return {
-        entity: entityType,
-        operation,
-        status,
-        recordCount,
-        durationMs
-      };
-    } catch (error) {
-      logger.error('Error recording sync log:', error.message);
-      // Don't throw error for logging failures
-      return null;
-    }
+  static async recordSyncLog(agreementNumber, scope, operation, status, recordCount = 0, errorMessage = null, startTime = null, runId = null) {
+    return await SyncLogModel.record({
+      entity: 'invoices',
+      agreementNumber,
+      scope,
+      operation,
+      status,
+      recordCount,
+      errorMessage,
+      startTime,
+      runId
+    });
   }
 }
 
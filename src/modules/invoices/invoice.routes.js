@@ -1,14 +1,35 @@
 const express = require('express');
 const invoiceController = require('./invoice.controller');
+const { authorizeAgreementNumber, authorizeAgreementId } = require('../auth/auth.middleware');
 
 const router = express.Router();
 
+// Restrict API keys to their agreements
+router.param('agreement_number', authorizeAgreementNumber);
+router.param('id', authorizeAgreementId);
+
 // Main sync route - syncs all invoice types across all agreements
 router.post('/sync', invoiceController.syncAllInvoices);
 
 // Agreement-specific sync route
 router.post('/agreements/:id/sync', invoiceController.syncAgreementInvoices);
 
+// Accounts receivable aging reports
+router.get('/aging', invoiceController.getAgingReport);
+router.get('/agreements/:agreement_number/aging', invoiceController.getAgingReport);
+
+// Create and update draft invoices in e-conomic
+router.post('/agreements/:agreement_number/drafts', invoiceController.createDraft);
+router.put('/agreements/:agreement_number/drafts/:draft_number', invoiceController.updateDraft);
+
+// Book draft invoices and get booked invoice PDFs
+router.post('/agreements/:agreement_number/drafts/:draft_number/book', invoiceController.bookDraft);
+router.get('/agreements/:agreement_number/booked/:invoice_number/pdf', invoiceController.getBookedInvoicePdf);
+
+// Get invoices
+router.get('/agreements/:agreement_number', invoiceController.getInvoices);
+router.get('/agreements/:agreement_number/:invoice_number', invoiceController.getInvoiceByNumber);
+
 // Cleanup route for duplicate invoices
 router.post('/cleanup', invoiceController.cleanupDuplicates);
 
@@ -1,11 +1,37 @@
-const ApiClient = require('../../api/client');
 const endpoints = require('../../api/endpoints');
 const InvoiceModel = require('./invoice.model');
 const AgreementModel = require('../agreements/agreement.model');
+const { resolveAgreementContext } = require('../agreements/agreement-context');
+const syncPool = require('../sync/sync-pool');
+const SyncWatermarkModel = require('../sync/sync-watermark.model');
+const { SyncDiff, buildDiffReport } = require('../sync/sync-diff');
+const { addUpsertCounts } = require('../sync/batch-upsert');
 const logger = require('../core/logger');
+const { ApiError } = require('../core/error.handler');
 const config = require('../../config');
 const db = require('../../db');
 
+const INVOICE_TYPES = ['draft', 'booked', 'paid', 'unpaid', 'overdue', 'not-due'];
+
+// Values of the invoices.payment_status column
+const PAYMENT_STATUSES = ['pending', 'paid', 'overdue', 'partial', 'draft'];
+
+// Aging buckets by days past due
+const AGING_BUCKETS = [
+  { key: 'current', min: null, max: 0 },
+  { key: '1-30', min: 1, max: 30 },
+  { key: '31-60', min: 31, max: 60 },
+  { key: '61-90', min: 61, max: 90 },
+  { key: '90+', min: 91, max: null }
+];
+
+// Columns invoices can be sorted by
+const SORT_FIELDS = ['date', 'due_date', 'invoice_number', 'customer_number', 'customer_name', 'gross_amount', 'net_amount', 'remainder', 'payment_status', 'currency'];
+
+// Invoice filters that must be numbers and dates
+const NUMERIC_FILTERS = ['customer_number', 'min_amount', 'max_amount', 'min_remainder', 'max_remainder'];
+const DATE_FILTERS = ['date_from', 'date_to', 'due_date_from', 'due_date_to'];
+
 class InvoiceService {
   constructor() {
     // Default agreement number from config
@@ -21,11 +47,6 @@ class InvoiceService {
       throw error;
     }
   }
-  
-  // Get client for a specific agreement
-  getClientForAgreement(agreementToken) {
-    return ApiClient.forAgreement(agreementToken);
-  }
 
   // Transform API invoice data to our database model
   transformInvoiceData(invoice, type, agreementNumber) {
@@ -128,7 +149,7 @@ class InvoiceService {
     }
   }
   // Sync invoices for a specific agreement
-  async syncAgreementInvoices(agreement, types = ['draft', 'booked', 'paid', 'unpaid', 'overdue', 'not-due']) {
+  async syncAgreementInvoices(agreement, types = INVOICE_TYPES, options = {}) {
     const startTime = new Date();
     const results = {};
     let totalCount = 0;
@@ -136,19 +157,34 @@ class InvoiceService {
     try {
       logger.info(`Starting sync for agreement ${agreement.name} (${agreement.agreement_number || 'Unknown'})`);
       
-      // Create client for this agreement
-      const client = this.getClientForAgreement(agreement.agreement_grant_token);
-      
-      // Get the agreement number directly from the API to confirm
-      const agreementInfo = await client.getAgreementInfo();
-      const agreementNumber = agreementInfo.agreementNumber;
-      const companyName = agreementInfo.companyName || agreement.name;
+      // Client and agreement number confirmed by the API
+      const context = options.context || await resolveAgreementContext(agreement);
+      const { client, agreementNumber } = context;
+      const companyName = context.companyName || agreement.name;
       
       let needsUpdate = false;
       let updateData = {};
 
       // Log the agreement number to confirm it's available
       logger.debug(`Agreement number from API: ${agreementNumber}`);    
+      
+      const { mode } = await SyncWatermarkModel.resolveWindow(agreementNumber, 'invoices', options.mode);
+      
+      // Booked invoices first stored after this point are candidates for drafts that vanished
+      const syncStartedAt = await InvoiceModel.getCurrentTimestamp();
+      let draftNumbers = null;
+      
+      // Dry runs compare with the stored rows instead of writing
+      const diffs = options.dryRun
+        ? {
+            invoices: await SyncDiff.forAgreement('invoices', ['invoice_number', 'customer_number'], agreementNumber),
+            lines: await SyncDiff.forAgreement('invoice_lines', ['invoice_id', 'customer_number', 'line_number'], agreementNumber)
+          }
+        : null;
+      
+      // Inserted, updated and unchanged invoices and invoice lines
+      const changes = diffs ? null : { inserted: 0, updated: 0, unchanged: 0 };
+      const replacedLines = new Set();
 
       // Check if agreement number needs update
       if (!agreement.agreement_number || agreement.agreement_number !== agreementNumber) {
@@ -164,8 +200,8 @@ class InvoiceService {
         updateData.name = companyName;
       }
       
-      // Update the agreement if needed
-      if (needsUpdate) {
+      // Update the agreement if needed. Dry runs leave it alone.
+      if (needsUpdate && !options.dryRun) {
         await AgreementModel.update(agreement.id, updateData);
         
         // Update local object with new values
@@ -197,7 +233,14 @@ class InvoiceService {
           const invoices = await client.getPaginated(endpoint);
           logger.info(`Found ${invoices.length} ${type} invoices for agreement ${agreementNumber}`);
           
+          if (type === 'draft') {
+            draftNumbers = invoices.map(invoice => invoice.draftInvoiceNumber);
+          }
+          
           let recordCount = 0;
+          const upserts = [];
+          // Lines are saved once their invoices are stored, so no line is left without its invoice
+          const lineSaves = [];
           
           for (const invoice of invoices) {
             // Transform API data to our model
@@ -206,8 +249,16 @@ class InvoiceService {
             // Verify we have agreement number before the smartUpsert call
             logger.debug(`Processing invoice ${invoiceData.invoice_number || invoiceData.draft_invoice_number}, agreement: ${agreementNumber}`);
           
-            // Smart upsert the invoice with explicit agreement number parameter
-            const savedInvoice = await InvoiceModel.smartUpsert(invoiceData, agreementNumber);
+            // Smart upsert the invoice with explicit agreement number parameter.
+            // Drafts are stored under their draft number.
+            if (diffs) {
+              diffs.invoices.compare({
+                ...invoiceData,
+                invoice_number: invoiceData.invoice_number ?? invoiceData.draft_invoice_number
+              });
+            } else {
+              upserts.push(invoiceData);
+            }
             
             // Get the correct invoice number based on type
             const invoiceNumber = type === 'draft' ? invoice.draftInvoiceNumber : (invoice.bookedInvoiceNumber || invoice.draftInvoiceNumber);
@@ -218,8 +269,15 @@ class InvoiceService {
             // Process invoice lines if available
             if (detailedInvoice && (detailedInvoice.lines || [])) {
               const lines = this.transformInvoiceLines(detailedInvoice, invoiceNumber, agreementNumber);
-              await InvoiceModel.saveInvoiceLines(invoiceNumber, agreementNumber, invoiceData.customer_number, lines);
-              logger.debug(`Saved ${lines.length} lines for invoice #${invoiceNumber}`);
+              
+              if (diffs) {
+                lines.forEach(line => diffs.lines.compare(line));
+                if (lines.length > 0) {
+                  replacedLines.add(`${invoiceNumber}/${invoiceData.customer_number}`);
+                }
+              } else {
+                lineSaves.push({ invoiceNumber, customerNumber: invoiceData.customer_number, lines });
+              }
             } else {
               logger.debug(`No line items available for invoice #${invoiceNumber}`);
             }
@@ -227,15 +285,29 @@ class InvoiceService {
             recordCount++;
           }
           
-          // Record successful sync
-          await InvoiceModel.recordSyncLog(
-            `invoices_${type}`,
-            'sync',
-            'success',
-            recordCount,
-            null,
-            startTime
-          );
+          if (!diffs) {
+            // Invoices of this type in transactional chunks instead of one round trip each
+            addUpsertCounts(changes, await InvoiceModel.batchUpsert(upserts, agreementNumber));
+            
+            for (const { invoiceNumber, customerNumber, lines } of lineSaves) {
+              addUpsertCounts(changes, await InvoiceModel.saveInvoiceLines(invoiceNumber, agreementNumber, customerNumber, lines));
+              logger.debug(`Saved ${lines.length} lines for invoice #${invoiceNumber}`);
+            }
+          }
+          
+          if (!options.dryRun) {
+            // Record successful sync
+            await InvoiceModel.recordSyncLog(
+              agreementNumber,
+              type,
+              'sync',
+              'success',
+              recordCount,
+              null,
+              startTime,
+              options.runId
+            );
+          }
           
           // Add to results
           results[type] = {
@@ -249,15 +321,19 @@ class InvoiceService {
         } catch (error) {
           logger.error(`Error syncing ${type} invoices for agreement ${agreementNumber}:`, error.message);
           
-          // Record failed sync
-          await InvoiceModel.recordSyncLog(
-            `invoices_${type}`,
-            'sync',
-            'error',
-            0,
-            error.message,
-            startTime
-          );
+          if (!options.dryRun) {
+            // Record failed sync
+            await InvoiceModel.recordSyncLog(
+              agreementNumber,
+              type,
+              'sync',
+              'error',
+              0,
+              error.message,
+              startTime,
+              options.runId
+            );
+          }
           
           // Add to results
           results[type] = {
@@ -268,7 +344,28 @@ class InvoiceService {
         }
       }
       
-      logger.info(`Sync completed for agreement ${agreementNumber}: ${totalCount} invoices processed`);
+      const allSucceeded = Object.values(results).every(result => result.status === 'success');
+      
+      // Drafts that are gone were either deleted or booked. Only reconcile after
+      // a clean full run, so the booked invoices they became are already stored.
+      let drafts = { deleted: [], booked: [] };
+      if (mode === 'full' && draftNumbers && allSucceeded) {
+        drafts = diffs
+          ? this.previewDraftReconciliation(diffs.invoices)
+          : await this.reconcileDrafts(agreementNumber, draftNumbers, syncStartedAt);
+      }
+      
+      if (diffs) {
+        // Saving lines replaces every stored line of the invoice
+        diffs.lines.markMissing(row => replacedLines.has(`${row.invoice_id}/${row.customer_number}`));
+      }
+      
+      // Only advance the watermark when every invoice type synced cleanly
+      if (allSucceeded && !diffs) {
+        await SyncWatermarkModel.markSynced(agreementNumber, 'invoices', startTime, mode, totalCount);
+      }
+      
+      logger.info(`Sync completed for agreement ${agreementNumber}: ${totalCount} invoices processed, ${drafts.deleted.length} drafts deleted, ${drafts.booked.length} drafts booked`);
       
       return {
         agreement: {
@@ -276,29 +373,96 @@ class InvoiceService {
           name: agreement.name,
           agreement_number: agreementNumber
         },
+        mode,
         results,
-        totalCount
+        totalCount,
+        deletedCount: drafts.deleted.length,
+        drafts,
+        ...(diffs && { dryRun: true, diff: buildDiffReport(diffs.invoices, diffs.lines) }),
+        ...(changes && { changes }),
+        apiStats: client.getRetryStats()
       };
       
     } catch (error) {
       logger.error(`Error syncing invoices for agreement ${agreement.id}:`, error.message);
       
-      // Record failed sync
-      await InvoiceModel.recordSyncLog(
-        'invoices_agreement',
-        'sync',
-        'error',
-        0,
-        error.message,
-        startTime
-      );
+      if (!options.dryRun) {
+        // Record failed sync
+        await InvoiceModel.recordSyncLog(
+          agreement.agreement_number,
+          null,
+          'sync',
+          'error',
+          0,
+          error.message,
+          startTime,
+          options.runId
+        );
+      }
       
       throw error;
     }
   }
   
+  // Tombstone drafts missing from a full draft fetch and link those that were
+  // booked to their booked invoice
+  async reconcileDrafts(agreementNumber, draftNumbers, since) {
+    const vanished = await InvoiceModel.markDeletedDrafts(agreementNumber, draftNumbers);
+    const deleted = [];
+    const booked = [];
+    
+    for (const draftNumber of vanished) {
+      const invoice = await InvoiceModel.findBookedForDraft(draftNumber, agreementNumber, since);
+      
+      if (invoice) {
+        await InvoiceModel.markDraftBooked(draftNumber, agreementNumber, invoice.invoice_number);
+        booked.push({ draft_invoice_number: draftNumber, invoice_number: invoice.invoice_number });
+      } else {
+        deleted.push(draftNumber);
+      }
+    }
+    
+    return { deleted, booked };
+  }
+  
+  // Work out what reconcileDrafts would do from a dry run diff. Vanished drafts
+  // are matched against booked invoices the run would insert.
+  previewDraftReconciliation(diff) {
+    const vanished = diff.markMissing(row => row.payment_status === 'draft');
+    const candidates = diff.getInserts().filter(invoice => invoice.payment_status !== 'draft');
+    const deleted = [];
+    const booked = [];
+    
+    for (const draft of vanished) {
+      const match = candidates
+        .filter(invoice =>
+          invoice.customer_number === draft.customer_number &&
+          (invoice.currency ?? null) === (draft.currency ?? null) &&
+          Number(invoice.gross_amount) === Number(draft.gross_amount)
+        )
+        .sort((a, b) =>
+          Math.abs(new Date(a.date) - new Date(draft.date)) - Math.abs(new Date(b.date) - new Date(draft.date)) ||
+          a.invoice_number - b.invoice_number
+        )[0];
+      
+      if (match) {
+        candidates.splice(candidates.indexOf(match), 1);
+        booked.push({ draft_invoice_number: draft.invoice_number, invoice_number: match.invoice_number });
+      } else {
+        deleted.push(draft.invoice_number);
+      }
+    }
+    
+    return { deleted, booked };
+  }
+  
+  // Sync every invoice type for a specific agreement
+  async syncInvoicesForAgreement(agreement, options = {}) {
+    return await this.syncAgreementInvoices(agreement, INVOICE_TYPES, options);
+  }
+  
   // Sync all invoices across all agreements
-  async syncAllInvoices() {
+  async syncAllInvoices(options = {}) {
     const startTime = new Date();
     const agreementResults = [];
     let totalCount = 0;
@@ -319,10 +483,10 @@ class InvoiceService {
         };
       }
       
-      // Process each agreement
-      for (const agreement of agreements) {
+      // Sync agreements side by side, bounded by the shared sync pool
+      await syncPool.forEachAgreement(agreements, async agreement => {
         try {
-          const result = await this.syncAgreementInvoices(agreement);
+          const result = await this.syncAgreementInvoices(agreement, INVOICE_TYPES, options);
           agreementResults.push(result);
           totalCount += result.totalCount;
         } catch (error) {
@@ -337,17 +501,21 @@ class InvoiceService {
             error: error.message
           });
         }
-      }
+      }, options.signal);
       
-      // Record overall sync result
-      await InvoiceModel.recordSyncLog(
-        'invoices_all_agreements',
-        'sync',
-        'success',
-        totalCount,
-        null,
-        startTime
-      );
+      if (!options.dryRun) {
+        // Record overall sync result, apart from the entries per agreement
+        await InvoiceModel.recordSyncLog(
+          null,
+          null,
+          'sync_all',
+          'success',
+          totalCount,
+          null,
+          startTime,
+          options.runId
+        );
+      }
       
       logger.info(`Completed sync across all agreements: ${totalCount} invoices processed`);
       
@@ -360,31 +528,204 @@ class InvoiceService {
     } catch (error) {
       logger.error('Error in overall sync process:', error.message);
       
-      // Record failed sync
-      await InvoiceModel.recordSyncLog(
-        'invoices_all_agreements',
-        'sync',
-        'error',
-        totalCount,
-        error.message,
-        startTime
-      );
+      if (!options.dryRun) {
+        // Record failed sync
+        await InvoiceModel.recordSyncLog(
+          null,
+          null,
+          'sync_all',
+          'error',
+          totalCount,
+          error.message,
+          startTime,
+          options.runId
+        );
+      }
       
       throw error;
     }
   }
   
   // Sync invoices for a specific agreement by ID
-  async syncInvoicesByAgreementId(agreementId) {
+  async syncInvoicesByAgreementId(agreementId, options = {}) {
     try {
       const agreement = await AgreementModel.getById(agreementId);
-      return await this.syncAgreementInvoices(agreement);
+      return await this.syncAgreementInvoices(agreement, INVOICE_TYPES, options);
     } catch (error) {
       logger.error(`Error syncing invoices for agreement ID ${agreementId}:`, error.message);
       throw error;
     }
   }
   
+  // Fetch one draft or booked invoice with its lines and store it, e.g. when a
+  // webhook reports a change. A draft e-conomic no longer has is tombstoned;
+  // booked invoices cannot be deleted, so a missing one is an error to retry.
+  async syncInvoiceByNumber(context, invoiceNumber, type) {
+    const { client, agreementNumber } = context;
+    const endpoint = type === 'draft' ? endpoints.INVOICES_DRAFTS : endpoints.INVOICES_BOOKED;
+    
+    try {
+      const invoice = await client.get(`${endpoint}/${invoiceNumber}`);
+      const invoiceData = this.transformInvoiceData(invoice, type, agreementNumber);
+      
+      const changes = await InvoiceModel.batchUpsert([invoiceData], agreementNumber);
+      const lines = this.transformInvoiceLines(invoice, invoiceNumber, agreementNumber);
+      addUpsertCounts(changes, await InvoiceModel.saveInvoiceLines(invoiceNumber, agreementNumber, invoiceData.customer_number, lines));
+      
+      return { status: 'upserted', changes };
+    } catch (error) {
+      if (type === 'draft' && error.response?.status === 404) {
+        await InvoiceModel.tombstoneDrafts(agreementNumber, [invoiceNumber]);
+        return { status: 'deleted' };
+      }
+      
+      logger.error(`Error syncing ${type} invoice ${invoiceNumber} for agreement ${agreementNumber}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Get invoices for an agreement with filters, sorting and pagination
+  async getInvoices(agreementNumber, filters = {}, sort = {}, pagination = {}) {
+    try {
+      if (filters.payment_status && !PAYMENT_STATUSES.includes(filters.payment_status)) {
+        throw ApiError.badRequest(
+          `Invalid payment_status "${filters.payment_status}". Expected one of: ${PAYMENT_STATUSES.join(', ')}`,
+          'INVALID_PAYMENT_STATUS'
+        );
+      }
+      
+      if (sort.field && !SORT_FIELDS.includes(sort.field)) {
+        throw ApiError.badRequest(
+          `Invalid sort_by "${sort.field}". Expected one of: ${SORT_FIELDS.join(', ')}`,
+          'INVALID_SORT_FIELD'
+        );
+      }
+      
+      if (sort.order && !['ASC', 'DESC'].includes(sort.order)) {
+        throw ApiError.badRequest(`Invalid sort_order "${sort.order}". Expected ASC or DESC`, 'INVALID_SORT_ORDER');
+      }
+      
+      for (const field of NUMERIC_FILTERS) {
+        if (filters[field] !== undefined && Number.isNaN(filters[field])) {
+          throw ApiError.badRequest(`Invalid ${field}. Expected a number`, 'INVALID_NUMBER');
+        }
+      }
+      
+      for (const field of DATE_FILTERS) {
+        if (filters[field] && (!/^\d{4}-\d{2}-\d{2}$/.test(filters[field]) || isNaN(new Date(filters[field]).getTime()))) {
+          throw ApiError.badRequest(`Invalid ${field} "${filters[field]}". Expected YYYY-MM-DD`, 'INVALID_DATE');
+        }
+      }
+      
+      return await InvoiceModel.find(agreementNumber, filters, sort, pagination);
+    } catch (error) {
+      logger.error(`Error getting invoices for agreement ${agreementNumber}:`, error.message);
+      throw error;
+    }
+  }
+  
+  // Get an invoice with its lines embedded
+  async getInvoiceByNumber(invoiceNumber, agreementNumber, draft = false, includeDeleted = false) {
+    try {
+      const invoice = await InvoiceModel.findByNumberAndAgreement(invoiceNumber, agreementNumber, draft, includeDeleted);
+      
+      if (!invoice) {
+        throw ApiError.notFound(
+          `${draft ? 'Draft invoice' : 'Invoice'} with number ${invoiceNumber} not found for agreement ${agreementNumber}`
+        );
+      }
+      
+      const lines = await InvoiceModel.getInvoiceLines(invoice.invoice_number, agreementNumber, invoice.customer_number);
+      
+      return {
+        ...invoice,
+        lines
+      };
+    } catch (error) {
+      logger.error(`Error getting invoice ${invoiceNumber} for agreement ${agreementNumber}:`, error.message);
+      throw error;
+    }
+  }
+  
+  // Accounts receivable aging per customer and per agreement. Balances are the
+  // remainders as of the last sync; the as-of date decides how overdue they are
+  // and leaves out invoices dated after it.
+  async getAgingReport(asOf, agreementNumbers = null, customerNumber = null) {
+    try {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(asOf) || isNaN(new Date(asOf).getTime())) {
+        throw ApiError.badRequest(`Invalid as_of date "${asOf}". Expected YYYY-MM-DD`, 'INVALID_DATE');
+      }
+      
+      const rows = await InvoiceModel.getAgingBalances(asOf, AGING_BUCKETS, agreementNumbers, customerNumber);
+      
+      const emptyBuckets = () => Object.fromEntries([...AGING_BUCKETS.map(({ key }) => [key, 0]), ['total', 0]]);
+      const addTo = (target, amounts) => {
+        for (const key of Object.keys(target)) {
+          target[key] = Math.round((target[key] + amounts[key]) * 100) / 100;
+        }
+      };
+      
+      const agreements = new Map();
+      
+      for (const row of rows) {
+        const buckets = emptyBuckets();
+        const baseBuckets = emptyBuckets();
+        
+        AGING_BUCKETS.forEach(({ key }, index) => {
+          buckets[key] = parseFloat(row[`bucket_${index}`]) || 0;
+          baseBuckets[key] = parseFloat(row[`base_bucket_${index}`]) || 0;
+        });
+        
+        buckets.total = Math.round(AGING_BUCKETS.reduce((sum, { key }) => sum + buckets[key], 0) * 100) / 100;
+        baseBuckets.total = Math.round(AGING_BUCKETS.reduce((sum, { key }) => sum + baseBuckets[key], 0) * 100) / 100;
+        
+        if (!agreements.has(row.agreement_number)) {
+          agreements.set(row.agreement_number, {
+            agreement_number: row.agreement_number,
+            agreement_name: row.agreement_name,
+            totals: {
+              base_currency: emptyBuckets(),
+              by_currency: {}
+            },
+            customers: []
+          });
+        }
+        
+        const agreement = agreements.get(row.agreement_number);
+        
+        agreement.customers.push({
+          customer_number: row.customer_number,
+          customer_name: row.customer_name,
+          currency: row.currency,
+          payment_terms: row.payment_terms_number ? {
+            payment_terms_number: row.payment_terms_number,
+            name: row.payment_terms_name,
+            days_of_credit: row.days_of_credit
+          } : null,
+          invoice_count: row.invoice_count,
+          max_days_overdue: Math.max(row.max_days_overdue, 0),
+          buckets,
+          base_currency: baseBuckets
+        });
+        
+        if (!agreement.totals.by_currency[row.currency]) {
+          agreement.totals.by_currency[row.currency] = emptyBuckets();
+        }
+        addTo(agreement.totals.by_currency[row.currency], buckets);
+        addTo(agreement.totals.base_currency, baseBuckets);
+      }
+      
+      return {
+        as_of: asOf,
+        buckets: AGING_BUCKETS.map(({ key }) => key),
+        agreements: [...agreements.values()]
+      };
+    } catch (error) {
+      logger.error('Error building accounts receivable aging report:', error.message);
+      throw error;
+    }
+  }
+  
   // Clean up duplicate invoices based on invoice_number
   async cleanupDuplicateInvoices() {
     const startTime = new Date();
@@ -433,7 +774,8 @@ class InvoiceService {
       
       // Record cleanup
       await InvoiceModel.recordSyncLog(
-        'invoices_cleanup',
+        null,
+        null,
         'cleanup',
         'success',
         cleanedCount,
@@ -450,7 +792,8 @@ class InvoiceService {
       
       // Record failed cleanup
       await InvoiceModel.recordSyncLog(
-        'invoices_cleanup',
+        null,
+        null,
         'cleanup',
         'error',
         cleanedCount,
@@ -1,10 +1,11 @@
 const journalService = require('./journal.service');
 const logger = require('../core/logger');
+const { parseSyncOptions } = require('../sync/sync.options');
 
 class JournalController {
   async syncJournals(req, res, next) {
     try {
-      const result = await journalService.syncAllJournals();
+      const result = await journalService.syncAllJournals(parseSyncOptions(req));
       res.json(result);
     } catch (error) {
       next(error);
@@ -15,7 +16,7 @@ class JournalController {
     try {
       const { id } = req.params;
       const agreement = await require('../agreements/agreement.model').getById(id);
-      const result = await journalService.syncJournalsForAgreement(agreement);
+      const result = await journalService.syncJournalsForAgreement(agreement, parseSyncOptions(req));
       res.json(result);
     } catch (error) {
       next(error);
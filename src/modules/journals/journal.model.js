@@ -1,6 +1,8 @@
 const db = require('../../db');
 const logger = require('../core/logger');
+const SyncLogModel = require('../sync/sync-log.model');
 const { ApiError } = require('../core/error.handler');
+const { upsertRows } = require('../sync/batch-upsert');
 
 class JournalModel {
   static async findByNumberAndAgreement(journalNumber, agreementNumber) {
@@ -29,106 +31,47 @@ class JournalModel {
     }
   }
 
+  // Columns stored for journals
+  static toRow(journalData) {
+    return {
+      journal_number: journalData.journal_number,
+      agreement_number: journalData.agreement_number,
+      name: journalData.name,
+      min_voucher_number: journalData.min_voucher_number,
+      max_voucher_number: journalData.max_voucher_number,
+      entry_type_restricted_to: journalData.entry_type_restricted_to,
+      settings: JSON.stringify(journalData.settings || {}),
+      self_url: journalData.self_url
+    };
+  }
+
+  // Create or update a journal
   static async upsert(journalData) {
+    await this.batchUpsert([journalData]);
+    return this.toRow(journalData);
+  }
+
+  // Create or update many journals in transactional chunks. Returns inserted, updated and unchanged counts.
+  static async batchUpsert(journals) {
     try {
-      const existing = await this.findByNumberAndAgreement(
-        journalData.journal_number, 
-        journalData.agreement_number
-      );
-      
-      // Ensure settings is never undefined
-      const settings = journalData.settings || {};
-      
-      if (existing) {
-        await db.query(
-          `UPDATE journals SET
-            name = ?,
-            min_voucher_number = ?,
-            max_voucher_number = ?,
-            entry_type_restricted_to = ?,
-            settings = ?,
-            self_url = ?,
-            updated_at = CURRENT_TIMESTAMP
-          WHERE journal_number = ? AND agreement_number = ?`,
-          [
-            journalData.name,
-            journalData.min_voucher_number,
-            journalData.max_voucher_number,
-            journalData.entry_type_restricted_to,
-            JSON.stringify(settings),  // Ensure it's stringified properly
-            journalData.self_url,
-            journalData.journal_number,
-            journalData.agreement_number
-          ]
-        );
-        
-        return { ...existing, ...journalData };
-      } else {
-        await db.query(
-          `INSERT INTO journals (
-            journal_number,
-            agreement_number,
-            name,
-            min_voucher_number,
-            max_voucher_number,
-            entry_type_restricted_to,
-            settings,
-            self_url
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-          [
-            journalData.journal_number,
-            journalData.agreement_number,
-            journalData.name,
-            journalData.min_voucher_number,
-            journalData.max_voucher_number,
-            journalData.entry_type_restricted_to,
-            JSON.stringify(settings),  // Ensure it's stringified properly
-            journalData.self_url
-          ]
-        );
-        
-        return journalData;
-      }
+      return await upsertRows('journals', journals.map(journal => this.toRow(journal)), {
+        keyColumns: ['journal_number', 'agreement_number']
+      });
     } catch (error) {
-      logger.error('Error upserting journal:', error.message);
+      logger.error('Error upserting journals:', error.message);
       throw error;
     }
   }
 
-  static async recordSyncLog(agreementNumber, recordCount = 0, errorMessage = null, startTime = null) {
-    try {
-      const started = startTime || new Date();
-      const completed = new Date();
-      const durationMs = completed.getTime() - started.getTime();
-      
-      await db.query(
-        `INSERT INTO sync_logs (
-          entity, operation, record_count, status, 
-          error_message, started_at, completed_at, duration_ms
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          `journals_${agreementNumber}`,
-          'sync',
-          recordCount,
-          errorMessage ? 'error' : 'success',
-          errorMessage,
-          started,
-          completed,
-          durationMs
-        ]
-      );
-      
-      return {
-        entity: `journals_${agreementNumber}`,
-        operation: 'sync',
-        status: errorMessage ? 'error' : 'success',
-        recordCount,
-        durationMs
-      };
-    } catch (error) {
-      logger.error('Error recording sync log:', error.message);
-      return null;
-    }
+  static async recordSyncLog(agreementNumber, recordCount = 0, errorMessage = null, startTime = null, runId = null) {
+    return await SyncLogModel.record({
+      entity: 'journals',
+      agreementNumber,
+      recordCount,
+      errorMessage,
+      startTime,
+      runId
+    });
   }
 }
 
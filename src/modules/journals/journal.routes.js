@@ -1,7 +1,12 @@
 const express = require('express');
 const journalController = require('./journal.controller');
+const { authorizeAgreementNumber, authorizeAgreementId } = require('../auth/auth.middleware');
 const router = express.Router();
 
+// Restrict API keys to their agreements
+router.param('agreement_number', authorizeAgreementNumber);
+router.param('id', authorizeAgreementId);
+
 router.post('/sync', journalController.syncJournals);
 router.post('/agreements/:id/sync', journalController.syncJournalsForAgreement);
 router.get('/agreements/:agreement_number', journalController.getJournals);
@@ -1,15 +1,14 @@
-const ApiClient = require('../../api/client');
 const endpoints = require('../../api/endpoints');
 const JournalModel = require('./journal.model');
 const AgreementModel = require('../agreements/agreement.model');
+const { resolveAgreementContext } = require('../agreements/agreement-context');
+const syncPool = require('../sync/sync-pool');
+const SyncWatermarkModel = require('../sync/sync-watermark.model');
+const { SyncDiff, buildDiffReport } = require('../sync/sync-diff');
 const logger = require('../core/logger');
 const { ApiError } = require('../core/error.handler');
 
 class JournalService {
-  getClientForAgreement(agreementToken) {
-    return ApiClient.forAgreement(agreementToken);
-  }
-
   transformJournalData(journal, agreementNumber) {
     let minVoucherNumber = null;
     let maxVoucherNumber = null;
@@ -41,32 +40,49 @@ class JournalService {
     };
   }
 
-  async syncJournalsForAgreement(agreement) {
+  async syncJournalsForAgreement(agreement, options = {}) {
     const startTime = new Date();
     let recordCount = 0;
     
     try {
       logger.info(`Starting journals sync for agreement ${agreement.name} (${agreement.agreement_number})`);
       
-      const client = this.getClientForAgreement(agreement.agreement_grant_token);
-      const agreementInfo = await client.getAgreementInfo();
-      const agreementNumber = agreementInfo.agreementNumber;
+      // Client and agreement number confirmed by the API
+      const context = options.context || await resolveAgreementContext(agreement);
+      const { client, agreementNumber } = context;
+      const { mode } = await SyncWatermarkModel.resolveWindow(agreementNumber, 'journals', options.mode);
       
       const journals = await client.getPaginated(endpoints.JOURNALS);
       logger.info(`Found ${journals.length} journals for agreement ${agreementNumber}`);
       
+      // Dry runs compare with the stored rows instead of writing
+      const diff = options.dryRun ? await SyncDiff.forAgreement('journals', ['journal_number'], agreementNumber) : null;
+      
+      const upserts = [];
       for (const journal of journals) {
         const journalData = this.transformJournalData(journal, agreementNumber);
-        await JournalModel.upsert(journalData);
+        if (diff) {
+          diff.compare(journalData);
+        } else {
+          upserts.push(journalData);
+        }
         recordCount++;
       }
       
-      await JournalModel.recordSyncLog(
-        agreementNumber,
-        recordCount,
-        null,
-        startTime
-      );
+      // Write in transactional chunks instead of one round trip per record
+      const changes = diff ? null : await JournalModel.batchUpsert(upserts);
+      
+      if (!diff) {
+        await JournalModel.recordSyncLog(
+          agreementNumber,
+          recordCount,
+          null,
+          startTime,
+          options.runId
+        );
+      
+        await SyncWatermarkModel.markSynced(agreementNumber, 'journals', startTime, mode, recordCount);
+      }
       
       logger.info(`Completed journals sync for agreement ${agreementNumber}: ${recordCount} records processed`);
       
@@ -76,24 +92,31 @@ class JournalService {
           name: agreement.name,
           agreement_number: agreementNumber
         },
-        recordCount
+        mode,
+        recordCount,
+        ...(diff && { dryRun: true, diff: buildDiffReport(diff) }),
+        ...(changes && { changes }),
+        apiStats: client.getRetryStats()
       };
       
     } catch (error) {
       logger.error(`Error syncing journals for agreement ${agreement.id}:`, error.message);
       
-      await JournalModel.recordSyncLog(
-        agreement.agreement_number || 'unknown',
-        recordCount,
-        error.message,
-        startTime
-      );
+      if (!options.dryRun) {
+        await JournalModel.recordSyncLog(
+          agreement.agreement_number || 'unknown',
+          recordCount,
+          error.message,
+          startTime,
+          options.runId
+        );
+      }
       
       throw error;
     }
   }
 
-  async syncAllJournals() {
+  async syncAllJournals(options = {}) {
     const startTime = new Date();
     const agreementResults = [];
     let totalCount = 0;
@@ -113,9 +136,10 @@ class JournalService {
         };
       }
       
-      for (const agreement of agreements) {
+      // Sync agreements side by side, bounded by the shared sync pool
+      await syncPool.forEachAgreement(agreements, async agreement => {
         try {
-          const result = await this.syncJournalsForAgreement(agreement);
+          const result = await this.syncJournalsForAgreement(agreement, options);
           agreementResults.push(result);
           totalCount += result.recordCount;
         } catch (error) {
@@ -130,7 +154,7 @@ class JournalService {
             error: error.message
           });
         }
-      }
+      }, options.signal);
       
       logger.info(`Completed journals sync across all agreements: ${totalCount} records processed`);
       
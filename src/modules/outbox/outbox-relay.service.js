@@ -0,0 +1,176 @@
+const OutboxModel = require('./outbox.model');
+const { createTransport } = require('./outbox-transport');
+const { publish } = require('../sync/domain-events');
+const logger = require('../core/logger');
+const config = require('../../config');
+
+// How often published events past the retention period are removed
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Publishes outbox events to the configured transport and to the in-process
+// listeners, oldest first. An event is marked published only once both have
+// taken it, so a crash or failure in between publishes it again: delivery is
+// at least once, and consumers should skip event ids they have seen. Events
+// of one agreement and entity are published in order; a stream that fails
+// waits for its retry while the other streams carry on.
+class OutboxRelayService {
+  constructor() {
+    this.timer = null;
+    this.activeRun = null;
+    this.stopping = false;
+    this.transport = null;
+    this.connected = false;
+    this.lastPurgeAt = 0;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    if (!this.transport) {
+      this.transport = createTransport(config.outbox);
+    }
+
+    this.stopping = false;
+    this.timer = setInterval(() => {
+      this.tick().catch(error => logger.error('Error in outbox relay:', error.message));
+    }, config.outbox.pollIntervalMs);
+
+    logger.info(`Outbox relay started with transport "${config.outbox.transport}", checking every ${config.outbox.pollIntervalMs}ms`);
+  }
+
+  // Stop polling, wait for the events in flight and close the transport
+  async stop() {
+    this.stopping = true;
+
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.activeRun) {
+      await this.activeRun;
+    }
+
+    if (this.transport && this.connected) {
+      await this.transport.close();
+      this.connected = false;
+    }
+  }
+
+  // Publish new events right away instead of at the next poll
+  wake() {
+    if (!this.timer || this.stopping) {
+      return;
+    }
+
+    setImmediate(() => {
+      this.tick().catch(error => logger.error('Error in outbox relay:', error.message));
+    });
+  }
+
+  // Work through unpublished events until none are due. Skipped while a run is in progress.
+  async tick() {
+    if (this.activeRun || this.stopping) {
+      return;
+    }
+
+    this.activeRun = this.processDue().finally(() => {
+      this.activeRun = null;
+    });
+
+    await this.activeRun;
+  }
+
+  async processDue() {
+    // A broker that is down at startup is connected to on a later poll;
+    // the events wait in the outbox meanwhile
+    if (this.transport && !this.connected) {
+      await this.transport.connect();
+      this.connected = true;
+    }
+
+    while (!this.stopping) {
+      const rows = await OutboxModel.getDue(config.outbox.batchSize);
+      if (rows.length === 0) {
+        break;
+      }
+
+      const streams = new Map();
+      for (const row of rows) {
+        const key = `${row.agreement_number}:${row.entity}`;
+        streams.set(key, [...(streams.get(key) || []), row]);
+      }
+
+      let published = 0;
+      for (const [key, streamRows] of streams) {
+        if (await this.publishStream(key, streamRows)) {
+          published++;
+        }
+      }
+
+      // Every stream failed; leave them to their retries
+      if (published === 0) {
+        break;
+      }
+    }
+
+    await this.purgePublished();
+  }
+
+  // Publish the due events of one stream together, so they succeed or fail as one
+  async publishStream(key, rows) {
+    const ids = rows.map(row => row.id);
+
+    try {
+      if (this.transport) {
+        await this.transport.publish(rows.map(row => this.toMessage(row, key)));
+      }
+
+      await publish(rows.map(row => row.payload));
+      await OutboxModel.markPublished(ids);
+      return true;
+    } catch (error) {
+      const attempts = rows[0].attempts + 1;
+      const nextAttemptAt = new Date(Date.now() + this.getRetryDelay(attempts));
+
+      await OutboxModel.markAttemptFailed(ids, error.message, nextAttemptAt);
+      logger.warn(`Publishing ${rows.length} outbox events of ${key} failed with ${error.message} (attempt ${attempts}), retrying at ${nextAttemptAt.toISOString()}`);
+      return false;
+    }
+  }
+
+  toMessage(row, key) {
+    return {
+      key,
+      type: row.event_type,
+      value: JSON.stringify(row.payload),
+      headers: {
+        event_id: row.event_id,
+        event_type: row.event_type
+      }
+    };
+  }
+
+  // Exponential backoff from the configured base delay
+  getRetryDelay(attempts) {
+    const { retryBaseDelayMs, retryMaxDelayMs } = config.outbox;
+    return Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** (attempts - 1));
+  }
+
+  async purgePublished() {
+    const { retentionDays } = config.outbox;
+    if (!retentionDays || Date.now() - this.lastPurgeAt < PURGE_INTERVAL_MS) {
+      return;
+    }
+
+    this.lastPurgeAt = Date.now();
+    const count = await OutboxModel.deletePublishedBefore(new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000));
+    if (count > 0) {
+      logger.info(`Removed ${count} published outbox events older than ${retentionDays} days`);
+    }
+  }
+}
+
+module.exports = new OutboxRelayService();
@@ -0,0 +1,29 @@
+const StdoutTransport = require('./transports/stdout.transport');
+const FileTransport = require('./transports/file.transport');
+const BrokerTransport = require('./transports/broker.transport');
+
+const TRANSPORTS = {
+  stdout: StdoutTransport,
+  file: FileTransport,
+  broker: BrokerTransport
+};
+
+// Create the transport the relay publishes to, or null for "none", where
+// events only reach the in-process listeners such as subscriptions.
+// Every transport has connect(), publish(messages) and close().
+function createTransport(options) {
+  if (!options.transport || options.transport === 'none') {
+    return null;
+  }
+
+  const Transport = TRANSPORTS[options.transport];
+  if (!Transport) {
+    throw new Error(`Unknown outbox transport "${options.transport}". Expected none, ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+
+  return new Transport(options);
+}
+
+module.exports = {
+  createTransport
+};
@@ -0,0 +1,123 @@
+const db = require('../../db');
+const logger = require('../core/logger');
+
+// JSON columns come back as strings on MariaDB and as objects on MySQL
+function parseJson(value, fallback) {
+  if (value === null || value === undefined) {
+    return fallback;
+  }
+
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+class OutboxModel {
+  static fromRow(row) {
+    return {
+      ...row,
+      payload: parseJson(row.payload, {})
+    };
+  }
+
+  // Write events inside the transaction that stores the rows they describe,
+  // so an event exists exactly when its change was committed
+  static async insertMany(connection, events) {
+    if (events.length === 0) {
+      return;
+    }
+
+    await connection.query(
+      `INSERT INTO event_outbox (
+        event_id, event_type, agreement_number, entity, record_key, payload
+      ) VALUES ${events.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}`,
+      events.flatMap(event => [
+        event.id,
+        event.type,
+        event.agreement_number,
+        event.entity,
+        String(event.key),
+        JSON.stringify(event)
+      ])
+    );
+  }
+
+  // The oldest unpublished events, in id order. A stream (one agreement and
+  // entity) waiting for a retry is left out entirely, so no later event of
+  // that stream overtakes the one that failed.
+  static async getDue(limit) {
+    try {
+      const safeLimit = Math.min(Math.max(parseInt(limit) || 100, 1), 1000);
+      const rows = await db.query(
+        `SELECT o.* FROM event_outbox o
+        WHERE o.published_at IS NULL
+          AND NOT EXISTS (
+            SELECT 1 FROM event_outbox b
+            WHERE b.agreement_number = o.agreement_number AND b.entity = o.entity
+              AND b.published_at IS NULL AND b.id <= o.id
+              AND b.next_attempt_at > CURRENT_TIMESTAMP
+          )
+        ORDER BY o.id
+        LIMIT ${safeLimit}`
+      );
+
+      return rows.map(row => this.fromRow(row));
+    } catch (error) {
+      logger.error('Error getting unpublished outbox events:', error.message);
+      throw error;
+    }
+  }
+
+  static async markPublished(ids) {
+    try {
+      if (ids.length === 0) {
+        return;
+      }
+
+      await db.query(
+        `UPDATE event_outbox SET
+          published_at = CURRENT_TIMESTAMP,
+          attempts = attempts + 1,
+          last_error = NULL
+        WHERE id IN (${ids.map(() => '?').join(', ')})`,
+        ids
+      );
+    } catch (error) {
+      logger.error('Error marking outbox events as published:', error.message);
+      throw error;
+    }
+  }
+
+  // Record a failed publish. The events are tried again from nextAttemptAt;
+  // they are never given up on, since consumers rely on seeing every change.
+  static async markAttemptFailed(ids, errorMessage, nextAttemptAt) {
+    try {
+      await db.query(
+        `UPDATE event_outbox SET
+          attempts = attempts + 1,
+          last_error = ?,
+          next_attempt_at = ?
+        WHERE id IN (${ids.map(() => '?').join(', ')})`,
+        [errorMessage, nextAttemptAt, ...ids]
+      );
+    } catch (error) {
+      logger.error('Error recording failed publish of outbox events:', error.message);
+      throw error;
+    }
+  }
+
+  // Remove published events older than the retention period
+  static async deletePublishedBefore(cutoff) {
+    try {
+      const result = await db.query(
+        'DELETE FROM event_outbox WHERE published_at IS NOT NULL AND published_at < ?',
+        [cutoff]
+      );
+
+      return result.affectedRows || 0;
+    } catch (error) {
+      logger.error('Error deleting published outbox events:', error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = OutboxModel;
@@ -0,0 +1,44 @@
+const path = require('path');
+
+// Publishes events to a message broker through an adapter. An adapter module
+// exports createAdapter(options) returning an object with:
+//
+//   connect()               - open the connection
+//   send(topic, messages)   - resolve once the broker has accepted every message
+//   close()                 - close the connection
+//
+// Each message has key, type, value (the event as JSON) and headers. key is
+// "<agreement number>:<entity>", so a Kafka-style adapter that partitions by
+// key keeps each stream in order; an AMQP-style adapter can use type as the
+// routing key. Adapters should use publisher confirms or acks=all, since the
+// relay marks events published as soon as send resolves.
+class BrokerTransport {
+  constructor({ brokerAdapter, topic }) {
+    this.topic = topic;
+    this.adapter = this.loadAdapter(brokerAdapter).createAdapter({ topic });
+  }
+
+  // "local" is the in-process broker; anything else is a module path,
+  // resolved from the working directory
+  loadAdapter(name) {
+    if (name === 'local') {
+      return require('./local-broker.adapter');
+    }
+
+    return require(path.resolve(name));
+  }
+
+  async connect() {
+    await this.adapter.connect();
+  }
+
+  async publish(messages) {
+    await this.adapter.send(this.topic, messages);
+  }
+
+  async close() {
+    await this.adapter.close();
+  }
+}
+
+module.exports = BrokerTransport;
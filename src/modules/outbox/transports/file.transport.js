@@ -0,0 +1,30 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Appends each event as one JSON line to a file. Writes are flushed to disk
+// before they count as published.
+class FileTransport {
+  constructor({ filePath }) {
+    this.filePath = path.resolve(filePath);
+    this.handle = null;
+  }
+
+  async connect() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    this.handle = await fs.open(this.filePath, 'a');
+  }
+
+  async publish(messages) {
+    await this.handle.appendFile(messages.map(message => `${message.value}\n`).join(''));
+    await this.handle.sync();
+  }
+
+  async close() {
+    if (this.handle) {
+      await this.handle.close();
+      this.handle = null;
+    }
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,60 @@
+// In-process stand-in for a message broker, for development and for trying
+// out consumers without running RabbitMQ or Kafka. Messages are handed to
+// the consumers subscribed to their topic, and the most recent ones are kept
+// in memory for inspection.
+
+// Messages kept per topic
+const RETAINED_MESSAGES = 1000;
+
+class LocalBroker {
+  constructor() {
+    this.connected = false;
+    this.topics = new Map();
+    this.consumers = new Map();
+  }
+
+  async connect() {
+    this.connected = true;
+  }
+
+  // A consumer that throws fails the send, so the relay publishes the
+  // messages again, as a broker without an ack would
+  async send(topic, messages) {
+    if (!this.connected) {
+      throw new Error('Local broker is not connected');
+    }
+
+    const retained = this.topics.get(topic) || [];
+    retained.push(...messages);
+    this.topics.set(topic, retained.slice(-RETAINED_MESSAGES));
+
+    for (const consumer of this.consumers.get(topic) || []) {
+      await consumer(messages);
+    }
+  }
+
+  async close() {
+    this.connected = false;
+  }
+
+  subscribe(topic, consumer) {
+    this.consumers.set(topic, [...(this.consumers.get(topic) || []), consumer]);
+  }
+
+  getMessages(topic) {
+    return [...(this.topics.get(topic) || [])];
+  }
+}
+
+const localBroker = new LocalBroker();
+
+// Every transport in the process shares one local broker, so consumers can
+// subscribe to it directly
+function createAdapter() {
+  return localBroker;
+}
+
+module.exports = {
+  createAdapter,
+  localBroker
+};
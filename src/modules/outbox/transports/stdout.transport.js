@@ -0,0 +1,17 @@
+// Writes each event as one JSON line to standard output, e.g. for a log
+// shipper or a container platform that collects stdout
+class StdoutTransport {
+  async connect() {}
+
+  publish(messages) {
+    const lines = messages.map(message => `${message.value}\n`).join('');
+
+    return new Promise((resolve, reject) => {
+      process.stdout.write(lines, error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  async close() {}
+}
+
+module.exports = StdoutTransport;
@@ -1,11 +1,12 @@
 const paymentTermsService = require('./payment-terms.service');
 const logger = require('../core/logger');
+const { parseSyncOptions } = require('../sync/sync.options');
 
 class PaymentTermsController {
   // Sync payment terms for all agreements
   async syncPaymentTerms(req, res, next) {
     try {
-      const result = await paymentTermsService.syncAllPaymentTerms();
+      const result = await paymentTermsService.syncAllPaymentTerms(parseSyncOptions(req));
       res.json(result);
     } catch (error) {
       next(error);
@@ -18,7 +19,7 @@ class PaymentTermsController {
       const { id } = req.params;
       // Get agreement by ID
       const agreement = await require('../agreements/agreement.model').getById(id);
-      const result = await paymentTermsService.syncPaymentTermsForAgreement(agreement);
+      const result = await paymentTermsService.syncPaymentTermsForAgreement(agreement, parseSyncOptions(req));
       res.json(result);
     } catch (error) {
       next(error);
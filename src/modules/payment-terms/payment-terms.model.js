@@ -1,6 +1,8 @@
 const db = require('../../db');
 const logger = require('../core/logger');
+const SyncLogModel = require('../sync/sync-log.model');
 const { ApiError } = require('../core/error.handler');
+const { upsertRows } = require('../sync/batch-upsert');
 
 class PaymentTermsModel {
   // Find by payment terms number and agreement number
@@ -31,62 +33,31 @@ class PaymentTermsModel {
     }
   }
 
+  // Columns stored for payment terms
+  static toRow(termsData) {
+    return {
+      payment_terms_number: termsData.payment_terms_number,
+      name: termsData.name,
+      days_of_credit: termsData.days_of_credit,
+      payment_terms_type: termsData.payment_terms_type,
+      description: termsData.description,
+      agreement_number: termsData.agreement_number,
+      self_url: termsData.self_url
+    };
+  }
+
   // Create or update payment terms
   static async upsert(termsData) {
+    await this.batchUpsert([termsData]);
+    return this.toRow(termsData);
+  }
+
+  // Create or update many payment terms in transactional chunks. Returns inserted, updated and unchanged counts.
+  static async batchUpsert(termsList) {
     try {
-      const existing = await this.findByNumberAndAgreement(
-        termsData.payment_terms_number, 
-        termsData.agreement_number
-      );
-      
-      if (existing) {
-        // Update existing payment terms
-        await db.query(
-          `UPDATE payment_terms SET
-            name = ?,
-            days_of_credit = ?,
-            payment_terms_type = ?,
-            description = ?,
-            self_url = ?,
-            updated_at = CURRENT_TIMESTAMP
-          WHERE payment_terms_number = ? AND agreement_number = ?`,
-          [
-            termsData.name,
-            termsData.days_of_credit,
-            termsData.payment_terms_type,
-            termsData.description,
-            termsData.self_url,
-            termsData.payment_terms_number,
-            termsData.agreement_number
-          ]
-        );
-        
-        return { ...existing, ...termsData };
-      } else {
-        // Create new payment terms
-        await db.query(
-          `INSERT INTO payment_terms (
-            payment_terms_number,
-            name,
-            days_of_credit,
-            payment_terms_type,
-            description,
-            agreement_number,
-            self_url
-          ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
-          [
-            termsData.payment_terms_number,
-            termsData.name,
-            termsData.days_of_credit,
-            termsData.payment_terms_type,
-            termsData.description,
-            termsData.agreement_number,
-            termsData.self_url
-          ]
-        );
-        
-        return termsData;
-      }
+      return await upsertRows('payment_terms', termsList.map(terms => this.toRow(terms)), {
+        keyColumns: ['payment_terms_number', 'agreement_number']
+      });
     } catch (error) {
       logger.error('Error upserting payment terms:', error.message);
       throw error;
@@ -94,41 +65,15 @@ class PaymentTermsModel {
   }
 
   // Record sync log for payment terms
-  static async recordSyncLog(agreementNumber, recordCount = 0, errorMessage = null, startTime = null) {
-    try {
-      const started = startTime || new Date();
-      const completed = new Date();
-      const durationMs = completed.getTime() - started.getTime();
-      
-      await db.query(
-        `INSERT INTO sync_logs (
-          entity, operation, record_count, status, 
-          error_message, started_at, completed_at, duration_ms
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          `payment_terms_${agreementNumber}`,
-          'sync',
-          recordCount,
-          errorMessage ? 'error' : 'success',
-          errorMessage,
-          started,
-          completed,
-          durationMs
-        ]
-      );
-      
-      return {
-        entity: `payment_terms_${agreementNumber}`,
-        operation: 'sync',
-        status: errorMessage ? 'error' : 'success',
-        recordCount,
-        durationMs
-      };
-    } catch (error) {
-      logger.error('Error recording sync log:', error.message);
-      // Don't throw for logging failures
-      return null;
-    }
+  static async recordSyncLog(agreementNumber, recordCount = 0, errorMessage = null, startTime = null, runId = null) {
+    return await SyncLogModel.record({
+      entity: 'payment_terms',
+      agreementNumber,
+      recordCount,
+      errorMessage,
+      startTime,
+      runId
+    });
   }
 }
 
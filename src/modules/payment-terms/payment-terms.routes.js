@@ -1,8 +1,13 @@
 const express = require('express');
 const paymentTermsController = require('./payment-terms.controller');
+const { authorizeAgreementNumber, authorizeAgreementId } = require('../auth/auth.middleware');
 
 const router = express.Router();
 
+// Restrict API keys to their agreements
+router.param('agreement_number', authorizeAgreementNumber);
+router.param('id', authorizeAgreementId);
+
 // Sync routes
 router.post('/sync', paymentTermsController.syncPaymentTerms);
 router.post('/agreements/:id/sync', paymentTermsController.syncPaymentTermsForAgreement);
@@ -1,16 +1,14 @@
-const ApiClient = require('../../api/client');
 const endpoints = require('../../api/endpoints');
 const PaymentTermsModel = require('./payment-terms.model');
 const AgreementModel = require('../agreements/agreement.model');
+const { resolveAgreementContext } = require('../agreements/agreement-context');
+const syncPool = require('../sync/sync-pool');
+const SyncWatermarkModel = require('../sync/sync-watermark.model');
+const { SyncDiff, buildDiffReport } = require('../sync/sync-diff');
 const logger = require('../core/logger');
 const { ApiError } = require('../core/error.handler');
 
 class PaymentTermsService {
-  // Get client for a specific agreement
-  getClientForAgreement(agreementToken) {
-    return ApiClient.forAgreement(agreementToken);
-  }
-
   // Transform API payment terms data to our database model
   transformPaymentTermsData(terms, agreementNumber) {
     return {
@@ -25,42 +23,57 @@ class PaymentTermsService {
   }
 
   // Sync payment terms for a specific agreement
-  async syncPaymentTermsForAgreement(agreement) {
+  async syncPaymentTermsForAgreement(agreement, options = {}) {
     const startTime = new Date();
     let recordCount = 0;
     
     try {
       logger.info(`Starting payment terms sync for agreement ${agreement.name} (${agreement.agreement_number})`);
       
-      // Create client for this agreement
-      const client = this.getClientForAgreement(agreement.agreement_grant_token);
-      
-      // Get the agreement number directly from the API to confirm
-      const agreementInfo = await client.getAgreementInfo();
-      const agreementNumber = agreementInfo.agreementNumber;
+      // Client and agreement number confirmed by the API
+      const context = options.context || await resolveAgreementContext(agreement);
+      const { client, agreementNumber } = context;
+      const { mode } = await SyncWatermarkModel.resolveWindow(agreementNumber, 'payment_terms', options.mode);
       
       // Fetch payment terms
       const paymentTerms = await client.getPaginated(endpoints.PAYMENT_TERMS);
       logger.info(`Found ${paymentTerms.length} payment terms for agreement ${agreementNumber}`);
       
+      // Dry runs compare with the stored rows instead of writing
+      const diff = options.dryRun ? await SyncDiff.forAgreement('payment_terms', ['payment_terms_number'], agreementNumber) : null;
+      
+      const upserts = [];
+      
       // Process each payment term
       for (const terms of paymentTerms) {
         // Transform API data to our model
         const termsData = this.transformPaymentTermsData(terms, agreementNumber);
         
         // Upsert the payment terms
-        await PaymentTermsModel.upsert(termsData);
+        if (diff) {
+          diff.compare(termsData);
+        } else {
+          upserts.push(termsData);
+        }
         
         recordCount++;
       }
       
-      // Record successful sync
-      await PaymentTermsModel.recordSyncLog(
-        agreementNumber,
-        recordCount,
-        null,
-        startTime
-      );
+      // Write in transactional chunks instead of one round trip per record
+      const changes = diff ? null : await PaymentTermsModel.batchUpsert(upserts);
+      
+      if (!diff) {
+        // Record successful sync
+        await PaymentTermsModel.recordSyncLog(
+          agreementNumber,
+          recordCount,
+          null,
+          startTime,
+          options.runId
+        );
+      
+        await SyncWatermarkModel.markSynced(agreementNumber, 'payment_terms', startTime, mode, recordCount);
+      }
       
       logger.info(`Completed payment terms sync for agreement ${agreementNumber}: ${recordCount} records processed`);
       
@@ -70,26 +83,33 @@ class PaymentTermsService {
           name: agreement.name,
           agreement_number: agreementNumber
         },
-        recordCount
+        mode,
+        recordCount,
+        ...(diff && { dryRun: true, diff: buildDiffReport(diff) }),
+        ...(changes && { changes }),
+        apiStats: client.getRetryStats()
       };
       
     } catch (error) {
       logger.error(`Error syncing payment terms for agreement ${agreement.id}:`, error.message);
       
-      // Record failed sync
-      await PaymentTermsModel.recordSyncLog(
-        agreement.agreement_number || 'unknown',
-        recordCount,
-        error.message,
-        startTime
-      );
+      if (!options.dryRun) {
+        // Record failed sync
+        await PaymentTermsModel.recordSyncLog(
+          agreement.agreement_number || 'unknown',
+          recordCount,
+          error.message,
+          startTime,
+          options.runId
+        );
+      }
       
       throw error;
     }
   }
 
   // Sync payment terms across all agreements
-  async syncAllPaymentTerms() {
+  async syncAllPaymentTerms(options = {}) {
     const startTime = new Date();
     const agreementResults = [];
     let totalCount = 0;
@@ -110,10 +130,10 @@ class PaymentTermsService {
         };
       }
       
-      // Process each agreement
-      for (const agreement of agreements) {
+      // Sync agreements side by side, bounded by the shared sync pool
+      await syncPool.forEachAgreement(agreements, async agreement => {
         try {
-          const result = await this.syncPaymentTermsForAgreement(agreement);
+          const result = await this.syncPaymentTermsForAgreement(agreement, options);
           agreementResults.push(result);
           totalCount += result.recordCount;
         } catch (error) {
@@ -128,7 +148,7 @@ class PaymentTermsService {
             error: error.message
           });
         }
-      }
+      }, options.signal);
       
       logger.info(`Completed payment terms sync across all agreements: ${totalCount} records processed`);
       
@@ -1,11 +1,12 @@
 const productGroupService = require('./product-group.service');
 const logger = require('../core/logger');
+const { parseSyncOptions } = require('../sync/sync.options');
 
 class ProductGroupController {
   // Sync product groups for all agreements
   async syncProductGroups(req, res, next) {
     try {
-      const result = await productGroupService.syncAllProductGroups();
+      const result = await productGroupService.syncAllProductGroups(parseSyncOptions(req));
       res.json(result);
     } catch (error) {
       next(error);
@@ -18,7 +19,7 @@ class ProductGroupController {
       const { id } = req.params;
       // Get agreement by ID
       const agreement = await require('../agreements/agreement.model').getById(id);
-      const result = await productGroupService.syncProductGroupsForAgreement(agreement);
+      const result = await productGroupService.syncProductGroupsForAgreement(agreement, parseSyncOptions(req));
       res.json(result);
     } catch (error) {
       next(error);
@@ -1,6 +1,8 @@
 const db = require('../../db');
 const logger = require('../core/logger');
+const SyncLogModel = require('../sync/sync-log.model');
 const { ApiError } = require('../core/error.handler');
+const { upsertRows } = require('../sync/batch-upsert');
 
 class ProductGroupModel {
   // Find by product group number and agreement number
@@ -31,104 +33,47 @@ class ProductGroupModel {
     }
   }
 
-  // Create or update product group
+  // Columns stored for product groups
+  static toRow(groupData) {
+    return {
+      product_group_number: groupData.product_group_number,
+      name: groupData.name,
+      agreement_number: groupData.agreement_number,
+      account_number: groupData.account_number,
+      accrual_account_number: groupData.accrual_account_number,
+      products_count: groupData.products_count || 0,
+      self_url: groupData.self_url
+    };
+  }
+
+  // Create or update a product group
   static async upsert(groupData) {
+    await this.batchUpsert([groupData]);
+    return this.toRow(groupData);
+  }
+
+  // Create or update many product groups in transactional chunks. Returns inserted, updated and unchanged counts.
+  static async batchUpsert(groups) {
     try {
-      const existing = await this.findByNumberAndAgreement(
-        groupData.product_group_number, 
-        groupData.agreement_number
-      );
-      
-      if (existing) {
-        // Update existing product group
-        await db.query(
-          `UPDATE product_groups SET
-            name = ?,
-            account_number = ?,
-            accrual_account_number = ?,
-            products_count = ?,
-            self_url = ?,
-            updated_at = CURRENT_TIMESTAMP
-          WHERE product_group_number = ? AND agreement_number = ?`,
-          [
-            groupData.name,
-            groupData.account_number,
-            groupData.accrual_account_number,
-            groupData.products_count || 0,
-            groupData.self_url,
-            groupData.product_group_number,
-            groupData.agreement_number
-          ]
-        );
-        
-        return { ...existing, ...groupData };
-      } else {
-        // Create new product group
-        await db.query(
-          `INSERT INTO product_groups (
-            product_group_number,
-            name,
-            agreement_number,
-            account_number,
-            accrual_account_number,
-            products_count,
-            self_url
-          ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
-          [
-            groupData.product_group_number,
-            groupData.name,
-            groupData.agreement_number,
-            groupData.account_number,
-            groupData.accrual_account_number,
-            groupData.products_count || 0,
-            groupData.self_url
-          ]
-        );
-        
-        return groupData;
-      }
+      return await upsertRows('product_groups', groups.map(group => this.toRow(group)), {
+        keyColumns: ['product_group_number', 'agreement_number']
+      });
     } catch (error) {
-      logger.error('Error upserting product group:', error.message);
+      logger.error('Error upserting product groups:', error.message);
       throw error;
     }
   }
 
   // Record sync log for product groups
-  static async recordSyncLog(agreementNumber, recordCount = 0, errorMessage = null, startTime = null) {
-    try {
-      const started = startTime || new Date();
-      const completed = new Date();
-      const durationMs = completed.getTime() - started.getTime();
-      
-      await db.query(
-        `INSERT INTO sync_logs (
-          entity, operation, record_count, status, 
-          error_message, started_at, completed_at, duration_ms
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          `product_groups_${agreementNumber}`,
-          'sync',
-          recordCount,
-          errorMessage ? 'error' : 'success',
-          errorMessage,
-          started,
-          completed,
-          durationMs
-        ]
-      );
-      
-      return {
-        entity: `product_groups_${agreementNumber}`,
-        operation: 'sync',
-        status: errorMessage ? 'error' : 'success',
-        recordCount,
-        durationMs
-      };
-    } catch (error) {
-      logger.error('Error recording sync log:', error.message);
-      // Don't throw for logging failures
-      return null;
-    }
+  static async recordSyncLog(agreementNumber, recordCount = 0, errorMessage = null, startTime = null, runId = null) {
+    return await SyncLogModel.record({
+      entity: 'product_groups',
+      agreementNumber,
+      recordCount,
+      errorMessage,
+      startTime,
+      runId
+    });
   }
 }
 
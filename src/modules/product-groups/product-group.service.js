@@ -1,16 +1,14 @@
-const ApiClient = require('../../api/client');
 const endpoints = require('../../api/endpoints');
 const ProductGroupModel = require('./product-group.model');
 const AgreementModel = require('../agreements/agreement.model');
+const { resolveAgreementContext } = require('../agreements/agreement-context');
+const syncPool = require('../sync/sync-pool');
+const SyncWatermarkModel = require('../sync/sync-watermark.model');
+const { SyncDiff, buildDiffReport } = require('../sync/sync-diff');
 const logger = require('../core/logger');
 const { ApiError } = require('../core/error.handler');
 
 class ProductGroupService {
-  // Get client for a specific agreement
-  getClientForAgreement(agreementToken) {
-    return ApiClient.forAgreement(agreementToken);
-  }
-
   // Transform API product group data to our database model
   transformProductGroupData(group, agreementNumber) {
     // Extract account number if it exists
@@ -38,42 +36,57 @@ class ProductGroupService {
   }
 
   // Sync product groups for a specific agreement
-  async syncProductGroupsForAgreement(agreement) {
+  async syncProductGroupsForAgreement(agreement, options = {}) {
     const startTime = new Date();
     let recordCount = 0;
     
     try {
       logger.info(`Starting product groups sync for agreement ${agreement.name} (${agreement.agreement_number})`);
       
-      // Create client for this agreement
-      const client = this.getClientForAgreement(agreement.agreement_grant_token);
-      
-      // Get the agreement number directly from the API to confirm
-      const agreementInfo = await client.getAgreementInfo();
-      const agreementNumber = agreementInfo.agreementNumber;
+      // Client and agreement number confirmed by the API
+      const context = options.context || await resolveAgreementContext(agreement);
+      const { client, agreementNumber } = context;
+      const { mode } = await SyncWatermarkModel.resolveWindow(agreementNumber, 'product_groups', options.mode);
       
       // Fetch product groups
       const productGroups = await client.getPaginated(endpoints.PRODUCT_GROUPS);
       logger.info(`Found ${productGroups.length} product groups for agreement ${agreementNumber}`);
       
+      // Dry runs compare with the stored rows instead of writing
+      const diff = options.dryRun ? await SyncDiff.forAgreement('product_groups', ['product_group_number'], agreementNumber) : null;
+      
+      const upserts = [];
+      
       // Process each product group
       for (const group of productGroups) {
         // Transform API data to our model
         const groupData = this.transformProductGroupData(group, agreementNumber);
         
         // Upsert the product group
-        await ProductGroupModel.upsert(groupData);
+        if (diff) {
+          diff.compare(groupData);
+        } else {
+          upserts.push(groupData);
+        }
         
         recordCount++;
       }
       
-      // Record successful sync
-      await ProductGroupModel.recordSyncLog(
-        agreementNumber,
-        recordCount,
-        null,
-        startTime
-      );
+      // Write in transactional chunks instead of one round trip per record
+      const changes = diff ? null : await ProductGroupModel.batchUpsert(upserts);
+      
+      if (!diff) {
+        // Record successful sync
+        await ProductGroupModel.recordSyncLog(
+          agreementNumber,
+          recordCount,
+          null,
+          startTime,
+          options.runId
+        );
+      
+        await SyncWatermarkModel.markSynced(agreementNumber, 'product_groups', startTime, mode, recordCount);
+      }
       
       logger.info(`Completed product groups sync for agreement ${agreementNumber}: ${recordCount} records processed`);
       
@@ -83,26 +96,33 @@ class ProductGroupService {
           name: agreement.name,
           agreement_number: agreementNumber
         },
-        recordCount
+        mode,
+        recordCount,
+        ...(diff && { dryRun: true, diff: buildDiffReport(diff) }),
+        ...(changes && { changes }),
+        apiStats: client.getRetryStats()
       };
       
     } catch (error) {
       logger.error(`Error syncing product groups for agreement ${agreement.id}:`, error.message);
       
-      // Record failed sync
-      await ProductGroupModel.recordSyncLog(
-        agreement.agreement_number || 'unknown',
-        recordCount,
-        error.message,
-        startTime
-      );
+      if (!options.dryRun) {
+        // Record failed sync
+        await ProductGroupModel.recordSyncLog(
+          agreement.agreement_number || 'unknown',
+          recordCount,
+          error.message,
+          startTime,
+          options.runId
+        );
+      }
       
       throw error;
     }
   }
 
   // Sync product groups across all agreements
-  async syncAllProductGroups() {
+  async syncAllProductGroups(options = {}) {
     const startTime = new Date();
     const agreementResults = [];
     let totalCount = 0;
@@ -123,10 +143,10 @@ class ProductGroupService {
         };
       }
       
-      // Process each agreement
-      for (const agreement of agreements) {
+      // Sync agreements side by side, bounded by the shared sync pool
+      await syncPool.forEachAgreement(agreements, async agreement => {
         try {
-          const result = await this.syncProductGroupsForAgreement(agreement);
+          const result = await this.syncProductGroupsForAgreement(agreement, options);
           agreementResults.push(result);
           totalCount += result.recordCount;
         } catch (error) {
@@ -141,7 +161,7 @@ class ProductGroupService {
             error: error.message
           });
         }
-      }
+      }, options.signal);
       
       logger.info(`Completed product groups sync across all agreements: ${totalCount} records processed`);
       
@@ -1,11 +1,12 @@
 const productService = require('./product.service');
 const logger = require('../core/logger');
+const { parseSyncOptions } = require('../sync/sync.options');
 
 class ProductController {
   // Sync products for all agreements
   async syncProducts(req, res, next) {
     try {
-      const result = await productService.syncAllProducts();
+      const result = await productService.syncAllProducts(parseSyncOptions(req));
       res.json(result);
     } catch (error) {
       next(error);
@@ -18,7 +19,7 @@ class ProductController {
       const { id } = req.params;
       // Get agreement by ID
       const agreement = await require('../agreements/agreement.model').getById(id);
-      const result = await productService.syncProductsForAgreement(agreement);
+      const result = await productService.syncProductsForAgreement(agreement, parseSyncOptions(req));
       res.json(result);
     } catch (error) {
       next(error);
@@ -35,6 +36,7 @@ class ProductController {
         product_group_number,
         name,
         barred,
+        include_deleted,
         sort_by,
         sort_order,
         page,
@@ -47,6 +49,7 @@ class ProductController {
       if (product_group_number) filters.product_group_number = parseInt(product_group_number);
       if (name) filters.name = name;
       if (barred !== undefined) filters.barred = barred === 'true';
+      if (include_deleted === 'true') filters.include_deleted = true;
       
       // Build sort object
       const sort = {
@@ -77,7 +80,12 @@ class ProductController {
   async getProductByNumber(req, res, next) {
     try {
       const { agreement_number, product_number } = req.params;
-      const product = await productService.getProductByNumber(product_number, parseInt(agreement_number));
+      const product = await productService.getProductByNumber(
+        product_number,
+        parseInt(agreement_number),
+        req.query.include_deleted === 'true',
+        req.query.as_of
+      );
       res.json(product);
     } catch (error) {
       next(error);
@@ -1,13 +1,17 @@
 const db = require('../../db');
 const logger = require('../core/logger');
+const SyncLogModel = require('../sync/sync-log.model');
 const { ApiError } = require('../core/error.handler');
+const { markMissingAsDeleted, markKeysAsDeleted } = require('../sync/tombstone');
+const { upsertRows } = require('../sync/batch-upsert');
+const { findVersion } = require('../sync/record-history');
 
 class ProductModel {
   // Find by product number and agreement number
-  static async findByNumberAndAgreement(productNumber, agreementNumber) {
+  static async findByNumberAndAgreement(productNumber, agreementNumber, includeDeleted = false) {
     try {
       const products = await db.query(
-        'SELECT * FROM products WHERE product_number = ? AND agreement_number = ?',
+        `SELECT * FROM products WHERE product_number = ? AND agreement_number = ?${includeDeleted ? '' : ' AND deleted_at IS NULL'}`,
         [productNumber, agreementNumber]
       );
       
@@ -18,6 +22,11 @@ class ProductModel {
     }
   }
 
+  // Find a product as it was at a point in time, from its history
+  static async findAsOf(productNumber, agreementNumber, asOf) {
+    return await findVersion('products', productNumber, agreementNumber, asOf);
+  }
+
   // Get all products for an agreement with filtering, sorting, and pagination
   static async find(agreementNumber, filters = {}, sort = { field: 'name', order: 'ASC' }, pagination = { page: 1, limit: 50 }) {
     try {
@@ -25,6 +34,10 @@ class ProductModel {
       let whereClause = 'WHERE agreement_number = ?';
       const whereParams = [agreementNumber];
       
+      if (!filters.include_deleted) {
+        whereClause += ' AND deleted_at IS NULL';
+      }
+      
       if (filters.product_group_number) {
         whereClause += ' AND product_group_number = ?';
         whereParams.push(filters.product_group_number);
@@ -81,155 +94,70 @@ class ProductModel {
     }
   }
 
-  // Create or update product
+  // Columns stored for products
+  static toRow(productData) {
+    return {
+      product_number: productData.product_number ?? null,
+      agreement_number: productData.agreement_number ?? null,
+      name: productData.name ?? null,
+      product_group_number: productData.product_group_number ?? null,
+      description: productData.description ?? null,
+      unit: productData.unit ?? null,
+      price: productData.price ?? null,
+      cost_price: productData.cost_price ?? null,
+      recommended_price: productData.recommended_price ?? null,
+      is_accessible: productData.is_accessible ?? true,
+      inventory: productData.inventory ?? 0,
+      barred: productData.barred ?? false,
+      last_updated: productData.last_updated ? new Date(productData.last_updated) : new Date(),
+      self_url: productData.self_url ?? null
+    };
+  }
+
+  // Create or update a product. Tombstoned products come back.
   static async upsert(productData) {
-    try {
-      // Ensure all values are defined or null
-      const safeData = {
-        product_number: productData.product_number ?? null,
-        agreement_number: productData.agreement_number ?? null,
-        name: productData.name ?? null,
-        product_group_number: productData.product_group_number ?? null,
-        description: productData.description ?? null,
-        unit: productData.unit ?? null,
-        price: productData.price ?? null,
-        cost_price: productData.cost_price ?? null,
-        recommended_price: productData.recommended_price ?? null,
-        is_accessible: productData.is_accessible ?? true,
-        inventory: productData.inventory ?? 0,
-        barred: productData.barred ?? false,
-        last_updated: productData.last_updated ? new Date(productData.last_updated) : new Date(),
-        self_url: productData.self_url ?? null
-      };
+    await this.batchUpsert([productData]);
+    return this.toRow(productData);
+  }
 
-      const existing = await this.findByNumberAndAgreement(
-        safeData.product_number, 
-        safeData.agreement_number
-      );
-      
-      if (existing) {
-        // Update existing product
-        await db.query(
-          `UPDATE products SET
-            name = ?,
-            product_group_number = ?,
-            description = ?,
-            unit = ?,
-            price = ?,
-            cost_price = ?,
-            recommended_price = ?,
-            is_accessible = ?,
-            inventory = ?,
-            barred = ?,
-            last_updated = ?,
-            self_url = ?,
-            updated_at = CURRENT_TIMESTAMP
-          WHERE product_number = ? AND agreement_number = ?`,
-          [
-            safeData.name,
-            safeData.product_group_number,
-            safeData.description,
-            safeData.unit,
-            safeData.price,
-            safeData.cost_price,
-            safeData.recommended_price,
-            safeData.is_accessible,
-            safeData.inventory,
-            safeData.barred,
-            safeData.last_updated,
-            safeData.self_url,
-            safeData.product_number,
-            safeData.agreement_number
-          ]
-        );
-        
-        return { ...existing, ...safeData };
-      } else {
-        // Create new product
-        await db.query(
-          `INSERT INTO products (
-            product_number,
-            name,
-            agreement_number,
-            product_group_number,
-            description,
-            unit,
-            price,
-            cost_price,
-            recommended_price,
-            is_accessible,
-            inventory,
-            barred,
-            last_updated,
-            self_url
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [
-            safeData.product_number,
-            safeData.name,
-            safeData.agreement_number,
-            safeData.product_group_number,
-            safeData.description,
-            safeData.unit,
-            safeData.price,
-            safeData.cost_price,
-            safeData.recommended_price,
-            safeData.is_accessible,
-            safeData.inventory,
-            safeData.barred,
-            safeData.last_updated,
-            safeData.self_url
-          ]
-        );
-        
-        return safeData;
-      }
+  // Create or update many products in transactional chunks. Returns inserted, updated and unchanged counts.
+  static async batchUpsert(products) {
+    try {
+      return await upsertRows('products', products.map(product => this.toRow(product)), {
+        keyColumns: ['product_number', 'agreement_number'],
+        reviveDeleted: true
+      });
     } catch (error) {
-      logger.error('Error upserting product:', error.message);
+      logger.error('Error upserting products:', error.message);
       throw error;
     }
   }
 
+  // Tombstone products that were not returned by a full sync
+  static async markDeleted(agreementNumber, productNumbers) {
+    return await markMissingAsDeleted('products', 'product_number', agreementNumber, productNumbers);
+  }
+
+  // Tombstone products that e-conomic reported as deleted
+  static async tombstone(agreementNumber, productNumbers) {
+    return await markKeysAsDeleted('products', 'product_number', agreementNumber, productNumbers);
+  }
+
   // Record sync log for products
-  static async recordSyncLog(agreementNumber, recordCount = 0, errorMessage = null, startTime = null) {
-    try {
-      const started = startTime || new Date();
-      const completed = new Date();
-      const durationMs = completed.getTime() - started.getTime();
-      
-      await db.query(
-        `INSERT INTO sync_logs (
-          entity, operation, record_count, status, 
-          error_message, started_at, completed_at, duration_ms
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          `products_${agreementNumber}`,
-          'sync',
-          recordCount,
-          errorMessage ? 'error' : 'success',
-          errorMessage,
-          started,
-          completed,
-          durationMs
-        ]
-      );
-      
-      return {
-        entity: `products_${agreementNumber}`,
-        operation: 'sync',
-        status: errorMessage ? 'error' : 'success',
-        recordCount,
-        durationMs
-      };
-    } catch (error) {
-      logger.error('Error recording sync log:', error.message);
-      // Don't throw for logging failures
-      return null;
-    }
+  static async recordSyncLog(agreementNumber, recordCount = 0, errorMessage = null, startTime = null, runId = null) {
+    return await SyncLogModel.record({
+      entity: 'products',
+      agreementNumber,
+      recordCount,
+      errorMessage,
+      startTime,
+      runId
+    });
   }
 
-  // Smart upsert method
+  // Create or update a product straight from its e-conomic representation
   static async smartUpsert(product) {
-    const safeProduct = {
+    return await this.upsert({
       product_number: product.productNumber ?? null,
       agreement_number: product.agreement_number ?? null, // Passed externally if not in API response
       name: product.name ?? null,
@@ -244,81 +172,7 @@ class ProductModel {
       barred: product.barred !== undefined ? product.barred : false,
       last_updated: product.lastUpdated ? new Date(product.lastUpdated) : new Date(),
       self_url: product.self ?? null
-    };
-
-    const existing = await this.findByNumberAndAgreement(safeProduct.product_number, safeProduct.agreement_number);
-    if (existing) {
-      await db.query(
-        `UPDATE products SET
-          name = ?,
-          product_group_number = ?,
-          description = ?,
-          unit = ?,
-          price = ?,
-          cost_price = ?,
-          recommended_price = ?,
-          is_accessible = ?,
-          inventory = ?,
-          barred = ?,
-          last_updated = ?,
-          self_url = ?,
-          updated_at = CURRENT_TIMESTAMP
-        WHERE product_number = ? AND agreement_number = ?`,
-        [
-          safeProduct.name,
-          safeProduct.product_group_number,
-          safeProduct.description,
-          safeProduct.unit,
-          safeProduct.price,
-          safeProduct.cost_price,
-          safeProduct.recommended_price,
-          safeProduct.is_accessible,
-          safeProduct.inventory,
-          safeProduct.barred,
-          safeProduct.last_updated,
-          safeProduct.self_url,
-          safeProduct.product_number,
-          safeProduct.agreement_number
-        ]
-      );
-      return { ...existing, ...safeProduct };
-    } else {
-      await db.query(
-        `INSERT INTO products (
-            product_number,
-            name,
-            agreement_number,
-            product_group_number,
-            description,
-            unit,
-            price,
-            cost_price,
-            recommended_price,
-            is_accessible,
-            inventory,
-            barred,
-            last_updated,
-            self_url
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          safeProduct.product_number,
-          safeProduct.name,
-          safeProduct.agreement_number,
-          safeProduct.product_group_number,
-          safeProduct.description,
-          safeProduct.unit,
-          safeProduct.price,
-          safeProduct.cost_price,
-          safeProduct.recommended_price,
-          safeProduct.is_accessible,
-          safeProduct.inventory,
-          safeProduct.barred,
-          safeProduct.last_updated,
-          safeProduct.self_url
-        ]
-      );
-      return safeProduct;
-    }
+    });
   }
 }
 
@@ -1,8 +1,13 @@
 const express = require('express');
 const productController = require('./product.controller');
+const { authorizeAgreementNumber, authorizeAgreementId } = require('../auth/auth.middleware');
 
 const router = express.Router();
 
+// Restrict API keys to their agreements
+router.param('agreement_number', authorizeAgreementNumber);
+router.param('id', authorizeAgreementId);
+
 // Sync routes
 router.post('/sync', productController.syncProducts);
 router.post('/agreements/:id/sync', productController.syncProductsForAgreement);
@@ -2,15 +2,15 @@ const ApiClient = require('../../api/client');
 const endpoints = require('../../api/endpoints');
 const ProductModel = require('./product.model');
 const AgreementModel = require('../agreements/agreement.model');
+const { resolveAgreementContext } = require('../agreements/agreement-context');
+const syncPool = require('../sync/sync-pool');
+const SyncWatermarkModel = require('../sync/sync-watermark.model');
+const { SyncDiff, buildDiffReport } = require('../sync/sync-diff');
+const { parseAsOf } = require('../sync/record-history');
 const logger = require('../core/logger');
 const { ApiError } = require('../core/error.handler');
 
 class ProductService {
-  // Get client for a specific agreement
-  getClientForAgreement(agreementToken) {
-    return ApiClient.forAgreement(agreementToken);
-  }
-
   // Transform API product data to our database model
   transformProductData(product, agreementNumber) {
     // Extract product group number if it exists
@@ -44,23 +44,29 @@ class ProductService {
   }
 
   // Sync products for a specific agreement
-  async syncProductsForAgreement(agreement) {
+  async syncProductsForAgreement(agreement, options = {}) {
     const startTime = new Date();
     let recordCount = 0;
     
     try {
       logger.info(`Starting products sync for agreement ${agreement.name} (${agreement.agreement_number})`);
       
-      // Create client for this agreement
-      const client = this.getClientForAgreement(agreement.agreement_grant_token);
+      // Client and agreement number confirmed by the API
+      const context = options.context || await resolveAgreementContext(agreement);
+      const { client, agreementNumber } = context;
       
-      // Get the agreement number directly from the API to confirm
-      const agreementInfo = await client.getAgreementInfo();
-      const agreementNumber = agreementInfo.agreementNumber;
+      // Only fetch products changed since the last successful run when incremental
+      const { mode, since } = await SyncWatermarkModel.resolveWindow(agreementNumber, 'products', options.mode);
+      const params = since ? { filter: ApiClient.lastUpdatedFilter(since) } : {};
       
       // Fetch products
-      const products = await client.getPaginated(endpoints.PRODUCTS);
-      logger.info(`Found ${products.length} products for agreement ${agreementNumber}`);
+      const products = await client.getPaginated(endpoints.PRODUCTS, params);
+      logger.info(`Found ${products.length} products for agreement ${agreementNumber} (${mode} sync)`);
+      
+      // Dry runs compare with the stored rows instead of writing
+      const diff = options.dryRun ? await SyncDiff.forAgreement('products', ['product_number'], agreementNumber) : null;
+      
+      const upserts = [];
       
       // Process each product
       for (const product of products) {
@@ -69,20 +75,47 @@ class ProductService {
         
         // Upsert the product
         productData.agreement_number = agreementNumber;
-        await ProductModel.upsert(productData);
+        if (diff) {
+          diff.compare(productData);
+        } else {
+          upserts.push(productData);
+        }
         
         recordCount++;
       }
       
-      // Record successful sync
-      await ProductModel.recordSyncLog(
-        agreementNumber,
-        recordCount,
-        null,
-        startTime
-      );
+      // Write in transactional chunks instead of one round trip per record
+      const changes = diff ? null : await ProductModel.batchUpsert(upserts);
       
-      logger.info(`Completed products sync for agreement ${agreementNumber}: ${recordCount} records processed`);
+      // A full fetch holds every product, so anything missing was deleted in e-conomic
+      let deleted = [];
+      if (mode === 'full') {
+        deleted = diff
+          ? diff.markMissing().map(row => row.product_number)
+          : await ProductModel.markDeleted(agreementNumber, products.map(product => product.productNumber));
+      }
+      
+      if (!diff) {
+        // Record successful sync
+        await ProductModel.recordSyncLog(
+          agreementNumber,
+          recordCount,
+          null,
+          startTime,
+          options.runId
+        );
+      
+        // Move the high-water mark forward for the next incremental run
+        await SyncWatermarkModel.markSynced(
+          agreementNumber,
+          'products',
+          SyncWatermarkModel.nextWatermark(products, since, startTime),
+          mode,
+          recordCount
+        );
+      }
+      
+      logger.info(`Completed products sync for agreement ${agreementNumber}: ${recordCount} records processed, ${deleted.length} deleted`);
       
       return {
         agreement: {
@@ -90,26 +123,35 @@ class ProductService {
           name: agreement.name,
           agreement_number: agreementNumber
         },
-        recordCount
+        mode,
+        recordCount,
+        deletedCount: deleted.length,
+        deleted,
+        ...(diff && { dryRun: true, diff: buildDiffReport(diff) }),
+        ...(changes && { changes }),
+        apiStats: client.getRetryStats()
       };
       
     } catch (error) {
       logger.error(`Error syncing products for agreement ${agreement.id}:`, error.message);
       
-      // Record failed sync
-      await ProductModel.recordSyncLog(
-        agreement.agreement_number || 'unknown',
-        recordCount,
-        error.message,
-        startTime
-      );
+      if (!options.dryRun) {
+        // Record failed sync
+        await ProductModel.recordSyncLog(
+          agreement.agreement_number || 'unknown',
+          recordCount,
+          error.message,
+          startTime,
+          options.runId
+        );
+      }
       
       throw error;
     }
   }
 
   // Sync products across all agreements
-  async syncAllProducts() {
+  async syncAllProducts(options = {}) {
     const startTime = new Date();
     const agreementResults = [];
     let totalCount = 0;
@@ -130,10 +172,10 @@ class ProductService {
         };
       }
       
-      // Process each agreement
-      for (const agreement of agreements) {
+      // Sync agreements side by side, bounded by the shared sync pool
+      await syncPool.forEachAgreement(agreements, async agreement => {
         try {
-          const result = await this.syncProductsForAgreement(agreement);
+          const result = await this.syncProductsForAgreement(agreement, options);
           agreementResults.push(result);
           totalCount += result.recordCount;
         } catch (error) {
@@ -148,7 +190,7 @@ class ProductService {
             error: error.message
           });
         }
-      }
+      }, options.signal);
       
       logger.info(`Completed products sync across all agreements: ${totalCount} records processed`);
       
@@ -164,6 +206,27 @@ class ProductService {
     }
   }
 
+  // Fetch one product and store it, e.g. when a webhook reports a change.
+  // A product e-conomic no longer has is tombstoned.
+  async syncProductByNumber(context, productNumber) {
+    const { client, agreementNumber } = context;
+    
+    try {
+      const product = await client.get(`${endpoints.PRODUCTS}/${encodeURIComponent(productNumber)}`);
+      const changes = await ProductModel.batchUpsert([this.transformProductData(product, agreementNumber)]);
+      
+      return { status: 'upserted', changes };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        await ProductModel.tombstone(agreementNumber, [productNumber]);
+        return { status: 'deleted' };
+      }
+      
+      logger.error(`Error syncing product ${productNumber} for agreement ${agreementNumber}:`, error.message);
+      throw error;
+    }
+  }
+
   // Get products with filtering, sorting, and pagination
   async getProducts(agreementNumber, filters = {}, sort = {}, pagination = {}) {
     try {
@@ -175,12 +238,16 @@ class ProductService {
   }
 
   // Get product by number
-  async getProductByNumber(productNumber, agreementNumber) {
+  async getProductByNumber(productNumber, agreementNumber, includeDeleted = false, asOf = null) {
     try {
-      const product = await ProductModel.findByNumberAndAgreement(productNumber, agreementNumber);
+      // as_of reads the version that was current then from the history table
+      const asOfDate = parseAsOf('products', asOf);
+      const product = asOfDate
+        ? await ProductModel.findAsOf(productNumber, agreementNumber, asOfDate)
+        : await ProductModel.findByNumberAndAgreement(productNumber, agreementNumber, includeDeleted);
       
       if (!product) {
-        throw ApiError.notFound(`Product with number ${productNumber} not found for agreement ${agreementNumber}`);
+        throw ApiError.notFound(`Product with number ${productNumber} not found for agreement ${agreementNumber}${asOfDate ? ` as of ${asOf}` : ''}`);
       }
       
       return product;
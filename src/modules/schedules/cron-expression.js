@@ -0,0 +1,162 @@
+// Minimal parser for standard five-field cron expressions
+// (minute hour day-of-month month day-of-week), evaluated in server local time.
+// Supports *, lists (1,15), ranges (1-5), steps (*/15, 0-30/10) and the
+// @hourly, @daily, @weekly and @monthly shortcuts.
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Search at most this many steps ahead before deciding an expression never matches
+const MAX_SEARCH_STEPS = 10000;
+
+function parseNumber(value, field) {
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} value "${value}"`);
+  }
+
+  const number = parseInt(value);
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} value ${number} is outside ${field.min}-${field.max}`);
+  }
+
+  return number;
+}
+
+function parseField(source, field) {
+  const values = new Set();
+
+  for (const part of source.split(',')) {
+    const [range, stepSource] = part.split('/');
+    const step = stepSource === undefined ? 1 : parseInt(stepSource);
+
+    if (stepSource !== undefined && (!/^\d+$/.test(stepSource) || step < 1)) {
+      throw new Error(`Invalid ${field.name} step "${stepSource}"`);
+    }
+
+    let start;
+    let end;
+
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseNumber(from, field);
+      end = parseNumber(to, field);
+
+      if (start > end) {
+        throw new Error(`Invalid ${field.name} range "${range}"`);
+      }
+    } else {
+      start = parseNumber(range, field);
+      // "5/15" means every 15 starting at 5
+      end = stepSource === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+// Parse an expression into sets of allowed values. Throws on invalid input.
+function parseCronExpression(expression) {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw new Error('Cron expression is required');
+  }
+
+  const normalized = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression must have ${FIELDS.length} fields, got ${parts.length}`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+  // Both 0 and 7 mean Sunday
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.delete(7);
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Like cron, when both day fields are restricted a day matches if either does
+    dayOfMonthRestricted: parts[2] !== '*',
+    dayOfWeekRestricted: parts[4] !== '*'
+  };
+}
+
+function matchesDay(schedule, date) {
+  const dayOfMonthMatch = schedule.daysOfMonth.has(date.getDate());
+  const dayOfWeekMatch = schedule.daysOfWeek.has(date.getDay());
+
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+    return dayOfMonthMatch || dayOfWeekMatch;
+  }
+
+  return dayOfMonthMatch && dayOfWeekMatch;
+}
+
+// Get the first time strictly after `after` that matches the expression,
+// or null if it never matches (e.g. "0 0 30 2 *")
+function getNextRun(expression, after = new Date()) {
+  const schedule = typeof expression === 'string' ? parseCronExpression(expression) : expression;
+
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  for (let step = 0; step < MAX_SEARCH_STEPS; step++) {
+    if (!schedule.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!matchesDay(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!schedule.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+
+    if (!schedule.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+
+    return date;
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCronExpression,
+  getNextRun
+};
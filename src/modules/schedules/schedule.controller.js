@@ -0,0 +1,59 @@
+const scheduleService = require('./schedule.service');
+
+class ScheduleController {
+  // Get all schedules
+  async getAllSchedules(req, res, next) {
+    try {
+      const { agreement_id } = req.query;
+      const schedules = await scheduleService.getAllSchedules(agreement_id || null);
+      res.json(schedules);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get schedule by ID
+  async getScheduleById(req, res, next) {
+    try {
+      const { id } = req.params;
+      const schedule = await scheduleService.getScheduleById(id);
+      res.json(schedule);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Create a new schedule
+  async createSchedule(req, res, next) {
+    try {
+      const newSchedule = await scheduleService.createSchedule(req.body || {});
+      res.status(201).json(newSchedule);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Update a schedule
+  async updateSchedule(req, res, next) {
+    try {
+      const { id } = req.params;
+      const updatedSchedule = await scheduleService.updateSchedule(id, req.body || {});
+      res.json(updatedSchedule);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Delete a schedule
+  async deleteSchedule(req, res, next) {
+    try {
+      const { id } = req.params;
+      await scheduleService.deleteSchedule(id);
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ScheduleController();
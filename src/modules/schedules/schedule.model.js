@@ -0,0 +1,189 @@
+const db = require('../../db');
+const logger = require('../core/logger');
+const { ApiError } = require('../core/error.handler');
+
+// JSON columns come back as strings on MariaDB and as objects on MySQL
+function parseJson(value, fallback) {
+  if (value === null || value === undefined) {
+    return fallback;
+  }
+
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+class ScheduleModel {
+  // Parse the JSON columns of a schedule row
+  static fromRow(row) {
+    return {
+      ...row,
+      entities: parseJson(row.entities, []),
+      last_result: parseJson(row.last_result, null)
+    };
+  }
+
+  // Get all schedules, optionally for one agreement
+  static async getAll(agreementId = null) {
+    try {
+      const query = agreementId
+        ? 'SELECT * FROM sync_schedules WHERE agreement_id = ? ORDER BY name'
+        : 'SELECT * FROM sync_schedules ORDER BY name';
+
+      const rows = await db.query(query, agreementId ? [agreementId] : []);
+      return rows.map(row => this.fromRow(row));
+    } catch (error) {
+      logger.error('Error getting sync schedules:', error.message);
+      throw error;
+    }
+  }
+
+  // Get schedule by ID
+  static async getById(id) {
+    try {
+      const schedules = await db.query(
+        'SELECT * FROM sync_schedules WHERE id = ?',
+        [id]
+      );
+
+      if (schedules.length === 0) {
+        throw ApiError.notFound(`Schedule with ID ${id} not found`);
+      }
+
+      return this.fromRow(schedules[0]);
+    } catch (error) {
+      logger.error(`Error getting schedule ${id}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Get active schedules that are due at the given time, oldest first
+  static async getDue(now) {
+    try {
+      const rows = await db.query(
+        `SELECT * FROM sync_schedules
+        WHERE is_active = TRUE AND next_run_at IS NOT NULL AND next_run_at <= ?
+        ORDER BY next_run_at`,
+        [now]
+      );
+
+      return rows.map(row => this.fromRow(row));
+    } catch (error) {
+      logger.error('Error getting due sync schedules:', error.message);
+      throw error;
+    }
+  }
+
+  // Create a new schedule
+  static async create(scheduleData) {
+    try {
+      const result = await db.query(
+        `INSERT INTO sync_schedules (
+          name, agreement_id, cron_expression, entities, mode, is_active, next_run_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          scheduleData.name,
+          scheduleData.agreement_id,
+          scheduleData.cron_expression,
+          JSON.stringify(scheduleData.entities),
+          scheduleData.mode || null,
+          scheduleData.is_active,
+          scheduleData.next_run_at
+        ]
+      );
+
+      return this.getById(result.insertId);
+    } catch (error) {
+      logger.error('Error creating schedule:', error.message);
+      throw error;
+    }
+  }
+
+  // Update a schedule. The service passes the complete, validated row.
+  static async update(id, scheduleData) {
+    try {
+      await db.query(
+        `UPDATE sync_schedules SET
+          name = ?,
+          agreement_id = ?,
+          cron_expression = ?,
+          entities = ?,
+          mode = ?,
+          is_active = ?,
+          next_run_at = ?,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?`,
+        [
+          scheduleData.name,
+          scheduleData.agreement_id,
+          scheduleData.cron_expression,
+          JSON.stringify(scheduleData.entities),
+          scheduleData.mode || null,
+          scheduleData.is_active,
+          scheduleData.next_run_at,
+          id
+        ]
+      );
+
+      return this.getById(id);
+    } catch (error) {
+      logger.error(`Error updating schedule ${id}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Delete a schedule
+  static async delete(id) {
+    try {
+      // Check if schedule exists
+      await this.getById(id);
+
+      await db.query('DELETE FROM sync_schedules WHERE id = ?', [id]);
+
+      return { id };
+    } catch (error) {
+      logger.error(`Error deleting schedule ${id}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Move a schedule to its next run before it starts, so a crash mid-run
+  // does not make it fire again right after restart
+  static async setNextRun(id, nextRunAt) {
+    try {
+      await db.query(
+        'UPDATE sync_schedules SET next_run_at = ? WHERE id = ?',
+        [nextRunAt, id]
+      );
+    } catch (error) {
+      logger.error(`Error setting next run of schedule ${id}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Store the outcome of a run
+  static async recordRun(id, run) {
+    try {
+      await db.query(
+        `UPDATE sync_schedules SET
+          last_run_at = ?,
+          last_status = ?,
+          last_error = ?,
+          last_duration_ms = ?,
+          last_result = ?
+        WHERE id = ?`,
+        [
+          run.startedAt,
+          run.status,
+          run.error || null,
+          run.durationMs,
+          JSON.stringify(run.results || []),
+          id
+        ]
+      );
+    } catch (error) {
+      logger.error(`Error recording run of schedule ${id}:`, error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = ScheduleModel;
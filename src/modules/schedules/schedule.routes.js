@@ -0,0 +1,21 @@
+const express = require('express');
+const scheduleController = require('./schedule.controller');
+
+const router = express.Router();
+
+// Get all schedules
+router.get('/', scheduleController.getAllSchedules);
+
+// Get schedule by ID
+router.get('/:id', scheduleController.getScheduleById);
+
+// Create a new schedule
+router.post('/', scheduleController.createSchedule);
+
+// Update a schedule
+router.put('/:id', scheduleController.updateSchedule);
+
+// Delete a schedule
+router.delete('/:id', scheduleController.deleteSchedule);
+
+module.exports = router;
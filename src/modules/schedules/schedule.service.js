@@ -0,0 +1,154 @@
+const ScheduleModel = require('./schedule.model');
+const AgreementModel = require('../agreements/agreement.model');
+const syncService = require('../sync/sync.service');
+const { SYNC_MODES } = require('../sync/sync.options');
+const { parseCronExpression, getNextRun } = require('./cron-expression');
+const logger = require('../core/logger');
+const { ApiError } = require('../core/error.handler');
+
+class ScheduleService {
+  // Get all schedules
+  async getAllSchedules(agreementId = null) {
+    try {
+      return await ScheduleModel.getAll(agreementId);
+    } catch (error) {
+      logger.error('Error getting all schedules:', error.message);
+      throw error;
+    }
+  }
+
+  // Get schedule by ID
+  async getScheduleById(id) {
+    try {
+      return await ScheduleModel.getById(id);
+    } catch (error) {
+      logger.error(`Error getting schedule ${id}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Create a new schedule
+  async createSchedule(scheduleData) {
+    try {
+      const schedule = await this.validateSchedule({
+        name: scheduleData.name,
+        agreement_id: scheduleData.agreement_id,
+        cron_expression: scheduleData.cron_expression,
+        entities: scheduleData.entities || syncService.getServiceNames(),
+        mode: scheduleData.mode || null,
+        is_active: scheduleData.is_active !== undefined ? scheduleData.is_active : true
+      });
+
+      const created = await ScheduleModel.create(schedule);
+      logger.info(`Created sync schedule ${created.id} "${created.name}" (${created.cron_expression})`);
+
+      return created;
+    } catch (error) {
+      logger.error('Error creating schedule:', error.message);
+      throw error;
+    }
+  }
+
+  // Update a schedule. Fields left out of the request keep their current value.
+  async updateSchedule(id, scheduleData) {
+    try {
+      const existing = await ScheduleModel.getById(id);
+
+      const schedule = await this.validateSchedule({
+        name: scheduleData.name ?? existing.name,
+        agreement_id: scheduleData.agreement_id ?? existing.agreement_id,
+        cron_expression: scheduleData.cron_expression ?? existing.cron_expression,
+        entities: scheduleData.entities ?? existing.entities,
+        mode: scheduleData.mode !== undefined ? scheduleData.mode : existing.mode,
+        is_active: scheduleData.is_active ?? Boolean(existing.is_active)
+      });
+
+      return await ScheduleModel.update(id, schedule);
+    } catch (error) {
+      logger.error(`Error updating schedule ${id}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Delete a schedule
+  async deleteSchedule(id) {
+    try {
+      return await ScheduleModel.delete(id);
+    } catch (error) {
+      logger.error(`Error deleting schedule ${id}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Check a complete schedule and work out when it should run next
+  async validateSchedule(schedule) {
+    if (!schedule.name || typeof schedule.name !== 'string') {
+      throw ApiError.badRequest('Schedule name is required', 'MISSING_NAME');
+    }
+
+    if (!schedule.agreement_id) {
+      throw ApiError.badRequest('agreement_id is required', 'MISSING_AGREEMENT');
+    }
+
+    try {
+      await AgreementModel.getById(schedule.agreement_id);
+    } catch (error) {
+      if (error.statusCode === 404) {
+        throw ApiError.badRequest(`Agreement with ID ${schedule.agreement_id} not found`, 'INVALID_AGREEMENT');
+      }
+      throw error;
+    }
+
+    let cron;
+    try {
+      cron = parseCronExpression(schedule.cron_expression);
+    } catch (error) {
+      throw ApiError.badRequest(`Invalid cron expression: ${error.message}`, 'INVALID_CRON_EXPRESSION');
+    }
+
+    const entities = this.normalizeEntities(schedule.entities);
+
+    if (schedule.mode && !SYNC_MODES.includes(schedule.mode)) {
+      throw ApiError.badRequest(
+        `Invalid sync mode "${schedule.mode}". Expected one of: ${SYNC_MODES.join(', ')}`,
+        'INVALID_SYNC_MODE'
+      );
+    }
+
+    const nextRunAt = schedule.is_active ? getNextRun(cron) : null;
+    if (schedule.is_active && !nextRunAt) {
+      throw ApiError.badRequest(
+        `Cron expression "${schedule.cron_expression}" never matches a date`,
+        'INVALID_CRON_EXPRESSION'
+      );
+    }
+
+    return {
+      ...schedule,
+      entities,
+      is_active: Boolean(schedule.is_active),
+      next_run_at: nextRunAt
+    };
+  }
+
+  // Validate entity names and put them in sync order without duplicates
+  normalizeEntities(entities) {
+    const serviceNames = syncService.getServiceNames();
+
+    if (!Array.isArray(entities) || entities.length === 0) {
+      throw ApiError.badRequest('entities must be a non-empty array', 'INVALID_ENTITIES');
+    }
+
+    const unknown = entities.filter(entity => !serviceNames.includes(entity));
+    if (unknown.length > 0) {
+      throw ApiError.badRequest(
+        `Unknown entities: ${unknown.join(', ')}. Expected any of: ${serviceNames.join(', ')}`,
+        'INVALID_ENTITIES'
+      );
+    }
+
+    return serviceNames.filter(name => entities.includes(name));
+  }
+}
+
+module.exports = new ScheduleService();
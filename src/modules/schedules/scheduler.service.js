@@ -0,0 +1,169 @@
+const ScheduleModel = require('./schedule.model');
+const AgreementModel = require('../agreements/agreement.model');
+const syncService = require('../sync/sync.service');
+const syncLock = require('../sync/sync-lock');
+const syncHistoryService = require('../sync/sync-history.service');
+const { getNextRun } = require('./cron-expression');
+const logger = require('../core/logger');
+const config = require('../../config');
+
+class SchedulerService {
+  constructor() {
+    this.timer = null;
+    this.activeRun = null;
+    this.stopping = false;
+  }
+
+  // Start polling for due schedules
+  start() {
+    if (!config.scheduler.enabled) {
+      logger.info('Sync scheduler is disabled');
+      return;
+    }
+
+    if (this.timer) {
+      return;
+    }
+
+    this.stopping = false;
+    this.timer = setInterval(() => {
+      this.tick().catch(error => logger.error('Error in sync scheduler:', error.message));
+    }, config.scheduler.pollIntervalMs);
+
+    logger.info(`Sync scheduler started, checking every ${config.scheduler.pollIntervalMs}ms`);
+  }
+
+  // Stop polling and wait for a scheduled run that is in flight. The run
+  // stops after the entity it is currently syncing.
+  async stop() {
+    this.stopping = true;
+
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.activeRun) {
+      logger.info('Waiting for the in-flight scheduled sync to finish...');
+      await this.activeRun;
+    }
+  }
+
+  // Run every schedule that is due. Skipped while a scheduled run or a
+  // background sync job is in progress; due schedules stay due until the next tick.
+  async tick() {
+    if (this.activeRun || this.stopping) {
+      return;
+    }
+
+    const due = await ScheduleModel.getDue(new Date());
+    if (due.length === 0) {
+      return;
+    }
+
+    if (!syncLock.tryAcquire('Scheduled sync')) {
+      logger.info(`${due.length} scheduled syncs are due but ${syncLock.holder} is still running`);
+      return;
+    }
+
+    this.activeRun = this.runSchedules(due).finally(() => {
+      syncLock.release();
+      this.activeRun = null;
+    });
+
+    await this.activeRun;
+  }
+
+  // Run due schedules one after another
+  async runSchedules(schedules) {
+    for (const schedule of schedules) {
+      if (this.stopping) {
+        break;
+      }
+
+      try {
+        await this.runSchedule(schedule);
+      } catch (error) {
+        logger.error(`Error running schedule ${schedule.id}:`, error.message);
+      }
+    }
+  }
+
+  // Sync the entities of one schedule for its agreement
+  async runSchedule(schedule) {
+    const startedAt = new Date();
+    const results = [];
+    let error = null;
+
+    // Claim the run before starting. Missed runs are not replayed.
+    await ScheduleModel.setNextRun(schedule.id, getNextRun(schedule.cron_expression, startedAt));
+
+    logger.info(`Starting scheduled sync ${schedule.id} "${schedule.name}": ${schedule.entities.join(', ')}`);
+
+    const agreement = await AgreementModel.getById(schedule.agreement_id);
+    const run = await syncHistoryService.startRun('schedule', schedule.id);
+    const options = { mode: schedule.mode || config.sync.defaultMode, runId: run.id };
+    const entries = syncService.syncServices.filter(entry => schedule.entities.includes(entry.name));
+
+    if (!agreement.is_active) {
+      error = `Agreement ${agreement.name} is not active`;
+      entries.forEach(entry => results.push({ entity: entry.name, status: 'skipped' }));
+    } else {
+      for (const entry of entries) {
+        if (this.stopping) {
+          results.push({ entity: entry.name, status: 'skipped' });
+          continue;
+        }
+
+        const serviceStart = Date.now();
+
+        try {
+          const result = await syncService.runServiceForAgreement(entry, agreement, options);
+
+          results.push({
+            entity: entry.name,
+            status: 'success',
+            count: result.recordCount ?? result.totalCount ?? 0,
+            deleted: result.deletedCount || 0,
+            changes: result.changes || null,
+            retries: result.apiStats?.retries || 0,
+            durationMs: Date.now() - serviceStart
+          });
+        } catch (serviceError) {
+          logger.error(`Scheduled sync ${schedule.id} failed for ${entry.label}:`, serviceError.message);
+
+          results.push({
+            entity: entry.name,
+            status: 'error',
+            error: serviceError.message,
+            durationMs: Date.now() - serviceStart
+          });
+        }
+      }
+    }
+
+    const failed = results.filter(result => result.status === 'error');
+    const succeeded = results.filter(result => result.status === 'success');
+
+    let status = 'partial';
+    if (succeeded.length === results.length) {
+      status = 'success';
+    } else if (succeeded.length === 0) {
+      status = 'error';
+    }
+
+    if (failed.length > 0) {
+      error = failed.map(result => `${result.entity}: ${result.error}`).join('; ');
+    } else if (!error && status !== 'success') {
+      error = 'Stopped by server shutdown';
+    }
+
+    const durationMs = Date.now() - startedAt.getTime();
+    await ScheduleModel.recordRun(schedule.id, { startedAt, status, error, durationMs, results });
+    await syncHistoryService.finishRun(run, status);
+
+    logger.info(`Scheduled sync ${schedule.id} "${schedule.name}" finished with status ${status} in ${durationMs}ms`);
+  }
+}
+
+module.exports = new SchedulerService();
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const EventDeliveryModel = require('./event-delivery.model');
+const SubscriptionModel = require('./subscription.model');
+const subscriptionService = require('./subscription.service');
+const { onEvents } = require('../sync/domain-events');
+const logger = require('../core/logger');
+const config = require('../../config');
+
+// Deliveries claimed per round trip to the log
+const BATCH_SIZE = 20;
+
+class EventDeliveryWorkerService {
+  constructor() {
+    this.timer = null;
+    this.activeRun = null;
+    this.stopping = false;
+    this.listening = false;
+  }
+
+  // Queue deliveries for events relayed from the outbox and start polling for due deliveries
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    if (!this.listening) {
+      onEvents(async events => {
+        const queued = await subscriptionService.queueDeliveries(events);
+        if (queued > 0) {
+          this.wake();
+        }
+      });
+      this.listening = true;
+    }
+
+    this.stopping = false;
+    this.timer = setInterval(() => {
+      this.tick().catch(error => logger.error('Error in event delivery worker:', error.message));
+    }, config.subscriptions.pollIntervalMs);
+
+    logger.info(`Event delivery worker started, checking every ${config.subscriptions.pollIntervalMs}ms`);
+  }
+
+  // Stop polling and wait for the deliveries in flight
+  async stop() {
+    this.stopping = true;
+
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.activeRun) {
+      await this.activeRun;
+    }
+  }
+
+  // Send new deliveries right away instead of at the next poll
+  wake() {
+    if (!this.timer || this.stopping) {
+      return;
+    }
+
+    setImmediate(() => {
+      this.tick().catch(error => logger.error('Error in event delivery worker:', error.message));
+    });
+  }
+
+  // Work through due deliveries until none are left. Skipped while a run is in progress.
+  async tick() {
+    if (this.activeRun || this.stopping) {
+      return;
+    }
+
+    this.activeRun = this.processDue().finally(() => {
+      this.activeRun = null;
+    });
+
+    await this.activeRun;
+  }
+
+  async processDue() {
+    while (!this.stopping) {
+      const deliveries = await EventDeliveryModel.claimDue(BATCH_SIZE);
+      if (deliveries.length === 0) {
+        return;
+      }
+
+      // Subscriptions with their secrets, looked up once per batch
+      const subscriptions = new Map(
+        (await SubscriptionModel.getActive(true)).map(subscription => [subscription.id, subscription])
+      );
+
+      for (const delivery of deliveries) {
+        await this.deliver(delivery, subscriptions.get(delivery.subscription_id));
+      }
+    }
+  }
+
+  // Send one delivery and record the outcome. Anything but a 2xx answer is
+  // retried with backoff until the delivery runs out of attempts.
+  async deliver(delivery, subscription) {
+    if (!subscription) {
+      await EventDeliveryModel.markAttemptFailed(delivery.id, 'Subscription is not active');
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Event-Id': delivery.event_id,
+          'X-Event-Type': delivery.event_type,
+          'X-Delivery-Id': String(delivery.id),
+          'X-Signature-Timestamp': String(timestamp),
+          'X-Signature': this.sign(subscription.secret, timestamp, body)
+        },
+        timeout: config.subscriptions.timeoutMs,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+
+      if (response.status >= 200 && response.status < 300) {
+        await EventDeliveryModel.markDelivered(delivery.id, response.status);
+        return;
+      }
+
+      await this.recordFailure(delivery, `HTTP ${response.status}`, response.status);
+    } catch (error) {
+      await this.recordFailure(delivery, error.code || error.message);
+    }
+  }
+
+  async recordFailure(delivery, reason, responseStatus = null) {
+    const { maxAttempts } = config.subscriptions;
+    const nextAttemptAt = delivery.attempts < maxAttempts
+      ? new Date(Date.now() + this.getRetryDelay(delivery.attempts))
+      : null;
+
+    await EventDeliveryModel.markAttemptFailed(delivery.id, reason, responseStatus, nextAttemptAt);
+
+    if (nextAttemptAt) {
+      logger.warn(`Delivery ${delivery.id} of ${delivery.event_type} failed with ${reason} (attempt ${delivery.attempts} of ${maxAttempts}), retrying at ${nextAttemptAt.toISOString()}`);
+    } else {
+      logger.error(`Delivery ${delivery.id} of ${delivery.event_type} failed after ${delivery.attempts} attempts: ${reason}`);
+    }
+  }
+
+  // HMAC-SHA256 over "<timestamp>.<body>", so a captured request cannot be
+  // replayed later with a new timestamp
+  sign(secret, timestamp, body) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${signature}`;
+  }
+
+  // Exponential backoff from the configured base delay
+  getRetryDelay(attempts) {
+    const { retryBaseDelayMs, retryMaxDelayMs } = config.subscriptions;
+    return Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** (attempts - 1));
+  }
+
+  // Deliveries that were being sent when a previous process stopped
+  async recoverInterruptedDeliveries() {
+    const count = await EventDeliveryModel.releaseInterrupted();
+    if (count > 0) {
+      logger.warn(`Released ${count} event deliveries from a previous run for another attempt`);
+    }
+    return count;
+  }
+}
+
+module.exports = new EventDeliveryWorkerService();
@@ -0,0 +1,206 @@
+const db = require('../../db');
+const logger = require('../core/logger');
+const { ApiError } = require('../core/error.handler');
+
+// JSON columns come back as strings on MariaDB and as objects on MySQL
+function parseJson(value, fallback) {
+  if (value === null || value === undefined) {
+    return fallback;
+  }
+
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+class EventDeliveryModel {
+  static fromRow(row) {
+    return {
+      ...row,
+      payload: parseJson(row.payload, {})
+    };
+  }
+
+  // Queue deliveries. An event is only queued once per subscription.
+  static async createMany(deliveries) {
+    try {
+      if (deliveries.length === 0) {
+        return 0;
+      }
+
+      const result = await db.query(
+        `INSERT IGNORE INTO event_deliveries (
+          subscription_id, event_id, event_type, agreement_number, payload, next_attempt_at
+        ) VALUES ${deliveries.map(() => '(?, ?, ?, ?, ?, CURRENT_TIMESTAMP)').join(', ')}`,
+        deliveries.flatMap(delivery => [
+          delivery.subscription_id,
+          delivery.event.id,
+          delivery.event.type,
+          delivery.event.agreement_number ?? null,
+          JSON.stringify(delivery.event)
+        ])
+      );
+
+      return result.affectedRows || 0;
+    } catch (error) {
+      logger.error(`Error queueing ${deliveries.length} event deliveries:`, error.message);
+      throw error;
+    }
+  }
+
+  // Get a delivery by ID
+  static async getById(id) {
+    try {
+      const rows = await db.query('SELECT * FROM event_deliveries WHERE id = ?', [id]);
+
+      if (rows.length === 0) {
+        throw ApiError.notFound(`Delivery with ID ${id} not found`);
+      }
+
+      return this.fromRow(rows[0]);
+    } catch (error) {
+      logger.error(`Error getting delivery ${id}:`, error.message);
+      throw error;
+    }
+  }
+
+  // The delivery log of a subscription, newest first
+  static async getBySubscription(subscriptionId, filters = {}, pagination = {}) {
+    try {
+      const page = Math.max(parseInt(pagination.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(pagination.limit) || 50, 1), 200);
+
+      let where = 'WHERE subscription_id = ?';
+      const params = [subscriptionId];
+
+      if (filters.status) {
+        where += ' AND status = ?';
+        params.push(filters.status);
+      }
+
+      if (filters.event_type) {
+        where += ' AND event_type = ?';
+        params.push(filters.event_type);
+      }
+
+      const [{ total }] = await db.query(`SELECT COUNT(*) AS total FROM event_deliveries ${where}`, params);
+      const rows = await db.query(
+        `SELECT * FROM event_deliveries ${where}
+        ORDER BY id DESC
+        LIMIT ${limit} OFFSET ${(page - 1) * limit}`,
+        params
+      );
+
+      return {
+        data: rows.map(row => this.fromRow(row)),
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error(`Error getting deliveries of subscription ${subscriptionId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Claim the oldest due deliveries and count the attempt
+  static async claimDue(limit) {
+    try {
+      const safeLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+      const rows = await db.query(
+        `SELECT * FROM event_deliveries
+        WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+        ORDER BY id
+        LIMIT ${safeLimit}`
+      );
+
+      if (rows.length === 0) {
+        return [];
+      }
+
+      await db.query(
+        `UPDATE event_deliveries SET status = 'delivering', attempts = attempts + 1
+        WHERE id IN (${rows.map(() => '?').join(', ')})`,
+        rows.map(row => row.id)
+      );
+
+      return rows.map(row => this.fromRow({ ...row, status: 'delivering', attempts: row.attempts + 1 }));
+    } catch (error) {
+      logger.error('Error claiming event deliveries:', error.message);
+      throw error;
+    }
+  }
+
+  static async markDelivered(id, responseStatus) {
+    try {
+      await db.query(
+        `UPDATE event_deliveries SET
+          status = 'delivered',
+          response_status = ?,
+          last_error = NULL,
+          delivered_at = CURRENT_TIMESTAMP
+        WHERE id = ?`,
+        [responseStatus, id]
+      );
+    } catch (error) {
+      logger.error(`Error marking delivery ${id} as delivered:`, error.message);
+      throw error;
+    }
+  }
+
+  // Record a failed attempt. The delivery is tried again at nextAttemptAt, or
+  // marked failed for good when there is none.
+  static async markAttemptFailed(id, errorMessage, responseStatus = null, nextAttemptAt = null) {
+    try {
+      await db.query(
+        `UPDATE event_deliveries SET
+          status = ?,
+          response_status = ?,
+          last_error = ?,
+          next_attempt_at = COALESCE(?, next_attempt_at)
+        WHERE id = ?`,
+        [nextAttemptAt ? 'pending' : 'failed', responseStatus, errorMessage, nextAttemptAt, id]
+      );
+    } catch (error) {
+      logger.error(`Error recording failed attempt of delivery ${id}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Queue a delivery again with a fresh set of attempts
+  static async requeue(id) {
+    try {
+      await db.query(
+        `UPDATE event_deliveries SET
+          status = 'pending',
+          attempts = 0,
+          next_attempt_at = CURRENT_TIMESTAMP
+        WHERE id = ?`,
+        [id]
+      );
+
+      return this.getById(id);
+    } catch (error) {
+      logger.error(`Error requeueing delivery ${id}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Deliveries a previous process was sending when it stopped are tried again
+  static async releaseInterrupted() {
+    try {
+      const result = await db.query(
+        `UPDATE event_deliveries SET status = 'pending'
+        WHERE status = 'delivering'`
+      );
+
+      return result.affectedRows || 0;
+    } catch (error) {
+      logger.error('Error releasing interrupted event deliveries:', error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = EventDeliveryModel;
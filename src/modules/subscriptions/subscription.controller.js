@@ -0,0 +1,81 @@
+const subscriptionService = require('./subscription.service');
+
+class SubscriptionController {
+  // Get all subscriptions
+  async getAllSubscriptions(req, res, next) {
+    try {
+      const subscriptions = await subscriptionService.getAllSubscriptions();
+      res.json(subscriptions);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get subscription by ID
+  async getSubscriptionById(req, res, next) {
+    try {
+      const { id } = req.params;
+      const subscription = await subscriptionService.getSubscriptionById(id);
+      res.json(subscription);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Create a new subscription
+  async createSubscription(req, res, next) {
+    try {
+      const subscription = await subscriptionService.createSubscription(req.body || {});
+      res.status(201).json(subscription);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Update a subscription
+  async updateSubscription(req, res, next) {
+    try {
+      const { id } = req.params;
+      const subscription = await subscriptionService.updateSubscription(id, req.body || {});
+      res.json(subscription);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Delete a subscription
+  async deleteSubscription(req, res, next) {
+    try {
+      const { id } = req.params;
+      const result = await subscriptionService.deleteSubscription(id);
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get the delivery log of a subscription
+  async getDeliveries(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { status, event_type, page, limit } = req.query;
+      const deliveries = await subscriptionService.getDeliveries(id, { status, event_type }, { page, limit });
+      res.json(deliveries);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Queue a delivery again
+  async redeliver(req, res, next) {
+    try {
+      const { id, deliveryId } = req.params;
+      const delivery = await subscriptionService.redeliver(id, deliveryId);
+      res.status(202).json(delivery);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new SubscriptionController();
@@ -0,0 +1,138 @@
+const db = require('../../db');
+const logger = require('../core/logger');
+const { ApiError } = require('../core/error.handler');
+const { encryptToken, decryptToken } = require('../agreements/token-crypto');
+
+// JSON columns come back as strings on MariaDB and as objects on MySQL
+function parseJson(value, fallback) {
+  if (value === null || value === undefined) {
+    return fallback;
+  }
+
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+class SubscriptionModel {
+  // Parse the JSON columns of a row. The signing secret is only decrypted
+  // for delivery and never leaves the service otherwise.
+  static fromRow(row, includeSecret = false) {
+    const { secret, secret_data_key, ...subscription } = row;
+
+    return {
+      ...subscription,
+      event_types: parseJson(row.event_types, []),
+      agreement_numbers: parseJson(row.agreement_numbers, null),
+      ...(includeSecret && { secret: decryptToken(secret, secret_data_key) })
+    };
+  }
+
+  // Get all subscriptions
+  static async getAll() {
+    try {
+      const rows = await db.query('SELECT * FROM subscriptions ORDER BY name');
+      return rows.map(row => this.fromRow(row));
+    } catch (error) {
+      logger.error('Error getting subscriptions:', error.message);
+      throw error;
+    }
+  }
+
+  // Get subscription by ID
+  static async getById(id, includeSecret = false) {
+    try {
+      const rows = await db.query('SELECT * FROM subscriptions WHERE id = ?', [id]);
+
+      if (rows.length === 0) {
+        throw ApiError.notFound(`Subscription with ID ${id} not found`);
+      }
+
+      return this.fromRow(rows[0], includeSecret);
+    } catch (error) {
+      logger.error(`Error getting subscription ${id}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Get active subscriptions
+  static async getActive(includeSecret = false) {
+    try {
+      const rows = await db.query('SELECT * FROM subscriptions WHERE is_active = TRUE');
+      return rows.map(row => this.fromRow(row, includeSecret));
+    } catch (error) {
+      logger.error('Error getting active subscriptions:', error.message);
+      throw error;
+    }
+  }
+
+  // Create a subscription. The service passes the validated row and its plaintext secret.
+  static async create(subscriptionData) {
+    try {
+      const { encryptedToken, encryptedDataKey } = encryptToken(subscriptionData.secret);
+
+      const result = await db.query(
+        `INSERT INTO subscriptions (
+          name, url, event_types, agreement_numbers, secret, secret_data_key, is_active
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          subscriptionData.name,
+          subscriptionData.url,
+          JSON.stringify(subscriptionData.event_types),
+          subscriptionData.agreement_numbers ? JSON.stringify(subscriptionData.agreement_numbers) : null,
+          encryptedToken,
+          encryptedDataKey,
+          subscriptionData.is_active
+        ]
+      );
+
+      return this.getById(result.insertId);
+    } catch (error) {
+      logger.error('Error creating subscription:', error.message);
+      throw error;
+    }
+  }
+
+  // Update a subscription. The service passes the complete, validated row.
+  static async update(id, subscriptionData) {
+    try {
+      await db.query(
+        `UPDATE subscriptions SET
+          name = ?,
+          url = ?,
+          event_types = ?,
+          agreement_numbers = ?,
+          is_active = ?,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?`,
+        [
+          subscriptionData.name,
+          subscriptionData.url,
+          JSON.stringify(subscriptionData.event_types),
+          subscriptionData.agreement_numbers ? JSON.stringify(subscriptionData.agreement_numbers) : null,
+          subscriptionData.is_active,
+          id
+        ]
+      );
+
+      return this.getById(id);
+    } catch (error) {
+      logger.error(`Error updating subscription ${id}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Delete a subscription and its delivery log
+  static async delete(id) {
+    try {
+      await this.getById(id);
+
+      await db.query('DELETE FROM subscriptions WHERE id = ?', [id]);
+
+      return { id };
+    } catch (error) {
+      logger.error(`Error deleting subscription ${id}:`, error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = SubscriptionModel;
@@ -0,0 +1,31 @@
+const express = require('express');
+const subscriptionController = require('./subscription.controller');
+
+const router = express.Router();
+
+// Subscribers receive each matching event as a JSON POST. X-Signature holds
+// "sha256=" and the HMAC-SHA256 of "<X-Signature-Timestamp>.<body>", keyed
+// with the secret returned when the subscription was created.
+
+// Get all subscriptions
+router.get('/', subscriptionController.getAllSubscriptions);
+
+// Get subscription by ID
+router.get('/:id', subscriptionController.getSubscriptionById);
+
+// Create a new subscription
+router.post('/', subscriptionController.createSubscription);
+
+// Update a subscription
+router.put('/:id', subscriptionController.updateSubscription);
+
+// Delete a subscription
+router.delete('/:id', subscriptionController.deleteSubscription);
+
+// Get the delivery log of a subscription
+router.get('/:id/deliveries', subscriptionController.getDeliveries);
+
+// Send a delivery again
+router.post('/:id/deliveries/:deliveryId/redeliver', subscriptionController.redeliver);
+
+module.exports = router;
@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const SubscriptionModel = require('./subscription.model');
+const EventDeliveryModel = require('./event-delivery.model');
+const { EVENT_TYPES } = require('../sync/domain-events');
+const logger = require('../core/logger');
+const { ApiError } = require('../core/error.handler');
+
+// Values of the event_deliveries.status column
+const DELIVERY_STATUSES = ['pending', 'delivering', 'delivered', 'failed'];
+
+const SECRET_PREFIX = 'whsec_';
+
+// Whether a subscription's event type patterns cover an event type. A pattern
+// is an event type, "<entity>.*" or "*".
+function matchesEventType(patterns, type) {
+  return patterns.some(pattern => pattern === '*'
+    || pattern === type
+    || (pattern.endsWith('.*') && type.startsWith(pattern.slice(0, -1))));
+}
+
+class SubscriptionService {
+  // Get all subscriptions
+  async getAllSubscriptions() {
+    try {
+      return await SubscriptionModel.getAll();
+    } catch (error) {
+      logger.error('Error getting all subscriptions:', error.message);
+      throw error;
+    }
+  }
+
+  // Get subscription by ID
+  async getSubscriptionById(id) {
+    try {
+      return await SubscriptionModel.getById(id);
+    } catch (error) {
+      logger.error(`Error getting subscription ${id}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Create a subscription. The signing secret is only ever returned here.
+  async createSubscription(subscriptionData) {
+    try {
+      const subscription = this.validateSubscription({
+        name: subscriptionData.name,
+        url: subscriptionData.url,
+        event_types: subscriptionData.event_types,
+        agreement_numbers: subscriptionData.agreement_numbers ?? null,
+        is_active: subscriptionData.is_active !== undefined ? subscriptionData.is_active : true
+      });
+
+      const secret = `${SECRET_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+      const created = await SubscriptionModel.create({ ...subscription, secret });
+
+      logger.info(`Created subscription ${created.id} "${created.name}" for ${created.event_types.join(', ')}`);
+
+      return { ...created, secret };
+    } catch (error) {
+      logger.error('Error creating subscription:', error.message);
+      throw error;
+    }
+  }
+
+  // Update a subscription. Fields left out of the request keep their current value.
+  async updateSubscription(id, subscriptionData) {
+    try {
+      const existing = await SubscriptionModel.getById(id);
+
+      const subscription = this.validateSubscription({
+        name: subscriptionData.name ?? existing.name,
+        url: subscriptionData.url ?? existing.url,
+        event_types: subscriptionData.event_types ?? existing.event_types,
+        agreement_numbers: subscriptionData.agreement_numbers !== undefined
+          ? subscriptionData.agreement_numbers
+          : existing.agreement_numbers,
+        is_active: subscriptionData.is_active ?? Boolean(existing.is_active)
+      });
+
+      return await SubscriptionModel.update(id, subscription);
+    } catch (error) {
+      logger.error(`Error updating subscription ${id}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Delete a subscription
+  async deleteSubscription(id) {
+    try {
+      return await SubscriptionModel.delete(id);
+    } catch (error) {
+      logger.error(`Error deleting subscription ${id}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Get the delivery log of a subscription
+  async getDeliveries(id, filters = {}, pagination = {}) {
+    try {
+      await SubscriptionModel.getById(id);
+
+      if (filters.status && !DELIVERY_STATUSES.includes(filters.status)) {
+        throw ApiError.badRequest(
+          `Invalid status "${filters.status}". Expected one of: ${DELIVERY_STATUSES.join(', ')}`,
+          'INVALID_STATUS'
+        );
+      }
+
+      return await EventDeliveryModel.getBySubscription(id, filters, pagination);
+    } catch (error) {
+      logger.error(`Error getting deliveries of subscription ${id}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Send a delivery again, e.g. after it failed for good
+  async redeliver(id, deliveryId) {
+    try {
+      const delivery = await EventDeliveryModel.getById(deliveryId);
+
+      if (delivery.subscription_id !== parseInt(id)) {
+        throw ApiError.notFound(`Delivery with ID ${deliveryId} not found for subscription ${id}`);
+      }
+
+      if (delivery.status === 'delivering') {
+        throw ApiError.conflict(`Delivery ${deliveryId} is being sent right now`, 'DELIVERY_IN_PROGRESS');
+      }
+
+      return await EventDeliveryModel.requeue(deliveryId);
+    } catch (error) {
+      logger.error(`Error redelivering ${deliveryId} of subscription ${id}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Queue a delivery of each event to every active subscription that wants it.
+  // Events relayed twice are queued once, per subscription and event id.
+  async queueDeliveries(events) {
+    const subscriptions = await SubscriptionModel.getActive();
+    const deliveries = [];
+
+    for (const event of events) {
+      for (const subscription of subscriptions) {
+        const agreementMatches = !subscription.agreement_numbers
+          || subscription.agreement_numbers.includes(event.agreement_number);
+
+        if (agreementMatches && matchesEventType(subscription.event_types, event.type)) {
+          deliveries.push({ subscription_id: subscription.id, event });
+        }
+      }
+    }
+
+    return await EventDeliveryModel.createMany(deliveries);
+  }
+
+  // Check a complete subscription
+  validateSubscription(subscription) {
+    if (!subscription.name || typeof subscription.name !== 'string') {
+      throw ApiError.badRequest('Subscription name is required', 'MISSING_NAME');
+    }
+
+    let url;
+    try {
+      url = new URL(subscription.url);
+    } catch (error) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      throw ApiError.badRequest('url must be an http or https URL', 'INVALID_URL');
+    }
+
+    const eventTypes = subscription.event_types;
+    const isKnown = pattern => pattern === '*'
+      || EVENT_TYPES.includes(pattern)
+      || (pattern.endsWith('.*') && EVENT_TYPES.some(type => type.startsWith(pattern.slice(0, -1))));
+
+    if (!Array.isArray(eventTypes) || eventTypes.length === 0 || eventTypes.some(type => typeof type !== 'string' || !isKnown(type))) {
+      throw ApiError.badRequest(
+        `event_types must be a non-empty array of: ${EVENT_TYPES.join(', ')}, "<entity>.*" or "*"`,
+        'INVALID_EVENT_TYPES'
+      );
+    }
+
+    let agreementNumbers = null;
+    if (subscription.agreement_numbers !== null) {
+      agreementNumbers = Array.isArray(subscription.agreement_numbers)
+        ? subscription.agreement_numbers.map(number => parseInt(number))
+        : [];
+
+      if (agreementNumbers.length === 0 || agreementNumbers.some(isNaN)) {
+        throw ApiError.badRequest(
+          'agreement_numbers must be a non-empty array of agreement numbers, or null for all agreements',
+          'INVALID_AGREEMENT_NUMBERS'
+        );
+      }
+    }
+
+    return {
+      ...subscription,
+      event_types: [...new Set(eventTypes)],
+      agreement_numbers: agreementNumbers,
+      is_active: Boolean(subscription.is_active)
+    };
+  }
+}
+
+module.exports = new SubscriptionService();
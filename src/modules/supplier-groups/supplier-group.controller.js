@@ -1,11 +1,12 @@
 const supplierGroupService = require('./supplier-group.service');
 const logger = require('../core/logger');
+const { parseSyncOptions } = require('../sync/sync.options');
 
 class SupplierGroupController {
   // Sync supplier groups for all agreements
   async syncSupplierGroups(req, res, next) {
     try {
-      const result = await supplierGroupService.syncAllSupplierGroups();
+      const result = await supplierGroupService.syncAllSupplierGroups(parseSyncOptions(req));
       res.json(result);
     } catch (error) {
       next(error);
@@ -18,7 +19,7 @@ class SupplierGroupController {
       const { id } = req.params;
       // Get agreement by ID
       const agreement = await require('../agreements/agreement.model').getById(id);
-      const result = await supplierGroupService.syncSupplierGroupsForAgreement(agreement);
+      const result = await supplierGroupService.syncGroupsForAgreement(agreement, parseSyncOptions(req));
       res.json(result);
     } catch (error) {
       next(error);
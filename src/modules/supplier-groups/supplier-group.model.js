@@ -1,6 +1,8 @@
 const db = require('../../db');
 const logger = require('../core/logger');
+const SyncLogModel = require('../sync/sync-log.model');
 const { ApiError } = require('../core/error.handler');
+const { upsertRows } = require('../sync/batch-upsert');
 
 class SupplierGroupModel {
   // Find by supplier group number and agreement number
@@ -31,75 +33,46 @@ class SupplierGroupModel {
     }
   }
 
-  // Create or update supplier group
-  static async upsert(groupData) {
-    try {
-      const safeData = {
-        supplier_group_number: groupData.supplier_group_number ?? null,
-        agreement_number: groupData.agreement_number ?? null,
-        name: groupData.name ?? null,
-        account_number: groupData.account_number ?? null,
-        suppliers_count: groupData.suppliers_count ?? 0,
-        self_url: groupData.self_url ?? null
-      };
+  // Columns stored for supplier groups
+  static toRow(groupData) {
+    return {
+      supplier_group_number: groupData.supplier_group_number ?? null,
+      agreement_number: groupData.agreement_number ?? null,
+      name: groupData.name ?? null,
+      account_number: groupData.account_number ?? null,
+      suppliers_count: groupData.suppliers_count ?? 0,
+      self_url: groupData.self_url ?? null
+    };
+  }
 
-      await db.query(`
-        INSERT INTO supplier_groups (
-          supplier_group_number,
-          agreement_number,
-          name,
-          account_number,
-          suppliers_count,
-          self_url
-        ) VALUES (?, ?, ?, ?, ?, ?)
-        ON DUPLICATE KEY UPDATE
-          name = VALUES(name),
-          account_number = VALUES(account_number),
-          suppliers_count = VALUES(suppliers_count),
-          self_url = VALUES(self_url),
-          updated_at = CURRENT_TIMESTAMP
-      `, [
-        safeData.supplier_group_number,
-        safeData.agreement_number,
-        safeData.name,
-        safeData.account_number,
-        safeData.suppliers_count,
-        safeData.self_url
-      ]);
+  // Create or update a supplier group
+  static async upsert(groupData) {
+    await this.batchUpsert([groupData]);
+    return this.toRow(groupData);
+  }
 
-      return safeData;
+  // Create or update many supplier groups in transactional chunks. Returns inserted, updated and unchanged counts.
+  static async batchUpsert(groups) {
+    try {
+      return await upsertRows('supplier_groups', groups.map(group => this.toRow(group)), {
+        keyColumns: ['supplier_group_number', 'agreement_number']
+      });
     } catch (error) {
-      logger.error('Error upserting supplier group:', error.message);
+      logger.error('Error upserting supplier groups:', error.message);
       throw error;
     }
   }
 
   // Record sync log for supplier groups
-  static async recordSyncLog(agreementNumber, recordCount = 0, errorMessage = null, startTime = null) {
-    try {
-      const started = startTime || new Date();
-      const completed = new Date();
-      const durationMs = completed.getTime() - started.getTime();
-      
-      await db.query(
-        `INSERT INTO sync_logs (
-          entity, operation, record_count, status, 
-          error_message, started_at, completed_at, duration_ms
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          `supplier_groups_${agreementNumber}`,
-          'sync',
-          recordCount,
-          errorMessage ? 'error' : 'success',
-          errorMessage,
-          started,
-          completed,
-          durationMs
-        ]
-      );
-    } catch (error) {
-      logger.error('Error recording sync log:', error.message);
-    }
+  static async recordSyncLog(agreementNumber, recordCount = 0, errorMessage = null, startTime = null, runId = null) {
+    return await SyncLogModel.record({
+      entity: 'supplier_groups',
+      agreementNumber,
+      recordCount,
+      errorMessage,
+      startTime,
+      runId
+    });
   }
 }
 
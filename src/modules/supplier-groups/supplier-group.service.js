@@ -1,7 +1,10 @@
-const ApiClient = require('../../api/client');
 const endpoints = require('../../api/endpoints');
 const SupplierGroupModel = require('./supplier-group.model');
 const AgreementModel = require('../agreements/agreement.model');
+const { resolveAgreementContext } = require('../agreements/agreement-context');
+const syncPool = require('../sync/sync-pool');
+const SyncWatermarkModel = require('../sync/sync-watermark.model');
+const { SyncDiff, buildDiffReport } = require('../sync/sync-diff');
 const logger = require('../core/logger');
 
 class SupplierGroupService {
@@ -16,35 +19,52 @@ class SupplierGroupService {
     };
   }
 
-  async syncGroupsForAgreement(agreement) {
+  async syncGroupsForAgreement(agreement, options = {}) {
     const startTime = new Date();
     let recordCount = 0;
     
     try {
       logger.info(`Starting supplier groups sync for agreement ${agreement.name} (${agreement.agreement_number})`);
       
-      const client = ApiClient.forAgreement(agreement.agreement_grant_token);
-      const agreementInfo = await client.getAgreementInfo();
-      const agreementNumber = agreementInfo.agreementNumber;
+      // Client and agreement number confirmed by the API
+      const context = options.context || await resolveAgreementContext(agreement);
+      const { client, agreementNumber } = context;
+      const { mode } = await SyncWatermarkModel.resolveWindow(agreementNumber, 'supplier_groups', options.mode);
       
       // Use getPaginated to handle pagination
       const groups = await client.getPaginated(endpoints.SUPPLIER_GROUPS);
       logger.debug(`Raw supplier groups response:`, groups); // Add debug logging
       logger.info(`Found ${groups.length} supplier groups for agreement ${agreementNumber}`);
       
+      // Dry runs compare with the stored rows instead of writing
+      const diff = options.dryRun ? await SyncDiff.forAgreement('supplier_groups', ['supplier_group_number'], agreementNumber) : null;
+      
+      const upserts = [];
       for (const group of groups) {
         const groupData = this.transformGroupData(group, agreementNumber);
         logger.debug(`Transformed group data:`, groupData); // Add debug logging
-        await SupplierGroupModel.upsert(groupData);
+        if (diff) {
+          diff.compare(groupData);
+        } else {
+          upserts.push(groupData);
+        }
         recordCount++;
       }
       
-      await SupplierGroupModel.recordSyncLog(
-        agreementNumber,
-        recordCount,
-        null,
-        startTime
-      );
+      // Write in transactional chunks instead of one round trip per record
+      const changes = diff ? null : await SupplierGroupModel.batchUpsert(upserts);
+      
+      if (!diff) {
+        await SupplierGroupModel.recordSyncLog(
+          agreementNumber,
+          recordCount,
+          null,
+          startTime,
+          options.runId
+        );
+      
+        await SyncWatermarkModel.markSynced(agreementNumber, 'supplier_groups', startTime, mode, recordCount);
+      }
       
       return {
         agreement: {
@@ -52,7 +72,11 @@ class SupplierGroupService {
           name: agreement.name,
           agreement_number: agreementNumber
         },
-        recordCount
+        mode,
+        recordCount,
+        ...(diff && { dryRun: true, diff: buildDiffReport(diff) }),
+        ...(changes && { changes }),
+        apiStats: client.getRetryStats()
       };
       
     } catch (error) {
@@ -61,7 +85,7 @@ class SupplierGroupService {
     }
   }
 
-  async syncAllSupplierGroups() {
+  async syncAllSupplierGroups(options = {}) {
     const startTime = new Date();
     const results = [];
     let totalCount = 0;
@@ -69,15 +93,16 @@ class SupplierGroupService {
     try {
       const agreements = await AgreementModel.getAll(true);
       
-      for (const agreement of agreements) {
+      // Sync agreements side by side, bounded by the shared sync pool
+      await syncPool.forEachAgreement(agreements, async agreement => {
         try {
-          const result = await this.syncGroupsForAgreement(agreement);
+          const result = await this.syncGroupsForAgreement(agreement, options);
           results.push(result);
           totalCount += result.recordCount;
         } catch (error) {
           logger.error(`Error syncing supplier groups for agreement ${agreement.name}:`, error.message);
         }
-      }
+      }, options.signal);
       
       return {
         status: 'success',
@@ -1,11 +1,12 @@
 const supplierService = require('./supplier.service');
 const logger = require('../core/logger');
+const { parseSyncOptions } = require('../sync/sync.options');
 
 class SupplierController {
   // Sync suppliers for all agreements
   async syncSuppliers(req, res, next) {
     try {
-      const result = await supplierService.syncAllSuppliers();
+      const result = await supplierService.syncAllSuppliers(parseSyncOptions(req));
       res.json(result);
     } catch (error) {
       next(error);
@@ -18,7 +19,7 @@ class SupplierController {
       const { id } = req.params;
       // Get agreement by ID
       const agreement = await require('../agreements/agreement.model').getById(id);
-      const result = await supplierService.syncSuppliersForAgreement(agreement);
+      const result = await supplierService.syncSuppliersForAgreement(agreement, parseSyncOptions(req));
       res.json(result);
     } catch (error) {
       next(error);
@@ -37,6 +38,7 @@ class SupplierController {
         city,
         country,
         barred,
+        include_deleted,
         sort_by,
         sort_order,
         page,
@@ -51,6 +53,7 @@ class SupplierController {
       if (city) filters.city = city;
       if (country) filters.country = country;
       if (barred !== undefined) filters.barred = barred === 'true';
+      if (include_deleted === 'true') filters.include_deleted = true;
       
       // Build sort object
       const sort = {
@@ -81,7 +84,12 @@ class SupplierController {
   async getSupplierByNumber(req, res, next) {
     try {
       const { agreement_number, supplier_number } = req.params;
-      const supplier = await supplierService.getSupplierByNumber(parseInt(supplier_number), parseInt(agreement_number));
+      const supplier = await supplierService.getSupplierByNumber(
+        parseInt(supplier_number),
+        parseInt(agreement_number),
+        req.query.include_deleted === 'true',
+        req.query.as_of
+      );
       res.json(supplier);
     } catch (error) {
       next(error);
@@ -1,13 +1,17 @@
 const db = require('../../db');
 const logger = require('../core/logger');
+const SyncLogModel = require('../sync/sync-log.model');
 const { ApiError } = require('../core/error.handler');
+const { markMissingAsDeleted } = require('../sync/tombstone');
+const { upsertRows } = require('../sync/batch-upsert');
+const { findVersion } = require('../sync/record-history');
 
 class SupplierModel {
   // Find by supplier number and agreement number
-  static async findByNumberAndAgreement(supplierNumber, agreementNumber) {
+  static async findByNumberAndAgreement(supplierNumber, agreementNumber, includeDeleted = false) {
     try {
       const suppliers = await db.query(
-        'SELECT * FROM suppliers WHERE supplier_number = ? AND agreement_number = ?',
+        `SELECT * FROM suppliers WHERE supplier_number = ? AND agreement_number = ?${includeDeleted ? '' : ' AND deleted_at IS NULL'}`,
         [supplierNumber, agreementNumber]
       );
       
@@ -18,6 +22,11 @@ class SupplierModel {
     }
   }
 
+  // Find a supplier as it was at a point in time, from its history
+  static async findAsOf(supplierNumber, agreementNumber, asOf) {
+    return await findVersion('suppliers', supplierNumber, agreementNumber, asOf);
+  }
+
   // Get suppliers with filtering, sorting, and pagination
   static async find(agreementNumber, filters = {}, sort = { field: 'name', order: 'ASC' }, pagination = { page: 1, limit: 50 }) {
     try {
@@ -25,6 +34,10 @@ class SupplierModel {
       let whereClause = 'WHERE agreement_number = ?';
       const whereParams = [agreementNumber];
       
+      if (!filters.include_deleted) {
+        whereClause += ' AND deleted_at IS NULL';
+      }
+      
       if (filters.supplier_group_number) {
         whereClause += ' AND supplier_group_number = ?';
         whereParams.push(filters.supplier_group_number);
@@ -91,168 +104,66 @@ class SupplierModel {
     }
   }
 
-  // Create or update supplier
-  static async upsert(supplierData) {
-    try {
-      const safeData = {
-        supplier_number: supplierData.supplier_number,
-        agreement_number: supplierData.agreement_number,
-        name: supplierData.name,
-        supplier_group_number: supplierData.supplier_group_number,
-        address: supplierData.address,
-        zip: supplierData.zip,
-        city: supplierData.city,
-        country: supplierData.country,
-        email: supplierData.email,
-        phone: supplierData.phone,
-        currency: supplierData.currency,
-        payment_terms_number: supplierData.payment_terms_number,
-        vat_number: supplierData.vat_number,
-        corp_identification_number: supplierData.corp_identification_number,
-        default_delivery_location: supplierData.default_delivery_location,
-        barred: supplierData.barred,
-        creditor_id: supplierData.creditor_id,
-        payment_type_number: supplierData.payment_type_number,
-        cost_account_number: supplierData.cost_account_number,
-        self_url: supplierData.self_url
-      };
-
-      const existing = await this.findByNumberAndAgreement(
-        safeData.supplier_number,
-        safeData.agreement_number
-      );
-
-      if (existing) {
-        await db.query(`
-          UPDATE suppliers 
-          SET name = ?,
-              supplier_group_number = ?,
-              address = ?,
-              zip = ?,
-              city = ?,
-              country = ?,
-              email = ?,
-              phone = ?,
-              currency = ?,
-              payment_terms_number = ?,
-              vat_number = ?,
-              corp_identification_number = ?,
-              default_delivery_location = ?,
-              barred = ?,
-              creditor_id = ?,
-              payment_type_number = ?,
-              cost_account_number = ?,
-              self_url = ?,
-              updated_at = CURRENT_TIMESTAMP
-          WHERE supplier_number = ? AND agreement_number = ?`,
-          [
-            safeData.name,
-            safeData.supplier_group_number,
-            safeData.address,
-            safeData.zip,
-            safeData.city,
-            safeData.country,
-            safeData.email,
-            safeData.phone,
-            safeData.currency,
-            safeData.payment_terms_number,
-            safeData.vat_number,
-            safeData.corp_identification_number,
-            safeData.default_delivery_location,
-            safeData.barred,
-            safeData.creditor_id,
-            safeData.payment_type_number,
-            safeData.cost_account_number,
-            safeData.self_url,
-            safeData.supplier_number,
-            safeData.agreement_number
-          ]
-        );
+  // Columns stored for suppliers
+  static toRow(supplierData) {
+    return {
+      supplier_number: supplierData.supplier_number,
+      agreement_number: supplierData.agreement_number,
+      name: supplierData.name,
+      supplier_group_number: supplierData.supplier_group_number,
+      address: supplierData.address,
+      zip: supplierData.zip,
+      city: supplierData.city,
+      country: supplierData.country,
+      email: supplierData.email,
+      phone: supplierData.phone,
+      currency: supplierData.currency,
+      payment_terms_number: supplierData.payment_terms_number,
+      vat_number: supplierData.vat_number,
+      corp_identification_number: supplierData.corp_identification_number,
+      default_delivery_location: supplierData.default_delivery_location,
+      barred: supplierData.barred,
+      creditor_id: supplierData.creditor_id,
+      payment_type_number: supplierData.payment_type_number,
+      cost_account_number: supplierData.cost_account_number,
+      self_url: supplierData.self_url
+    };
+  }
 
-        return { ...existing, ...safeData };
-      } else {
-        // For insert, construct the query explicitly
-        await db.query(`
-          INSERT INTO suppliers (
-            supplier_number,
-            agreement_number,
-            name,
-            supplier_group_number,
-            address,
-            zip,
-            city,
-            country,
-            email,
-            phone,
-            currency,
-            payment_terms_number,
-            vat_number,
-            corp_identification_number,
-            default_delivery_location,
-            barred,
-            creditor_id,
-            payment_type_number,
-            cost_account_number,
-            self_url
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [
-            safeData.supplier_number,
-            safeData.agreement_number,
-            safeData.name,
-            safeData.supplier_group_number,
-            safeData.address,
-            safeData.zip,
-            safeData.city,
-            safeData.country,
-            safeData.email,
-            safeData.phone,
-            safeData.currency,
-            safeData.payment_terms_number,
-            safeData.vat_number,
-            safeData.corp_identification_number,
-            safeData.default_delivery_location,
-            safeData.barred,
-            safeData.creditor_id,
-            safeData.payment_type_number,
-            safeData.cost_account_number,
-            safeData.self_url
-          ]
-        );
+  // Create or update a supplier. Tombstoned suppliers come back.
+  static async upsert(supplierData) {
+    await this.batchUpsert([supplierData]);
+    return this.toRow(supplierData);
+  }
 
-        return safeData;
-      }
+  // Create or update many suppliers in transactional chunks. Returns inserted, updated and unchanged counts.
+  static async batchUpsert(suppliers) {
+    try {
+      return await upsertRows('suppliers', suppliers.map(supplier => this.toRow(supplier)), {
+        keyColumns: ['supplier_number', 'agreement_number'],
+        reviveDeleted: true
+      });
     } catch (error) {
-      logger.error('Error upserting supplier:', error.message);
+      logger.error('Error upserting suppliers:', error.message);
       throw error;
     }
   }
 
+  // Tombstone suppliers that were not returned by a full sync
+  static async markDeleted(agreementNumber, supplierNumbers) {
+    return await markMissingAsDeleted('suppliers', 'supplier_number', agreementNumber, supplierNumbers);
+  }
+
   // Record sync log for suppliers
-  static async recordSyncLog(agreementNumber, recordCount = 0, errorMessage = null, startTime = null) {
-    try {
-      const started = startTime || new Date();
-      const completed = new Date();
-      const durationMs = completed.getTime() - started.getTime();
-      
-      await db.query(
-        `INSERT INTO sync_logs (
-          entity, operation, record_count, status, 
-          error_message, started_at, completed_at, duration_ms
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          `suppliers_${agreementNumber}`,
-          'sync',
-          recordCount,
-          errorMessage ? 'error' : 'success',
-          errorMessage,
-          started,
-          completed,
-          durationMs
-        ]
-      );
-    } catch (error) {
-      logger.error('Error recording sync log:', error.message);
-    }
+  static async recordSyncLog(agreementNumber, recordCount = 0, errorMessage = null, startTime = null, runId = null) {
+    return await SyncLogModel.record({
+      entity: 'suppliers',
+      agreementNumber,
+      recordCount,
+      errorMessage,
+      startTime,
+      runId
+    });
   }
 }
 
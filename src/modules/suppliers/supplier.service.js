@@ -1,16 +1,15 @@
-const ApiClient = require('../../api/client');
 const endpoints = require('../../api/endpoints');
 const SupplierModel = require('./supplier.model');
 const AgreementModel = require('../agreements/agreement.model');
+const { resolveAgreementContext } = require('../agreements/agreement-context');
+const syncPool = require('../sync/sync-pool');
+const SyncWatermarkModel = require('../sync/sync-watermark.model');
+const { SyncDiff, buildDiffReport } = require('../sync/sync-diff');
+const { parseAsOf } = require('../sync/record-history');
 const logger = require('../core/logger');
 const { ApiError } = require('../core/error.handler');
 
 class SupplierService {
-  // Get client for a specific agreement
-  getClientForAgreement(agreementToken) {
-    return ApiClient.forAgreement(agreementToken);
-  }
-
   // Transform API supplier data to our database model
   transformSupplierData(supplier, agreementNumber) {
     return {
@@ -38,38 +37,63 @@ class SupplierService {
   }
 
   // Sync suppliers for a specific agreement
-  async syncSuppliersForAgreement(agreement) {
+  async syncSuppliersForAgreement(agreement, options = {}) {
     const startTime = new Date();
     let recordCount = 0;
     
     try {
       logger.info(`Starting suppliers sync for agreement ${agreement.name} (${agreement.agreement_number})`);
       
-      const client = ApiClient.forAgreement(agreement.agreement_grant_token);
-      const agreementInfo = await client.getAgreementInfo();
-      const agreementNumber = agreementInfo.agreementNumber;
+      // Client and agreement number confirmed by the API
+      const context = options.context || await resolveAgreementContext(agreement);
+      const { client, agreementNumber } = context;
+      const { mode } = await SyncWatermarkModel.resolveWindow(agreementNumber, 'suppliers', options.mode);
       
       // Use getPaginated to handle pagination
       const suppliers = await client.getPaginated(endpoints.SUPPLIERS);
       logger.debug(`Raw suppliers response:`, suppliers); // Add debug logging
       logger.info(`Found ${suppliers.length} suppliers for agreement ${agreementNumber}`);
       
+      // Dry runs compare with the stored rows instead of writing
+      const diff = options.dryRun ? await SyncDiff.forAgreement('suppliers', ['supplier_number'], agreementNumber) : null;
+      
+      const upserts = [];
       for (const supplier of suppliers) {
         const supplierData = this.transformSupplierData(supplier, agreementNumber);
         logger.debug(`Transformed supplier data:`, supplierData); // Add debug logging
-        await SupplierModel.upsert(supplierData);
+        if (diff) {
+          diff.compare(supplierData);
+        } else {
+          upserts.push(supplierData);
+        }
         recordCount++;
       }
       
-      // Record successful sync
-      await SupplierModel.recordSyncLog(
-        agreementNumber,
-        recordCount,
-        null,
-        startTime
-      );
+      // Write in transactional chunks instead of one round trip per record
+      const changes = diff ? null : await SupplierModel.batchUpsert(upserts);
       
-      logger.info(`Completed suppliers sync for agreement ${agreementNumber}: ${recordCount} records processed`);
+      // A full fetch holds every supplier, so anything missing was deleted in e-conomic
+      let deleted = [];
+      if (mode === 'full') {
+        deleted = diff
+          ? diff.markMissing().map(row => row.supplier_number)
+          : await SupplierModel.markDeleted(agreementNumber, suppliers.map(supplier => supplier.supplierNumber));
+      }
+      
+      if (!diff) {
+        // Record successful sync
+        await SupplierModel.recordSyncLog(
+          agreementNumber,
+          recordCount,
+          null,
+          startTime,
+          options.runId
+        );
+      
+        await SyncWatermarkModel.markSynced(agreementNumber, 'suppliers', startTime, mode, recordCount);
+      }
+      
+      logger.info(`Completed suppliers sync for agreement ${agreementNumber}: ${recordCount} records processed, ${deleted.length} deleted`);
       
       return {
         agreement: {
@@ -77,26 +101,35 @@ class SupplierService {
           name: agreement.name,
           agreement_number: agreementNumber
         },
-        recordCount
+        mode,
+        recordCount,
+        deletedCount: deleted.length,
+        deleted,
+        ...(diff && { dryRun: true, diff: buildDiffReport(diff) }),
+        ...(changes && { changes }),
+        apiStats: client.getRetryStats()
       };
       
     } catch (error) {
       logger.error(`Error syncing suppliers for agreement ${agreement.id}:`, error.message);
       
-      // Record failed sync
-      await SupplierModel.recordSyncLog(
-        agreement.agreement_number || 'unknown',
-        recordCount,
-        error.message,
-        startTime
-      );
+      if (!options.dryRun) {
+        // Record failed sync
+        await SupplierModel.recordSyncLog(
+          agreement.agreement_number || 'unknown',
+          recordCount,
+          error.message,
+          startTime,
+          options.runId
+        );
+      }
       
       throw error;
     }
   }
 
   // Sync suppliers across all agreements
-  async syncAllSuppliers() {
+  async syncAllSuppliers(options = {}) {
     const startTime = new Date();
     const agreementResults = [];
     let totalCount = 0;
@@ -117,10 +150,10 @@ class SupplierService {
         };
       }
       
-      // Process each agreement
-      for (const agreement of agreements) {
+      // Sync agreements side by side, bounded by the shared sync pool
+      await syncPool.forEachAgreement(agreements, async agreement => {
         try {
-          const result = await this.syncSuppliersForAgreement(agreement);
+          const result = await this.syncSuppliersForAgreement(agreement, options);
           agreementResults.push(result);
           totalCount += result.recordCount;
         } catch (error) {
@@ -135,7 +168,7 @@ class SupplierService {
             error: error.message
           });
         }
-      }
+      }, options.signal);
       
       logger.info(`Completed suppliers sync across all agreements: ${totalCount} records processed`);
       
@@ -162,12 +195,16 @@ class SupplierService {
   }
 
   // Get supplier by number
-  async getSupplierByNumber(supplierNumber, agreementNumber) {
+  async getSupplierByNumber(supplierNumber, agreementNumber, includeDeleted = false, asOf = null) {
     try {
-      const supplier = await SupplierModel.findByNumberAndAgreement(supplierNumber, agreementNumber);
+      // as_of reads the version that was current then from the history table
+      const asOfDate = parseAsOf('suppliers', asOf);
+      const supplier = asOfDate
+        ? await SupplierModel.findAsOf(supplierNumber, agreementNumber, asOfDate)
+        : await SupplierModel.findByNumberAndAgreement(supplierNumber, agreementNumber, includeDeleted);
       
       if (!supplier) {
-        throw ApiError.notFound(`Supplier with number ${supplierNumber} not found for agreement ${agreementNumber}`);
+        throw ApiError.notFound(`Supplier with number ${supplierNumber} not found for agreement ${agreementNumber}${asOfDate ? ` as of ${asOf}` : ''}`);
       }
       
       return supplier;
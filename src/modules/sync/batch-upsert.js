@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const db = require('../../db');
+const logger = require('../core/logger');
+const { sameValue } = require('./sync-diff');
+const { isHistoryEnabled, recordVersions } = require('./record-history');
+const { getEventRule, deriveEvents } = require('./domain-events');
+const OutboxModel = require('../outbox/outbox.model');
+const outboxRelay = require('../outbox/outbox-relay.service');
+
+// Rows per transaction
+const CHUNK_SIZE = 500;
+
+// Hash of the values a sync writes for one row, stored in its content_hash column
+function contentHash(row) {
+  const values = Object.keys(row).sort().map(column => [column, row[column] ?? null]);
+  return crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex');
+}
+
+// Insert or update rows with INSERT ... ON DUPLICATE KEY UPDATE, one
+// transaction per chunk. Each chunk first reads the stored content hashes of
+// its rows, so only new and changed rows are written and the counts are exact;
+// unchanged rows keep their updated_at. Rows stored before hashes existed are
+// compared column by column once and get their hash without being rewritten.
+// Every row must have the same columns, including all key columns. table and
+// column names are trusted constants from the calling model.
+//
+// Tables with history enabled also get a new version for every changed row,
+// and tables with an event rule write their changes as events to the outbox
+// in the same transaction, for the outbox relay to publish. Rows inserted by
+// the initial load of an agreement, when the table has no rows for it yet,
+// announce nothing: they already existed in e-conomic and would otherwise
+// send every subscriber one created event per record.
+//
+// options.keyColumns    - primary key columns, including agreement_number
+// options.reviveDeleted - clear deleted_at on rows that were tombstoned
+async function upsertRows(table, rows, { keyColumns, reviveDeleted = false, chunkSize = CHUNK_SIZE } = {}) {
+  const counts = { inserted: 0, updated: 0, unchanged: 0 };
+
+  if (!rows || rows.length === 0) {
+    return counts;
+  }
+
+  // The last row for a key wins, as it would with one statement per row
+  const keyOf = row => keyColumns.map(column => String(row[column])).join('/');
+  const uniqueRows = [...new Map(rows.map(row => [keyOf(row), row])).values()];
+
+  const columns = Object.keys(uniqueRows[0]);
+  const updateColumns = columns.filter(column => !keyColumns.includes(column));
+
+  const insertColumns = [...columns, 'content_hash'];
+  const trackHistory = isHistoryEnabled(table);
+  const eventRule = getEventRule(table);
+
+  const assignments = updateColumns.map(column => `${column} = VALUES(${column})`);
+  assignments.push('content_hash = VALUES(content_hash)');
+  if (reviveDeleted) {
+    assignments.push('deleted_at = NULL');
+  }
+
+  const storedColumns = [...new Set([
+    ...keyColumns,
+    'content_hash',
+    ...(reviveDeleted ? ['deleted_at'] : []),
+    ...(eventRule ? eventRule.watch : [])
+  ])];
+  const keyPlaceholders = `(${keyColumns.map(() => '?').join(', ')})`;
+  const rowPlaceholders = `(${insertColumns.map(() => '?').join(', ')})`;
+  const keysIn = count => `(${keyColumns.join(', ')}) IN (${Array(count).fill(keyPlaceholders).join(', ')})`;
+  const keyValues = chunkRows => chunkRows.flatMap(row => keyColumns.map(column => row[column]));
+  const hashes = new Map(uniqueRows.map(row => [row, contentHash(row)]));
+  const rowValues = chunkRows => chunkRows.flatMap(row => [
+    ...columns.map(column => row[column] ?? null),
+    hashes.get(row)
+  ]);
+
+  try {
+    const initialLoads = eventRule ? await findInitialLoads(table, uniqueRows) : new Set();
+
+    for (let i = 0; i < uniqueRows.length; i += chunkSize) {
+      const chunk = uniqueRows.slice(i, i + chunkSize);
+
+      const { result: chunkCounts, eventCount } = await db.transaction(async (connection) => {
+        const [storedRows] = await connection.query(
+          `SELECT ${storedColumns.join(', ')} FROM ${table}
+          WHERE ${keysIn(chunk.length)}
+          FOR UPDATE`,
+          keyValues(chunk)
+        );
+        const stored = new Map(storedRows.map(row => [keyOf(row), row]));
+
+        // Rows written before content hashes existed are compared by value
+        const unhashed = chunk.filter(row => stored.get(keyOf(row))?.content_hash === null);
+        const legacy = new Map();
+        if (unhashed.length > 0) {
+          const [legacyRows] = await connection.query(
+            `SELECT * FROM ${table} WHERE ${keysIn(unhashed.length)}`,
+            keyValues(unhashed)
+          );
+          legacyRows.forEach(row => legacy.set(keyOf(row), row));
+        }
+
+        const result = { inserted: 0, updated: 0, unchanged: 0 };
+        const changedRows = [];
+        const backfillRows = [];
+        const changes = [];
+
+        for (const row of chunk) {
+          const key = keyOf(row);
+          const existing = stored.get(key);
+
+          if (!existing) {
+            result.inserted++;
+            changedRows.push(row);
+            changes.push({ before: null, after: row });
+            continue;
+          }
+
+          const revived = Boolean(reviveDeleted && existing.deleted_at);
+          const unchanged = existing.content_hash === null
+            ? updateColumns.every(column => sameValue(legacy.get(key)[column], row[column]))
+            : existing.content_hash === hashes.get(row);
+
+          if (unchanged && !revived) {
+            result.unchanged++;
+            if (existing.content_hash === null) {
+              backfillRows.push(row);
+            }
+          } else {
+            result.updated++;
+            changedRows.push(row);
+            changes.push({ before: existing, after: row });
+          }
+        }
+
+        if (changedRows.length > 0) {
+          await connection.query(
+            `INSERT INTO ${table} (${insertColumns.join(', ')})
+            VALUES ${changedRows.map(() => rowPlaceholders).join(', ')}
+            ON DUPLICATE KEY UPDATE ${assignments.join(', ')}`,
+            rowValues(changedRows)
+          );
+        }
+
+        // Store the hash of unchanged legacy rows without moving updated_at
+        if (backfillRows.length > 0) {
+          await connection.query(
+            `INSERT INTO ${table} (${insertColumns.join(', ')})
+            VALUES ${backfillRows.map(() => rowPlaceholders).join(', ')}
+            ON DUPLICATE KEY UPDATE content_hash = VALUES(content_hash), updated_at = updated_at`,
+            rowValues(backfillRows)
+          );
+        }
+
+        if (trackHistory) {
+          await recordVersions(connection, table, chunk, hashes);
+        }
+
+        const announced = changes.filter(({ before, after }) => before || !initialLoads.has(after.agreement_number));
+        const events = eventRule ? deriveEvents(table, announced) : [];
+        await OutboxModel.insertMany(connection, events);
+
+        return { result, eventCount: events.length };
+      });
+
+      if (eventCount > 0) {
+        outboxRelay.wake();
+      }
+
+      counts.inserted += chunkCounts.inserted;
+      counts.updated += chunkCounts.updated;
+      counts.unchanged += chunkCounts.unchanged;
+    }
+
+    return counts;
+  } catch (error) {
+    logger.error(`Error batch upserting ${rows.length} ${table} rows:`, error.message);
+    throw error;
+  }
+}
+
+// Agreements of the rows that have no rows stored in the table yet
+async function findInitialLoads(table, rows) {
+  const agreementNumbers = [...new Set(rows.map(row => row.agreement_number))];
+
+  const storedRows = await db.query(
+    `SELECT DISTINCT agreement_number FROM ${table}
+    WHERE agreement_number IN (${agreementNumbers.map(() => '?').join(', ')})`,
+    agreementNumbers
+  );
+  const stored = new Set(storedRows.map(row => row.agreement_number));
+
+  return new Set(agreementNumbers.filter(agreementNumber => !stored.has(agreementNumber)));
+}
+
+// Add upsert counts to a running total, e.g. across the tables of one sync
+function addUpsertCounts(total, counts) {
+  total.inserted += counts?.inserted || 0;
+  total.updated += counts?.updated || 0;
+  total.unchanged += counts?.unchanged || 0;
+  return total;
+}
+
+module.exports = {
+  contentHash,
+  upsertRows,
+  addUpsertCounts
+};
@@ -0,0 +1,120 @@
+const { v4: uuidv4 } = require('uuid');
+const { sameValue } = require('./sync-diff');
+
+// Created and updated events for a record
+const lifecycle = entity => before => [before ? `${entity}.updated` : `${entity}.created`];
+
+// Drafts are left out; a booked invoice is announced once, and again when it
+// becomes paid or overdue
+function invoiceEvents(before, after) {
+  if (after.payment_status === 'draft') {
+    return [];
+  }
+
+  const events = [before ? 'invoice.updated' : 'invoice.booked'];
+  const statusChanged = !before || before.payment_status !== after.payment_status;
+
+  if (statusChanged && after.payment_status === 'paid') {
+    events.push('invoice.paid');
+  }
+  if (statusChanged && after.payment_status === 'overdue') {
+    events.push('invoice.overdue');
+  }
+
+  return events;
+}
+
+// Tables that announce their changes. watch lists the columns whose stored
+// value is read before an upsert, so events can tell what changed in them.
+const EVENT_RULES = {
+  customers: {
+    entity: 'customer',
+    keyColumn: 'customer_number',
+    watch: [],
+    derive: lifecycle('customer')
+  },
+  suppliers: {
+    entity: 'supplier',
+    keyColumn: 'supplier_number',
+    watch: [],
+    derive: lifecycle('supplier')
+  },
+  products: {
+    entity: 'product',
+    keyColumn: 'product_number',
+    watch: ['price'],
+    derive: (before, after) => [
+      ...lifecycle('product')(before),
+      ...(before && !sameValue(before.price, after.price) ? ['product.price_changed'] : [])
+    ]
+  },
+  invoices: {
+    entity: 'invoice',
+    keyColumn: 'invoice_number',
+    watch: ['payment_status'],
+    derive: invoiceEvents
+  }
+};
+
+const EVENT_TYPES = [
+  'customer.created', 'customer.updated',
+  'supplier.created', 'supplier.updated',
+  'product.created', 'product.updated', 'product.price_changed',
+  'invoice.booked', 'invoice.updated', 'invoice.paid', 'invoice.overdue'
+];
+
+const listeners = [];
+
+// The event rule of a table, or null when its changes are not announced
+function getEventRule(table) {
+  return EVENT_RULES[table] || null;
+}
+
+// Turn the rows an upsert inserted or changed into events. before holds the
+// stored key and watched columns, or null for an insert; after is the row written.
+function deriveEvents(table, changes) {
+  const rule = EVENT_RULES[table];
+  if (!rule) {
+    return [];
+  }
+
+  const occurredAt = new Date().toISOString();
+
+  return changes.flatMap(({ before, after }) => rule.derive(before, after).map(type => ({
+    id: uuidv4(),
+    type,
+    occurred_at: occurredAt,
+    agreement_number: after.agreement_number,
+    entity: rule.entity,
+    key: after[rule.keyColumn],
+    data: after,
+    previous: before && rule.watch.length > 0
+      ? Object.fromEntries(rule.watch.map(column => [column, before[column] ?? null]))
+      : null
+  })));
+}
+
+// Hand events relayed from the outbox to every listener, one after another.
+// A failing listener fails the publish, so the relay tries the events again;
+// listeners must therefore cope with seeing an event twice.
+async function publish(events) {
+  if (events.length === 0) {
+    return;
+  }
+
+  for (const listener of listeners) {
+    await listener(events);
+  }
+}
+
+function onEvents(listener) {
+  listeners.push(listener);
+}
+
+module.exports = {
+  EVENT_TYPES,
+  getEventRule,
+  deriveEvents,
+  publish,
+  onEvents
+};
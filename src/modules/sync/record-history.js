@@ -0,0 +1,139 @@
+const db = require('../../db');
+const config = require('../../config');
+const logger = require('../core/logger');
+const { ApiError } = require('../core/error.handler');
+
+// Tables that can keep a versioned copy of their rows in <table>_history.
+// Each version holds the row as synced, valid from the sync that wrote it
+// until the sync that changed or tombstoned it (valid_to NULL while current).
+const HISTORY_KEYS = {
+  customers: 'customer_number',
+  products: 'product_number',
+  suppliers: 'supplier_number',
+  accounts: 'account_number'
+};
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const unsupported = config.sync.historyTables.filter(table => !HISTORY_KEYS[table]);
+if (unsupported.length > 0) {
+  logger.warn(`Ignoring SYNC_HISTORY_TABLES entries without history support: ${unsupported.join(', ')}`);
+}
+
+// Whether the rows of a table are versioned
+function isHistoryEnabled(table) {
+  return Boolean(HISTORY_KEYS[table]) && config.sync.historyTables.includes(table);
+}
+
+// Start a new version for every row whose current version is missing or has
+// a different content hash, closing the version it replaces. Runs inside the
+// upsert transaction, so a row and its history are written together. Rows
+// that had no version yet, e.g. when history was just turned on, start theirs now.
+async function recordVersions(connection, table, rows, hashes) {
+  const keyColumn = HISTORY_KEYS[table];
+  const keyOf = row => `${row[keyColumn]}/${row.agreement_number}`;
+  const keysIn = count => `(${keyColumn}, agreement_number) IN (${Array(count).fill('(?, ?)').join(', ')})`;
+  const keyValues = keyRows => keyRows.flatMap(row => [row[keyColumn], row.agreement_number]);
+
+  const [currentRows] = await connection.query(
+    `SELECT ${keyColumn}, agreement_number, content_hash FROM ${table}_history
+    WHERE valid_to IS NULL AND ${keysIn(rows.length)}
+    FOR UPDATE`,
+    keyValues(rows)
+  );
+  const current = new Map(currentRows.map(row => [keyOf(row), row.content_hash]));
+
+  const versionRows = rows.filter(row => current.get(keyOf(row)) !== hashes.get(row));
+  if (versionRows.length === 0) {
+    return 0;
+  }
+
+  // One timestamp per chunk, so a closed version ends where the next one starts
+  const [[{ now }]] = await connection.query('SELECT CURRENT_TIMESTAMP(3) AS now');
+
+  const replaced = versionRows.filter(row => current.has(keyOf(row)));
+  if (replaced.length > 0) {
+    await connection.query(
+      `UPDATE ${table}_history SET valid_to = ?
+      WHERE valid_to IS NULL AND ${keysIn(replaced.length)}`,
+      [now, ...keyValues(replaced)]
+    );
+  }
+
+  await connection.query(
+    `INSERT INTO ${table}_history (${keyColumn}, agreement_number, data, content_hash, valid_from)
+    VALUES ${versionRows.map(() => '(?, ?, ?, ?, ?)').join(', ')}`,
+    versionRows.flatMap(row => [row[keyColumn], row.agreement_number, JSON.stringify(row), hashes.get(row), now])
+  );
+
+  return versionRows.length;
+}
+
+// Close the current versions of rows that were tombstoned
+async function closeVersions(table, agreementNumber, keys) {
+  if (!isHistoryEnabled(table) || keys.length === 0) {
+    return;
+  }
+
+  await db.query(
+    `UPDATE ${table}_history SET valid_to = CURRENT_TIMESTAMP(3)
+    WHERE agreement_number = ? AND valid_to IS NULL
+      AND ${HISTORY_KEYS[table]} IN (${keys.map(() => '?').join(', ')})`,
+    [agreementNumber, ...keys]
+  );
+}
+
+// Validate an as_of query value for a versioned table. A date without a time
+// means the end of that day. Returns null when as_of was not given.
+function parseAsOf(table, asOf) {
+  if (asOf === undefined || asOf === null || asOf === '') {
+    return null;
+  }
+
+  if (!isHistoryEnabled(table)) {
+    throw ApiError.badRequest(`History is not enabled for ${table}`, 'HISTORY_NOT_ENABLED');
+  }
+
+  const date = DATE_ONLY.test(asOf) ? new Date(`${asOf}T23:59:59.999`) : new Date(asOf);
+  if (isNaN(date.getTime())) {
+    throw ApiError.badRequest(`Invalid as_of "${asOf}". Expected a date or date-time`, 'INVALID_AS_OF');
+  }
+
+  return date;
+}
+
+// Get a row as it was at a point in time, with the period its version was valid
+async function findVersion(table, recordKey, agreementNumber, asOf) {
+  try {
+    const versions = await db.query(
+      `SELECT data, valid_from, valid_to FROM ${table}_history
+      WHERE ${HISTORY_KEYS[table]} = ? AND agreement_number = ?
+        AND valid_from <= ? AND (valid_to IS NULL OR valid_to > ?)
+      ORDER BY valid_from DESC
+      LIMIT 1`,
+      [recordKey, agreementNumber, asOf, asOf]
+    );
+
+    if (versions.length === 0) {
+      return null;
+    }
+
+    const { data, valid_from, valid_to } = versions[0];
+    return {
+      ...(typeof data === 'string' ? JSON.parse(data) : data),
+      valid_from,
+      valid_to
+    };
+  } catch (error) {
+    logger.error(`Error finding ${table} version of ${recordKey} for agreement ${agreementNumber}:`, error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  isHistoryEnabled,
+  recordVersions,
+  closeVersions,
+  parseAsOf,
+  findVersion
+};
@@ -0,0 +1,219 @@
+const db = require('../../db');
+const logger = require('../core/logger');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const NUMERIC = /^-?\d+(\.\d+)?$/;
+
+// DATE columns come back as local midnight, so compare them by local calendar day
+function formatLocalDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Stringify JSON with sorted keys. Strings are parsed first when they hold JSON.
+function canonicalJson(value) {
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      return JSON.stringify(value);
+    }
+  }
+
+  return JSON.stringify(parsed, (key, nested) => (
+    nested && typeof nested === 'object' && !Array.isArray(nested)
+      ? Object.fromEntries(Object.keys(nested).sort().map(name => [name, nested[name]]))
+      : nested
+  ));
+}
+
+// Compare a stored column value with the value a sync would write. Values come
+// from different places (DECIMAL strings, TINYINT booleans, DATE objects against
+// API strings), so they are compared by meaning rather than by type.
+function sameValue(before, after) {
+  if (before === null || before === undefined || after === null || after === undefined) {
+    return (before ?? null) === (after ?? null);
+  }
+
+  if (before instanceof Date || after instanceof Date) {
+    const stored = before instanceof Date ? before : new Date(before);
+
+    if (typeof after === 'string' && DATE_ONLY.test(after)) {
+      return formatLocalDate(stored) === after;
+    }
+
+    // DATETIME columns only keep whole seconds
+    return Math.floor(stored.getTime() / 1000) === Math.floor(new Date(after).getTime() / 1000);
+  }
+
+  if (typeof before === 'boolean' || typeof after === 'boolean') {
+    return Boolean(Number(before)) === Boolean(Number(after));
+  }
+
+  const isNumeric = value => typeof value === 'number' || (typeof value === 'string' && NUMERIC.test(value));
+  if (isNumeric(before) && isNumeric(after)) {
+    return Number(before) === Number(after);
+  }
+
+  // JSON columns: MySQL returns objects with its own key order, models write strings
+  if (typeof before === 'object' || typeof after === 'object') {
+    return canonicalJson(before) === canonicalJson(after);
+  }
+
+  return String(before) === String(after);
+}
+
+// Collects what a sync would change in one table for one agreement without
+// writing anything. Stored rows are loaded up front, optionally per scope
+// (e.g. one accounting year at a time), and every record the sync would
+// upsert is compared against them.
+class SyncDiff {
+  constructor(table, keyColumns, agreementNumber) {
+    this.table = table;
+    this.keyColumns = keyColumns;
+    this.agreementNumber = agreementNumber;
+    this.rows = new Map();
+    this.loadedScopes = new Set();
+    this.changes = new Map();
+  }
+
+  // Create a diff and load every stored row of the agreement
+  static async forAgreement(table, keyColumns, agreementNumber) {
+    const diff = new SyncDiff(table, keyColumns, agreementNumber);
+    await diff.load();
+    return diff;
+  }
+
+  keyOf(record) {
+    return this.keyColumns.map(column => String(record[column])).join('/');
+  }
+
+  keyValues(record) {
+    return Object.fromEntries(this.keyColumns.map(column => [column, record[column]]));
+  }
+
+  // Load stored rows matching the scope columns. Each scope is loaded once.
+  async load(scope = {}) {
+    const scopeKey = JSON.stringify(scope);
+    if (this.loadedScopes.has(scopeKey)) {
+      return;
+    }
+
+    try {
+      const columns = Object.keys(scope);
+      const conditions = columns.map(column => ` AND ${column} = ?`).join('');
+
+      const rows = await db.query(
+        `SELECT * FROM ${this.table} WHERE agreement_number = ?${conditions}`,
+        [this.agreementNumber, ...columns.map(column => scope[column])]
+      );
+
+      for (const row of rows) {
+        this.rows.set(this.keyOf(row), row);
+      }
+
+      this.loadedScopes.add(scopeKey);
+    } catch (error) {
+      logger.error(`Error loading ${this.table} for dry run of agreement ${this.agreementNumber}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Whether a row with this key is stored or would be written by the sync
+  has(record) {
+    const key = this.keyOf(record);
+    return this.rows.has(key) || this.changes.has(key);
+  }
+
+  // Record the upsert of one record. A later record with the same key replaces
+  // the earlier one, as the later write would in the database.
+  compare(record) {
+    const key = this.keyOf(record);
+    const existing = this.rows.get(key);
+
+    if (!existing) {
+      this.changes.set(key, { type: 'insert', key: this.keyValues(record), values: record });
+      return;
+    }
+
+    const changes = {};
+
+    for (const [field, value] of Object.entries(record)) {
+      if (!(field in existing) || this.keyColumns.includes(field)) {
+        continue;
+      }
+
+      if (!sameValue(existing[field], value)) {
+        changes[field] = { before: existing[field], after: value ?? null };
+      }
+    }
+
+    // Upserts bring tombstoned rows back
+    if (existing.deleted_at && !('deleted_at' in record)) {
+      changes.deleted_at = { before: existing.deleted_at, after: null };
+    }
+
+    if (Object.keys(changes).length > 0) {
+      this.changes.set(key, { type: 'update', key: this.keyValues(record), changes });
+    } else {
+      this.changes.set(key, { type: 'unchanged' });
+    }
+  }
+
+  // Stored rows a full sync did not see, limited to those matching the filter.
+  // They are reported as deletes, and returned so callers can report them too.
+  markMissing(filter = () => true) {
+    const missing = [];
+
+    for (const [key, row] of this.rows) {
+      if (this.changes.has(key) || row.deleted_at || !filter(row)) {
+        continue;
+      }
+
+      this.changes.set(key, { type: 'delete', key: this.keyValues(row) });
+      missing.push(row);
+    }
+
+    return missing;
+  }
+
+  // Records that would be inserted
+  getInserts() {
+    return [...this.changes.values()]
+      .filter(change => change.type === 'insert')
+      .map(change => change.values);
+  }
+
+  toJSON() {
+    const changes = [...this.changes.values()];
+    const ofType = type => changes.filter(change => change.type === type);
+
+    const inserts = ofType('insert').map(({ key, values }) => ({ key, values }));
+    const updates = ofType('update').map(({ key, changes: fields }) => ({ key, changes: fields }));
+    const deletes = ofType('delete').map(({ key }) => ({ key }));
+
+    return {
+      summary: {
+        inserts: inserts.length,
+        updates: updates.length,
+        deletes: deletes.length,
+        unchanged: ofType('unchanged').length
+      },
+      inserts,
+      updates,
+      deletes
+    };
+  }
+}
+
+// Turn the diffs of a dry run into the report returned with its result, keyed by table
+function buildDiffReport(...diffs) {
+  return Object.fromEntries(diffs.map(diff => [diff.table, diff.toJSON()]));
+}
+
+module.exports = {
+  SyncDiff,
+  buildDiffReport,
+  sameValue
+};
@@ -0,0 +1,145 @@
+const { v4: uuidv4 } = require('uuid');
+const SyncLogModel = require('./sync-log.model');
+const SyncRunModel = require('./sync-run.model');
+const logger = require('../core/logger');
+const { ApiError } = require('../core/error.handler');
+
+const LOG_STATUSES = ['success', 'error'];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+class SyncHistoryService {
+  // Record the start of a sync job or scheduled run. Log entries written
+  // with the returned run's id belong to it. A failing write is logged and
+  // never stops the sync.
+  async startRun(source, sourceId = null, id = uuidv4()) {
+    const run = { id, startedAt: new Date() };
+
+    try {
+      await SyncRunModel.create(id, source, sourceId, run.startedAt);
+    } catch (error) {
+      logger.error(`Could not record start of sync run ${id}:`, error.message);
+    }
+
+    return run;
+  }
+
+  // Record how a run ended: success, partial, error or cancelled
+  async finishRun(run, status) {
+    const completedAt = new Date();
+
+    try {
+      await SyncRunModel.finish(run.id, status, completedAt, completedAt - run.startedAt);
+    } catch (error) {
+      logger.error(`Could not record end of sync run ${run.id}:`, error.message);
+    }
+  }
+
+  // Sync log entries, newest first
+  async getHistory(filters = {}, pagination = {}) {
+    try {
+      return await SyncLogModel.find(this.parseFilters(filters), pagination);
+    } catch (error) {
+      logger.error('Error getting sync history:', error.message);
+      throw error;
+    }
+  }
+
+  // Last success, average duration and failure rate per entity, or per
+  // entity and agreement when groupBy is "agreement"
+  async getSummary(filters = {}, groupBy = 'entity') {
+    try {
+      if (!['entity', 'agreement'].includes(groupBy)) {
+        throw ApiError.badRequest(`Invalid group_by "${groupBy}". Expected entity or agreement`, 'INVALID_GROUP_BY');
+      }
+
+      const rows = await SyncLogModel.summarize(this.parseFilters(filters), groupBy === 'agreement');
+
+      return {
+        group_by: groupBy,
+        date_from: filters.date_from || null,
+        date_to: filters.date_to || null,
+        entities: rows.map(row => {
+          const runs = Number(row.runs);
+          const failures = Number(row.failures) || 0;
+
+          return {
+            service: row.service,
+            entity: row.entity,
+            ...(groupBy === 'agreement' && { agreement_number: row.agreement_number }),
+            runs,
+            failures,
+            failure_rate: runs > 0 ? Math.round((failures / runs) * 10000) / 10000 : 0,
+            last_run_at: row.last_run_at,
+            last_success_at: row.last_success_at,
+            last_failure_at: row.last_failure_at,
+            avg_duration_ms: row.avg_duration_ms === null ? null : Math.round(Number(row.avg_duration_ms)),
+            max_duration_ms: row.max_duration_ms
+          };
+        })
+      };
+    } catch (error) {
+      logger.error('Error summarizing sync history:', error.message);
+      throw error;
+    }
+  }
+
+  // Validate the query filters shared by the history and its summary
+  parseFilters(filters) {
+    const parsed = { ...filters };
+    const entities = SyncLogModel.getEntities();
+
+    if (filters.entity && !entities.includes(filters.entity)) {
+      throw ApiError.badRequest(
+        `Unknown entity "${filters.entity}". Expected any of: ${entities.join(', ')}`,
+        'INVALID_ENTITY'
+      );
+    }
+
+    if (filters.status && !LOG_STATUSES.includes(filters.status)) {
+      throw ApiError.badRequest(
+        `Invalid status "${filters.status}". Expected one of: ${LOG_STATUSES.join(', ')}`,
+        'INVALID_STATUS'
+      );
+    }
+
+    if (filters.agreement_number !== undefined && filters.agreement_number !== null) {
+      parsed.agreement_number = parseInt(filters.agreement_number);
+      if (isNaN(parsed.agreement_number)) {
+        throw ApiError.badRequest(`Invalid agreement_number "${filters.agreement_number}"`, 'INVALID_AGREEMENT_NUMBER');
+      }
+    }
+
+    // Dates are YYYY-MM-DD or full timestamps. A date_to without a time
+    // includes that whole day.
+    for (const field of ['date_from', 'date_to']) {
+      const value = filters[field];
+      if (!value) {
+        continue;
+      }
+
+      const date = DATE_ONLY.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
+      if (isNaN(date.getTime())) {
+        throw ApiError.badRequest(`Invalid ${field} "${value}". Expected YYYY-MM-DD or an ISO timestamp`, 'INVALID_DATE');
+      }
+
+      if (field === 'date_to' && DATE_ONLY.test(value)) {
+        date.setDate(date.getDate() + 1);
+      }
+
+      parsed[field] = date;
+    }
+
+    return parsed;
+  }
+
+  // Runs left running by a previous process can never finish
+  async recoverInterruptedRuns() {
+    const count = await SyncRunModel.markInterrupted();
+    if (count > 0) {
+      logger.warn(`Marked ${count} unfinished sync runs from a previous process as interrupted`);
+    }
+    return count;
+  }
+}
+
+module.exports = new SyncHistoryService();
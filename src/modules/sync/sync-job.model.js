@@ -0,0 +1,123 @@
+const db = require('../../db');
+const logger = require('../core/logger');
+
+// JSON columns come back as strings on MariaDB and as objects on MySQL
+function parseJson(value, fallback) {
+  if (value === null || value === undefined) {
+    return fallback;
+  }
+
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+class SyncJobModel {
+  // Map a database row to the job shape used by the job service
+  static fromRow(row) {
+    return {
+      id: row.id,
+      status: row.status,
+      options: parseJson(row.options, {}),
+      services: parseJson(row.services, []),
+      error: row.error_message,
+      createdAt: row.created_at,
+      startedAt: row.started_at,
+      completedAt: row.completed_at,
+      durationMs: row.duration_ms
+    };
+  }
+
+  // Find a job by ID
+  static async findById(id) {
+    try {
+      const jobs = await db.query('SELECT * FROM sync_jobs WHERE id = ?', [id]);
+
+      return jobs.length > 0 ? this.fromRow(jobs[0]) : null;
+    } catch (error) {
+      logger.error(`Error finding sync job ${id}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Get the most recent jobs, optionally filtered by status. With a list of
+  // agreement numbers only jobs limited to some of those agreements are returned.
+  static async getRecent(limit = 20, status = null, agreementNumbers = null) {
+    try {
+      const safeLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+      const conditions = [];
+      const params = [];
+
+      if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+      }
+
+      if (agreementNumbers) {
+        conditions.push(`JSON_TYPE(JSON_EXTRACT(options, '$.agreements')) = 'ARRAY'
+          AND JSON_CONTAINS(?, JSON_EXTRACT(options, '$.agreements'))`);
+        params.push(JSON.stringify(agreementNumbers));
+      }
+
+      const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const rows = await db.query(
+        `SELECT * FROM sync_jobs ${whereClause} ORDER BY created_at DESC LIMIT ${safeLimit}`,
+        params
+      );
+      return rows.map(row => this.fromRow(row));
+    } catch (error) {
+      logger.error('Error getting recent sync jobs:', error.message);
+      throw error;
+    }
+  }
+
+  // Insert or update the stored state of a job
+  static async save(job) {
+    try {
+      await db.query(
+        `INSERT INTO sync_jobs (
+          id, status, options, services, error_message,
+          started_at, completed_at, duration_ms
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          status = VALUES(status),
+          services = VALUES(services),
+          error_message = VALUES(error_message),
+          started_at = VALUES(started_at),
+          completed_at = VALUES(completed_at),
+          duration_ms = VALUES(duration_ms)`,
+        [
+          job.id,
+          job.status,
+          JSON.stringify(job.options || {}),
+          JSON.stringify(job.services || []),
+          job.error || null,
+          job.startedAt || null,
+          job.completedAt || null,
+          job.durationMs ?? null
+        ]
+      );
+    } catch (error) {
+      logger.error(`Error saving sync job ${job.id}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Jobs that were queued or running when the process stopped can never finish
+  static async markInterrupted() {
+    try {
+      const result = await db.query(
+        `UPDATE sync_jobs SET
+          status = 'interrupted',
+          error_message = 'Process stopped before the job finished',
+          completed_at = CURRENT_TIMESTAMP
+        WHERE status IN ('queued', 'running', 'cancelling')`
+      );
+
+      return result.affectedRows || 0;
+    } catch (error) {
+      logger.error('Error marking interrupted sync jobs:', error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = SyncJobModel;
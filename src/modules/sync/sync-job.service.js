@@ -0,0 +1,414 @@
+const { v4: uuidv4 } = require('uuid');
+const syncService = require('./sync.service');
+const SyncJobModel = require('./sync-job.model');
+const syncHistoryService = require('./sync-history.service');
+const AgreementModel = require('../agreements/agreement.model');
+const syncLock = require('./sync-lock');
+const logger = require('../core/logger');
+const { ApiError } = require('../core/error.handler');
+
+// Status of the sync run recorded for each final job status
+const RUN_STATUSES = {
+  completed: 'success',
+  partial: 'partial',
+  failed: 'error',
+  cancelled: 'cancelled'
+};
+
+class SyncJobService {
+  constructor() {
+    // Jobs that are queued or running. Finished jobs are read back from the database.
+    this.jobs = new Map();
+    this.queue = [];
+    this.activeJob = null;
+    this.activeRun = null;
+    this.stopping = false;
+    // Latest pending save of each job
+    this.saves = new WeakMap();
+    // Aborted when a running job is cancelled, so its services start no further agreements
+    this.abortControllers = new WeakMap();
+  }
+
+  // Public representation of a job
+  toResponse(job) {
+    const finishedServices = job.services.filter(service => !['pending', 'running'].includes(service.status));
+
+    return {
+      id: job.id,
+      status: job.status,
+      options: job.options,
+      progress: {
+        completed: finishedServices.length,
+        total: job.services.length
+      },
+      services: job.services,
+      error: job.error || null,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt || null,
+      completedAt: job.completedAt || null,
+      durationMs: job.durationMs ?? null
+    };
+  }
+
+  // Persist job state without letting a database hiccup break the running job.
+  // Services of a job run side by side, so saves of one job are chained: each
+  // writes the state at the time it runs, and the last one wins.
+  persist(job) {
+    const previous = this.saves.get(job) || Promise.resolve();
+
+    const save = previous.then(async () => {
+      try {
+        await SyncJobModel.save(job);
+      } catch (error) {
+        logger.error(`Could not persist state of sync job ${job.id}:`, error.message);
+      }
+    });
+
+    this.saves.set(job, save);
+    return save;
+  }
+
+  // Create a job and queue it for background processing. options.entities and
+  // options.agreements narrow the job down; dependencies of the picked entities
+  // are added to it.
+  async enqueue(options = {}) {
+    if (this.stopping) {
+      throw new ApiError('The server is shutting down and accepts no new sync jobs', 503, 'SHUTTING_DOWN');
+    }
+
+    const entries = syncService.resolveServices(options.entities);
+
+    if (options.agreements) {
+      await this.resolveAgreements(options.agreements);
+    }
+
+    const job = {
+      id: uuidv4(),
+      status: 'queued',
+      options,
+      services: entries.map(({ name, label, dependsOn = [] }) => ({
+        name,
+        label,
+        dependsOn,
+        requested: !options.entities || options.entities.includes(name),
+        status: 'pending',
+        count: 0,
+        retries: 0,
+        durationMs: null,
+        error: null
+      })),
+      error: null,
+      createdAt: new Date(),
+      startedAt: null,
+      completedAt: null,
+      durationMs: null,
+      cancelRequested: false
+    };
+
+    await SyncJobModel.save(job);
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    logger.info(`Queued sync job ${job.id} (${options.mode} mode${options.dryRun ? ', dry run' : ''}): ${entries.map(({ name }) => name).join(', ')}`);
+
+    this.processQueue();
+
+    return this.toResponse(job);
+  }
+
+  // Look up the agreements a job is limited to. They must exist and be active.
+  async resolveAgreements(agreementNumbers) {
+    const agreements = [];
+
+    for (const agreementNumber of agreementNumbers) {
+      const agreement = await AgreementModel.getByAgreementNumber(agreementNumber);
+
+      if (!agreement) {
+        throw ApiError.notFound(`Agreement ${agreementNumber} not found`);
+      }
+
+      if (!agreement.is_active) {
+        throw ApiError.badRequest(`Agreement ${agreementNumber} is not active`, 'AGREEMENT_INACTIVE');
+      }
+
+      agreements.push(agreement);
+    }
+
+    return agreements;
+  }
+
+  // Start the next queued job if nothing is running. Jobs run one at a time.
+  processQueue() {
+    if (this.activeJob || this.stopping || this.queue.length === 0) {
+      return;
+    }
+
+    const job = this.queue.shift();
+    this.activeJob = job;
+    this.activeRun = syncLock.acquire(`Sync job ${job.id}`)
+      .then(() => this.runJob(job))
+      .catch(error => logger.error(`Unexpected error in sync job ${job.id}:`, error.message))
+      .finally(() => {
+        syncLock.release();
+        this.jobs.delete(job.id);
+        this.activeJob = null;
+        this.activeRun = null;
+        this.processQueue();
+      });
+  }
+
+  // Run the services of a job. Each service starts as soon as the services it
+  // depends on have finished, so independent services run side by side. A
+  // failing service does not stop the others; only its dependents are skipped.
+  async runJob(job) {
+    // The job may have been cancelled while it waited for the sync lock
+    if (job.status === 'cancelled') {
+      return;
+    }
+
+    job.status = 'running';
+    job.startedAt = new Date();
+    await this.persist(job);
+
+    logger.info(`Starting sync job ${job.id}`);
+
+    // Dry runs write no sync logs, so they are not recorded as runs
+    const run = job.options.dryRun ? null : await syncHistoryService.startRun('job', job.id, job.id);
+    const abortController = new AbortController();
+    this.abortControllers.set(job, abortController);
+    const options = { ...job.options, runId: run ? run.id : null, signal: abortController.signal };
+
+    try {
+      // Agreements are read again in case their tokens changed while the job was queued
+      const agreements = job.options.agreements
+        ? await this.resolveAgreements(job.options.agreements)
+        : null;
+
+      const runs = new Map();
+
+      for (const progress of job.services) {
+        const entry = syncService.syncServices.find(({ name }) => name === progress.name);
+        const dependencies = progress.dependsOn.map(name => runs.get(name));
+
+        runs.set(
+          progress.name,
+          Promise.all(dependencies).then(() => this.runJobService(job, entry, progress, agreements, options))
+        );
+      }
+
+      await Promise.all(runs.values());
+    } catch (error) {
+      logger.error(`Sync job ${job.id} could not start:`, error.message);
+      job.error = error.message;
+    }
+
+    // Anything that did not get to run is marked as skipped or cancelled
+    const remainingStatus = job.cancelRequested ? 'cancelled' : 'skipped';
+    job.services
+      .filter(service => service.status === 'pending')
+      .forEach(service => { service.status = remainingStatus; });
+
+    // Per-service errors, including agreements that failed within a service
+    const failed = job.services.filter(service => ['error', 'partial'].includes(service.status));
+    if (failed.length > 0) {
+      job.error = failed.map(service => `${service.name}: ${service.error}`).join('; ');
+    }
+
+    const synced = job.services.filter(service => ['success', 'warning'].includes(service.status));
+
+    if (job.cancelRequested) {
+      job.status = 'cancelled';
+    } else if (synced.length === job.services.length) {
+      job.status = 'completed';
+    } else if (synced.length === 0 && !job.services.some(service => service.status === 'partial')) {
+      job.status = 'failed';
+    } else {
+      job.status = 'partial';
+    }
+
+    job.completedAt = new Date();
+    job.durationMs = job.completedAt - job.startedAt;
+    await this.persist(job);
+
+    if (run) {
+      await syncHistoryService.finishRun(run, RUN_STATUSES[job.status]);
+    }
+
+    logger.info(`Sync job ${job.id} ${job.status} in ${job.durationMs}ms`);
+  }
+
+  // Run one service of a job and record its outcome in the job's progress.
+  // Never throws, so one service cannot take the rest of the job down.
+  async runJobService(job, entry, progress, agreements, options) {
+    if (job.cancelRequested) {
+      return;
+    }
+
+    const failedDependency = job.services.find(service =>
+      progress.dependsOn.includes(service.name) && ['error', 'skipped'].includes(service.status)
+    );
+
+    if (failedDependency) {
+      logger.warn(`Job ${job.id} skipped ${entry.label} because ${failedDependency.label} did not sync`);
+
+      progress.status = 'skipped';
+      progress.error = `Skipped because ${failedDependency.label} did not sync`;
+      await this.persist(job);
+      return;
+    }
+
+    logger.info(`Job ${job.id}: Syncing ${entry.label}...`);
+
+    const serviceStart = Date.now();
+    progress.status = 'running';
+    progress.startedAt = new Date();
+    await this.persist(job);
+
+    try {
+      const result = agreements
+        ? await syncService.runServiceForAgreements(entry, agreements, options)
+        : await syncService.runService(entry, options);
+      const summary = syncService.summarizeResult(result);
+
+      progress.status = summary.status === 'unknown' ? 'success' : summary.status;
+      progress.count = summary.count;
+      progress.retries = summary.retries;
+      progress.changes = summary.changes;
+      progress.errors = summary.errors;
+
+      // Failures of single agreements make the service partial, or failed if none succeeded
+      if (summary.errors.length > 0) {
+        const agreementCount = (result?.results || []).length;
+        progress.status = summary.errors.length === agreementCount ? 'error' : 'partial';
+        progress.error = summary.errors
+          .map(({ agreement_number, error }) => `agreement ${agreement_number}: ${error}`)
+          .join('; ');
+      }
+
+      // Cancelling stops a service between agreements, so it may not have synced all of them
+      if (options.signal.aborted && progress.status === 'success') {
+        progress.status = 'cancelled';
+      }
+
+      // Dry runs keep the diff of each agreement with the job
+      if (job.options.dryRun) {
+        progress.diff = (result?.results || []).map(agreementResult => ({
+          agreement: agreementResult.agreement,
+          diff: agreementResult.diff || null
+        }));
+      }
+    } catch (error) {
+      logger.error(`Job ${job.id} failed while syncing ${entry.label}:`, error.message);
+
+      progress.status = 'error';
+      progress.error = error.message;
+    }
+
+    progress.durationMs = Date.now() - serviceStart;
+    progress.completedAt = new Date();
+    await this.persist(job);
+  }
+
+  // Whether a job only covers agreements in the list. null allows every job;
+  // jobs that cover all agreements need unrestricted access.
+  coversOnly(job, agreementNumbers) {
+    if (!agreementNumbers) {
+      return true;
+    }
+
+    const jobAgreements = job.options?.agreements;
+    return Array.isArray(jobAgreements)
+      && jobAgreements.every(number => agreementNumbers.includes(number));
+  }
+
+  // Get a job from memory if it is still active, otherwise from the database.
+  // Jobs outside the given agreements are reported as not found.
+  async getJob(id, agreementNumbers = null) {
+    const job = this.jobs.get(id) || await SyncJobModel.findById(id);
+
+    if (!job || !this.coversOnly(job, agreementNumbers)) {
+      throw ApiError.notFound(`Sync job ${id} not found`);
+    }
+
+    return this.toResponse(job);
+  }
+
+  // List recent jobs, optionally only those limited to the given agreements
+  async listJobs(limit, status, agreementNumbers = null) {
+    const jobs = await SyncJobModel.getRecent(limit, status, agreementNumbers);
+    return jobs.map(job => this.toResponse(this.jobs.get(job.id) || job));
+  }
+
+  // Cancel a job. Queued jobs are dropped right away, running jobs stop
+  // once the agreements that are currently syncing have finished. Jobs outside
+  // the given agreements cannot be cancelled.
+  async cancelJob(id, agreementNumbers = null) {
+    const job = this.jobs.get(id);
+
+    if (!job) {
+      const storedJob = await SyncJobModel.findById(id);
+      if (!storedJob || !this.coversOnly(storedJob, agreementNumbers)) {
+        throw ApiError.notFound(`Sync job ${id} not found`);
+      }
+      throw ApiError.conflict(`Sync job ${id} is already ${storedJob.status}`, 'JOB_NOT_CANCELLABLE');
+    }
+
+    if (!this.coversOnly(job, agreementNumbers)) {
+      throw ApiError.notFound(`Sync job ${id} not found`);
+    }
+
+    if (job.status === 'queued') {
+      await this.cancelQueuedJob(job);
+      return this.toResponse(job);
+    }
+
+    if (!job.cancelRequested) {
+      job.cancelRequested = true;
+      job.status = 'cancelling';
+      this.abortControllers.get(job)?.abort();
+      await this.persist(job);
+      logger.info(`Cancellation requested for sync job ${id}`);
+    }
+
+    return this.toResponse(job);
+  }
+
+  // Drop a job that has not started yet
+  async cancelQueuedJob(job) {
+    this.queue = this.queue.filter(queued => queued.id !== job.id);
+    this.jobs.delete(job.id);
+
+    job.status = 'cancelled';
+    job.completedAt = new Date();
+    job.services.forEach(service => { service.status = 'cancelled'; });
+    await this.persist(job);
+
+    logger.info(`Cancelled queued sync job ${job.id}`);
+  }
+
+  // Stop taking jobs for shutdown. Queued jobs are cancelled and the running
+  // job is awaited, so the database is not closed under its writes.
+  async stop() {
+    this.stopping = true;
+
+    for (const job of [...this.queue]) {
+      await this.cancelQueuedJob(job);
+    }
+
+    if (this.activeRun) {
+      logger.info('Waiting for the running sync job to finish...');
+      await this.activeRun;
+    }
+  }
+
+  // Mark jobs left over from a previous process as interrupted
+  async recoverInterruptedJobs() {
+    const count = await SyncJobModel.markInterrupted();
+    if (count > 0) {
+      logger.warn(`Marked ${count} unfinished sync jobs from a previous run as interrupted`);
+    }
+    return count;
+  }
+}
+
+module.exports = new SyncJobService();
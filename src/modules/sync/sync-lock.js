@@ -0,0 +1,51 @@
+const logger = require('../core/logger');
+
+// Process-wide lock so background sync jobs and scheduled runs never write
+// the same tables at the same time
+class SyncLock {
+  constructor() {
+    this.holder = null;
+    this.waiters = [];
+  }
+
+  isLocked() {
+    return this.holder !== null;
+  }
+
+  // Take the lock if it is free, without waiting
+  tryAcquire(holder) {
+    if (this.isLocked()) {
+      return false;
+    }
+
+    this.holder = holder;
+    return true;
+  }
+
+  // Wait until the lock is free and take it
+  acquire(holder) {
+    if (this.tryAcquire(holder)) {
+      return Promise.resolve();
+    }
+
+    logger.info(`${holder} is waiting for ${this.holder} to finish`);
+
+    return new Promise(resolve => {
+      this.waiters.push({ holder, resolve });
+    });
+  }
+
+  // Hand the lock to the next waiter, if any
+  release() {
+    const next = this.waiters.shift();
+
+    if (next) {
+      this.holder = next.holder;
+      next.resolve();
+    } else {
+      this.holder = null;
+    }
+  }
+}
+
+module.exports = new SyncLock();
@@ -0,0 +1,185 @@
+const db = require('../../db');
+const logger = require('../core/logger');
+
+// Sync service of each entity, so log entries group as
+// run -> service -> agreement -> entity
+const ENTITY_SERVICES = {
+  payment_terms: 'paymentTerms',
+  product_groups: 'productGroups',
+  products: 'products',
+  vat_accounts: 'vatAccounts',
+  supplier_groups: 'supplierGroups',
+  suppliers: 'suppliers',
+  invoices: 'invoices',
+  accounting_years: 'accountingYears',
+  accounting_periods: 'accountingYears',
+  accounting_entries: 'accountingYears',
+  accounting_totals: 'accountingYears',
+  accounts: 'accounts',
+  customers: 'customers',
+  departments: 'departments',
+  departmental_distributions: 'departmentalDistributions',
+  journals: 'journals'
+};
+
+class SyncLogModel {
+  static getEntities() {
+    return Object.keys(ENTITY_SERVICES);
+  }
+
+  // Record the outcome of syncing one entity. entity is the table name and
+  // scope narrows it down, e.g. "year 2024 period 3". Never throws, so a
+  // failing log write cannot fail the sync it describes.
+  static async record({
+    entity,
+    agreementNumber = null,
+    scope = null,
+    operation = 'sync',
+    status = null,
+    recordCount = 0,
+    errorMessage = null,
+    startTime = null,
+    runId = null
+  }) {
+    try {
+      const started = startTime || new Date();
+      const completed = new Date();
+      const durationMs = completed.getTime() - started.getTime();
+      const outcome = status || (errorMessage ? 'error' : 'success');
+      const agreement = parseInt(agreementNumber) || null;
+
+      await db.query(
+        `INSERT INTO sync_logs (
+          run_id, service, agreement_number, entity, scope, operation, record_count, status,
+          error_message, started_at, completed_at, duration_ms
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          runId,
+          ENTITY_SERVICES[entity] || null,
+          agreement,
+          entity,
+          scope,
+          operation,
+          recordCount,
+          outcome,
+          errorMessage,
+          started,
+          completed,
+          durationMs
+        ]
+      );
+
+      return {
+        entity,
+        agreementNumber: agreement,
+        scope,
+        operation,
+        status: outcome,
+        recordCount,
+        durationMs
+      };
+    } catch (error) {
+      logger.error('Error recording sync log:', error.message);
+      return null;
+    }
+  }
+
+  // Build the WHERE clause shared by the history and its summary
+  static buildWhere(filters) {
+    const conditions = [];
+    const params = [];
+
+    for (const column of ['run_id', 'service', 'entity', 'agreement_number', 'status', 'operation']) {
+      if (filters[column] !== undefined && filters[column] !== null) {
+        conditions.push(`l.${column} = ?`);
+        params.push(filters[column]);
+      }
+    }
+
+    // Keys restricted to some agreements only see those
+    if (filters.agreement_numbers) {
+      conditions.push(`l.agreement_number IN (${filters.agreement_numbers.map(() => '?').join(', ') || 'NULL'})`);
+      params.push(...filters.agreement_numbers);
+    }
+
+    if (filters.date_from) {
+      conditions.push('l.started_at >= ?');
+      params.push(filters.date_from);
+    }
+
+    if (filters.date_to) {
+      conditions.push('l.started_at < ?');
+      params.push(filters.date_to);
+    }
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  // Log entries, newest first, with the run each belongs to
+  static async find(filters = {}, pagination = {}) {
+    try {
+      const page = Math.max(parseInt(pagination.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(pagination.limit) || 50, 1), 200);
+      const { where, params } = this.buildWhere(filters);
+
+      const [{ total }] = await db.query(`SELECT COUNT(*) AS total FROM sync_logs l ${where}`, params);
+      const rows = await db.query(
+        `SELECT l.*, r.source AS run_source, r.source_id AS run_source_id
+        FROM sync_logs l
+        LEFT JOIN sync_runs r ON r.id = l.run_id
+        ${where}
+        ORDER BY l.started_at DESC, l.id DESC
+        LIMIT ${limit} OFFSET ${(page - 1) * limit}`,
+        params
+      );
+
+      return {
+        data: rows,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting sync history:', error.message);
+      throw error;
+    }
+  }
+
+  // Runs, failures, last success and average duration per entity, or per
+  // entity and agreement. Only sync operations count.
+  static async summarize(filters = {}, byAgreement = false) {
+    try {
+      const { where, params } = this.buildWhere({ ...filters, operation: 'sync' });
+      const groupColumns = byAgreement
+        ? 'l.service, l.entity, l.agreement_number'
+        : 'l.service, l.entity';
+
+      return await db.query(
+        `SELECT ${groupColumns},
+          COUNT(*) AS runs,
+          SUM(l.status = 'error') AS failures,
+          MAX(CASE WHEN l.status = 'success' THEN l.completed_at END) AS last_success_at,
+          MAX(CASE WHEN l.status = 'error' THEN l.completed_at END) AS last_failure_at,
+          MAX(l.started_at) AS last_run_at,
+          AVG(CASE WHEN l.status = 'success' THEN l.duration_ms END) AS avg_duration_ms,
+          MAX(CASE WHEN l.status = 'success' THEN l.duration_ms END) AS max_duration_ms
+        FROM sync_logs l
+        ${where}
+        GROUP BY ${groupColumns}
+        ORDER BY ${groupColumns}`,
+        params
+      );
+    } catch (error) {
+      logger.error('Error summarizing sync history:', error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = SyncLogModel;
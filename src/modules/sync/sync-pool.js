@@ -0,0 +1,45 @@
+const config = require('../../config');
+
+// Process-wide pool that bounds how many agreements are synced at the same
+// time, across every service and job running in this process
+class SyncPool {
+  constructor(concurrency) {
+    this.concurrency = Math.max(1, concurrency || 1);
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  // Run a task once a slot is free
+  async run(task) {
+    if (this.active < this.concurrency) {
+      this.active++;
+    } else {
+      // The finishing task hands its slot straight to us
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    try {
+      return await task();
+    } finally {
+      const next = this.waiting.shift();
+      if (next) {
+        next();
+      } else {
+        this.active--;
+      }
+    }
+  }
+
+  // Run the callback for every agreement through the pool and wait for all of them.
+  // Callbacks should handle their own errors so one agreement cannot fail the rest.
+  // Once the signal is aborted, agreements that have not started are left out.
+  async forEachAgreement(agreements, callback, signal = null) {
+    await Promise.all(agreements.map(agreement => this.run(async () => {
+      if (!signal || !signal.aborted) {
+        await callback(agreement);
+      }
+    })));
+  }
+}
+
+module.exports = new SyncPool(config.sync.concurrency);
@@ -0,0 +1,54 @@
+const db = require('../../db');
+const logger = require('../core/logger');
+
+class SyncRunModel {
+  // Record the start of a run. source is "job" or "schedule" and sourceId
+  // the job or schedule it came from.
+  static async create(id, source, sourceId, startedAt) {
+    try {
+      await db.query(
+        `INSERT INTO sync_runs (id, source, source_id, status, started_at)
+        VALUES (?, ?, ?, 'running', ?)`,
+        [id, source, sourceId === null || sourceId === undefined ? null : String(sourceId), startedAt]
+      );
+    } catch (error) {
+      logger.error(`Error creating sync run ${id}:`, error.message);
+      throw error;
+    }
+  }
+
+  static async finish(id, status, completedAt, durationMs) {
+    try {
+      await db.query(
+        `UPDATE sync_runs SET
+          status = ?,
+          completed_at = ?,
+          duration_ms = ?
+        WHERE id = ?`,
+        [status, completedAt, durationMs, id]
+      );
+    } catch (error) {
+      logger.error(`Error finishing sync run ${id}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Runs that were in progress when the process stopped can never finish
+  static async markInterrupted() {
+    try {
+      const result = await db.query(
+        `UPDATE sync_runs SET
+          status = 'interrupted',
+          completed_at = CURRENT_TIMESTAMP
+        WHERE status = 'running'`
+      );
+
+      return result.affectedRows || 0;
+    } catch (error) {
+      logger.error('Error marking interrupted sync runs:', error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = SyncRunModel;
@@ -0,0 +1,103 @@
+const db = require('../../db');
+const logger = require('../core/logger');
+
+// Entities whose e-conomic collections expose lastUpdated and accept the
+// lastUpdated$gte filter. Everything else is always synced in full, even when
+// an incremental run is requested; each sync result reports the mode it used.
+const INCREMENTAL_ENTITIES = new Set(['customers', 'products']);
+
+// Taken off our own clock when no lastUpdated is at hand, so a clock ahead
+// of e-conomic's cannot skip changes
+const CLOCK_SKEW_MARGIN_MS = 5 * 60 * 1000;
+
+class SyncWatermarkModel {
+  // Find the watermark for an agreement and entity
+  static async findByAgreementAndEntity(agreementNumber, entity) {
+    try {
+      const watermarks = await db.query(
+        'SELECT * FROM sync_watermarks WHERE agreement_number = ? AND entity = ?',
+        [agreementNumber, entity]
+      );
+
+      return watermarks.length > 0 ? watermarks[0] : null;
+    } catch (error) {
+      logger.error(`Error finding sync watermark for ${entity} and agreement ${agreementNumber}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Get all watermarks for an agreement
+  static async getByAgreement(agreementNumber) {
+    try {
+      return await db.query(
+        'SELECT * FROM sync_watermarks WHERE agreement_number = ? ORDER BY entity',
+        [agreementNumber]
+      );
+    } catch (error) {
+      logger.error(`Error getting sync watermarks for agreement ${agreementNumber}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Decide how a run should fetch data. Incremental runs need a previous
+  // successful run to start from, otherwise they fall back to a full sync.
+  static async resolveWindow(agreementNumber, entity, requestedMode = 'full') {
+    if (requestedMode !== 'incremental') {
+      return { mode: 'full', since: null };
+    }
+
+    if (!INCREMENTAL_ENTITIES.has(entity)) {
+      logger.info(`${entity} cannot be filtered by lastUpdated, running full sync`);
+      return { mode: 'full', since: null };
+    }
+
+    const watermark = await this.findByAgreementAndEntity(agreementNumber, entity);
+
+    if (!watermark) {
+      logger.info(`No watermark for ${entity} on agreement ${agreementNumber}, running full sync`);
+      return { mode: 'full', since: null };
+    }
+
+    return { mode: 'incremental', since: new Date(watermark.last_synced_at) };
+  }
+
+  // The high-water mark after fetching records: the newest lastUpdated among
+  // them, which comes from e-conomic's clock. The lastUpdated$gte filter
+  // fetches that record again, so changes made in the same second are not
+  // lost. A fetch without records keeps the previous watermark, or falls back
+  // to the start of the run less a margin for clock skew.
+  static nextWatermark(records, since, startTime) {
+    const latest = records.reduce((newest, record) => {
+      const updatedAt = record.lastUpdated ? Date.parse(record.lastUpdated) : NaN;
+      return isNaN(updatedAt) ? newest : Math.max(newest, updatedAt);
+    }, -Infinity);
+
+    if (latest > -Infinity) {
+      return new Date(latest);
+    }
+
+    return since || new Date(startTime.getTime() - CLOCK_SKEW_MARGIN_MS);
+  }
+
+  // Store the high-water mark of a successful run
+  static async markSynced(agreementNumber, entity, syncedAt, mode, recordCount = 0) {
+    try {
+      await db.query(
+        `INSERT INTO sync_watermarks (
+          agreement_number, entity, last_synced_at, last_mode, record_count
+        ) VALUES (?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          last_synced_at = VALUES(last_synced_at),
+          last_mode = VALUES(last_mode),
+          record_count = VALUES(record_count),
+          updated_at = CURRENT_TIMESTAMP`,
+        [agreementNumber, entity, syncedAt, mode, recordCount]
+      );
+    } catch (error) {
+      logger.error(`Error updating sync watermark for ${entity} and agreement ${agreementNumber}:`, error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = SyncWatermarkModel;
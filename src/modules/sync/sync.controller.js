@@ -1,80 +1,112 @@
 const logger = require('../core/logger');
+const { parseSyncOptions, parseSyncSelection } = require('./sync.options');
+const syncJobService = require('./sync-job.service');
+const syncHistoryService = require('./sync-history.service');
+const apiKeyService = require('../auth/api-key.service');
+const { ApiError } = require('../core/error.handler');
 
-// Import all services
-const agreementService = require('../agreements/agreement.service');
-const paymentTermsService = require('../payment-terms/payment-terms.service');
-const productGroupService = require('../product-groups/product-group.service');
-const productService = require('../products/product.service');
-const vatAccountService = require('../vat-accounts/vat-account.service');
-const invoiceService = require('../invoices/invoice.service');
-const supplierGroupService = require('../supplier-groups/supplier-group.service');
-const supplierService = require('../suppliers/supplier.service');
-const accountingYearService = require('../accounting-years/accounting-year.service');
-const accountService = require('../accounts/account.service');
-const customerService = require('../customers/customer.service');
-const departmentService = require('../departments/department.service');
-const departmentalDistributionService = require('../departmental-distributions/departmental-distribution.service');
-const journalService = require('../journals/journal.service');
+// History filters from the query string. Keys restricted to some agreements
+// only see the entries of those agreements.
+function getHistoryFilters(req) {
+  const { entity, service, agreement_number, status, run_id, date_from, date_to } = req.query;
+
+  if (agreement_number && !apiKeyService.canAccessAgreement(req.apiKey, agreement_number)) {
+    throw ApiError.forbidden(`API key has no access to agreement ${agreement_number}`, 'AGREEMENT_FORBIDDEN');
+  }
+
+  return {
+    entity,
+    service,
+    agreement_number,
+    status,
+    run_id,
+    date_from,
+    date_to,
+    agreement_numbers: agreement_number ? null : req.apiKey?.agreement_numbers || null
+  };
+}
 
 class SyncController {
+  // Queue a data synchronization and return the job right away. The body may
+  // pick entities and agreements; everything is synced when it does not.
   async syncAll(req, res, next) {
-    const startTime = new Date();
-    const results = {};
-    
     try {
-      logger.info('Starting complete data synchronization');
-      
-      // Define services to sync in logical order (references before dependents)
-      const syncServices = [
-        { name: 'paymentTerms', service: paymentTermsService, method: 'syncAllPaymentTerms', label: 'payment terms' },
-        { name: 'productGroups', service: productGroupService, method: 'syncAllProductGroups', label: 'product groups' },
-        { name: 'products', service: productService, method: 'syncAllProducts', label: 'products' },
-        { name: 'vatAccounts', service: vatAccountService, method: 'syncAllVatAccounts', label: 'VAT accounts' },
-        { name: 'supplierGroups', service: supplierGroupService, method: 'syncAllSupplierGroups', label: 'supplier groups' },
-        { name: 'suppliers', service: supplierService, method: 'syncAllSuppliers', label: 'suppliers' },
-        { name: 'invoices', service: invoiceService, method: 'syncAllInvoices', label: 'invoices' },
-        { name: 'accountingYears', service: accountingYearService, method: 'syncAllAccountingYears', label: 'accounting years' },
-        { name: 'accounts', service: accountService, method: 'syncAllAccounts', label: 'accounts' },
-        { name: 'customers', service: customerService, method: 'syncAllCustomers', label: 'customers' },
-        { name: 'departments', service: departmentService, method: 'syncAllDepartments', label: 'departments' },
-        { name: 'departmentalDistributions', service: departmentalDistributionService, method: 'syncAllDistributions', label: 'departmental distributions' },
-        { name: 'journals', service: journalService, method: 'syncAllJournals', label: 'journals' }
-      ];
-      
-      // Sync each service in order
-      const totalServices = syncServices.length;
-      for (let i = 0; i < totalServices; i++) {
-        const { name, service, method, label } = syncServices[i];
-        logger.info(`${i+1}/${totalServices}: Syncing ${label}...`);
-        results[name] = await service[method]();
+      const options = parseSyncOptions(req);
+      const { entities, agreements } = parseSyncSelection(req);
+
+      const forbidden = (agreements || []).filter(number => !apiKeyService.canAccessAgreement(req.apiKey, number));
+      if (forbidden.length > 0) {
+        throw ApiError.forbidden(`API key has no access to agreement ${forbidden.join(', ')}`, 'AGREEMENT_FORBIDDEN');
       }
-      
-      const endTime = new Date();
-      const duration = endTime - startTime;
-      
-      logger.info(`Complete sync finished in ${duration}ms`);
-      
-      // Build results object dynamically
-      const resultsSummary = {};
-      syncServices.forEach(({ name }) => {
-        resultsSummary[name] = {
-          count: results[name]?.totalCount || 0,
-          status: results[name]?.status || 'unknown'
-        };
-      });
-      
-      // Return summary of all operations
-      res.json({
-        status: 'success',
-        duration,
-        timestamp: new Date(),
-        results: resultsSummary
+
+      const job = await syncJobService.enqueue({ ...options, entities, agreements });
+
+      logger.info(`Data synchronization queued as job ${job.id} (${options.mode} mode${options.dryRun ? ', dry run' : ''})`);
+
+      res.status(202).json({
+        ...job,
+        statusUrl: `${req.baseUrl}/jobs/${job.id}`
       });
     } catch (error) {
-      logger.error('Error in complete sync:', error.message);
+      logger.error('Error queueing complete sync:', error.message);
+      next(error);
+    }
+  }
+
+  // List recent sync jobs. Keys restricted to some agreements only see jobs
+  // limited to those agreements.
+  async getJobs(req, res, next) {
+    try {
+      const { limit, status } = req.query;
+      const jobs = await syncJobService.listJobs(limit, status, req.apiKey?.agreement_numbers || null);
+      res.json(jobs);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get progress of a sync job
+  async getJob(req, res, next) {
+    try {
+      const { id } = req.params;
+      const job = await syncJobService.getJob(id, req.apiKey?.agreement_numbers || null);
+      res.json(job);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // List sync log entries, newest first
+  async getHistory(req, res, next) {
+    try {
+      const { page, limit } = req.query;
+      const history = await syncHistoryService.getHistory(getHistoryFilters(req), { page, limit });
+      res.json(history);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Last success, average duration and failure rate per entity
+  async getHistorySummary(req, res, next) {
+    try {
+      const summary = await syncHistoryService.getSummary(getHistoryFilters(req), req.query.group_by || 'entity');
+      res.json(summary);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Cancel a queued or running sync job
+  async cancelJob(req, res, next) {
+    try {
+      const { id } = req.params;
+      const job = await syncJobService.cancelJob(id, req.apiKey?.agreement_numbers || null);
+      res.status(202).json(job);
+    } catch (error) {
       next(error);
     }
   }
 }
 
-module.exports = new SyncController();
\ No newline at end of file
+module.exports = new SyncController();
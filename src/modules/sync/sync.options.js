@@ -0,0 +1,46 @@
+const config = require('../../config');
+const { ApiError } = require('../core/error.handler');
+
+const SYNC_MODES = ['incremental', 'full'];
+
+// Read sync options from the request body or query string.
+// Used by POST /api/sync and by each module's sync routes.
+function parseSyncOptions(req) {
+  const body = req.body || {};
+  const mode = body.mode || req.query.mode || config.sync.defaultMode;
+
+  if (!SYNC_MODES.includes(mode)) {
+    throw ApiError.badRequest(`Invalid sync mode "${mode}". Expected one of: ${SYNC_MODES.join(', ')}`, 'INVALID_SYNC_MODE');
+  }
+
+  // Dry runs report what a sync would change without writing anything
+  const dryRun = [body.dryRun, req.query.dryRun].some(value => value === true || value === 'true');
+
+  return { mode, dryRun };
+}
+
+// Read which entities and agreements POST /api/sync should cover. null means all.
+// Entity names are checked against the sync services when the job is queued.
+function parseSyncSelection(req) {
+  const body = req.body || {};
+  const entities = body.entities ?? null;
+  const agreements = body.agreements ?? null;
+
+  if (agreements !== null) {
+    const numbers = Array.isArray(agreements) ? agreements.map(value => parseInt(value)) : [];
+
+    if (numbers.length === 0 || numbers.some(number => isNaN(number))) {
+      throw ApiError.badRequest('agreements must be a non-empty array of agreement numbers', 'INVALID_AGREEMENTS');
+    }
+
+    return { entities, agreements: [...new Set(numbers)] };
+  }
+
+  return { entities, agreements };
+}
+
+module.exports = {
+  SYNC_MODES,
+  parseSyncOptions,
+  parseSyncSelection
+};
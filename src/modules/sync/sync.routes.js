@@ -2,9 +2,34 @@ const express = require('express');
 const router = express.Router();
 const syncController = require('./sync.controller');
 
-// POST /api/sync - Sync all data
+// POST /api/sync - Queue a sync of all data
 router.post('/', (req, res, next) => {
   syncController.syncAll(req, res, next);
 });
 
-module.exports = router;
\ No newline at end of file
+// GET /api/sync/jobs - List recent sync jobs
+router.get('/jobs', (req, res, next) => {
+  syncController.getJobs(req, res, next);
+});
+
+// GET /api/sync/jobs/:id - Get sync job progress
+router.get('/jobs/:id', (req, res, next) => {
+  syncController.getJob(req, res, next);
+});
+
+// DELETE /api/sync/jobs/:id - Cancel a sync job
+router.delete('/jobs/:id', (req, res, next) => {
+  syncController.cancelJob(req, res, next);
+});
+
+// GET /api/sync/history - List sync log entries
+router.get('/history', (req, res, next) => {
+  syncController.getHistory(req, res, next);
+});
+
+// GET /api/sync/history/summary - Sync health per entity
+router.get('/history/summary', (req, res, next) => {
+  syncController.getHistorySummary(req, res, next);
+});
+
+module.exports = router;
@@ -0,0 +1,161 @@
+// Import all services
+const paymentTermsService = require('../payment-terms/payment-terms.service');
+const productGroupService = require('../product-groups/product-group.service');
+const productService = require('../products/product.service');
+const vatAccountService = require('../vat-accounts/vat-account.service');
+const invoiceService = require('../invoices/invoice.service');
+const supplierGroupService = require('../supplier-groups/supplier-group.service');
+const supplierService = require('../suppliers/supplier.service');
+const accountingYearService = require('../accounting-years/accounting-year.service');
+const accountService = require('../accounts/account.service');
+const customerService = require('../customers/customer.service');
+const departmentService = require('../departments/department.service');
+const departmentalDistributionService = require('../departmental-distributions/departmental-distribution.service');
+const journalService = require('../journals/journal.service');
+const syncPool = require('./sync-pool');
+const { addUpsertCounts } = require('./batch-upsert');
+const logger = require('../core/logger');
+const { ApiError } = require('../core/error.handler');
+
+class SyncService {
+  constructor() {
+    // Services to sync in logical order (references before dependents).
+    // dependsOn names services whose data must be synced first.
+    this.syncServices = [
+      { name: 'paymentTerms', service: paymentTermsService, method: 'syncAllPaymentTerms', agreementMethod: 'syncPaymentTermsForAgreement', label: 'payment terms' },
+      { name: 'productGroups', service: productGroupService, method: 'syncAllProductGroups', agreementMethod: 'syncProductGroupsForAgreement', label: 'product groups' },
+      { name: 'products', service: productService, method: 'syncAllProducts', agreementMethod: 'syncProductsForAgreement', label: 'products', dependsOn: ['productGroups'] },
+      { name: 'vatAccounts', service: vatAccountService, method: 'syncAllVatAccounts', agreementMethod: 'syncVatAccountsForAgreement', label: 'VAT accounts' },
+      { name: 'supplierGroups', service: supplierGroupService, method: 'syncAllSupplierGroups', agreementMethod: 'syncGroupsForAgreement', label: 'supplier groups' },
+      { name: 'suppliers', service: supplierService, method: 'syncAllSuppliers', agreementMethod: 'syncSuppliersForAgreement', label: 'suppliers', dependsOn: ['supplierGroups'] },
+      { name: 'invoices', service: invoiceService, method: 'syncAllInvoices', agreementMethod: 'syncInvoicesForAgreement', label: 'invoices' },
+      { name: 'accountingYears', service: accountingYearService, method: 'syncAllAccountingYears', agreementMethod: 'syncAccountingYearsForAgreement', label: 'accounting years' },
+      { name: 'accounts', service: accountService, method: 'syncAllAccounts', agreementMethod: 'syncAccountsForAgreement', label: 'accounts' },
+      { name: 'customers', service: customerService, method: 'syncAllCustomers', agreementMethod: 'syncCustomersForAgreement', label: 'customers' },
+      { name: 'departments', service: departmentService, method: 'syncAllDepartments', agreementMethod: 'syncDepartmentsForAgreement', label: 'departments' },
+      { name: 'departmentalDistributions', service: departmentalDistributionService, method: 'syncAllDistributions', agreementMethod: 'syncDistributionsForAgreement', label: 'departmental distributions', dependsOn: ['departments'] },
+      { name: 'journals', service: journalService, method: 'syncAllJournals', agreementMethod: 'syncJournalsForAgreement', label: 'journals' }
+    ];
+  }
+
+  // Names of all services, in sync order
+  getServiceNames() {
+    return this.syncServices.map(({ name }) => name);
+  }
+
+  // Services for a sync of the given entities, or of all of them, plus every
+  // service they depend on. Returned in sync order.
+  resolveServices(entities = null) {
+    const serviceNames = this.getServiceNames();
+
+    if (entities === null || entities === undefined) {
+      return [...this.syncServices];
+    }
+
+    if (!Array.isArray(entities) || entities.length === 0) {
+      throw ApiError.badRequest('entities must be a non-empty array', 'INVALID_ENTITIES');
+    }
+
+    const unknown = entities.filter(entity => !serviceNames.includes(entity));
+    if (unknown.length > 0) {
+      throw ApiError.badRequest(
+        `Unknown entities: ${unknown.join(', ')}. Expected any of: ${serviceNames.join(', ')}`,
+        'INVALID_ENTITIES'
+      );
+    }
+
+    const selected = new Set();
+    const select = name => {
+      if (selected.has(name)) {
+        return;
+      }
+
+      selected.add(name);
+      const entry = this.syncServices.find(service => service.name === name);
+      (entry.dependsOn || []).forEach(select);
+    };
+    entities.forEach(select);
+
+    return this.syncServices.filter(({ name }) => selected.has(name));
+  }
+
+  // Run a single service by its entry in syncServices
+  async runService(entry, options = {}) {
+    const { service, method } = entry;
+    return await service[method](options);
+  }
+
+  // Run a single service for one agreement only
+  async runServiceForAgreement(entry, agreement, options = {}) {
+    const { service, agreementMethod } = entry;
+    return await service[agreementMethod](agreement, options);
+  }
+
+  // Run a single service for some agreements, collecting results the way the
+  // services' own sync-all methods do. Agreements go through the shared sync
+  // pool and a failing agreement does not stop the others.
+  async runServiceForAgreements(entry, agreements, options = {}) {
+    const results = [];
+    let totalCount = 0;
+
+    await syncPool.forEachAgreement(agreements, async agreement => {
+      try {
+        const result = await this.runServiceForAgreement(entry, agreement, options);
+        results.push(result);
+        totalCount += result.recordCount ?? result.totalCount ?? 0;
+      } catch (error) {
+        logger.error(`Error syncing ${entry.label} for agreement ${agreement.name}:`, error.message);
+        results.push({
+          agreement: {
+            id: agreement.id,
+            name: agreement.name,
+            agreement_number: agreement.agreement_number
+          },
+          status: 'error',
+          error: error.message
+        });
+      }
+    }, options.signal);
+
+    return {
+      status: 'success',
+      results,
+      totalCount
+    };
+  }
+
+  // Reduce a service result to the fields reported per service
+  summarizeResult(serviceResult) {
+    const agreementResults = serviceResult?.results || [];
+
+    return {
+      count: serviceResult?.totalCount || 0,
+      deleted: agreementResults.reduce((total, result) => total + (result.deletedCount || 0), 0),
+      changes: agreementResults.reduce(
+        (total, result) => addUpsertCounts(total, result.changes),
+        { inserted: 0, updated: 0, unchanged: 0 }
+      ),
+      status: serviceResult?.status || 'unknown',
+      // Agreements that failed while the service as a whole carried on
+      errors: agreementResults
+        .filter(result => result.status === 'error')
+        .map(result => ({
+          agreement_number: result.agreement?.agreement_number ?? null,
+          error: result.error
+        })),
+      ...this.summarizeRetries(serviceResult)
+    };
+  }
+
+  // Add up API retries across the per-agreement results of one service
+  summarizeRetries(serviceResult) {
+    const agreementResults = serviceResult?.results || [];
+
+    return agreementResults.reduce((totals, result) => ({
+      retries: totals.retries + (result.apiStats?.retries || 0),
+      retryWaitMs: totals.retryWaitMs + (result.apiStats?.waitMs || 0)
+    }), { retries: 0, retryWaitMs: 0 });
+  }
+}
+
+module.exports = new SyncService();
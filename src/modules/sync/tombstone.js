@@ -0,0 +1,71 @@
+const db = require('../../db');
+const logger = require('../core/logger');
+const { closeVersions } = require('./record-history');
+
+// Keys per UPDATE ... IN (...) statement
+const CHUNK_SIZE = 500;
+
+// Mark the live rows of an agreement whose keys were not in a full fetch as
+// deleted, and return their keys. Only call this after a complete full sync:
+// an incremental or failed fetch would tombstone rows that still exist.
+// table, keyColumn and condition are trusted constants from the calling model.
+async function markMissingAsDeleted(table, keyColumn, agreementNumber, fetchedKeys, condition = null) {
+  try {
+    const fetched = new Set(fetchedKeys.map(key => String(key)));
+    const extraCondition = condition ? ` AND ${condition}` : '';
+
+    const rows = await db.query(
+      `SELECT ${keyColumn} AS record_key FROM ${table}
+      WHERE agreement_number = ? AND deleted_at IS NULL${extraCondition}`,
+      [agreementNumber]
+    );
+
+    const missing = rows
+      .map(row => row.record_key)
+      .filter(key => !fetched.has(String(key)));
+
+    for (let i = 0; i < missing.length; i += CHUNK_SIZE) {
+      await markKeysAsDeleted(table, keyColumn, agreementNumber, missing.slice(i, i + CHUNK_SIZE), condition);
+    }
+
+    if (missing.length > 0) {
+      logger.info(`Marked ${missing.length} ${table} as deleted for agreement ${agreementNumber}`);
+    }
+
+    return missing;
+  } catch (error) {
+    logger.error(`Error marking deleted ${table} for agreement ${agreementNumber}:`, error.message);
+    throw error;
+  }
+}
+
+// Mark live rows of an agreement as deleted by key, e.g. when e-conomic
+// reports a single record as deleted. Returns the number of rows marked.
+async function markKeysAsDeleted(table, keyColumn, agreementNumber, keys, condition = null) {
+  try {
+    if (keys.length === 0) {
+      return 0;
+    }
+
+    const extraCondition = condition ? ` AND ${condition}` : '';
+
+    const result = await db.query(
+      `UPDATE ${table} SET deleted_at = CURRENT_TIMESTAMP
+      WHERE agreement_number = ? AND deleted_at IS NULL${extraCondition}
+        AND ${keyColumn} IN (${keys.map(() => '?').join(', ')})`,
+      [agreementNumber, ...keys]
+    );
+
+    await closeVersions(table, agreementNumber, keys);
+
+    return result.affectedRows || 0;
+  } catch (error) {
+    logger.error(`Error marking ${table} ${keys.join(', ')} as deleted for agreement ${agreementNumber}:`, error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  markMissingAsDeleted,
+  markKeysAsDeleted
+};
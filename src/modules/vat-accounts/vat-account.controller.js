@@ -1,11 +1,12 @@
 const vatAccountService = require('./vat-account.service');
 const logger = require('../core/logger');
+const { parseSyncOptions } = require('../sync/sync.options');
 
 class VatAccountController {
   // Sync VAT accounts for all agreements
   async syncVatAccounts(req, res, next) {
     try {
-      const result = await vatAccountService.syncAllVatAccounts();
+      const result = await vatAccountService.syncAllVatAccounts(parseSyncOptions(req));
       res.json(result);
     } catch (error) {
       next(error);
@@ -18,7 +19,7 @@ class VatAccountController {
       const { id } = req.params;
       // Get agreement by ID
       const agreement = await require('../agreements/agreement.model').getById(id);
-      const result = await vatAccountService.syncVatAccountsForAgreement(agreement);
+      const result = await vatAccountService.syncVatAccountsForAgreement(agreement, parseSyncOptions(req));
       res.json(result);
     } catch (error) {
       next(error);
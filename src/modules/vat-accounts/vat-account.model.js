@@ -1,6 +1,8 @@
 const db = require('../../db');
 const logger = require('../core/logger');
+const SyncLogModel = require('../sync/sync-log.model');
 const { ApiError } = require('../core/error.handler');
+const { upsertRows } = require('../sync/batch-upsert');
 
 class VatAccountModel {
   // Find by VAT code and agreement number
@@ -31,112 +33,49 @@ class VatAccountModel {
     }
   }
 
-  // Create or update VAT account
+  // Columns stored for VAT accounts
+  static toRow(accountData) {
+    return {
+      vat_code: accountData.vat_code,
+      name: accountData.name,
+      vat_percentage: accountData.vat_percentage,
+      account_number: accountData.account_number,
+      contra_account_number: accountData.contra_account_number,
+      vat_type_number: accountData.vat_type_number,
+      vat_type_name: accountData.vat_type_name,
+      agreement_number: accountData.agreement_number,
+      self_url: accountData.self_url
+    };
+  }
+
+  // Create or update a VAT account
   static async upsert(accountData) {
+    await this.batchUpsert([accountData]);
+    return this.toRow(accountData);
+  }
+
+  // Create or update many VAT accounts in transactional chunks. Returns inserted, updated and unchanged counts.
+  static async batchUpsert(accounts) {
     try {
-      const existing = await this.findByCodeAndAgreement(
-        accountData.vat_code, 
-        accountData.agreement_number
-      );
-      
-      if (existing) {
-        // Update existing VAT account
-        await db.query(
-          `UPDATE vat_accounts SET
-            name = ?,
-            vat_percentage = ?,
-            account_number = ?,
-            contra_account_number = ?,
-            vat_type_number = ?,
-            vat_type_name = ?,
-            self_url = ?,
-            updated_at = CURRENT_TIMESTAMP
-          WHERE vat_code = ? AND agreement_number = ?`,
-          [
-            accountData.name,
-            accountData.vat_percentage,
-            accountData.account_number,
-            accountData.contra_account_number,
-            accountData.vat_type_number,
-            accountData.vat_type_name,
-            accountData.self_url,
-            accountData.vat_code,
-            accountData.agreement_number
-          ]
-        );
-        
-        return { ...existing, ...accountData };
-      } else {
-        // Create new VAT account
-        await db.query(
-          `INSERT INTO vat_accounts (
-            vat_code,
-            name,
-            vat_percentage,
-            account_number,
-            contra_account_number,
-            vat_type_number,
-            vat_type_name,
-            agreement_number,
-            self_url
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [
-            accountData.vat_code,
-            accountData.name,
-            accountData.vat_percentage,
-            accountData.account_number,
-            accountData.contra_account_number,
-            accountData.vat_type_number,
-            accountData.vat_type_name,
-            accountData.agreement_number,
-            accountData.self_url
-          ]
-        );
-        
-        return accountData;
-      }
+      return await upsertRows('vat_accounts', accounts.map(account => this.toRow(account)), {
+        keyColumns: ['vat_code', 'agreement_number']
+      });
     } catch (error) {
-      logger.error('Error upserting VAT account:', error.message);
+      logger.error('Error upserting VAT accounts:', error.message);
       throw error;
     }
   }
 
   // Record sync log for VAT accounts
-  static async recordSyncLog(agreementNumber, recordCount = 0, errorMessage = null, startTime = null) {
-    try {
-      const started = startTime || new Date();
-      const completed = new Date();
-      const durationMs = completed.getTime() - started.getTime();
-      
-      await db.query(
-        `INSERT INTO sync_logs (
-          entity, operation, record_count, status, 
-          error_message, started_at, completed_at, duration_ms
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          `vat_accounts_${agreementNumber}`,
-          'sync',
-          recordCount,
-          errorMessage ? 'error' : 'success',
-          errorMessage,
-          started,
-          completed,
-          durationMs
-        ]
-      );
-      
-      return {
-        entity: `vat_accounts_${agreementNumber}`,
-        operation: 'sync',
-        status: errorMessage ? 'error' : 'success',
-        recordCount,
-        durationMs
-      };
-    } catch (error) {
-      logger.error('Error recording sync log:', error.message);
-      // Don't throw for logging failures
-      return null;
-    }
+  static async recordSyncLog(agreementNumber, recordCount = 0, errorMessage = null, startTime = null, runId = null) {
+    return await SyncLogModel.record({
+      entity: 'vat_accounts',
+      agreementNumber,
+      recordCount,
+      errorMessage,
+      startTime,
+      runId
+    });
   }
 }
 
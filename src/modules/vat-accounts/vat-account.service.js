@@ -1,16 +1,14 @@
-const ApiClient = require('../../api/client');
 const endpoints = require('../../api/endpoints');
 const VatAccountModel = require('./vat-account.model');
 const AgreementModel = require('../agreements/agreement.model');
+const { resolveAgreementContext } = require('../agreements/agreement-context');
+const syncPool = require('../sync/sync-pool');
+const SyncWatermarkModel = require('../sync/sync-watermark.model');
+const { SyncDiff, buildDiffReport } = require('../sync/sync-diff');
 const logger = require('../core/logger');
 const { ApiError } = require('../core/error.handler');
 
 class VatAccountService {
-  // Get client for a specific agreement
-  getClientForAgreement(agreementToken) {
-    return ApiClient.forAgreement(agreementToken);
-  }
-
   // Transform API VAT account data to our database model
   transformVatAccountData(vatAccount, agreementNumber) {
     // Extract account number if it exists
@@ -47,42 +45,57 @@ class VatAccountService {
   }
 
   // Sync VAT accounts for a specific agreement
-  async syncVatAccountsForAgreement(agreement) {
+  async syncVatAccountsForAgreement(agreement, options = {}) {
     const startTime = new Date();
     let recordCount = 0;
     
     try {
       logger.info(`Starting VAT accounts sync for agreement ${agreement.name} (${agreement.agreement_number})`);
       
-      // Create client for this agreement
-      const client = this.getClientForAgreement(agreement.agreement_grant_token);
-      
-      // Get the agreement number directly from the API to confirm
-      const agreementInfo = await client.getAgreementInfo();
-      const agreementNumber = agreementInfo.agreementNumber;
+      // Client and agreement number confirmed by the API
+      const context = options.context || await resolveAgreementContext(agreement);
+      const { client, agreementNumber } = context;
+      const { mode } = await SyncWatermarkModel.resolveWindow(agreementNumber, 'vat_accounts', options.mode);
       
       // Fetch VAT accounts
       const vatAccounts = await client.getPaginated(endpoints.VAT_ACCOUNTS);
       logger.info(`Found ${vatAccounts.length} VAT accounts for agreement ${agreementNumber}`);
       
+      // Dry runs compare with the stored rows instead of writing
+      const diff = options.dryRun ? await SyncDiff.forAgreement('vat_accounts', ['vat_code'], agreementNumber) : null;
+      
+      const upserts = [];
+      
       // Process each VAT account
       for (const account of vatAccounts) {
         // Transform API data to our model
         const accountData = this.transformVatAccountData(account, agreementNumber);
         
         // Upsert the VAT account
-        await VatAccountModel.upsert(accountData);
+        if (diff) {
+          diff.compare(accountData);
+        } else {
+          upserts.push(accountData);
+        }
         
         recordCount++;
       }
       
-      // Record successful sync
-      await VatAccountModel.recordSyncLog(
-        agreementNumber,
-        recordCount,
-        null,
-        startTime
-      );
+      // Write in transactional chunks instead of one round trip per record
+      const changes = diff ? null : await VatAccountModel.batchUpsert(upserts);
+      
+      if (!diff) {
+        // Record successful sync
+        await VatAccountModel.recordSyncLog(
+          agreementNumber,
+          recordCount,
+          null,
+          startTime,
+          options.runId
+        );
+      
+        await SyncWatermarkModel.markSynced(agreementNumber, 'vat_accounts', startTime, mode, recordCount);
+      }
       
       logger.info(`Completed VAT accounts sync for agreement ${agreementNumber}: ${recordCount} records processed`);
       
@@ -92,26 +105,33 @@ class VatAccountService {
           name: agreement.name,
           agreement_number: agreementNumber
         },
-        recordCount
+        mode,
+        recordCount,
+        ...(diff && { dryRun: true, diff: buildDiffReport(diff) }),
+        ...(changes && { changes }),
+        apiStats: client.getRetryStats()
       };
       
     } catch (error) {
       logger.error(`Error syncing VAT accounts for agreement ${agreement.id}:`, error.message);
       
-      // Record failed sync
-      await VatAccountModel.recordSyncLog(
-        agreement.agreement_number || 'unknown',
-        recordCount,
-        error.message,
-        startTime
-      );
+      if (!options.dryRun) {
+        // Record failed sync
+        await VatAccountModel.recordSyncLog(
+          agreement.agreement_number || 'unknown',
+          recordCount,
+          error.message,
+          startTime,
+          options.runId
+        );
+      }
       
       throw error;
     }
   }
 
   // Sync VAT accounts across all agreements
-  async syncAllVatAccounts() {
+  async syncAllVatAccounts(options = {}) {
     const startTime = new Date();
     const agreementResults = [];
     let totalCount = 0;
@@ -132,10 +152,10 @@ class VatAccountService {
         };
       }
       
-      // Process each agreement
-      for (const agreement of agreements) {
+      // Sync agreements side by side, bounded by the shared sync pool
+      await syncPool.forEachAgreement(agreements, async agreement => {
         try {
-          const result = await this.syncVatAccountsForAgreement(agreement);
+          const result = await this.syncVatAccountsForAgreement(agreement, options);
           agreementResults.push(result);
           totalCount += result.recordCount;
         } catch (error) {
@@ -150,7 +170,7 @@ class VatAccountService {
             error: error.message
           });
         }
-      }
+      }, options.signal);
       
       logger.info(`Completed VAT accounts sync across all agreements: ${totalCount} records processed`);
       
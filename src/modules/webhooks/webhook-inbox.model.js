@@ -0,0 +1,137 @@
+const db = require('../../db');
+const logger = require('../core/logger');
+
+// JSON columns come back as strings on MariaDB and as objects on MySQL
+function parseJson(value, fallback) {
+  if (value === null || value === undefined) {
+    return fallback;
+  }
+
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+class WebhookInboxModel {
+  static fromRow(row) {
+    return {
+      ...row,
+      payload: parseJson(row.payload, {})
+    };
+  }
+
+  // Store a received event. An event for a record that is still waiting is
+  // merged into it, since processing fetches the current record anyway.
+  static async enqueue(event) {
+    try {
+      const waiting = await db.query(
+        `SELECT id FROM webhook_inbox
+        WHERE status = 'pending' AND agreement_number = ? AND entity = ?
+          AND record_number = ? AND old_record_number <=> ?
+        LIMIT 1`,
+        [event.agreement_number, event.entity, event.record_number, event.old_record_number]
+      );
+
+      if (waiting.length > 0) {
+        return { id: waiting[0].id, merged: true };
+      }
+
+      const result = await db.query(
+        `INSERT INTO webhook_inbox (
+          agreement_number, entity, record_number, old_record_number, payload, next_attempt_at
+        ) VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+        [
+          event.agreement_number,
+          event.entity,
+          event.record_number,
+          event.old_record_number,
+          JSON.stringify(event.payload || {})
+        ]
+      );
+
+      return { id: result.insertId, merged: false };
+    } catch (error) {
+      logger.error(`Error storing webhook event for agreement ${event.agreement_number}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Claim the oldest due events for processing and count the attempt
+  static async claimDue(limit) {
+    try {
+      const safeLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+      const rows = await db.query(
+        `SELECT * FROM webhook_inbox
+        WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+        ORDER BY id
+        LIMIT ${safeLimit}`
+      );
+
+      if (rows.length === 0) {
+        return [];
+      }
+
+      await db.query(
+        `UPDATE webhook_inbox SET status = 'processing', attempts = attempts + 1
+        WHERE id IN (${rows.map(() => '?').join(', ')})`,
+        rows.map(row => row.id)
+      );
+
+      return rows.map(row => this.fromRow({ ...row, status: 'processing', attempts: row.attempts + 1 }));
+    } catch (error) {
+      logger.error('Error claiming webhook events:', error.message);
+      throw error;
+    }
+  }
+
+  // Record that an event's record was stored or tombstoned
+  static async markProcessed(id, outcome) {
+    try {
+      await db.query(
+        `UPDATE webhook_inbox SET
+          status = 'processed',
+          outcome = ?,
+          last_error = NULL,
+          processed_at = CURRENT_TIMESTAMP
+        WHERE id = ?`,
+        [outcome, id]
+      );
+    } catch (error) {
+      logger.error(`Error marking webhook event ${id} as processed:`, error.message);
+      throw error;
+    }
+  }
+
+  // Record a failed attempt. The event is tried again at nextAttemptAt, or
+  // marked failed for good when there is none.
+  static async markAttemptFailed(id, errorMessage, nextAttemptAt = null) {
+    try {
+      await db.query(
+        `UPDATE webhook_inbox SET
+          status = ?,
+          last_error = ?,
+          next_attempt_at = COALESCE(?, next_attempt_at)
+        WHERE id = ?`,
+        [nextAttemptAt ? 'pending' : 'failed', errorMessage, nextAttemptAt, id]
+      );
+    } catch (error) {
+      logger.error(`Error recording failed attempt of webhook event ${id}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Events a previous process was working on when it stopped are tried again
+  static async releaseInterrupted() {
+    try {
+      const result = await db.query(
+        `UPDATE webhook_inbox SET status = 'pending'
+        WHERE status = 'processing'`
+      );
+
+      return result.affectedRows || 0;
+    } catch (error) {
+      logger.error('Error releasing interrupted webhook events:', error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = WebhookInboxModel;
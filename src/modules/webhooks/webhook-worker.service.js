@@ -0,0 +1,158 @@
+const WebhookInboxModel = require('./webhook-inbox.model');
+const AgreementModel = require('../agreements/agreement.model');
+const { resolveAgreementContext } = require('../agreements/agreement-context');
+const customerService = require('../customers/customer.service');
+const productService = require('../products/product.service');
+const invoiceService = require('../invoices/invoice.service');
+const logger = require('../core/logger');
+const config = require('../../config');
+
+// Events claimed per round trip to the inbox
+const BATCH_SIZE = 20;
+
+// Fetch and store the record an event points at. Each handler reports the
+// status 'upserted', or 'deleted' when e-conomic no longer has the record.
+const HANDLERS = {
+  customer: (context, number) => customerService.syncCustomerByNumber(context, parseInt(number)),
+  product: (context, number) => productService.syncProductByNumber(context, number),
+  invoice: (context, number) => invoiceService.syncInvoiceByNumber(context, parseInt(number), 'booked'),
+  draft_invoice: (context, number) => invoiceService.syncInvoiceByNumber(context, parseInt(number), 'draft')
+};
+
+class WebhookWorkerService {
+  constructor() {
+    this.timer = null;
+    this.activeRun = null;
+    this.stopping = false;
+  }
+
+  // Start polling the inbox for due events
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.stopping = false;
+    this.timer = setInterval(() => {
+      this.tick().catch(error => logger.error('Error in webhook worker:', error.message));
+    }, config.webhooks.pollIntervalMs);
+
+    logger.info(`Webhook worker started, checking every ${config.webhooks.pollIntervalMs}ms`);
+  }
+
+  // Stop polling and wait for the events in flight
+  async stop() {
+    this.stopping = true;
+
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.activeRun) {
+      await this.activeRun;
+    }
+  }
+
+  // Process new events right away instead of at the next poll
+  wake() {
+    if (!this.timer || this.stopping) {
+      return;
+    }
+
+    setImmediate(() => {
+      this.tick().catch(error => logger.error('Error in webhook worker:', error.message));
+    });
+  }
+
+  // Work through due events until none are left. Skipped while a run is in progress.
+  async tick() {
+    if (this.activeRun || this.stopping) {
+      return;
+    }
+
+    this.activeRun = this.processDue().finally(() => {
+      this.activeRun = null;
+    });
+
+    await this.activeRun;
+  }
+
+  async processDue() {
+    while (!this.stopping) {
+      const events = await WebhookInboxModel.claimDue(BATCH_SIZE);
+      if (events.length === 0) {
+        return;
+      }
+
+      for (const event of events) {
+        await this.processEvent(event);
+      }
+    }
+  }
+
+  // Process one claimed event and record the outcome. Failures are retried
+  // with backoff until the event runs out of attempts.
+  async processEvent(event) {
+    try {
+      const outcome = await this.handleEvent(event);
+      await WebhookInboxModel.markProcessed(event.id, outcome);
+
+      logger.info(`Webhook event ${event.id}: ${event.entity} ${event.record_number} of agreement ${event.agreement_number} ${outcome}`);
+    } catch (error) {
+      const { maxAttempts } = config.webhooks;
+      const nextAttemptAt = event.attempts < maxAttempts
+        ? new Date(Date.now() + this.getRetryDelay(event.attempts))
+        : null;
+
+      await WebhookInboxModel.markAttemptFailed(event.id, error.message, nextAttemptAt);
+
+      if (nextAttemptAt) {
+        logger.warn(`Webhook event ${event.id} failed (attempt ${event.attempts} of ${maxAttempts}), retrying at ${nextAttemptAt.toISOString()}: ${error.message}`);
+      } else {
+        logger.error(`Webhook event ${event.id} failed after ${event.attempts} attempts:`, error.message);
+      }
+    }
+  }
+
+  // Store the changed record through the same transform and upsert as a sync.
+  // The old number of a renumbered record is fetched too, which tombstones it
+  // once e-conomic no longer has it.
+  async handleEvent(event) {
+    const handler = HANDLERS[event.entity];
+    if (!handler) {
+      throw new Error(`Unsupported webhook entity "${event.entity}"`);
+    }
+
+    const agreement = await AgreementModel.getByAgreementNumber(event.agreement_number);
+    if (!agreement || !agreement.is_active) {
+      throw new Error(`Agreement ${event.agreement_number} is not active`);
+    }
+
+    const context = await resolveAgreementContext(agreement);
+    const result = await handler(context, event.record_number);
+
+    if (event.old_record_number && event.entity !== 'invoice') {
+      await handler(context, event.old_record_number);
+    }
+
+    return result.status;
+  }
+
+  // Exponential backoff from the configured base delay
+  getRetryDelay(attempts) {
+    const { retryBaseDelayMs, retryMaxDelayMs } = config.webhooks;
+    return Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** (attempts - 1));
+  }
+
+  // Events that were in flight when a previous process stopped
+  async recoverInterruptedEvents() {
+    const count = await WebhookInboxModel.releaseInterrupted();
+    if (count > 0) {
+      logger.warn(`Released ${count} webhook events from a previous run for another attempt`);
+    }
+    return count;
+  }
+}
+
+module.exports = new WebhookWorkerService();
@@ -0,0 +1,25 @@
+const webhookService = require('./webhook.service');
+
+class WebhookController {
+  // Queue an e-conomic change notification. Parameters may come in the query
+  // string, where e-conomic puts them, or in a JSON body. e-conomic cannot set
+  // headers, so the secret is read from the query string; other callers may
+  // send it in an X-Webhook-Secret header instead. It is kept out of the
+  // stored event, and request logs redact it.
+  async receiveEconomicEvent(req, res, next) {
+    try {
+      const { secret: querySecret, ...query } = req.query;
+      const { secret: bodySecret, ...body } = req.body || {};
+      const params = { ...query, ...body };
+      const secret = [req.get('x-webhook-secret'), querySecret, bodySecret]
+        .find(value => typeof value === 'string' && value !== '');
+
+      const event = await webhookService.receive(params, secret);
+      res.status(202).json(event);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new WebhookController();
@@ -0,0 +1,14 @@
+const express = require('express');
+const webhookController = require('./webhook.controller');
+
+const router = express.Router();
+
+// POST /api/webhooks/economic - Receive an e-conomic change notification.
+// Configure the webhook in e-conomic with a URL such as
+//   /api/webhooks/economic?agreement=<agreement number>&secret=<secret>&type=customer&number=[NEWNUMBER]&old_number=[OLDNUMBER]
+// where type is customer, product, invoice or draft_invoice and the secret
+// comes from POST /api/agreements/:id/webhook-secret. Callers that can set
+// headers may send the secret in an X-Webhook-Secret header instead.
+router.post('/economic', webhookController.receiveEconomicEvent);
+
+module.exports = router;
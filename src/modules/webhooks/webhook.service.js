@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const AgreementModel = require('../agreements/agreement.model');
+const WebhookInboxModel = require('./webhook-inbox.model');
+const webhookWorker = require('./webhook-worker.service');
+const logger = require('../core/logger');
+const { ApiError } = require('../core/error.handler');
+
+// Event types the receiver accepts, as given in the webhook URL's type parameter
+const WEBHOOK_ENTITIES = ['customer', 'product', 'invoice', 'draft_invoice'];
+
+const SECRET_PREFIX = 'whsec_';
+
+// Record numbers from the URL. e-conomic leaves placeholders it has no value
+// for, such as [OLDNUMBER] on a create, as they are.
+function parseRecordNumber(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const number = String(value).trim();
+  return number === '' || number.startsWith('[') ? null : number;
+}
+
+class WebhookService {
+  // Secrets are long and random, so a plain SHA-256 is enough to store them
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest('hex');
+  }
+
+  // Issue a new webhook secret for an agreement, replacing the previous one.
+  // The plaintext secret is only ever returned here.
+  async rotateSecret(agreementId) {
+    try {
+      const agreement = await AgreementModel.getById(agreementId);
+
+      if (!agreement.agreement_number) {
+        throw ApiError.badRequest('Verify the agreement before issuing a webhook secret', 'AGREEMENT_NOT_VERIFIED');
+      }
+
+      const secret = `${SECRET_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+      await AgreementModel.setWebhookSecretHash(agreement.id, this.hashSecret(secret));
+
+      logger.info(`Issued a new webhook secret for agreement ${agreement.agreement_number}`);
+
+      return {
+        agreement_id: agreement.id,
+        agreement_number: agreement.agreement_number,
+        webhook_secret: secret
+      };
+    } catch (error) {
+      logger.error(`Error issuing webhook secret for agreement ${agreementId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Check the caller's secret against the agreement's. Unknown agreements and
+  // wrong secrets get the same answer.
+  async verifyCaller(agreementNumber, secret) {
+    const secretHash = agreementNumber && secret
+      ? await AgreementModel.getWebhookSecretHash(agreementNumber)
+      : null;
+
+    const valid = secretHash && crypto.timingSafeEqual(
+      Buffer.from(secretHash, 'hex'),
+      Buffer.from(this.hashSecret(secret), 'hex')
+    );
+
+    if (!valid) {
+      throw ApiError.unauthorized('Invalid webhook secret', 'INVALID_WEBHOOK_SECRET');
+    }
+
+    // The agreement may have been deleted since its secret was read
+    const agreement = await AgreementModel.getByAgreementNumber(agreementNumber);
+    if (!agreement) {
+      throw ApiError.unauthorized('Invalid webhook secret', 'INVALID_WEBHOOK_SECRET');
+    }
+
+    if (!agreement.is_active) {
+      throw ApiError.forbidden(`Agreement ${agreementNumber} is not active`, 'AGREEMENT_INACTIVE');
+    }
+
+    return agreement;
+  }
+
+  // Validate an e-conomic event and store it in the inbox. The record itself
+  // is fetched and stored by the webhook worker.
+  async receive(params, secret) {
+    const agreementNumber = parseInt(params.agreement);
+    const agreement = await this.verifyCaller(isNaN(agreementNumber) ? null : agreementNumber, secret);
+
+    const entity = params.type;
+    if (!WEBHOOK_ENTITIES.includes(entity)) {
+      throw ApiError.badRequest(
+        `Invalid webhook type "${entity}". Expected one of: ${WEBHOOK_ENTITIES.join(', ')}`,
+        'INVALID_WEBHOOK_TYPE'
+      );
+    }
+
+    // Deletes only carry the old number
+    const number = parseRecordNumber(params.number);
+    const oldNumber = parseRecordNumber(params.old_number);
+    const recordNumber = number || oldNumber;
+
+    if (!recordNumber) {
+      throw ApiError.badRequest('Webhook has no record number', 'MISSING_RECORD_NUMBER');
+    }
+
+    const event = await WebhookInboxModel.enqueue({
+      agreement_number: agreement.agreement_number,
+      entity,
+      record_number: recordNumber,
+      old_record_number: oldNumber && oldNumber !== recordNumber ? oldNumber : null,
+      payload: params
+    });
+
+    logger.info(`Webhook event ${event.id}${event.merged ? ' (merged)' : ''}: ${entity} ${recordNumber} of agreement ${agreement.agreement_number}`);
+
+    webhookWorker.wake();
+
+    return { id: event.id, status: 'queued', merged: event.merged };
+  }
+}
+
+module.exports = new WebhookService();
@@ -3,6 +3,13 @@ const config = require('./config');
 const db = require('./db');
 const logger = require('./modules/core/logger');
 const runMigrations = require('./db/run-migrations');
+const syncJobService = require('./modules/sync/sync-job.service');
+const syncHistoryService = require('./modules/sync/sync-history.service');
+const apiKeyService = require('./modules/auth/api-key.service');
+const schedulerService = require('./modules/schedules/scheduler.service');
+const webhookWorker = require('./modules/webhooks/webhook-worker.service');
+const eventDeliveryWorker = require('./modules/subscriptions/event-delivery-worker.service');
+const outboxRelay = require('./modules/outbox/outbox-relay.service');
 
 // Start the server
 async function startServer() {
@@ -11,11 +18,34 @@ async function startServer() {
     await runMigrations();
     logger.info('Database migrations completed');
     
+    // Make sure a new installation has an admin key to start from
+    await apiKeyService.ensureBootstrapKey();
+    
+    // Jobs from a previous process can never finish
+    await syncJobService.recoverInterruptedJobs();
+    await syncHistoryService.recoverInterruptedRuns();
+    
+    // Webhook events survive restarts in the inbox
+    await webhookWorker.recoverInterruptedEvents();
+    await eventDeliveryWorker.recoverInterruptedDeliveries();
+    
     // Start the server
     const server = app.listen(config.server.port, () => {
       logger.info(`Server running on port ${config.server.port}`);
     });
     
+    // Start running scheduled syncs
+    schedulerService.start();
+    
+    // Store records reported by e-conomic webhooks
+    webhookWorker.start();
+    
+    // Deliver domain events to subscribers
+    eventDeliveryWorker.start();
+    
+    // Publish domain events from the outbox to subscriptions and the configured transport
+    outboxRelay.start();
+    
     // Handle graceful shutdown
     process.on('SIGTERM', () => gracefulShutdown(server));
     process.on('SIGINT', () => gracefulShutdown(server));
@@ -30,10 +60,24 @@ async function startServer() {
 function gracefulShutdown(server) {
   logger.info('Shutting down gracefully...');
   
+  // Stop scheduling new runs right away; an in-flight run is awaited below
+  const schedulerStopped = schedulerService.stop();
+  const syncJobsStopped = syncJobService.stop();
+  const webhooksStopped = webhookWorker.stop();
+  const deliveriesStopped = eventDeliveryWorker.stop();
+  const outboxStopped = outboxRelay.stop();
+  
   server.close(async () => {
     logger.info('HTTP server closed');
     
     try {
+      // Let in-flight syncs finish before closing the pool
+      await schedulerStopped;
+      await syncJobsStopped;
+      await webhooksStopped;
+      await deliveriesStopped;
+      await outboxStopped;
+      
       // Close database connection
       await db.close();
       logger.info('All connections closed');
@@ -44,11 +88,11 @@ function gracefulShutdown(server) {
     }
   });
   
-  // Force shutdown after 10 seconds
+  // Force shutdown if closing takes too long
   setTimeout(() => {
     logger.error('Forced shutdown after timeout');
     process.exit(1);
-  }, 10000);
+  }, config.server.shutdownTimeoutMs);
 }
 
 // Start the server
@@ -0,0 +1,121 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ApiClient = require('../../src/api/client');
+const ApiWriteAuditModel = require('../../src/modules/audit/api-write-audit.model');
+
+const responseError = (status, headers = {}) => ({ response: { status, headers } });
+
+describe('ApiClient.getRetryDelay', () => {
+  let client;
+
+  beforeEach(() => {
+    client = new ApiClient('test-token');
+    client.retryConfig = { maxRetries: 5, baseDelayMs: 100, maxDelayMs: 1000 };
+    mock.restoreAll();
+  });
+
+  it('waits the seconds given in Retry-After', () => {
+    assert.equal(client.getRetryDelay(0, responseError(429, { 'retry-after': '3' })), 3000);
+  });
+
+  it('waits until the date given in Retry-After', () => {
+    const retryAt = new Date(Date.now() + 5000).toUTCString();
+    const delay = client.getRetryDelay(0, responseError(503, { 'retry-after': retryAt }));
+
+    // HTTP dates only have whole seconds
+    assert.ok(delay > 3000 && delay <= 5000, `unexpected delay ${delay}`);
+  });
+
+  it('does not wait for a Retry-After date in the past', () => {
+    const retryAt = new Date(Date.now() - 60000).toUTCString();
+
+    assert.equal(client.getRetryDelay(0, responseError(503, { 'retry-after': retryAt })), 0);
+  });
+
+  it('backs off exponentially with at least half the backoff', () => {
+    mock.method(Math, 'random', () => 0);
+
+    assert.equal(client.getRetryDelay(0, responseError(500)), 50);
+    assert.equal(client.getRetryDelay(2, responseError(500)), 200);
+  });
+
+  it('caps the backoff at the maximum delay', () => {
+    mock.method(Math, 'random', () => 1);
+
+    assert.equal(client.getRetryDelay(10, { code: 'ECONNRESET' }), 1000);
+  });
+
+  it('ignores a Retry-After header it cannot read', () => {
+    mock.method(Math, 'random', () => 1);
+
+    assert.equal(client.getRetryDelay(1, responseError(429, { 'retry-after': 'soon' })), 200);
+  });
+});
+
+describe('ApiClient retry classification', () => {
+  const client = new ApiClient('test-token');
+
+  it('retries transient failures', () => {
+    assert.equal(client.isRetryable(responseError(502)), true);
+    assert.equal(client.isRetryable({ code: 'ECONNRESET' }), true);
+    assert.equal(client.isRetryable(responseError(400)), false);
+  });
+
+  it('only treats failures e-conomic cannot have processed as unprocessed', () => {
+    assert.equal(client.isUnprocessed(responseError(429)), true);
+    assert.equal(client.isUnprocessed(responseError(503)), true);
+    assert.equal(client.isUnprocessed({ code: 'ECONNREFUSED' }), true);
+    assert.equal(client.isUnprocessed(responseError(500)), false);
+    assert.equal(client.isUnprocessed({ code: 'ECONNRESET' }), false);
+  });
+});
+
+describe('ApiClient write retries', () => {
+  let client;
+  let request;
+
+  // A client whose requests fail with the given error
+  function failingWith(error) {
+    client = new ApiClient('test-token');
+    client.retryConfig = { maxRetries: 3, baseDelayMs: 0, maxDelayMs: 0 };
+    mock.method(client.rateLimiter, 'acquire', async () => 0);
+    request = mock.method(client.client, 'request', async () => {
+      throw error;
+    });
+  }
+
+  afterEach(() => mock.restoreAll());
+
+  it('retries reads after any transient failure', async () => {
+    failingWith(responseError(500));
+
+    await assert.rejects(client.sendWithRetry({ method: 'get', url: '/customers' }));
+    assert.equal(request.mock.callCount(), 4);
+  });
+
+  for (const method of ['post', 'put', 'patch', 'delete']) {
+    it(`does not repeat a ${method.toUpperCase()} e-conomic may have processed`, async () => {
+      failingWith(responseError(500));
+
+      await assert.rejects(client.sendWithRetry({ method, url: '/invoices/drafts/1' }));
+      assert.equal(request.mock.callCount(), 1);
+    });
+  }
+
+  it('repeats a DELETE e-conomic turned away', async () => {
+    failingWith(responseError(503));
+
+    await assert.rejects(client.sendWithRetry({ method: 'delete', url: '/invoices/drafts/1' }));
+    assert.equal(request.mock.callCount(), 4);
+  });
+
+  it('audits a PUT that timed out as possibly stored', async () => {
+    failingWith({ code: 'ECONNABORTED', message: 'timeout of 10000ms exceeded' });
+    mock.method(ApiWriteAuditModel, 'begin', async () => ({ id: 7, replay: null }));
+    const markFailed = mock.method(ApiWriteAuditModel, 'markFailed', async () => {});
+
+    await assert.rejects(client.put('/invoices/drafts/1', { notes: {} }));
+
+    assert.equal(markFailed.mock.calls[0].arguments[1], 'unknown');
+  });
+});
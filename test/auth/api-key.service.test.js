@@ -0,0 +1,70 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const apiKeyService = require('../../src/modules/auth/api-key.service');
+const ApiKeyModel = require('../../src/modules/auth/api-key.model');
+
+const restrictedTo = (...agreementNumbers) => ({ id: 1, scopes: ['admin'], agreement_numbers: agreementNumbers });
+const unrestricted = { id: 2, scopes: ['admin'], agreement_numbers: null };
+
+describe('apiKeyService.issueKey', () => {
+  let create;
+
+  beforeEach(() => {
+    create = mock.method(ApiKeyModel, 'create', async key => ({ id: 9, ...key }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('lets a restricted key issue keys within its agreements', async () => {
+    const key = await apiKeyService.issueKey({ name: 'Reports', scopes: ['read'], agreement_numbers: ['2'] }, restrictedTo(1, 2));
+
+    assert.deepEqual(key.agreement_numbers, [2]);
+    assert.match(key.key, /^ek_/);
+  });
+
+  it('does not let a restricted key issue keys for other agreements', async () => {
+    await assert.rejects(
+      apiKeyService.issueKey({ name: 'Wider', scopes: ['read'], agreement_numbers: [2, 3] }, restrictedTo(1, 2)),
+      { statusCode: 403, code: 'AGREEMENT_FORBIDDEN' }
+    );
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it('does not let a restricted key issue an unrestricted key', async () => {
+    await assert.rejects(
+      apiKeyService.issueKey({ name: 'Everything', scopes: ['admin'] }, restrictedTo(1)),
+      { statusCode: 403, code: 'AGREEMENT_FORBIDDEN' }
+    );
+  });
+
+  it('lets an unrestricted key issue unrestricted keys', async () => {
+    const key = await apiKeyService.issueKey({ name: 'Everything', scopes: ['admin'] }, unrestricted);
+
+    assert.equal(key.agreement_numbers, null);
+  });
+});
+
+describe('apiKeyService keys of a restricted caller', () => {
+  afterEach(() => mock.restoreAll());
+
+  const keys = [
+    { id: 1, agreement_numbers: [1] },
+    { id: 2, agreement_numbers: [1, 2] },
+    { id: 3, agreement_numbers: null }
+  ];
+
+  it('lists only keys within the caller\'s agreements', async () => {
+    mock.method(ApiKeyModel, 'getAll', async () => keys);
+
+    assert.deepEqual((await apiKeyService.listKeys(false, restrictedTo(1))).map(key => key.id), [1]);
+    assert.deepEqual((await apiKeyService.listKeys(false, unrestricted)).map(key => key.id), [1, 2, 3]);
+  });
+
+  it('cannot revoke keys beyond the caller\'s agreements', async () => {
+    mock.method(ApiKeyModel, 'getById', async id => ({ ...keys.find(key => key.id === id), scopes: ['admin'] }));
+    const revoke = mock.method(ApiKeyModel, 'revoke', async () => ({}));
+
+    await assert.rejects(apiKeyService.revokeKey(3, restrictedTo(1, 2)), { statusCode: 404 });
+    assert.equal(revoke.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { authorize } = require('../../src/modules/auth/auth.middleware');
+
+// Run authorize for a request and return what it passed to next
+function authorizeRequest(method, originalUrl, apiKey, body = {}) {
+  let result;
+  authorize({ method, originalUrl, apiKey, body }, {}, error => {
+    result = error || null;
+  });
+  return result;
+}
+
+const admin = agreementNumbers => ({ id: 1, scopes: ['admin'], agreement_numbers: agreementNumbers });
+
+describe('authorize', () => {
+  for (const [method, url] of [
+    ['GET', '/api/schedules'],
+    ['POST', '/api/subscriptions'],
+    ['GET', '/api/subscriptions/4/deliveries'],
+    ['POST', '/api/invoices/cleanup']
+  ]) {
+    it(`keeps restricted keys from ${method} ${url}, which covers all agreements`, () => {
+      assert.equal(authorizeRequest(method, url, admin([1]))?.code, 'AGREEMENT_FORBIDDEN');
+      assert.equal(authorizeRequest(method, url, admin(null)), null);
+    });
+  }
+
+  it('keeps restricted keys from syncing all agreements', () => {
+    assert.equal(authorizeRequest('POST', '/api/sync', admin([1]))?.code, 'AGREEMENT_FORBIDDEN');
+    assert.equal(authorizeRequest('POST', '/api/sync', admin([1]), { agreements: [1] }), null);
+  });
+
+  it('requires the scope of the route', () => {
+    const reader = { id: 2, scopes: ['read'], agreement_numbers: null };
+
+    assert.equal(authorizeRequest('GET', '/api/customers', reader), null);
+    assert.equal(authorizeRequest('POST', '/api/customers/sync', reader)?.statusCode, 403);
+  });
+});
+
+describe('authorize invoice draft writes', () => {
+  const writer = { id: 3, scopes: ['write'], agreement_numbers: [1] };
+  const syncer = { id: 4, scopes: ['sync'], agreement_numbers: null };
+
+  for (const [method, url] of [
+    ['POST', '/api/invoices/agreements/1/drafts'],
+    ['PUT', '/api/invoices/agreements/1/drafts/5'],
+    ['POST', '/api/invoices/agreements/1/drafts/5/book']
+  ]) {
+    it(`lets write keys ${method} ${url}`, () => {
+      assert.equal(authorizeRequest(method, url, writer), null);
+      assert.equal(authorizeRequest(method, url, syncer)?.message, 'API key lacks the "write" scope');
+    });
+  }
+
+  it('lets read keys download booked invoice PDFs', () => {
+    const reader = { id: 5, scopes: ['read'], agreement_numbers: [1] };
+
+    assert.equal(authorizeRequest('GET', '/api/invoices/agreements/1/booked/1001/pdf', reader), null);
+  });
+
+  it('still requires admin for other changes', () => {
+    assert.equal(authorizeRequest('POST', '/api/agreements', writer)?.message, 'API key lacks the "admin" scope');
+  });
+});
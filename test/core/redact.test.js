@@ -0,0 +1,17 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { redactUrl } = require('../../src/modules/core/redact');
+
+describe('redactUrl', () => {
+  it('hides the webhook secret and keeps the other parameters', () => {
+    assert.equal(
+      redactUrl('/api/webhooks/economic?agreement=1&secret=whs_abc&type=customer'),
+      '/api/webhooks/economic?agreement=1&secret=%5BREDACTED%5D&type=customer'
+    );
+  });
+
+  it('leaves URLs without credentials alone', () => {
+    assert.equal(redactUrl('/api/customers?page=2'), '/api/customers?page=2');
+    assert.equal(redactUrl('/api/customers'), '/api/customers');
+  });
+});
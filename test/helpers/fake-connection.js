@@ -0,0 +1,32 @@
+// A stand-in for a mysql2/promise connection. Every query is recorded, and
+// answered by the first handler whose pattern matches the SQL. Like mysql2,
+// query resolves with [result].
+function createFakeConnection(handlers = []) {
+  const queries = [];
+
+  return {
+    queries,
+    async query(sql, params = []) {
+      queries.push({ sql, params });
+
+      const handler = handlers.find(({ match }) => match.test(sql));
+      return [handler ? handler.respond(params, sql) : { affectedRows: 0 }];
+    }
+  };
+}
+
+// Rows whose key columns match one of the key tuples in flattened params,
+// as produced by "(a, b) IN ((?, ?), (?, ?))"
+function findByKeys(rows, keyColumns, params) {
+  const keys = new Set();
+  for (let i = 0; i < params.length; i += keyColumns.length) {
+    keys.add(params.slice(i, i + keyColumns.length).map(String).join('/'));
+  }
+
+  return rows.filter(row => keys.has(keyColumns.map(column => String(row[column])).join('/')));
+}
+
+module.exports = {
+  createFakeConnection,
+  findByKeys
+};
@@ -0,0 +1,62 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const invoiceController = require('../../src/modules/invoices/invoice.controller');
+const invoiceService = require('../../src/modules/invoices/invoice.service');
+
+// Run getInvoices with a query string and return the error passed to next, if any
+async function listInvoices(query) {
+  let failure = null;
+  await invoiceController.getInvoices(
+    { params: { agreement_number: '1' }, query },
+    { json() {} },
+    error => {
+      failure = error;
+    }
+  );
+  return failure;
+}
+
+describe('invoiceController.getInvoices', () => {
+  let getInvoices;
+
+  beforeEach(() => {
+    getInvoices = mock.method(invoiceService, 'getInvoices', async () => ({ invoices: [] }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('passes numeric filters and paging on as numbers', async () => {
+    assert.equal(await listInvoices({ customer_number: '42', min_amount: '-10.5', page: '3', limit: '500' }), null);
+
+    const [agreementNumber, filters, , pagination] = getInvoices.mock.calls[0].arguments;
+    assert.equal(agreementNumber, 1);
+    assert.deepEqual(filters, { customer_number: 42, min_amount: -10.5 });
+    assert.deepEqual(pagination, { page: 3, limit: 500 });
+  });
+
+  it('pages by 50 from the first page by default', async () => {
+    await listInvoices({});
+
+    assert.deepEqual(getInvoices.mock.calls[0].arguments[3], { page: 1, limit: 50 });
+  });
+
+  for (const query of [
+    { page: '0' },
+    { page: '-1' },
+    { page: '2abc' },
+    { limit: '0' },
+    { limit: '501' },
+    { customer_number: 'abc' },
+    { customer_number: '12abc' },
+    { min_amount: 'x' },
+    { max_remainder: '' }
+  ]) {
+    it(`rejects ${JSON.stringify(query)}`, async () => {
+      const error = await listInvoices(query);
+
+      assert.equal(error?.statusCode, 400);
+      assert.equal(error.code, 'INVALID_NUMBER');
+      assert.equal(getInvoices.mock.callCount(), 0);
+    });
+  }
+});
@@ -0,0 +1,18 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../../src/db');
+const InvoiceModel = require('../../src/modules/invoices/invoice.model');
+
+describe('InvoiceModel.markDraftBooked', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('clears the content hash of the draft it links', async () => {
+    const query = mock.method(db, 'query', async () => ({ affectedRows: 1 }));
+
+    await InvoiceModel.markDraftBooked(12, 1, 1001);
+
+    const [sql, params] = query.mock.calls[0].arguments;
+    assert.match(sql, /SET booked_invoice_number = \?, content_hash = NULL/);
+    assert.deepEqual(params, [1001, 12, 1]);
+  });
+});
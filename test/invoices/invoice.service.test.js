@@ -0,0 +1,46 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const invoiceService = require('../../src/modules/invoices/invoice.service');
+const InvoiceModel = require('../../src/modules/invoices/invoice.model');
+const SyncWatermarkModel = require('../../src/modules/sync/sync-watermark.model');
+
+const noChanges = { inserted: 0, updated: 0, unchanged: 0 };
+
+describe('invoiceService.syncAgreementInvoices', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('stores the invoices of a type before their lines', async () => {
+    const booked = [1, 2].map(number => ({
+      bookedInvoiceNumber: number,
+      customer: { customerNumber: 7 },
+      lines: [{ lineNumber: 1, description: `Line of ${number}` }]
+    }));
+    const client = {
+      getPaginated: async () => booked,
+      get: async endpoint => booked.find(invoice => endpoint.endsWith(`/${invoice.bookedInvoiceNumber}`)),
+      getRetryStats: () => ({ retries: 0, rateLimited: 0, waitMs: 0, throttledMs: 0 })
+    };
+
+    const writes = [];
+    mock.method(SyncWatermarkModel, 'resolveWindow', async () => ({ mode: 'full', since: null }));
+    mock.method(SyncWatermarkModel, 'markSynced', async () => {});
+    mock.method(InvoiceModel, 'getCurrentTimestamp', async () => new Date());
+    mock.method(InvoiceModel, 'recordSyncLog', async () => {});
+    mock.method(InvoiceModel, 'batchUpsert', async rows => {
+      writes.push(`invoices ${rows.map(row => row.invoice_number).join(',')}`);
+      return { ...noChanges, inserted: rows.length };
+    });
+    mock.method(InvoiceModel, 'saveInvoiceLines', async (invoiceNumber, agreementNumber, customerNumber, lines) => {
+      writes.push(`lines of ${invoiceNumber}`);
+      return { ...noChanges, inserted: lines.length };
+    });
+
+    const agreement = { id: 1, name: 'Acme', agreement_number: 1 };
+    const result = await invoiceService.syncAgreementInvoices(agreement, ['booked'], {
+      context: { client, agreementNumber: 1, companyName: 'Acme' }
+    });
+
+    assert.deepEqual(writes, ['invoices 1,2', 'lines of 1', 'lines of 2']);
+    assert.equal(result.totalCount, 2);
+  });
+});
@@ -0,0 +1,119 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const outboxRelay = require('../../src/modules/outbox/outbox-relay.service');
+const OutboxModel = require('../../src/modules/outbox/outbox.model');
+const config = require('../../src/config');
+
+const event = (id, agreementNumber, entity, attempts = 0) => ({
+  id,
+  event_id: `event-${id}`,
+  event_type: `${entity}.updated`,
+  agreement_number: agreementNumber,
+  entity,
+  attempts,
+  payload: { id: `event-${id}` }
+});
+
+// A transport that takes every message, except those of the failing stream keys
+function fakeTransport(failingKeys = []) {
+  const published = [];
+
+  return {
+    published,
+    async connect() {},
+    async close() {},
+    async publish(messages) {
+      if (messages.some(message => failingKeys.includes(message.key))) {
+        throw new Error('broker unavailable');
+      }
+      published.push(...messages);
+    }
+  };
+}
+
+// Hand out the given batches of due events, then none
+function dueBatches(...batches) {
+  return mock.method(OutboxModel, 'getDue', async () => batches.shift() || []);
+}
+
+describe('outboxRelay', () => {
+  let markPublished;
+  let markAttemptFailed;
+
+  beforeEach(() => {
+    markPublished = mock.method(OutboxModel, 'markPublished', async () => {});
+    markAttemptFailed = mock.method(OutboxModel, 'markAttemptFailed', async () => {});
+    mock.method(outboxRelay, 'purgePublished', async () => {});
+    outboxRelay.stopping = false;
+    outboxRelay.connected = true;
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    outboxRelay.transport = null;
+    outboxRelay.connected = false;
+  });
+
+  it('publishes each stream in id order and marks its events published', async () => {
+    outboxRelay.transport = fakeTransport();
+    dueBatches([event(1, 1, 'customer'), event(2, 1, 'product'), event(3, 1, 'customer')]);
+
+    await outboxRelay.processDue();
+
+    assert.deepEqual(
+      outboxRelay.transport.published.map(({ key, headers }) => [key, headers.event_id]),
+      [['1:customer', 'event-1'], ['1:customer', 'event-3'], ['1:product', 'event-2']]
+    );
+    assert.deepEqual(markPublished.mock.calls.map(call => call.arguments[0]), [[1, 3], [2]]);
+    assert.equal(markAttemptFailed.mock.callCount(), 0);
+  });
+
+  it('schedules a retry for a failed stream while the other streams carry on', async () => {
+    outboxRelay.transport = fakeTransport(['2:customer']);
+    const getDue = dueBatches([event(1, 2, 'customer'), event(2, 1, 'customer'), event(3, 2, 'customer')]);
+
+    await outboxRelay.processDue();
+
+    assert.deepEqual(markPublished.mock.calls.map(call => call.arguments[0]), [[2]]);
+    assert.equal(markAttemptFailed.mock.callCount(), 1);
+
+    const [ids, message] = markAttemptFailed.mock.calls[0].arguments;
+    assert.deepEqual(ids, [1, 3]);
+    assert.equal(message, 'broker unavailable');
+
+    // The next batch is fetched only because one stream got through
+    assert.equal(getDue.mock.callCount(), 2);
+  });
+
+  it('stops fetching once every stream has failed', async () => {
+    outboxRelay.transport = fakeTransport(['1:customer']);
+    const getDue = dueBatches([event(1, 1, 'customer')], [event(1, 1, 'customer')]);
+
+    await outboxRelay.processDue();
+
+    assert.equal(getDue.mock.callCount(), 1);
+    assert.equal(markPublished.mock.callCount(), 0);
+  });
+
+  it('retries a stream after the backoff of its attempt count', async () => {
+    outboxRelay.transport = fakeTransport(['1:customer']);
+    const before = Date.now();
+
+    assert.equal(await outboxRelay.publishStream('1:customer', [event(1, 1, 'customer', 2)]), false);
+
+    const nextAttemptAt = markAttemptFailed.mock.calls[0].arguments[2];
+    const delay = nextAttemptAt.getTime() - before;
+    assert.ok(delay >= config.outbox.retryBaseDelayMs * 4 && delay < config.outbox.retryBaseDelayMs * 4 + 1000);
+  });
+});
+
+describe('outboxRelay.getRetryDelay', () => {
+  it('doubles from the base delay up to the maximum', () => {
+    const { retryBaseDelayMs, retryMaxDelayMs } = config.outbox;
+
+    assert.equal(outboxRelay.getRetryDelay(1), retryBaseDelayMs);
+    assert.equal(outboxRelay.getRetryDelay(2), retryBaseDelayMs * 2);
+    assert.equal(outboxRelay.getRetryDelay(3), retryBaseDelayMs * 4);
+    assert.equal(outboxRelay.getRetryDelay(100), retryMaxDelayMs);
+  });
+});
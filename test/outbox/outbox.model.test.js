@@ -0,0 +1,45 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../../src/db');
+const OutboxModel = require('../../src/modules/outbox/outbox.model');
+
+describe('OutboxModel.getDue', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('reads unpublished events oldest first and parses their payload', async () => {
+    const query = mock.method(db, 'query', async () => [
+      { id: 1, agreement_number: 1, entity: 'customer', payload: '{"id":"a"}' },
+      { id: 2, agreement_number: 1, entity: 'customer', payload: { id: 'b' } }
+    ]);
+
+    const rows = await OutboxModel.getDue(50);
+
+    assert.deepEqual(rows.map(row => row.payload), [{ id: 'a' }, { id: 'b' }]);
+
+    const [sql] = query.mock.calls[0].arguments;
+    assert.match(sql, /WHERE o\.published_at IS NULL/);
+    assert.match(sql, /ORDER BY o\.id\s+LIMIT 50$/);
+  });
+
+  it('leaves out a whole stream while an earlier event of it waits for a retry', async () => {
+    const query = mock.method(db, 'query', async () => []);
+
+    await OutboxModel.getDue(10);
+
+    const [sql] = query.mock.calls[0].arguments;
+    assert.match(sql, /NOT EXISTS/);
+    assert.match(sql, /b\.agreement_number = o\.agreement_number AND b\.entity = o\.entity/);
+    assert.match(sql, /b\.id <= o\.id/);
+    assert.match(sql, /b\.next_attempt_at > CURRENT_TIMESTAMP/);
+  });
+
+  it('keeps the batch size between 1 and 1000', async () => {
+    const query = mock.method(db, 'query', async () => []);
+
+    await OutboxModel.getDue(5000);
+    await OutboxModel.getDue(-3);
+
+    assert.match(query.mock.calls[0].arguments[0], /LIMIT 1000$/);
+    assert.match(query.mock.calls[1].arguments[0], /LIMIT 1$/);
+  });
+});
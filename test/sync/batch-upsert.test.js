@@ -0,0 +1,109 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../../src/db');
+const { upsertRows, contentHash } = require('../../src/modules/sync/batch-upsert');
+const { createFakeConnection, findByKeys } = require('../helpers/fake-connection');
+
+const KEY_COLUMNS = ['customer_number', 'agreement_number'];
+
+// Run upserts against stored customers. Returns the fake connection, whose
+// recorded queries show what was written.
+function useStoredCustomers(storedRows) {
+  const connection = createFakeConnection([
+    { match: /FOR UPDATE/, respond: params => findByKeys(storedRows, KEY_COLUMNS, params) },
+    { match: /^SELECT \* FROM customers/, respond: params => findByKeys(storedRows, KEY_COLUMNS, params) }
+  ]);
+
+  mock.method(db, 'transaction', async callback => callback(connection));
+  mock.method(db, 'query', async (sql, params) => (
+    /SELECT DISTINCT agreement_number/.test(sql)
+      ? [...new Set(storedRows.map(row => row.agreement_number))]
+        .filter(agreementNumber => params.includes(agreementNumber))
+        .map(agreementNumber => ({ agreement_number: agreementNumber }))
+      : []
+  ));
+
+  return connection;
+}
+
+const customer = (customerNumber, name, agreementNumber = 1) => ({
+  customer_number: customerNumber,
+  agreement_number: agreementNumber,
+  name
+});
+
+const written = (connection, pattern) => connection.queries.filter(({ sql }) => pattern.test(sql));
+const outboxEvents = connection => written(connection, /INSERT INTO event_outbox/)
+  .flatMap(({ params }) => params.filter((value, index) => index % 6 === 1));
+
+describe('upsertRows', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('counts inserted, updated and unchanged rows and only writes changes', async () => {
+    const unchanged = customer(1, 'Acme');
+    const connection = useStoredCustomers([
+      { ...unchanged, content_hash: contentHash(unchanged) },
+      { ...customer(2, 'Beta'), content_hash: contentHash(customer(2, 'Beta')) }
+    ]);
+
+    const counts = await upsertRows('customers', [unchanged, customer(2, 'Beta Ltd'), customer(3, 'Gamma')], {
+      keyColumns: KEY_COLUMNS
+    });
+
+    assert.deepEqual(counts, { inserted: 1, updated: 1, unchanged: 1 });
+
+    const [insert] = written(connection, /^INSERT INTO customers/);
+    assert.deepEqual(insert.params.filter(value => typeof value === 'string' && !/^[0-9a-f]{64}$/.test(value)), ['Beta Ltd', 'Gamma']);
+    assert.deepEqual(outboxEvents(connection), ['customer.updated', 'customer.created']);
+  });
+
+  it('compares rows stored before content hashes by value and backfills their hash', async () => {
+    const connection = useStoredCustomers([
+      { ...customer(1, 'Acme'), content_hash: null },
+      { ...customer(2, 'Beta'), content_hash: null }
+    ]);
+
+    const counts = await upsertRows('customers', [customer(1, 'Acme'), customer(2, 'Beta Ltd')], {
+      keyColumns: KEY_COLUMNS
+    });
+
+    assert.deepEqual(counts, { inserted: 0, updated: 1, unchanged: 1 });
+
+    const [backfill] = written(connection, /updated_at = updated_at/);
+    assert.ok(backfill, 'expected a hash backfill');
+    assert.deepEqual(backfill.params, [1, 1, 'Acme', contentHash(customer(1, 'Acme'))]);
+  });
+
+  it('writes the last row for a key once', async () => {
+    useStoredCustomers([customer(9, 'Other')]);
+
+    const counts = await upsertRows('customers', [customer(1, 'First'), customer(1, 'Second')], {
+      keyColumns: KEY_COLUMNS
+    });
+
+    assert.deepEqual(counts, { inserted: 1, updated: 0, unchanged: 0 });
+  });
+
+  it('announces nothing for the initial load of an agreement', async () => {
+    const connection = useStoredCustomers([{ ...customer(1, 'Acme', 2), content_hash: 'old' }]);
+
+    const counts = await upsertRows('customers', [customer(1, 'Acme'), customer(2, 'Beta'), customer(1, 'Acme Ltd', 2)], {
+      keyColumns: KEY_COLUMNS
+    });
+
+    assert.deepEqual(counts, { inserted: 2, updated: 1, unchanged: 0 });
+    assert.deepEqual(outboxEvents(connection), ['customer.updated']);
+  });
+
+  it('writes one transaction per chunk', async () => {
+    useStoredCustomers([]);
+
+    const counts = await upsertRows('customers', [customer(1, 'A'), customer(2, 'B'), customer(3, 'C')], {
+      keyColumns: KEY_COLUMNS,
+      chunkSize: 2
+    });
+
+    assert.deepEqual(counts, { inserted: 3, updated: 0, unchanged: 0 });
+    assert.equal(db.transaction.mock.callCount(), 2);
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { deriveEvents } = require('../../src/modules/sync/domain-events');
+
+const typesOf = events => events.map(event => event.type);
+
+describe('deriveEvents', () => {
+  it('announces inserted and updated customers', () => {
+    const customer = { customer_number: 7, agreement_number: 1, name: 'Acme' };
+
+    const events = deriveEvents('customers', [
+      { before: null, after: customer },
+      { before: { customer_number: 8, agreement_number: 1 }, after: { ...customer, customer_number: 8 } }
+    ]);
+
+    assert.deepEqual(typesOf(events), ['customer.created', 'customer.updated']);
+    assert.equal(events[0].entity, 'customer');
+    assert.equal(events[0].key, 7);
+    assert.equal(events[0].agreement_number, 1);
+    assert.deepEqual(events[0].data, customer);
+    assert.equal(events[0].previous, null);
+    assert.notEqual(events[0].id, events[1].id);
+  });
+
+  it('announces product price changes with the previous price', () => {
+    const before = { product_number: 'P1', agreement_number: 1, price: '10.00' };
+    const after = { product_number: 'P1', agreement_number: 1, price: 12.5 };
+
+    const events = deriveEvents('products', [{ before, after }]);
+
+    assert.deepEqual(typesOf(events), ['product.updated', 'product.price_changed']);
+    assert.deepEqual(events[1].previous, { price: '10.00' });
+  });
+
+  it('compares product prices by value', () => {
+    const before = { product_number: 'P1', agreement_number: 1, price: '10.00' };
+    const after = { product_number: 'P1', agreement_number: 1, price: 10 };
+
+    assert.deepEqual(typesOf(deriveEvents('products', [{ before, after }])), ['product.updated']);
+  });
+
+  it('leaves draft invoices out', () => {
+    const draft = { invoice_number: 3, agreement_number: 1, payment_status: 'draft' };
+
+    assert.deepEqual(deriveEvents('invoices', [{ before: null, after: draft }]), []);
+  });
+
+  it('announces booked invoices and payment status changes', () => {
+    const invoice = { invoice_number: 100, agreement_number: 1 };
+
+    assert.deepEqual(
+      typesOf(deriveEvents('invoices', [{ before: null, after: { ...invoice, payment_status: 'paid' } }])),
+      ['invoice.booked', 'invoice.paid']
+    );
+    assert.deepEqual(
+      typesOf(deriveEvents('invoices', [{
+        before: { ...invoice, payment_status: 'pending' },
+        after: { ...invoice, payment_status: 'overdue' }
+      }])),
+      ['invoice.updated', 'invoice.overdue']
+    );
+  });
+
+  it('does not announce a payment status again when it did not change', () => {
+    const invoice = { invoice_number: 100, agreement_number: 1, payment_status: 'paid' };
+
+    assert.deepEqual(typesOf(deriveEvents('invoices', [{ before: invoice, after: invoice }])), ['invoice.updated']);
+  });
+
+  it('ignores tables without an event rule', () => {
+    assert.deepEqual(deriveEvents('accounts', [{ before: null, after: { account_number: 1000 } }]), []);
+  });
+});
@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { recordVersions } = require('../../src/modules/sync/record-history');
+const { createFakeConnection, findByKeys } = require('../helpers/fake-connection');
+
+const NOW = new Date('2026-03-01T12:00:00.000Z');
+
+// Current versions answer the lookup of recordVersions
+function withCurrentVersions(versions) {
+  return createFakeConnection([
+    { match: /FOR UPDATE/, respond: params => findByKeys(versions, ['customer_number', 'agreement_number'], params) },
+    { match: /CURRENT_TIMESTAMP\(3\) AS now/, respond: () => [{ now: NOW }] }
+  ]);
+}
+
+describe('recordVersions', () => {
+  it('closes changed versions and opens new ones', async () => {
+    const unchanged = { customer_number: 1, agreement_number: 1, name: 'Acme' };
+    const changed = { customer_number: 2, agreement_number: 1, name: 'Beta Ltd' };
+    const added = { customer_number: 3, agreement_number: 1, name: 'Gamma' };
+    const hashes = new Map([[unchanged, 'h1'], [changed, 'h2-new'], [added, 'h3']]);
+
+    const connection = withCurrentVersions([
+      { customer_number: 1, agreement_number: 1, content_hash: 'h1' },
+      { customer_number: 2, agreement_number: 1, content_hash: 'h2-old' }
+    ]);
+
+    const count = await recordVersions(connection, 'customers', [unchanged, changed, added], hashes);
+
+    assert.equal(count, 2);
+
+    const close = connection.queries.find(({ sql }) => /^UPDATE customers_history SET valid_to/.test(sql));
+    assert.deepEqual(close.params, [NOW, 2, 1]);
+
+    const open = connection.queries.find(({ sql }) => /^INSERT INTO customers_history/.test(sql));
+    assert.deepEqual(open.params, [
+      2, 1, JSON.stringify(changed), 'h2-new', NOW,
+      3, 1, JSON.stringify(added), 'h3', NOW
+    ]);
+  });
+
+  it('writes nothing when every current version matches', async () => {
+    const row = { customer_number: 1, agreement_number: 1, name: 'Acme' };
+    const connection = withCurrentVersions([{ customer_number: 1, agreement_number: 1, content_hash: 'h1' }]);
+
+    assert.equal(await recordVersions(connection, 'customers', [row], new Map([[row, 'h1']])), 0);
+    assert.equal(connection.queries.length, 1);
+  });
+});
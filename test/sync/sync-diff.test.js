@@ -0,0 +1,98 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SyncDiff, sameValue } = require('../../src/modules/sync/sync-diff');
+
+// A diff with stored rows, without loading them from the database
+function diffWith(rows) {
+  const diff = new SyncDiff('customers', ['customer_number', 'agreement_number'], 1);
+  rows.forEach(row => diff.rows.set(diff.keyOf(row), row));
+  return diff;
+}
+
+describe('sameValue', () => {
+  it('compares DECIMAL strings with numbers by value', () => {
+    assert.equal(sameValue('10.50', 10.5), true);
+    assert.equal(sameValue('10.50', 10.51), false);
+  });
+
+  it('compares DATE columns by calendar day', () => {
+    assert.equal(sameValue(new Date(2026, 2, 1), '2026-03-01'), true);
+    assert.equal(sameValue(new Date(2026, 2, 1), '2026-03-02'), false);
+  });
+
+  it('compares DATETIME columns by whole seconds', () => {
+    assert.equal(sameValue(new Date('2026-03-01T10:00:00.000Z'), '2026-03-01T10:00:00.900Z'), true);
+    assert.equal(sameValue(new Date('2026-03-01T10:00:00.000Z'), '2026-03-01T10:00:01.000Z'), false);
+  });
+
+  it('compares TINYINT flags with booleans', () => {
+    assert.equal(sameValue(1, true), true);
+    assert.equal(sameValue(0, true), false);
+  });
+
+  it('compares JSON regardless of key order', () => {
+    assert.equal(sameValue({ b: 2, a: 1 }, '{"a":1,"b":2}'), true);
+    assert.equal(sameValue({ a: 1 }, '{"a":2}'), false);
+  });
+
+  it('treats null and undefined alike', () => {
+    assert.equal(sameValue(null, undefined), true);
+    assert.equal(sameValue(null, ''), false);
+  });
+});
+
+describe('SyncDiff', () => {
+  it('reports inserts, updates and unchanged rows', () => {
+    const diff = diffWith([
+      { customer_number: 1, agreement_number: 1, name: 'Acme', balance: '5.00', deleted_at: null },
+      { customer_number: 2, agreement_number: 1, name: 'Beta', balance: '0.00', deleted_at: null }
+    ]);
+
+    diff.compare({ customer_number: 1, agreement_number: 1, name: 'Acme', balance: 5 });
+    diff.compare({ customer_number: 2, agreement_number: 1, name: 'Beta Ltd', balance: 0 });
+    diff.compare({ customer_number: 3, agreement_number: 1, name: 'Gamma', balance: 0 });
+
+    const report = diff.toJSON();
+
+    assert.deepEqual(report.summary, { inserts: 1, updates: 1, unchanged: 1, deletes: 0 });
+    assert.deepEqual(report.updates, [{
+      key: { customer_number: 2, agreement_number: 1 },
+      changes: { name: { before: 'Beta', after: 'Beta Ltd' } }
+    }]);
+    assert.deepEqual(report.inserts[0].key, { customer_number: 3, agreement_number: 1 });
+    assert.deepEqual(diff.getInserts().map(row => row.name), ['Gamma']);
+  });
+
+  it('reports tombstoned rows that a sync brings back', () => {
+    const deletedAt = new Date('2026-01-01T00:00:00Z');
+    const diff = diffWith([{ customer_number: 1, agreement_number: 1, name: 'Acme', deleted_at: deletedAt }]);
+
+    diff.compare({ customer_number: 1, agreement_number: 1, name: 'Acme' });
+
+    assert.deepEqual(diff.toJSON().updates[0].changes, { deleted_at: { before: deletedAt, after: null } });
+  });
+
+  it('lets a later record with the same key replace the earlier one', () => {
+    const diff = diffWith([]);
+
+    diff.compare({ customer_number: 1, agreement_number: 1, name: 'First' });
+    diff.compare({ customer_number: 1, agreement_number: 1, name: 'Second' });
+
+    assert.deepEqual(diff.getInserts(), [{ customer_number: 1, agreement_number: 1, name: 'Second' }]);
+  });
+
+  it('reports live rows a full sync did not see as deletes', () => {
+    const diff = diffWith([
+      { customer_number: 1, agreement_number: 1, name: 'Seen', deleted_at: null },
+      { customer_number: 2, agreement_number: 1, name: 'Gone', deleted_at: null },
+      { customer_number: 3, agreement_number: 1, name: 'Already gone', deleted_at: new Date() },
+      { customer_number: 4, agreement_number: 1, name: 'Filtered out', deleted_at: null }
+    ]);
+
+    diff.compare({ customer_number: 1, agreement_number: 1, name: 'Seen' });
+    const missing = diff.markMissing(row => row.customer_number !== 4);
+
+    assert.deepEqual(missing.map(row => row.customer_number), [2]);
+    assert.deepEqual(diff.toJSON().deletes, [{ key: { customer_number: 2, agreement_number: 1 } }]);
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const syncJobService = require('../../src/modules/sync/sync-job.service');
+const syncService = require('../../src/modules/sync/sync.service');
+const syncHistoryService = require('../../src/modules/sync/sync-history.service');
+const syncPool = require('../../src/modules/sync/sync-pool');
+const SyncJobModel = require('../../src/modules/sync/sync-job.model');
+const AgreementModel = require('../../src/modules/agreements/agreement.model');
+
+const customers = syncService.syncServices.find(({ name }) => name === 'customers');
+
+describe('syncJobService.cancelJob', () => {
+  let concurrency;
+
+  beforeEach(() => {
+    concurrency = syncPool.concurrency;
+    syncPool.concurrency = 1;
+
+    mock.method(SyncJobModel, 'save', async () => {});
+    mock.method(syncHistoryService, 'startRun', async () => ({ id: 'run-1', startedAt: new Date() }));
+    mock.method(syncHistoryService, 'finishRun', async () => {});
+    mock.method(AgreementModel, 'getByAgreementNumber', async agreementNumber => ({
+      id: agreementNumber,
+      name: `Agreement ${agreementNumber}`,
+      agreement_number: agreementNumber,
+      is_active: 1
+    }));
+  });
+
+  afterEach(() => {
+    syncPool.concurrency = concurrency;
+    mock.restoreAll();
+  });
+
+  it('stops a running job before the agreements that have not started', async () => {
+    let releaseFirst;
+    let firstStarted;
+    const started = new Promise(resolve => { firstStarted = resolve; });
+
+    const sync = mock.method(customers.service, customers.agreementMethod, async agreement => {
+      if (agreement.agreement_number === 1) {
+        firstStarted();
+        await new Promise(resolve => { releaseFirst = resolve; });
+      }
+      return { agreement, recordCount: 1 };
+    });
+
+    const { id } = await syncJobService.enqueue({ mode: 'full', entities: ['customers'], agreements: [1, 2, 3] });
+    await started;
+
+    const cancelling = await syncJobService.cancelJob(id);
+    assert.equal(cancelling.status, 'cancelling');
+
+    const { activeRun } = syncJobService;
+    releaseFirst();
+    await activeRun;
+
+    assert.deepEqual(sync.mock.calls.map(call => call.arguments[0].agreement_number), [1]);
+
+    const job = SyncJobModel.save.mock.calls.at(-1).arguments[0];
+    assert.equal(job.status, 'cancelled');
+    assert.equal(job.services[0].status, 'cancelled');
+    assert.equal(syncHistoryService.finishRun.mock.calls[0].arguments[1], 'cancelled');
+  });
+});
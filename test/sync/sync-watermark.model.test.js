@@ -0,0 +1,68 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const SyncWatermarkModel = require('../../src/modules/sync/sync-watermark.model');
+
+describe('SyncWatermarkModel.resolveWindow', () => {
+  afterEach(() => mock.restoreAll());
+
+  const watermark = last_synced_at => mock.method(
+    SyncWatermarkModel,
+    'findByAgreementAndEntity',
+    async () => (last_synced_at ? { last_synced_at } : null)
+  );
+
+  it('runs a full sync when one is requested', async () => {
+    const lookup = watermark('2026-01-01T00:00:00Z');
+
+    assert.deepEqual(await SyncWatermarkModel.resolveWindow(1, 'customers', 'full'), { mode: 'full', since: null });
+    assert.equal(lookup.mock.callCount(), 0);
+  });
+
+  it('runs a full sync for entities that cannot be filtered', async () => {
+    watermark('2026-01-01T00:00:00Z');
+
+    assert.deepEqual(await SyncWatermarkModel.resolveWindow(1, 'invoices', 'incremental'), { mode: 'full', since: null });
+  });
+
+  it('runs a full sync when there is no watermark yet', async () => {
+    watermark(null);
+
+    assert.deepEqual(await SyncWatermarkModel.resolveWindow(1, 'products', 'incremental'), { mode: 'full', since: null });
+  });
+
+  it('continues from the watermark', async () => {
+    const lookup = watermark('2026-01-01T00:00:00Z');
+
+    const window = await SyncWatermarkModel.resolveWindow(1, 'customers', 'incremental');
+
+    assert.equal(window.mode, 'incremental');
+    assert.equal(window.since.toISOString(), '2026-01-01T00:00:00.000Z');
+    assert.deepEqual(lookup.mock.calls[0].arguments, [1, 'customers']);
+  });
+});
+
+describe('SyncWatermarkModel.nextWatermark', () => {
+  const startTime = new Date('2026-03-01T12:00:00Z');
+
+  it('moves to the newest lastUpdated fetched', () => {
+    const watermark = SyncWatermarkModel.nextWatermark([
+      { lastUpdated: '2026-03-01T09:00:00Z' },
+      { lastUpdated: '2026-03-01T11:30:00Z' },
+      { lastUpdated: null }
+    ], new Date('2026-02-01T00:00:00Z'), startTime);
+
+    assert.equal(watermark.toISOString(), '2026-03-01T11:30:00.000Z');
+  });
+
+  it('keeps the previous watermark when nothing changed', () => {
+    const since = new Date('2026-02-01T00:00:00Z');
+
+    assert.equal(SyncWatermarkModel.nextWatermark([], since, startTime), since);
+  });
+
+  it('falls back to the start of the run less a margin for clock skew', () => {
+    const watermark = SyncWatermarkModel.nextWatermark([{}], null, startTime);
+
+    assert.ok(watermark < startTime);
+  });
+});
@@ -0,0 +1,33 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const syncService = require('../../src/modules/sync/sync.service');
+
+const namesOf = entries => entries.map(({ name }) => name);
+
+describe('syncService.resolveServices', () => {
+  it('returns every service when no entities are given', () => {
+    assert.deepEqual(namesOf(syncService.resolveServices(null)), syncService.getServiceNames());
+  });
+
+  it('adds the services an entity depends on, in sync order', () => {
+    assert.deepEqual(namesOf(syncService.resolveServices(['products'])), ['productGroups', 'products']);
+  });
+
+  it('keeps sync order and adds each dependency once', () => {
+    assert.deepEqual(
+      namesOf(syncService.resolveServices(['departmentalDistributions', 'products', 'productGroups', 'departments'])),
+      ['productGroups', 'products', 'departments', 'departmentalDistributions']
+    );
+  });
+
+  it('rejects unknown entities', () => {
+    assert.throws(
+      () => syncService.resolveServices(['products', 'widgets']),
+      error => error.statusCode === 400 && error.code === 'INVALID_ENTITIES' && /widgets/.test(error.message)
+    );
+  });
+
+  it('rejects an empty selection', () => {
+    assert.throws(() => syncService.resolveServices([]), { code: 'INVALID_ENTITIES' });
+  });
+});
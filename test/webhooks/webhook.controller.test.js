@@ -0,0 +1,49 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const webhookController = require('../../src/modules/webhooks/webhook.controller');
+const webhookService = require('../../src/modules/webhooks/webhook.service');
+
+// Run the controller and return the arguments it passed to webhookService.receive
+async function receive({ query = {}, body = {}, headers = {} }) {
+  const serviceReceive = mock.method(webhookService, 'receive', async () => ({ id: 1, status: 'queued' }));
+  let failure = null;
+
+  await webhookController.receiveEconomicEvent(
+    { query, body, get: name => headers[name.toLowerCase()] },
+    { status: () => ({ json() {} }) },
+    error => {
+      failure = error;
+    }
+  );
+
+  assert.equal(failure, null);
+  return serviceReceive.mock.calls[0].arguments;
+}
+
+describe('webhookController.receiveEconomicEvent', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('takes the secret from the query string, as e-conomic sends it', async () => {
+    const [params, secret] = await receive({
+      query: { agreement: '1', secret: 'whs_abc', type: 'customer', number: '7' }
+    });
+
+    assert.equal(secret, 'whs_abc');
+    assert.deepEqual(params, { agreement: '1', type: 'customer', number: '7' });
+  });
+
+  it('prefers the X-Webhook-Secret header', async () => {
+    const [, secret] = await receive({
+      query: { agreement: '1', secret: 'whs_query' },
+      headers: { 'x-webhook-secret': 'whs_header' }
+    });
+
+    assert.equal(secret, 'whs_header');
+  });
+
+  it('ignores a secret given more than once', async () => {
+    const [, secret] = await receive({ query: { agreement: '1', secret: ['a', 'b'] } });
+
+    assert.equal(secret, undefined);
+  });
+});